@@ -0,0 +1,237 @@
+import { parseMessageParts } from "./emoteParser.js";
+
+// Page options from the URL, e.g. /?theme=light&fade=30&transparent=1&channel=somechannel
+const params = new URLSearchParams(window.location.search);
+const OPTIONS = {
+  theme: params.get("theme") === "light" ? "light" : "dark",
+  // Seconds a line stays before fading out (0 keeps lines until they scroll away)
+  fadeSeconds: Math.max(0, Number(params.get("fade")) || 0),
+  transparent: ["1", "true", "yes"].includes(params.get("transparent")),
+  // Only show one channel (all joined channels when not set)
+  channel:
+    (params.get("channel") || "").trim().toLowerCase().replace(/^#/, "") ||
+    null,
+};
+
+// Maximum number of lines kept on the page
+const MAX_LINES = 100;
+
+// Delay before reconnecting after the overlay app closed or restarted
+const RECONNECT_DELAY_MS = 2000;
+
+// Length of the fade-out transition in chat.css
+const FADE_DURATION_MS = 1000;
+
+const chat = document.getElementById("chat");
+
+// Third-party emotes (7TV, BTTV, FFZ): Map<name, url> for global emotes, { [channel]: Map } for channels
+let globalEmotes = new Map();
+let channelEmotes = {};
+
+/**
+ * Applies the theme and background options to the page.
+ */
+function applyOptions() {
+  document.body.classList.add(`theme-${OPTIONS.theme}`);
+  document.body.classList.toggle("transparent", OPTIONS.transparent);
+}
+
+/**
+ * Creates an emote image.
+ * @param {string} url The image URL.
+ * @param {string} name The emote name.
+ * @returns {HTMLImageElement} The image.
+ */
+function createEmote(url, name) {
+  const img = document.createElement("img");
+  img.className = "chat-emote";
+  img.src = url;
+  img.alt = name;
+  return img;
+}
+
+/**
+ * Renders a message text with Twitch emotes (from the IRC emotes tag) and
+ * third-party emotes (by word, channel emotes first), like the overlay does.
+ * @param {string} text The message text.
+ * @param {Object} [twitchEmotes] The raw emotes tag.
+ * @param {string} [channel] The channel the message was sent in.
+ * @returns {DocumentFragment} The rendered text.
+ */
+function renderText(text, twitchEmotes, channel) {
+  const fragment = document.createDocumentFragment();
+  parseMessageParts(text, twitchEmotes, [
+    channelEmotes[channel],
+    globalEmotes,
+  ]).forEach((part) => {
+    fragment.append(
+      part.type === "emote" ? createEmote(part.url, part.name) : part.text
+    );
+  });
+  return fragment;
+}
+
+/**
+ * Removes a line, fading it out first.
+ * @param {HTMLElement} line The line.
+ */
+function fadeOut(line) {
+  line.classList.add("fade-out");
+  setTimeout(() => line.remove(), FADE_DURATION_MS);
+}
+
+/**
+ * Adds a chat message to the page.
+ * Status lines meant for the overlay user (connection notices, errors) are not shown.
+ * Subs, gifts and other events get their title line above the attached message.
+ * Filtered messages are dimmed or collapsed like in the overlay.
+ * @param {Object} message The chat-message payload.
+ */
+function addMessage(message) {
+  if (message.isSystem || (!message.text && !message.event)) return;
+  if (OPTIONS.channel && message.channel !== OPTIONS.channel) return;
+
+  const line = document.createElement("div");
+  line.className = "chat-line";
+  line.dataset.channel = message.channel || "";
+  if (message.messageId) line.dataset.messageId = message.messageId;
+  if (message.login) line.dataset.login = message.login.toLowerCase();
+
+  const text = document.createElement("span");
+  text.className = "text";
+  text.append(renderText(message.text, message.emotes, message.channel));
+
+  if (message.event) {
+    line.classList.add("event");
+    line.style.setProperty("--event-color", message.event.color);
+    const title = document.createElement("div");
+    title.className = "event-title";
+    title.textContent = message.event.title;
+    line.append(title);
+    if (message.text) {
+      const username = document.createElement("span");
+      username.className = "username";
+      username.style.color = message.color;
+      username.textContent = message.username;
+      line.append(username, ": ", text);
+    }
+  } else if (message.username === "System") {
+    // Timeouts, bans and raids
+    line.classList.add("notice");
+    line.append(text);
+  } else {
+    const username = document.createElement("span");
+    username.className = "username";
+    username.style.color = message.color;
+    username.textContent = message.username;
+    line.append(username);
+    if (message.isAction) {
+      line.classList.add("action");
+      text.style.color = message.color;
+      line.append(" ", text);
+    } else {
+      line.append(": ", text);
+    }
+  }
+
+  if (message.filter) {
+    // Caught by a filter rule: dimmed, or collapsed without saying which rule matched
+    line.classList.add(`filtered-${message.filter.action}`);
+    if (message.filter.action === "collapse") {
+      const placeholder = document.createElement("span");
+      placeholder.className = "filtered-placeholder";
+      placeholder.textContent = "<filtered>";
+      text.replaceWith(placeholder);
+    }
+  }
+
+  chat.append(line);
+  while (chat.children.length > MAX_LINES) {
+    chat.firstElementChild.remove();
+  }
+  if (OPTIONS.fadeSeconds > 0) {
+    setTimeout(() => fadeOut(line), OPTIONS.fadeSeconds * 1000);
+  }
+}
+
+/**
+ * Removes the lines a moderator deleted, timed out, banned or cleared.
+ * @param {Object} event The chat-moderation payload ({ channel, type, messageId?, targetUser? }).
+ */
+function applyModeration(event) {
+  const inChannel = `[data-channel="${CSS.escape(event.channel || "")}"]`;
+  let selector = null;
+  switch (event.type) {
+    case "delete":
+      selector = `${inChannel}[data-message-id="${CSS.escape(
+        event.messageId || ""
+      )}"]`;
+      break;
+    case "timeout":
+    case "ban":
+      selector = `${inChannel}[data-login="${CSS.escape(
+        event.targetUser || ""
+      )}"]`;
+      break;
+    case "clear":
+      selector = `${inChannel}[data-login]`;
+      break;
+    default:
+      return;
+  }
+  chat.querySelectorAll(selector).forEach((line) => line.remove());
+}
+
+/**
+ * Stores the third-party emotes sent by the overlay.
+ * @param {Object} payload The emotes-update payload ({ globalEmotes, channelEmotes }).
+ */
+function updateEmotes(payload) {
+  globalEmotes = new Map(payload.globalEmotes);
+  channelEmotes = Object.fromEntries(
+    Object.entries(payload.channelEmotes || {}).map(([channel, entries]) => [
+      channel,
+      new Map(entries),
+    ])
+  );
+}
+
+/**
+ * Handles an event from the overlay. Other events (e.g. connection-status) are ignored.
+ * @param {Object} message The parsed socket message ({ event, payload }).
+ */
+function handleEvent({ event, payload }) {
+  switch (event) {
+    case "chat-message":
+      addMessage(payload);
+      break;
+    case "chat-moderation":
+      applyModeration(payload);
+      break;
+    case "emotes-update":
+      updateEmotes(payload);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Connects to the overlay's WebSocket, reconnecting while the app is closed.
+ */
+function connect() {
+  const socket = new WebSocket(`ws://${window.location.host}/ws`);
+  socket.addEventListener("message", (event) => {
+    try {
+      handleEvent(JSON.parse(event.data));
+    } catch (error) {
+      console.error("[BrowserSource] Error handling event:", error);
+    }
+  });
+  socket.addEventListener("close", () =>
+    setTimeout(connect, RECONNECT_DELAY_MS)
+  );
+}
+
+applyOptions();
+connect();
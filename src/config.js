@@ -11,10 +11,16 @@ module.exports = {
   // Ensure you have a .env file in your project root with TWITCH_CLIENT_SECRET=your_secret
   TWITCH_CLIENT_SECRET: process.env.TWITCH_CLIENT_SECRET,
 
-  // OAuth Redirect Port: Can be hardcoded or also from .env if it needs to vary.
+  // OAuth Redirect Port: Default for the "oauth.redirectPort" setting, which can be changed
+  // in the settings panel. The redirect URI is always http://localhost:<port>.
+  // This MUST match the redirect URI you registered in your Twitch Developer Console.
   OAUTH_REDIRECT_PORT: 3000,
 
-  // OAuth Redirect URI: Constructed using the port, ensures consistency.
-  // This MUST match the redirect URI you registered in your Twitch Developer Console.
+  // OAuth Redirect URI for the default port.
   OAUTH_REDIRECT_URI: `http://localhost:${OAUTH_REDIRECT_PORT}`,
+
+  // 7TV EventAPI websocket URL used for live emote set updates.
+  // Can be pointed at a local websocket stand-in for testing.
+  SEVENTV_EVENTAPI_URL:
+    process.env.SEVENTV_EVENTAPI_URL || "wss://events.7tv.io/v3",
 };
@@ -3,39 +3,48 @@ try {
   require("dotenv").config();
 } catch (_) {}
 
-const { app, BrowserWindow, screen, ipcMain, shell } = require("electron");
+const { app, BrowserWindow, ipcMain, shell } = require("electron");
 const path = require("path");
 const twitchChatService = require("./services/twitchChatService");
 const sevenTvService = require("./services/sevenTvService");
+const emoteProviderService = require("./services/emoteProviderService");
+const badgeService = require("./services/badgeService");
+const userEmoteService = require("./services/userEmoteService");
+const moderationService = require("./services/moderationService");
+const chatCommandService = require("./services/chatCommandService");
+const chatLogService = require("./services/chatLogService");
+const replayService = require("./services/replayService");
+const ghostModeService = require("./services/ghostModeService");
+const settingsService = require("./services/settingsService");
+const windowPlacementService = require("./services/windowPlacementService");
+const browserSourceServer = require("./services/browserSourceServer");
+const highlightService = require("./services/highlightService");
+const filterService = require("./services/filterService");
 const oauthServer = require("./services/oauthServer");
 const config = require("../config");
 
 // Main window reference
 let mainWindow;
 
+// Pending restore of the saved login, awaited by "get-auth-status"
+let sessionRestorePromise = Promise.resolve();
+
 /**
  * Creates the main application window.
  * Sets up the window properties, loads the HTML file, and initializes services.
  */
 function createWindow() {
-  const primaryDisplay = screen.getPrimaryDisplay();
-  const { width, height } = primaryDisplay.workAreaSize;
-
-  const windowWidth = 350;
-  const windowHeight = 400; // Initial smaller height
-  const windowX = width - windowWidth - 40;
-  const windowY = 20;
+  // Load the settings first, the window bounds come from them
+  settingsService.initialize();
 
   mainWindow = new BrowserWindow({
-    width: windowWidth,
-    height: windowHeight,
-    x: windowX,
-    y: windowY,
+    // Bounds saved for the login view, or its default size at the top right of the primary display
+    ...windowPlacementService.getInitialWindowOptions(),
     frame: false,
+    transparent: true, // Lets ghost mode see through the chat background
+    backgroundColor: "#00000000",
     alwaysOnTop: true,
     resizable: true,
-    minWidth: windowWidth,
-    minHeight: windowHeight,
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
@@ -46,11 +55,41 @@ function createWindow() {
   mainWindow.loadFile(path.join(__dirname, "../../dist/index.html"));
   mainWindow.webContents.openDevTools({ mode: "detach" });
 
+  // Remember the window bounds per view and keep the window on a connected display
+  windowPlacementService.initialize(mainWindow);
+
+  // Start the OBS browser source server if it is enabled (mirrors the chat to a local web page)
+  browserSourceServer.initialize();
+
+  // Initialize the filter pipeline (ignored users, text/regex/command and badge filters)
+  filterService.initialize(mainWindow);
+
+  // Initialize the highlight rules engine (mentions, keywords, notifications) with the main window reference
+  highlightService.initialize(mainWindow);
+
   // Intialize Twitch chat service with the main window reference
   twitchChatService.initialize(mainWindow);
 
-  // Initialize 7TV service with the main window reference
-  sevenTvService.initialize(mainWindow);
+  // Initialize the emote provider layer (7TV, BTTV, FFZ) with the main window reference
+  emoteProviderService.initialize(mainWindow);
+
+  // Initialize chat badge service with the main window reference
+  badgeService.initialize(mainWindow);
+
+  // Initialize the user's own Twitch emotes (from the emote sets Twitch reports on connect)
+  userEmoteService.initialize(mainWindow);
+
+  // Initialize the chat log recorder (JSONL logs per channel and day under userData)
+  chatLogService.initialize();
+
+  // Initialize the replay source (plays back chat logs with their original timing)
+  replayService.initialize(mainWindow);
+
+  // Initialize ghost mode (transparent, click-through window toggled by a global hotkey)
+  ghostModeService.initialize(mainWindow);
+
+  // Initialize the moderation service (Helix delete/timeout/ban/unban) with the main window reference
+  moderationService.initialize(mainWindow, oauthServer.getAuthDetails);
 
   // Initialize OAuth server with the main window reference
   oauthServer.initializeOAuthServer(
@@ -58,8 +97,10 @@ function createWindow() {
     {
       clientId: config.TWITCH_CLIENT_ID,
       clientSecret: config.TWITCH_CLIENT_SECRET,
-      redirectPort: config.OAUTH_REDIRECT_PORT,
-      redirectUri: config.OAUTH_REDIRECT_URI,
+      redirectPort: settingsService.get("oauth.redirectPort"),
+      redirectUri: `http://localhost:${settingsService.get(
+        "oauth.redirectPort"
+      )}`,
     },
     // Callback for successful OAuth
     (authData) => {
@@ -75,11 +116,8 @@ function createWindow() {
       // Start automatic token refresh
       oauthServer.startTokenAutoRefresh();
 
-      // After successful OAuth, load the main chat page
-      const chatWindowWidth = 400;
-      const chatWindowHeight = 600;
-      mainWindow.setSize(chatWindowWidth, chatWindowHeight);
-      mainWindow.setMinimumSize(250, 150);
+      // After successful OAuth, load the main chat page where the chat was last placed
+      windowPlacementService.setMode("chat");
 
       console.log("[Main Process] Loaded chat after OAuth.");
     },
@@ -95,24 +133,114 @@ function createWindow() {
     }
   );
 
+  // Apply edited settings right away (no restart needed)
+  const unsubscribeSettings = settingsService.subscribe((key, value) => {
+    if (key === "oauth.redirectPort") {
+      oauthServer.setRedirectPort(value);
+    }
+  });
+
+  // Restore the login saved by a previous launch (validates/refreshes the stored tokens)
+  sessionRestorePromise = oauthServer.restoreSession();
+
+  // --- Window Event Handlers ---
+  mainWindow.on("closed", () => {
+    twitchChatService.disconnectFromChannel(); // Ensure we disconnect when the window is closed
+    sevenTvService.stopLiveUpdates(); // Close the 7TV EventAPI socket for every channel
+    chatLogService.shutdown(); // Flush and close the open chat log files
+    replayService.stop(); // Stop the replay timers
+    ghostModeService.shutdown(); // Release the ghost mode hotkey
+    windowPlacementService.shutdown(); // Stop following display changes
+    browserSourceServer.shutdown(); // Disconnect the browser source pages
+    highlightService.shutdown();
+    filterService.shutdown();
+    unsubscribeSettings();
+    oauthServer.stopTokenAutoRefresh(); // Stop token refresh on close
+    oauthServer.stopOAuthServer();
+    mainWindow = null;
+  });
+}
+
+/**
+ * Registers the IPC handlers of the main process and of every service.
+ * Runs once at startup: Electron refuses a second handler for the same channel, and
+ * the window is created again when the app is reactivated on macOS. The handlers
+ * use the current window through the module state.
+ */
+function registerIpcHandlers() {
+  settingsService.setupIpcHandlers();
+  windowPlacementService.setupIpcHandlers();
+  filterService.setupIpcHandlers();
+  highlightService.setupIpcHandlers();
+  emoteProviderService.setupIpcHandlers();
+  badgeService.setupIpcHandlers();
+  userEmoteService.setupIpcHandlers();
+  chatLogService.setupIpcHandlers();
+  replayService.setupIpcHandlers();
+  ghostModeService.setupIpcHandlers();
+  moderationService.setupIpcHandlers();
+  chatCommandService.setupIpcHandlers();
+
+  // --- IPC Main Process Handler for the current auth status ---
+  // Lets the renderer ask on mount, in case it missed the "oauth-status" event of a restored session
+  ipcMain.handle("get-auth-status", async () => {
+    await sessionRestorePromise;
+    const authDetails = oauthServer.getAuthDetails();
+    if (authDetails && authDetails.token && authDetails.username) {
+      return { success: true, username: authDetails.username };
+    }
+    return { success: false };
+  });
+
+  // --- IPC Main Process Listener for Log Out ---
+  ipcMain.on("logout", async () => {
+    console.log("[Main Process] Received request to log out.");
+    await twitchChatService.disconnectFromChannel();
+    emoteProviderService.removeAllChannels();
+    badgeService.removeChannel();
+    userEmoteService.clear();
+    await oauthServer.logout();
+
+    mainWindow.webContents.send("oauth-status", {
+      success: false,
+      loggedOut: true,
+      message: "Logged out.",
+    });
+
+    // Go back to the login window bounds
+    windowPlacementService.setMode("login");
+  });
+
   // --- IPC Main Process Listener for Twitch Connection ---
-  ipcMain.on("connect-to-twitch", async (event, channelName) => {
+  // Joins the channel on the shared IRC connection, other joined channels stay connected
+  ipcMain.on("connect-to-twitch", async (event, requestedChannel) => {
     console.log(
-      `[Main Process] Received request to connect to Twitch channel: ${channelName}`
+      `[Main Process] Received request to connect to Twitch channel: ${requestedChannel}`
     );
+    const channelName = requestedChannel.trim().toLowerCase();
     const authDetails = oauthServer.getAuthDetails();
 
     if (authDetails && authDetails.token && authDetails.username) {
-      // Fetch user ID for the channel and load 7TV channel emotes
+      // Fetch user ID for the channel and load 7TV, BTTV and FFZ channel emotes
       const twitchUserId = await sevenTvService.getTwitchUserId(
         channelName,
         authDetails.token
       );
+      // Load global chat badges (cached after the first connect)
+      await badgeService.fetchGlobalBadges(authDetails.token);
       if (twitchUserId) {
-        await sevenTvService.fetchChannelEmotes(twitchUserId);
+        await emoteProviderService.fetchChannelEmotes(
+          channelName,
+          twitchUserId
+        );
+        await badgeService.fetchChannelBadges(
+          channelName,
+          twitchUserId,
+          authDetails.token
+        );
       } else {
         console.warn(
-          `[Main Process] Could not get Twitch User ID for ${channelName}. 7TV channel emotes may not load.`
+          `[Main Process] Could not get Twitch User ID for ${channelName}. Third-party channel emotes and channel badges may not load.`
         );
       }
       // Connect to the Twitch channel with the provided auth details
@@ -127,6 +255,7 @@ function createWindow() {
         error: "Authentication required to connect to chat.",
       });
       mainWindow.webContents.send("chat-message", {
+        channel: channelName,
         username: "System",
         text: "Connection failed: Please authenticate with Twitch first.",
         color: "#FF0000",
@@ -136,34 +265,59 @@ function createWindow() {
   });
 
   // --- IPC Main Process Listener for Twitch Disconnection ---
-  ipcMain.on("disconnect-from-twitch", async () => {
-    console.log("[Main Process] Received request to disconnect from Twitch.");
-    await twitchChatService.disconnectFromChannel();
+  // Leaves one channel, or every channel when no name is given
+  ipcMain.on("disconnect-from-twitch", async (event, channelName) => {
+    console.log(
+      `[Main Process] Received request to disconnect from Twitch${
+        channelName ? ` channel: ${channelName}` : "."
+      }`
+    );
+    await twitchChatService.disconnectFromChannel(channelName);
+    filterService.resetFilteredCounts(channelName);
+    if (channelName) {
+      // Stop listening for live 7TV emote changes of this channel
+      emoteProviderService.removeChannel(channelName);
+      badgeService.removeChannel(channelName);
+    } else {
+      emoteProviderService.removeAllChannels();
+      badgeService.removeChannel();
+    }
   });
 
   // --- IPC Main Process Listener for Sending Messages ---
-  ipcMain.on("send-message", (event, message) => {
-    console.log(`[Main Process] Received message to send: ${message}`);
-    try {
-      const success = twitchChatService.sendMessage(message);
-      if (!success) {
+  ipcMain.on(
+    "send-message",
+    (event, channelName, message, replyParentMessageId) => {
+      console.log(
+        `[Main Process] Received message to send to #${channelName}: ${message}`
+      );
+      try {
+        const success = twitchChatService.sendMessage(
+          channelName,
+          message,
+          replyParentMessageId
+        );
+        if (!success) {
+          mainWindow.webContents.send("chat-message", {
+            channel: channelName,
+            username: "System",
+            text: "Failed to send message. Please check your connection.",
+            color: "#FF0000",
+            isSystem: true,
+          });
+        }
+      } catch (error) {
+        console.error(`[Main Process] Error sending message: ${error.message}`);
         mainWindow.webContents.send("chat-message", {
+          channel: channelName,
           username: "System",
-          text: "Failed to send message. Please check your connection.",
-          color: "#FF0000",
+          text: `Error sending message: ${error.message || "Unknown error"}`,
+          color: "#DC143C",
           isSystem: true,
         });
       }
-    } catch (error) {
-      console.error(`[Main Process] Error sending message: ${error.message}`);
-      mainWindow.webContents.send("chat-message", {
-        username: "System",
-        text: `Error sending message: ${error.message || "Unknown error"}`,
-        color: "#DC143C",
-        isSystem: true,
-      });
     }
-  });
+  );
 
   // --- IPC Main Process Listener for Close App Button ---
   ipcMain.on("close-app", () => {
@@ -187,13 +341,18 @@ function createWindow() {
       "chat:read",
       "chat:edit",
       "channel:moderate",
+      "moderator:manage:banned_users", // Helix timeouts, bans and unbans
+      "moderator:manage:chat_messages", // Helix message deletion and /clear
+      "moderator:manage:chat_settings", // /slow, /followers and /emoteonly
+      "moderator:manage:shoutouts", // /shoutout
+      "channel:manage:raids", // /raid
       "user:read:email",
     ].join(" ");
 
     const twitchAuthUrl = `https://id.twitch.tv/oauth2/authorize?response_type=code&client_id=${
       config.TWITCH_CLIENT_ID
     }&redirect_uri=${encodeURIComponent(
-      config.OAUTH_REDIRECT_URI
+      oauthServer.getRedirectUri()
     )}&scope=${encodeURIComponent(scopes)}`;
 
     shell.openExternal(twitchAuthUrl);
@@ -207,18 +366,13 @@ function createWindow() {
     //Start the OAuth redirect server
     oauthServer.startOAuthServer();
   });
-
-  // --- Window Event Handlers ---
-  mainWindow.on("closed", () => {
-    twitchChatService.disconnectFromChannel(); // Ensure we disconnect when the window is closed
-    oauthServer.stopTokenAutoRefresh(); // Stop token refresh on close
-    oauthServer.stopOAuthServer();
-    mainWindow = null;
-  });
 }
 
 // --- Electron App Lifecycle Events ---
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  registerIpcHandlers();
+  createWindow();
+});
 
 app.on("window-all-closed", () => {
   if (process.platform !== "darwin") {
@@ -0,0 +1,193 @@
+const fetch = require("node-fetch");
+const config = require("../../config");
+const { ipcMain } = require("electron");
+
+// Badge cache: Map<setId, Map<versionId, { url, title }>>
+let globalBadges = new Map();
+let channelBadges = new Map(); // Map<broadcasterId, Map<setId, Map<versionId, { url, title }>>>
+
+// Joined channels whose badges are sent to the renderer
+let channelIds = new Map(); // Map<channelName, broadcasterId>
+
+// Reference to the main window
+let mainWindow = null;
+
+// Base URL for the Twitch Helix chat badges endpoints
+const HELIX_BADGES_URL = "https://api.twitch.tv/helix/chat/badges";
+
+/**
+ * Initializes the badge service.
+ * @param {BrowserWindow} window - The main Electron BrowserWindow instance.
+ */
+function initialize(window) {
+  mainWindow = window;
+}
+
+/**
+ * Fetches a badge set list from Helix and converts it to a nested map.
+ * @param {string} url - The Helix badges URL to fetch.
+ * @param {string} token - An authenticated user's OAuth token.
+ * @returns {Promise<Map<string, Map<string, object>>>} Map<setId, Map<versionId, { url, title }>>.
+ */
+async function fetchBadgeSets(url, token) {
+  const response = await fetch(url, {
+    headers: {
+      "Client-ID": config.TWITCH_CLIENT_ID,
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  const badgeSets = new Map();
+  (data.data || []).forEach((set) => {
+    const versions = new Map();
+    (set.versions || []).forEach((version) => {
+      versions.set(version.id, {
+        url: version.image_url_2x || version.image_url_1x,
+        title: version.title || set.set_id,
+      });
+    });
+    badgeSets.set(set.set_id, versions);
+  });
+  return badgeSets;
+}
+
+/**
+ * Fetches the global chat badges and caches them.
+ * Skips the request when global badges are already cached.
+ * @param {string} token - An authenticated user's OAuth token.
+ */
+async function fetchGlobalBadges(token) {
+  if (globalBadges.size > 0) return;
+  if (!config.TWITCH_CLIENT_ID) {
+    console.error(
+      "[BadgeService] TWITCH_CLIENT_ID is not configured. Cannot fetch badges."
+    );
+    return;
+  }
+  try {
+    globalBadges = await fetchBadgeSets(`${HELIX_BADGES_URL}/global`, token);
+    console.log(
+      `[BadgeService] Fetched ${globalBadges.size} global badge sets.`
+    );
+    sendBadgesToRenderer();
+  } catch (error) {
+    console.error("[BadgeService] Error fetching global badges:", error);
+  }
+}
+
+/**
+ * Fetches the chat badges of a joined channel (subscriber, bits, ...) and caches them.
+ * The channel's badges are included in the renderer payload until it is removed.
+ * @param {string} channelName - The channel name (lowercase login).
+ * @param {string} broadcasterId - The Twitch User ID of the channel.
+ * @param {string} token - An authenticated user's OAuth token.
+ */
+async function fetchChannelBadges(channelName, broadcasterId, token) {
+  if (!broadcasterId) {
+    console.warn("[BadgeService] No broadcaster ID provided to fetch badges.");
+    return;
+  }
+  if (!config.TWITCH_CLIENT_ID) {
+    console.error(
+      "[BadgeService] TWITCH_CLIENT_ID is not configured. Cannot fetch badges."
+    );
+    return;
+  }
+  channelIds.set(channelName, broadcasterId);
+  try {
+    const badgeSets = await fetchBadgeSets(
+      `${HELIX_BADGES_URL}?broadcaster_id=${encodeURIComponent(broadcasterId)}`,
+      token
+    );
+    channelBadges.set(broadcasterId, badgeSets);
+    console.log(
+      `[BadgeService] Fetched ${badgeSets.size} badge sets for channel ID: ${broadcasterId}`
+    );
+  } catch (error) {
+    console.error(
+      `[BadgeService] Error fetching badges for channel ID ${broadcasterId}:`,
+      error
+    );
+    channelBadges.delete(broadcasterId);
+  }
+  sendBadgesToRenderer();
+}
+
+/**
+ * Drops a channel that was left from the renderer payload.
+ * @param {string} [channelName] - The channel name. Omit to drop every channel.
+ */
+function removeChannel(channelName) {
+  if (channelName) {
+    channelIds.delete(channelName);
+  } else {
+    channelIds.clear();
+  }
+  sendBadgesToRenderer();
+}
+
+/**
+ * Flattens nested badge sets to "setId/versionId" entries.
+ * @param {Map<string, Map<string, object>>} badgeSets - Map<setId, Map<versionId, { url, title }>>.
+ * @returns {Array<[string, object]>} Array of ["setId/versionId", { url, title }] entries.
+ */
+function flattenBadgeSets(badgeSets) {
+  const entries = [];
+  badgeSets.forEach((versions, setId) => {
+    versions.forEach((badge, versionId) => {
+      entries.push([`${setId}/${versionId}`, badge]);
+    });
+  });
+  return entries;
+}
+
+/**
+ * Builds the badge lookups for the renderer. Channel badges are kept separate
+ * per channel so the renderer can check them first and fall back to global badges.
+ * @returns {object} { globalBadges: entries, channelBadges: { [channelName]: entries } }
+ */
+function getBadgesPayload() {
+  const channelBadgeEntries = {};
+  channelIds.forEach((broadcasterId, channelName) => {
+    if (channelBadges.has(broadcasterId)) {
+      channelBadgeEntries[channelName] = flattenBadgeSets(
+        channelBadges.get(broadcasterId)
+      );
+    }
+  });
+  return {
+    globalBadges: flattenBadgeSets(globalBadges),
+    channelBadges: channelBadgeEntries,
+  };
+}
+
+/**
+ * Sends the current badge lookup to the renderer process.
+ */
+function sendBadgesToRenderer() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("badges-update", getBadgesPayload());
+    console.log("[BadgeService] Sent badge update to renderer.");
+  }
+}
+
+/**
+ * Sets up IPC handlers for renderer process to request badges.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("get-badges", () => getBadgesPayload());
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  fetchGlobalBadges,
+  fetchChannelBadges,
+  removeChannel,
+};
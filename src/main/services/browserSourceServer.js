@@ -0,0 +1,240 @@
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const path = require("path");
+const { WebSocketServer } = require("ws");
+const settingsService = require("./settingsService");
+
+// Files of the standalone chat page, by request path: [file, content type]
+const PAGE_FILES = {
+  "/": [
+    path.join(__dirname, "../../browserSource/index.html"),
+    "text/html; charset=utf-8",
+  ],
+  "/chat.css": [
+    path.join(__dirname, "../../browserSource/chat.css"),
+    "text/css; charset=utf-8",
+  ],
+  "/chat.js": [
+    path.join(__dirname, "../../browserSource/chat.js"),
+    "text/javascript; charset=utf-8",
+  ],
+  // Shared with the overlay, so both split Twitch emotes the same way
+  "/emoteParser.js": [
+    path.join(__dirname, "../../renderer/utils/emoteParser.js"),
+    "text/javascript; charset=utf-8",
+  ],
+};
+
+// Path of the WebSocket the page receives the chat events on
+const SOCKET_PATH = "/ws";
+
+// Events whose latest payload is replayed to pages that connect later
+const REPLAYED_EVENTS = ["emotes-update"];
+
+// The HTTP server, with the WebSocket server attached (null while stopped)
+let server = null;
+let socketServer = null;
+
+// Latest payload of each replayed event: Map<event, payload>
+let latestPayloads = new Map();
+
+// Pending start/stop, so settings edited in a row restart the server in order
+let pendingChange = Promise.resolve();
+
+// Removes the settings subscription
+let unsubscribeSettings = null;
+
+/**
+ * Initializes the browser source server: starts it if it is enabled in the settings
+ * and restarts it whenever one of its settings changes.
+ */
+function initialize() {
+  unsubscribeSettings = settingsService.subscribe((key) => {
+    if (key.startsWith("browserSource.")) restart();
+  });
+  restart();
+}
+
+/**
+ * Returns the address the server listens on.
+ * @returns {string} 127.0.0.1, or every interface when LAN access is allowed.
+ */
+function getHost() {
+  return settingsService.get("browserSource.allowLan")
+    ? "0.0.0.0"
+    : "127.0.0.1";
+}
+
+/**
+ * Tells whether a page may open the WebSocket. OBS sends no Origin; browsers send the
+ * page's origin, which must be the server itself so other websites cannot read the chat.
+ * The host must be an IP address or localhost, so a website whose domain resolves to
+ * this computer (DNS rebinding) is rejected as well.
+ * @param {object} info - The upgrade request info from ws ({ origin, req }).
+ * @returns {boolean} True if the connection is accepted.
+ */
+function isAllowedOrigin({ origin, req }) {
+  if (!origin) return true;
+  try {
+    const { host, hostname } = new URL(origin);
+    return (
+      host === req.headers.host &&
+      (hostname === "localhost" ||
+        net.isIP(hostname.replace(/^\[|\]$/g, "")) !== 0)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serves the files of the chat page.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const file = PAGE_FILES[pathname];
+  if (req.method !== "GET" || !file) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Not found");
+    return;
+  }
+
+  const [filePath, contentType] = file;
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      console.error(`[BrowserSourceServer] Error reading ${filePath}:`, error);
+      res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Could not load the page");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": contentType,
+      "Cache-Control": "no-cache",
+    });
+    res.end(content);
+  });
+}
+
+/**
+ * Starts the server on the configured port.
+ * @returns {Promise<void>} Resolves once it listens, or failed to (the error is logged).
+ */
+function start() {
+  const port = settingsService.get("browserSource.port");
+  const host = getHost();
+
+  const httpServer = http.createServer(handleRequest);
+  const wss = new WebSocketServer({
+    server: httpServer,
+    path: SOCKET_PATH,
+    verifyClient: isAllowedOrigin,
+  });
+  wss.on("connection", (socket) => {
+    latestPayloads.forEach((payload, event) =>
+      socket.send(JSON.stringify({ event, payload }))
+    );
+  });
+
+  return new Promise((resolve) => {
+    httpServer.once("error", (error) => {
+      console.error(
+        `[BrowserSourceServer] Could not listen on ${host}:${port}: ${error.message}`
+      );
+      wss.close();
+      resolve();
+    });
+    httpServer.listen(port, host, () => {
+      server = httpServer;
+      socketServer = wss;
+      console.log(
+        `[BrowserSourceServer] Serving the chat at http://localhost:${port}/ (listening on ${host})`
+      );
+      resolve();
+    });
+  });
+}
+
+/**
+ * Stops the server and disconnects every page.
+ * @returns {Promise<void>} Resolves once the server is closed.
+ */
+function stop() {
+  if (!server) return Promise.resolve();
+  const httpServer = server;
+  socketServer.clients.forEach((socket) => socket.terminate());
+  socketServer.close();
+  server = null;
+  socketServer = null;
+  return new Promise((resolve) => {
+    httpServer.close(() => {
+      console.log("[BrowserSourceServer] Stopped.");
+      resolve();
+    });
+  });
+}
+
+/**
+ * Stops the server and starts it again if it is enabled, with the current settings.
+ * @returns {Promise<void>} Resolves once the server is running (or stopped).
+ */
+function restart() {
+  pendingChange = pendingChange
+    .then(stop)
+    .then(() =>
+      settingsService.get("browserSource.enabled") ? start() : null
+    );
+  return pendingChange;
+}
+
+/**
+ * Sends an event to every connected page.
+ * Takes the same event names and payloads as the IPC messages sent to the renderer.
+ * Status lines meant for the overlay user (connection notices, errors) are not sent.
+ * @param {string} event - The event name (e.g. "chat-message").
+ * @param {any} payload - The event payload.
+ */
+function broadcast(event, payload) {
+  if (event === "chat-message" && payload && payload.isSystem) return;
+  if (REPLAYED_EVENTS.includes(event)) {
+    latestPayloads.set(event, payload);
+  }
+  if (!socketServer) return;
+
+  const data = JSON.stringify({ event, payload });
+  socketServer.clients.forEach((socket) => {
+    if (socket.readyState === socket.OPEN) socket.send(data);
+  });
+}
+
+/**
+ * Returns the address the server listens on.
+ * @returns {object|null} { address, family, port }, or null while it is stopped.
+ */
+function getAddress() {
+  return server ? server.address() : null;
+}
+
+/**
+ * Stops the server and the settings subscription. Called when the window closes.
+ * @returns {Promise<void>} Resolves once the server is closed.
+ */
+function shutdown() {
+  if (unsubscribeSettings) {
+    unsubscribeSettings();
+    unsubscribeSettings = null;
+  }
+  latestPayloads = new Map();
+  pendingChange = pendingChange.then(stop);
+  return pendingChange;
+}
+
+module.exports = {
+  initialize,
+  restart,
+  broadcast,
+  getAddress,
+  shutdown,
+};
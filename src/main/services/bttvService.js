@@ -0,0 +1,142 @@
+const fetch = require("node-fetch");
+
+// Emote cache
+let globalBttvEmotes = new Map();
+let channelBttvEmotes = new Map(); // Map<twitchUserId, Map<name, url>>
+
+// Callback used to notify the emote provider layer that the cache changed
+let onEmotesChangedCallback = null;
+
+// Base URLs for the BetterTTV REST API and CDN
+const BTTV_API_BASE_URL = "https://api.betterttv.net/3";
+const BTTV_CDN_BASE_URL = "https://cdn.betterttv.net/emote";
+
+/**
+ * Initializes the BTTV service.
+ * @param {function} onEmotesChanged - Callback invoked whenever the cached emotes change.
+ */
+function initialize(onEmotesChanged) {
+  onEmotesChangedCallback = onEmotesChanged;
+  console.log("[BTTV Service] Initializing and fetching global emotes...");
+  fetchGlobalEmotes();
+}
+
+/**
+ * Notifies the provider layer that the BTTV emote cache changed.
+ */
+function notifyEmotesChanged() {
+  if (onEmotesChangedCallback) {
+    onEmotesChangedCallback();
+  }
+}
+
+/**
+ * Adds BTTV emote objects ({ id, code }) to a name -> URL map.
+ * @param {Map<string, string>} target The map to fill.
+ * @param {Array<Object>} emotes The emotes returned by the BTTV API.
+ */
+function addEmotesToMap(target, emotes) {
+  if (!Array.isArray(emotes)) return;
+  emotes.forEach((emote) => {
+    if (emote.id && emote.code) {
+      target.set(emote.code, `${BTTV_CDN_BASE_URL}/${emote.id}/2x.webp`);
+    }
+  });
+}
+
+/**
+ * Fetches global BTTV emotes and caches them.
+ */
+async function fetchGlobalEmotes() {
+  try {
+    const response = await fetch(`${BTTV_API_BASE_URL}/cached/emotes/global`);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch global BTTV emotes: ${response.statusText}`
+      );
+    }
+    const data = await response.json();
+    globalBttvEmotes.clear();
+    addEmotesToMap(globalBttvEmotes, data);
+    console.log(
+      `[BTTV Service] Fetched ${globalBttvEmotes.size} global BTTV emotes.`
+    );
+    notifyEmotesChanged();
+  } catch (error) {
+    console.error("[BTTV Service] Error fetching global BTTV emotes:", error);
+  }
+}
+
+/**
+ * Fetches channel-specific BTTV emotes (channel and shared emotes) for a given
+ * Twitch User ID and caches them.
+ * @param {string} twitchUserId - The Twitch User ID of the channel.
+ */
+async function fetchChannelEmotes(twitchUserId) {
+  if (!twitchUserId) {
+    console.warn(
+      "[BTTV Service] No Twitch User ID provided to fetch channel emotes."
+    );
+    return;
+  }
+  try {
+    const response = await fetch(
+      `${BTTV_API_BASE_URL}/cached/users/twitch/${twitchUserId}`
+    );
+    if (!response.ok) {
+      if (response.status === 404) {
+        console.log(
+          `[BTTV Service] No BTTV emotes (or user not found) for channel ID: ${twitchUserId}`
+        );
+        channelBttvEmotes.delete(twitchUserId);
+        notifyEmotesChanged();
+        return;
+      }
+      throw new Error(
+        `Failed to fetch BTTV channel emotes for ${twitchUserId}: ${response.statusText}`
+      );
+    }
+    const data = await response.json();
+
+    const emotesForChannel = new Map();
+    addEmotesToMap(emotesForChannel, data.sharedEmotes);
+    addEmotesToMap(emotesForChannel, data.channelEmotes); // Channel's own emotes win over shared ones
+    channelBttvEmotes.set(twitchUserId, emotesForChannel);
+    console.log(
+      `[BTTV Service] Fetched ${emotesForChannel.size} BTTV emotes for channel ID: ${twitchUserId}`
+    );
+    notifyEmotesChanged();
+  } catch (error) {
+    console.error(
+      `[BTTV Service] Error fetching BTTV channel emotes for ${twitchUserId}:`,
+      error
+    );
+    channelBttvEmotes.delete(twitchUserId);
+    notifyEmotesChanged();
+  }
+}
+
+/**
+ * Returns the cached global BTTV emotes.
+ * @returns {Map<string, string>} Map of emote name to image URL.
+ */
+function getGlobalEmotes() {
+  return globalBttvEmotes;
+}
+
+/**
+ * Returns the cached BTTV emotes for a channel.
+ * @param {string} twitchUserId - The Twitch User ID of the channel.
+ * @returns {Map<string, string>} Map of emote name to image URL (empty if none cached).
+ */
+function getChannelEmotes(twitchUserId) {
+  return channelBttvEmotes.get(twitchUserId) || new Map();
+}
+
+module.exports = {
+  initialize,
+  fetchGlobalEmotes,
+  fetchChannelEmotes,
+  getGlobalEmotes,
+  getChannelEmotes,
+};
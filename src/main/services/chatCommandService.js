@@ -0,0 +1,388 @@
+const { ipcMain } = require("electron");
+
+// Helix accepts timeouts from 1 second up to 2 weeks
+const MAX_TIMEOUT_SECONDS = 1209600;
+
+// Timeout length when none is given, as in Twitch's own chat
+const DEFAULT_TIMEOUT_SECONDS = 600;
+
+// Slow mode wait time limits and default (seconds)
+const MIN_SLOW_SECONDS = 3;
+const MAX_SLOW_SECONDS = 120;
+const DEFAULT_SLOW_SECONDS = 30;
+
+// Longest follow age followers-only mode can require (3 months, in minutes)
+const MAX_FOLLOWERS_MINUTES = 129600;
+
+// Seconds in each unit of a duration like "10m" or "1mo"
+const DURATION_UNITS = {
+  s: 1,
+  m: 60,
+  h: 3600,
+  d: 86400,
+  w: 604800,
+  mo: 2592000,
+};
+
+/**
+ * Thrown by a command run with missing arguments; reported with the command's usage.
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses a duration like "600", "10m", "1h", "2d", "1w" or "1mo".
+ * @param {string} text - The duration.
+ * @param {number} defaultUnitSeconds - Seconds in one unit when the number has no unit.
+ * @returns {number|null} The duration in seconds, or null if it can't be parsed.
+ */
+function parseDuration(text, defaultUnitSeconds) {
+  const match = /^(\d+)(s|m|h|d|w|mo)?$/i.exec(text || "");
+  if (!match) return null;
+  const unitSeconds = match[2]
+    ? DURATION_UNITS[match[2].toLowerCase()]
+    : defaultUnitSeconds;
+  return parseInt(match[1], 10) * unitSeconds;
+}
+
+/**
+ * Normalizes a user or channel argument ("@Name" or "Name") to a login.
+ * @param {string} name - The argument.
+ * @returns {string} The lowercase login.
+ */
+function toLogin(name) {
+  return (name || "").replace(/^@/, "").toLowerCase();
+}
+
+/**
+ * Looks a user's ID up by login.
+ * @param {object} context - The command context (see runCommand).
+ * @param {string} login - The login.
+ * @returns {Promise<string>} The user ID.
+ * @throws {Error} If no such user exists.
+ */
+async function getUserId(context, login) {
+  const data = await context.callHelix("GET", "/users", { login });
+  const user = data && data.data && data.data[0];
+  if (!user) throw new Error(`No user named ${login}.`);
+  return user.id;
+}
+
+/**
+ * Changes the chat settings of the channel.
+ * @param {object} context - The command context (see runCommand).
+ * @param {object} settings - The Helix chat settings to change.
+ * @returns {Promise<void>}
+ */
+function updateChatSettings(context, settings) {
+  return context.callHelix(
+    "PATCH",
+    "/chat/settings",
+    { broadcaster_id: context.broadcasterId, moderator_id: context.userId },
+    settings
+  );
+}
+
+// Chat commands by name: usage line, description, who may run them ("moderator" also lets
+// the broadcaster in) and what they do. run() resolves to the system line to show, or null.
+const COMMANDS = {
+  me: {
+    usage: "/me <message>",
+    description: "Send a message in the third person.",
+    async run(context, args, rest) {
+      if (!rest) throw new UsageError();
+      await context.sendAction(rest);
+      return null;
+    },
+  },
+  timeout: {
+    usage: "/timeout <user> [duration] [reason]",
+    description: "Time a user out (default 10m, e.g. 600, 10m, 1h, 1d).",
+    permission: "moderator",
+    async run(context, args) {
+      const [user, durationText, ...reasonWords] = args;
+      if (!user) throw new UsageError();
+      const duration = durationText
+        ? parseDuration(durationText, 1)
+        : DEFAULT_TIMEOUT_SECONDS;
+      if (!(duration >= 1 && duration <= MAX_TIMEOUT_SECONDS)) {
+        throw new Error(
+          `Timeout duration must be between 1 and ${MAX_TIMEOUT_SECONDS} seconds.`
+        );
+      }
+      const reason = reasonWords.join(" ");
+      const userId = await getUserId(context, toLogin(user));
+      await context.callHelix(
+        "POST",
+        "/moderation/bans",
+        { broadcaster_id: context.broadcasterId, moderator_id: context.userId },
+        { data: { user_id: userId, duration, reason: reason || undefined } }
+      );
+      return `Timed out ${toLogin(user)} for ${duration} seconds.`;
+    },
+  },
+  ban: {
+    usage: "/ban <user> [reason]",
+    description: "Ban a user from the chat.",
+    permission: "moderator",
+    async run(context, args) {
+      const [user, ...reasonWords] = args;
+      if (!user) throw new UsageError();
+      const reason = reasonWords.join(" ");
+      const userId = await getUserId(context, toLogin(user));
+      await context.callHelix(
+        "POST",
+        "/moderation/bans",
+        { broadcaster_id: context.broadcasterId, moderator_id: context.userId },
+        { data: { user_id: userId, reason: reason || undefined } }
+      );
+      return `Banned ${toLogin(user)}${reason ? ` (Reason: ${reason})` : ""}.`;
+    },
+  },
+  unban: {
+    usage: "/unban <user>",
+    description: "Lift a ban or timeout.",
+    permission: "moderator",
+    async run(context, args) {
+      if (!args[0]) throw new UsageError();
+      const userId = await getUserId(context, toLogin(args[0]));
+      await context.callHelix("DELETE", "/moderation/bans", {
+        broadcaster_id: context.broadcasterId,
+        moderator_id: context.userId,
+        user_id: userId,
+      });
+      return `Unbanned ${toLogin(args[0])}.`;
+    },
+  },
+  slow: {
+    usage: "/slow [seconds]",
+    description: `Turn slow mode on (default ${DEFAULT_SLOW_SECONDS} seconds between messages).`,
+    permission: "moderator",
+    async run(context, args) {
+      const seconds = args[0]
+        ? parseDuration(args[0], 1)
+        : DEFAULT_SLOW_SECONDS;
+      if (!(seconds >= MIN_SLOW_SECONDS && seconds <= MAX_SLOW_SECONDS)) {
+        throw new Error(
+          `Slow mode must be between ${MIN_SLOW_SECONDS} and ${MAX_SLOW_SECONDS} seconds.`
+        );
+      }
+      await updateChatSettings(context, {
+        slow_mode: true,
+        slow_mode_wait_time: seconds,
+      });
+      return `Slow mode is on (${seconds} seconds).`;
+    },
+  },
+  slowoff: {
+    usage: "/slowoff",
+    description: "Turn slow mode off.",
+    permission: "moderator",
+    async run(context) {
+      await updateChatSettings(context, { slow_mode: false });
+      return "Slow mode is off.";
+    },
+  },
+  followers: {
+    usage: "/followers [duration]",
+    description:
+      "Only let followers chat, optionally followers of at least a duration (e.g. 10m, 1h, 1w).",
+    permission: "moderator",
+    async run(context, args) {
+      const seconds = args[0] ? parseDuration(args[0], 60) : 0;
+      const minutes = Math.floor(seconds / 60);
+      if (seconds === null || minutes > MAX_FOLLOWERS_MINUTES) {
+        throw new Error(
+          "Follow age must be between 0 minutes and 3 months (e.g. 10m, 1h, 1w)."
+        );
+      }
+      await updateChatSettings(context, {
+        follower_mode: true,
+        follower_mode_duration: minutes,
+      });
+      return minutes
+        ? `Followers-only mode is on (followed for ${minutes} minutes).`
+        : "Followers-only mode is on.";
+    },
+  },
+  followersoff: {
+    usage: "/followersoff",
+    description: "Turn followers-only mode off.",
+    permission: "moderator",
+    async run(context) {
+      await updateChatSettings(context, { follower_mode: false });
+      return "Followers-only mode is off.";
+    },
+  },
+  emoteonly: {
+    usage: "/emoteonly",
+    description: "Only allow messages made of emotes.",
+    permission: "moderator",
+    async run(context) {
+      await updateChatSettings(context, { emote_mode: true });
+      return "Emote-only mode is on.";
+    },
+  },
+  emoteonlyoff: {
+    usage: "/emoteonlyoff",
+    description: "Turn emote-only mode off.",
+    permission: "moderator",
+    async run(context) {
+      await updateChatSettings(context, { emote_mode: false });
+      return "Emote-only mode is off.";
+    },
+  },
+  clear: {
+    usage: "/clear",
+    description: "Delete every message in the chat.",
+    permission: "moderator",
+    async run(context) {
+      await context.callHelix("DELETE", "/moderation/chat", {
+        broadcaster_id: context.broadcasterId,
+        moderator_id: context.userId,
+      });
+      return null; // The CLEARCHAT that follows marks the chat as cleared
+    },
+  },
+  raid: {
+    usage: "/raid <channel>",
+    description: "Send your viewers to another channel.",
+    permission: "broadcaster",
+    async run(context, args) {
+      if (!args[0]) throw new UsageError();
+      const targetId = await getUserId(context, toLogin(args[0]));
+      await context.callHelix("POST", "/raids", {
+        from_broadcaster_id: context.broadcasterId,
+        to_broadcaster_id: targetId,
+      });
+      return `Raiding ${toLogin(args[0])}. The raid starts in about 90 seconds.`;
+    },
+  },
+  shoutout: {
+    usage: "/shoutout <channel>",
+    description: "Recommend another channel to the viewers.",
+    permission: "moderator",
+    async run(context, args) {
+      if (!args[0]) throw new UsageError();
+      const targetId = await getUserId(context, toLogin(args[0]));
+      await context.callHelix("POST", "/chat/shoutouts", {
+        from_broadcaster_id: context.broadcasterId,
+        to_broadcaster_id: targetId,
+        moderator_id: context.userId,
+      });
+      return `Gave ${toLogin(args[0])} a shoutout.`;
+    },
+  },
+  help: {
+    usage: "/help [command]",
+    description: "List the commands, or explain one.",
+    async run(context, args) {
+      const command = COMMANDS[toCommandName(args[0])];
+      if (args[0] && command) {
+        return `${command.usage}: ${command.description}`;
+      }
+      return `Commands: ${Object.keys(COMMANDS)
+        .map((name) => `/${name}`)
+        .join(", ")}. Type /help <command> for details.`;
+    },
+  },
+};
+
+/**
+ * Normalizes a command name argument ("/Ban" or "ban").
+ * @param {string} name - The name.
+ * @returns {string} The lowercase name without the slash.
+ */
+function toCommandName(name) {
+  return (name || "").replace(/^\//, "").toLowerCase();
+}
+
+/**
+ * Splits a message into a command and its arguments.
+ * @param {string} text - The message.
+ * @returns {{name: string, args: Array<string>, rest: string}|null} The lowercase command name,
+ *   its whitespace-separated arguments and the text after the name, or null if the message
+ *   is not a command.
+ */
+function parseCommand(text) {
+  const match = /^\/(\S+)\s*([\s\S]*)$/.exec((text || "").trim());
+  if (!match) return null;
+  const rest = match[2].trim();
+  return {
+    name: match[1].toLowerCase(),
+    args: rest ? rest.split(/\s+/) : [],
+    rest,
+  };
+}
+
+/**
+ * Runs a slash command typed in a channel.
+ * @param {string} text - The message, starting with "/".
+ * @param {object} context - What the commands need:
+ *   { channel, broadcasterId, userId, isModerator, isBroadcaster,
+ *     sendAction(text): Promise, callHelix(method, path, query, body): Promise<object|null> }.
+ * @returns {Promise<string|null>} The system line describing what was done, if any.
+ * @throws {Error} With a message for the user: unknown command (with the list of commands),
+ *   missing arguments (with the usage), missing permission, or a Helix error.
+ */
+async function runCommand(text, context) {
+  const parsed = parseCommand(text);
+  const command = parsed && COMMANDS[parsed.name];
+  if (!command) {
+    throw new Error(
+      `Unknown command /${parsed ? parsed.name : ""}. ${await COMMANDS.help.run(
+        context,
+        []
+      )}`
+    );
+  }
+
+  if (command.permission === "broadcaster" && !context.isBroadcaster) {
+    throw new Error(`Only the broadcaster can use /${parsed.name}.`);
+  }
+  if (command.permission === "moderator" && !context.isModerator) {
+    throw new Error(
+      `You must be a moderator of #${context.channel} to use /${parsed.name}.`
+    );
+  }
+  if (command.permission && !context.userId) {
+    throw new Error("Not authenticated.");
+  }
+  if (command.permission && !context.broadcasterId) {
+    throw new Error(`Unknown ID for #${context.channel}. Try rejoining.`);
+  }
+
+  try {
+    return await command.run(context, parsed.args, parsed.rest);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      throw new Error(`Usage: ${command.usage}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Returns the commands, for completion in the message input.
+ * @returns {Array<object>} [{ name, usage, description }]
+ */
+function getCommands() {
+  return Object.entries(COMMANDS).map(([name, command]) => ({
+    name,
+    usage: command.usage,
+    description: command.description,
+  }));
+}
+
+/**
+ * Sets up IPC handlers for the renderer to list the commands.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("get-chat-commands", () => getCommands());
+}
+
+module.exports = {
+  setupIpcHandlers,
+  parseCommand,
+  runCommand,
+  getCommands,
+};
@@ -0,0 +1,233 @@
+const fs = require("fs");
+const path = require("path");
+const { app, ipcMain, shell } = require("electron");
+const settingsService = require("./settingsService");
+
+// Folder (under userData) with one subfolder of daily JSONL logs per channel
+const LOGS_DIR = "chat-logs";
+
+// Log files are rotated once they grow past this size
+const MAX_LOG_FILE_BYTES = 10 * 1024 * 1024;
+
+// Folder name for events that don't belong to a channel
+const NO_CHANNEL_DIR = "_global";
+
+// Whether events are recorded
+let loggingEnabled = false;
+
+// Open log files: Map<channel, { date, filePath, stream, bytes }>
+let openLogs = new Map();
+
+/**
+ * Initializes the chat log recorder.
+ * Logging is off until the user turns it on.
+ */
+function initialize() {
+  loggingEnabled = settingsService.get("chatLogs.enabled");
+}
+
+/**
+ * Returns the folder that holds all chat logs.
+ * @returns {string} The folder path.
+ */
+function getLogsDir() {
+  return path.join(app.getPath("userData"), LOGS_DIR);
+}
+
+/**
+ * Returns the local date as YYYY-MM-DD, used to name the daily log files.
+ * @param {Date} date - The date.
+ * @returns {string} The formatted date.
+ */
+function formatDay(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+/**
+ * Closes the open log file of a channel.
+ * @param {string} channel - The channel (log folder) name.
+ */
+function closeLog(channel) {
+  const log = openLogs.get(channel);
+  if (log) {
+    log.stream.end();
+    openLogs.delete(channel);
+  }
+}
+
+/**
+ * Moves a full log file aside as "<day>.<n>.jsonl", using the first free number.
+ * @param {string} filePath - The path of the full "<day>.jsonl" file.
+ */
+function rotateLogFile(filePath) {
+  const base = filePath.replace(/\.jsonl$/, "");
+  let index = 1;
+  while (fs.existsSync(`${base}.${index}.jsonl`)) {
+    index++;
+  }
+  fs.renameSync(filePath, `${base}.${index}.jsonl`);
+  console.log(`[ChatLogService] Rotated ${filePath} to ${base}.${index}.jsonl`);
+}
+
+/**
+ * Returns the log file to append to for a channel, opening (or rotating to)
+ * a new file when the day changed or the current file is full.
+ * @param {string} channel - The channel (log folder) name.
+ * @param {Date} now - The event time.
+ * @returns {object} { date, filePath, stream, bytes }
+ */
+function getLog(channel, now) {
+  const day = formatDay(now);
+  let log = openLogs.get(channel);
+
+  if (log && log.date === day && log.bytes < MAX_LOG_FILE_BYTES) {
+    return log;
+  }
+
+  const isFull = log && log.date === day;
+  closeLog(channel);
+
+  // Each channel gets a folder directly in the logs folder, never anywhere else
+  const logsDir = path.resolve(getLogsDir());
+  const dir = path.resolve(logsDir, channel);
+  if (path.dirname(dir) !== logsDir) {
+    throw new Error(`Invalid log folder name: ${channel}`);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${day}.jsonl`);
+
+  if (isFull) {
+    rotateLogFile(filePath);
+  }
+
+  const bytes = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  if (bytes >= MAX_LOG_FILE_BYTES) {
+    rotateLogFile(filePath); // Left full by a previous session
+  }
+
+  log = {
+    date: day,
+    filePath,
+    stream: fs.createWriteStream(filePath, { flags: "a" }),
+    bytes: bytes >= MAX_LOG_FILE_BYTES ? 0 : bytes,
+  };
+  log.stream.on("error", (error) => {
+    console.error(`[ChatLogService] Error writing ${filePath}:`, error);
+  });
+  openLogs.set(channel, log);
+  return log;
+}
+
+/**
+ * Records an event as one JSON line in its channel's log for the day.
+ * Does nothing while logging is disabled.
+ * @param {string} type - The event type: "chat", "system", "moderation" or "connection".
+ * @param {object} payload - The payload sent to the renderer.
+ */
+function record(type, payload) {
+  if (!loggingEnabled || !payload) return;
+
+  const now = new Date();
+  const channel = payload.channel || NO_CHANNEL_DIR;
+  try {
+    const log = getLog(channel, now);
+    const line = `${JSON.stringify({
+      ts: now.toISOString(),
+      type,
+      ...payload,
+    })}\n`;
+    log.stream.write(line);
+    log.bytes += Buffer.byteLength(line);
+  } catch (error) {
+    console.error("[ChatLogService] Error recording event:", error);
+  }
+}
+
+/**
+ * Records a payload sent to the renderer over IPC, mapping the IPC channel to an event type.
+ * Chat lines from "System" are recorded as system events.
+ * @param {string} ipcChannel - The IPC channel name ("chat-message", "chat-moderation" or "connection-status").
+ * @param {object} payload - The payload sent to the renderer.
+ */
+function recordIpcEvent(ipcChannel, payload) {
+  switch (ipcChannel) {
+    case "chat-message":
+      record(
+        payload.isSystem || payload.username === "System" ? "system" : "chat",
+        payload
+      );
+      break;
+    case "chat-moderation":
+      record("moderation", payload);
+      break;
+    case "connection-status":
+      record("connection", payload);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Turns logging on or off and persists the choice.
+ * @param {boolean} enabled - Whether events should be recorded.
+ * @returns {object} The updated settings ({ enabled, logsDir }).
+ */
+function setLoggingEnabled(enabled) {
+  loggingEnabled = !!enabled;
+  settingsService.set("chatLogs.enabled", loggingEnabled);
+  if (!loggingEnabled) {
+    Array.from(openLogs.keys()).forEach(closeLog);
+  }
+  console.log(
+    `[ChatLogService] Chat logging ${loggingEnabled ? "enabled" : "disabled"}.`
+  );
+  return getLogSettings();
+}
+
+/**
+ * Returns the logging settings for the renderer.
+ * @returns {object} { enabled, logsDir }
+ */
+function getLogSettings() {
+  return { enabled: loggingEnabled, logsDir: getLogsDir() };
+}
+
+/**
+ * Closes every open log file. Called when the app shuts down.
+ */
+function shutdown() {
+  Array.from(openLogs.keys()).forEach(closeLog);
+}
+
+/**
+ * Sets up IPC handlers for the renderer's logging toggle and "open logs folder" action.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("get-chat-log-settings", () => getLogSettings());
+
+  ipcMain.handle("set-chat-logging-enabled", (_event, enabled) =>
+    setLoggingEnabled(enabled)
+  );
+
+  ipcMain.handle("open-chat-logs-folder", async () => {
+    const logsDir = getLogsDir();
+    fs.mkdirSync(logsDir, { recursive: true });
+    const error = await shell.openPath(logsDir);
+    if (error) {
+      console.error(`[ChatLogService] Could not open logs folder: ${error}`);
+    }
+    return !error;
+  });
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  getLogsDir,
+  recordIpcEvent,
+  shutdown,
+};
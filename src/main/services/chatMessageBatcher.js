@@ -0,0 +1,43 @@
+// Time chat messages are collected before being sent together (about one frame at 60 Hz)
+const BATCH_INTERVAL_MS = 16;
+
+/**
+ * Creates a queue that sends chat messages to the renderer in batches, at most once per
+ * BATCH_INTERVAL_MS, so busy channels cost one IPC message and one render per frame
+ * instead of one per chat line.
+ * @param {function(Array<object>): void} sendBatch - Sends the queued chat message payloads, oldest first.
+ * @returns {{push: function(object): void, flush: function(): void, clear: function(): void}}
+ *   push queues a message, flush sends the queue now (e.g. before an event that must not
+ *   overtake it) and clear drops it.
+ */
+function createChatMessageBatcher(sendBatch) {
+  let queue = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (queue.length === 0) return;
+    const batch = queue;
+    queue = [];
+    sendBatch(batch);
+  };
+
+  return {
+    push(message) {
+      queue.push(message);
+      if (!timer) timer = setTimeout(flush, BATCH_INTERVAL_MS);
+    },
+    flush,
+    clear() {
+      clearTimeout(timer);
+      timer = null;
+      queue = [];
+    },
+  };
+}
+
+module.exports = {
+  createChatMessageBatcher,
+  BATCH_INTERVAL_MS,
+};
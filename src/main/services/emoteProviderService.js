@@ -0,0 +1,282 @@
+const { ipcMain } = require("electron");
+const settingsService = require("./settingsService");
+const sevenTvService = require("./sevenTvService");
+const bttvService = require("./bttvService");
+const ffzService = require("./ffzService");
+const twitchChatService = require("./twitchChatService");
+const browserSourceServer = require("./browserSourceServer");
+
+// Third-party emote providers, in precedence order (highest first).
+// When two providers define the same emote name, the earlier one wins.
+// Channel emotes from any provider always win over global emotes.
+const PROVIDERS = [
+  { id: "7tv", name: "7TV", service: sevenTvService },
+  { id: "bttv", name: "BetterTTV", service: bttvService },
+  { id: "ffz", name: "FrankerFaceZ", service: ffzService },
+];
+
+// Reference to the main window
+let mainWindow = null;
+
+// Provider ID -> enabled flag
+let enabledProviders = {};
+
+// Providers whose service has already been initialized (global emotes fetched)
+const initializedProviders = new Set();
+
+// Joined channels whose emotes are sent to the renderer
+let channelIds = new Map(); // Map<channelName, twitchUserId>
+
+/**
+ * Initializes the emote provider layer and every enabled provider.
+ * @param {BrowserWindow} window - The main Electron BrowserWindow instance.
+ */
+function initialize(window) {
+  mainWindow = window;
+  enabledProviders = loadProviderPrefs();
+  PROVIDERS.forEach((provider) => {
+    if (enabledProviders[provider.id]) {
+      initializeProvider(provider);
+    }
+  });
+}
+
+/**
+ * Initializes a single provider service, which fetches its global emotes.
+ * @param {object} provider - An entry from PROVIDERS.
+ */
+function initializeProvider(provider) {
+  if (initializedProviders.has(provider.id)) return;
+  initializedProviders.add(provider.id);
+  provider.service.initialize(sendEmotesToRenderer, sendSystemMessage);
+}
+
+/**
+ * Reads the enabled/disabled provider flags from the settings store.
+ * @returns {object} Provider ID -> enabled flag.
+ */
+function loadProviderPrefs() {
+  const prefs = {};
+  PROVIDERS.forEach((provider) => {
+    prefs[provider.id] = settingsService.get(`emoteProviders.${provider.id}`);
+  });
+  return prefs;
+}
+
+/**
+ * Fetches channel emotes from every enabled provider for a joined channel.
+ * The channel's emotes are included in the renderer payload until it is removed.
+ * @param {string} channelName - The channel name (lowercase login).
+ * @param {string} twitchUserId - The Twitch User ID of the channel.
+ */
+async function fetchChannelEmotes(channelName, twitchUserId) {
+  channelIds.set(channelName, twitchUserId);
+  await Promise.all(
+    PROVIDERS.filter((provider) => enabledProviders[provider.id]).map(
+      (provider) => provider.service.fetchChannelEmotes(twitchUserId)
+    )
+  );
+}
+
+/**
+ * Drops a channel that was left, stopping its live updates.
+ * @param {string} channelName - The channel name (lowercase login).
+ */
+function removeChannel(channelName) {
+  const twitchUserId = channelIds.get(channelName);
+  if (!twitchUserId) return;
+  channelIds.delete(channelName);
+  PROVIDERS.forEach((provider) => {
+    if (provider.service.stopLiveUpdates) {
+      provider.service.stopLiveUpdates(twitchUserId);
+    }
+  });
+  sendEmotesToRenderer();
+}
+
+/**
+ * Drops every channel (e.g. when disconnecting from chat), stopping all live updates.
+ */
+function removeAllChannels() {
+  channelIds.clear();
+  PROVIDERS.forEach((provider) => {
+    if (provider.service.stopLiveUpdates) {
+      provider.service.stopLiveUpdates();
+    }
+  });
+  sendEmotesToRenderer();
+}
+
+/**
+ * Merges the given emote maps into a single map, respecting provider precedence.
+ * @param {Array<Map<string, string>>} maps - Maps in precedence order (highest first).
+ * @returns {Map<string, string>} The merged map.
+ */
+function mergeEmoteMaps(maps) {
+  const merged = new Map();
+  // Walk from lowest to highest precedence so higher ones overwrite duplicates
+  for (let i = maps.length - 1; i >= 0; i--) {
+    maps[i].forEach((url, name) => merged.set(name, url));
+  }
+  return merged;
+}
+
+/**
+ * Builds the emote payload for the renderer from the enabled providers.
+ * Channel emotes are keyed by channel name so each message can be matched
+ * against the emotes of the channel it was sent in.
+ * @returns {object} { globalEmotes, channelEmotes: { [channelName]: entries }, providers }
+ */
+function getEmotesPayload() {
+  const activeProviders = PROVIDERS.filter(
+    (provider) => enabledProviders[provider.id]
+  );
+
+  const globalEmotes = mergeEmoteMaps(
+    activeProviders.map((provider) => provider.service.getGlobalEmotes())
+  );
+
+  const channelEmotes = {};
+  channelIds.forEach((twitchUserId, channelName) => {
+    const merged = mergeEmoteMaps(
+      activeProviders.map((provider) =>
+        provider.service.getChannelEmotes(twitchUserId)
+      )
+    );
+    channelEmotes[channelName] = Array.from(merged.entries());
+  });
+
+  return {
+    globalEmotes: Array.from(globalEmotes.entries()),
+    channelEmotes,
+    providers: getProviders(),
+  };
+}
+
+/**
+ * Returns the emotes of each enabled provider, unmerged, for the emote picker.
+ * @param {string} [channelName] - The channel whose emotes to include.
+ * @returns {Array<object>} [{ id, name, channelEmotes: entries, globalEmotes: entries }],
+ *   in precedence order.
+ */
+function getPickerEmotes(channelName) {
+  const twitchUserId = channelIds.get(channelName);
+  return PROVIDERS.filter((provider) => enabledProviders[provider.id]).map(
+    (provider) => ({
+      id: provider.id,
+      name: provider.name,
+      channelEmotes: twitchUserId
+        ? Array.from(provider.service.getChannelEmotes(twitchUserId).entries())
+        : [],
+      globalEmotes: Array.from(provider.service.getGlobalEmotes().entries()),
+    })
+  );
+}
+
+/**
+ * Returns the list of providers with their enabled state, in precedence order.
+ * @returns {Array<object>} [{ id, name, enabled }]
+ */
+function getProviders() {
+  return PROVIDERS.map((provider) => ({
+    id: provider.id,
+    name: provider.name,
+    enabled: !!enabledProviders[provider.id],
+  }));
+}
+
+/**
+ * Enables or disables an emote provider and pushes the new emote set.
+ * Enabling a provider fetches its global emotes and the emotes of every joined channel.
+ * @param {string} providerId - The provider ID ("7tv", "bttv" or "ffz").
+ * @param {boolean} enabled - Whether the provider should be used.
+ * @returns {Promise<Array<object>>} The updated provider list.
+ */
+async function setProviderEnabled(providerId, enabled) {
+  const provider = PROVIDERS.find((p) => p.id === providerId);
+  if (!provider) {
+    throw new Error(`Unknown emote provider: ${providerId}`);
+  }
+
+  enabledProviders[providerId] = !!enabled;
+  settingsService.set(`emoteProviders.${providerId}`, !!enabled);
+  console.log(
+    `[EmoteProviderService] ${provider.name} ${
+      enabled ? "enabled" : "disabled"
+    }.`
+  );
+
+  if (!enabled && provider.service.stopLiveUpdates) {
+    provider.service.stopLiveUpdates();
+  }
+
+  if (enabled) {
+    if (initializedProviders.has(providerId)) {
+      await provider.service.fetchGlobalEmotes();
+    } else {
+      initializeProvider(provider);
+    }
+    await Promise.all(
+      Array.from(channelIds.values()).map((twitchUserId) =>
+        provider.service.fetchChannelEmotes(twitchUserId)
+      )
+    );
+  }
+
+  sendEmotesToRenderer();
+  return getProviders();
+}
+
+/**
+ * Sends the merged global and channel emotes to the renderer process
+ * and the browser source pages.
+ */
+function sendEmotesToRenderer() {
+  const payload = getEmotesPayload();
+  browserSourceServer.broadcast("emotes-update", payload);
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("emotes-update", payload);
+    console.log("[EmoteProviderService] Sent emote update to renderer.");
+  }
+}
+
+/**
+ * Posts a system line in chat on behalf of an emote provider.
+ * @param {string} text - The message text.
+ * @param {string} color - The username color for the line.
+ * @param {string} [twitchUserId] - The channel the line belongs to.
+ */
+function sendSystemMessage(text, color, twitchUserId) {
+  const channel =
+    Array.from(channelIds.entries()).find(
+      ([, channelId]) => channelId === twitchUserId
+    )?.[0] || null;
+  twitchChatService.sendSystemMessage(channel, text, color);
+}
+
+/**
+ * Sets up IPC handlers for renderer process to request emotes and toggle providers.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("get-emotes", () => getEmotesPayload());
+
+  ipcMain.handle("get-picker-emotes", (_event, channelName) =>
+    getPickerEmotes(channelName)
+  );
+
+  ipcMain.handle("set-emote-provider-enabled", (_event, providerId, enabled) =>
+    setProviderEnabled(providerId, enabled)
+  );
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  fetchChannelEmotes,
+  removeChannel,
+  removeAllChannels,
+  getEmotesPayload,
+  getPickerEmotes,
+  getProviders,
+  setProviderEnabled,
+};
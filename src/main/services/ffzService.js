@@ -0,0 +1,157 @@
+const fetch = require("node-fetch");
+
+// Emote cache
+let globalFfzEmotes = new Map();
+let channelFfzEmotes = new Map(); // Map<twitchUserId, Map<name, url>>
+
+// Callback used to notify the emote provider layer that the cache changed
+let onEmotesChangedCallback = null;
+
+// Base URL for the FrankerFaceZ REST API
+const FFZ_API_BASE_URL = "https://api.frankerfacez.com/v1";
+
+/**
+ * Initializes the FFZ service.
+ * @param {function} onEmotesChanged - Callback invoked whenever the cached emotes change.
+ */
+function initialize(onEmotesChanged) {
+  onEmotesChangedCallback = onEmotesChanged;
+  console.log("[FFZ Service] Initializing and fetching global emotes...");
+  fetchGlobalEmotes();
+}
+
+/**
+ * Notifies the provider layer that the FFZ emote cache changed.
+ */
+function notifyEmotesChanged() {
+  if (onEmotesChangedCallback) {
+    onEmotesChangedCallback();
+  }
+}
+
+/**
+ * Picks the best image URL for an FFZ emoticon, preferring the animated
+ * variant and the 2x scale when available.
+ * @param {Object} emoticon The emoticon object returned by the FFZ API.
+ * @returns {string|null} The image URL, or null if none is available.
+ */
+function getEmoticonUrl(emoticon) {
+  const urls = emoticon.animated || emoticon.urls;
+  if (!urls) return null;
+  return urls["2"] || urls["1"] || null;
+}
+
+/**
+ * Adds the emoticons of the given FFZ sets to a name -> URL map.
+ * @param {Map<string, string>} target The map to fill.
+ * @param {Object} sets The `sets` object returned by the FFZ API (keyed by set ID).
+ * @param {Array<number|string>} setIds The set IDs to include.
+ */
+function addSetsToMap(target, sets, setIds) {
+  if (!sets) return;
+  setIds.forEach((setId) => {
+    const set = sets[setId];
+    if (!set || !Array.isArray(set.emoticons)) return;
+    set.emoticons.forEach((emoticon) => {
+      const emoteUrl = getEmoticonUrl(emoticon);
+      if (emoticon.name && emoteUrl) {
+        target.set(emoticon.name, emoteUrl);
+      }
+    });
+  });
+}
+
+/**
+ * Fetches global FFZ emotes and caches them.
+ */
+async function fetchGlobalEmotes() {
+  try {
+    const response = await fetch(`${FFZ_API_BASE_URL}/set/global`);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch global FFZ emotes: ${response.statusText}`
+      );
+    }
+    const data = await response.json();
+    globalFfzEmotes.clear();
+    addSetsToMap(globalFfzEmotes, data.sets, data.default_sets || []);
+    console.log(
+      `[FFZ Service] Fetched ${globalFfzEmotes.size} global FFZ emotes.`
+    );
+    notifyEmotesChanged();
+  } catch (error) {
+    console.error("[FFZ Service] Error fetching global FFZ emotes:", error);
+  }
+}
+
+/**
+ * Fetches channel-specific FFZ emotes for a given Twitch User ID and caches them.
+ * @param {string} twitchUserId - The Twitch User ID of the channel.
+ */
+async function fetchChannelEmotes(twitchUserId) {
+  if (!twitchUserId) {
+    console.warn(
+      "[FFZ Service] No Twitch User ID provided to fetch channel emotes."
+    );
+    return;
+  }
+  try {
+    const response = await fetch(`${FFZ_API_BASE_URL}/room/id/${twitchUserId}`);
+    if (!response.ok) {
+      if (response.status === 404) {
+        console.log(
+          `[FFZ Service] No FFZ emotes (or room not found) for channel ID: ${twitchUserId}`
+        );
+        channelFfzEmotes.delete(twitchUserId);
+        notifyEmotesChanged();
+        return;
+      }
+      throw new Error(
+        `Failed to fetch FFZ channel emotes for ${twitchUserId}: ${response.statusText}`
+      );
+    }
+    const data = await response.json();
+
+    const emotesForChannel = new Map();
+    if (data.room && data.room.set) {
+      addSetsToMap(emotesForChannel, data.sets, [data.room.set]);
+    }
+    channelFfzEmotes.set(twitchUserId, emotesForChannel);
+    console.log(
+      `[FFZ Service] Fetched ${emotesForChannel.size} FFZ emotes for channel ID: ${twitchUserId}`
+    );
+    notifyEmotesChanged();
+  } catch (error) {
+    console.error(
+      `[FFZ Service] Error fetching FFZ channel emotes for ${twitchUserId}:`,
+      error
+    );
+    channelFfzEmotes.delete(twitchUserId);
+    notifyEmotesChanged();
+  }
+}
+
+/**
+ * Returns the cached global FFZ emotes.
+ * @returns {Map<string, string>} Map of emote name to image URL.
+ */
+function getGlobalEmotes() {
+  return globalFfzEmotes;
+}
+
+/**
+ * Returns the cached FFZ emotes for a channel.
+ * @param {string} twitchUserId - The Twitch User ID of the channel.
+ * @returns {Map<string, string>} Map of emote name to image URL (empty if none cached).
+ */
+function getChannelEmotes(twitchUserId) {
+  return channelFfzEmotes.get(twitchUserId) || new Map();
+}
+
+module.exports = {
+  initialize,
+  fetchGlobalEmotes,
+  fetchChannelEmotes,
+  getGlobalEmotes,
+  getChannelEmotes,
+};
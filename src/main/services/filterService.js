@@ -0,0 +1,230 @@
+const { ipcMain } = require("electron");
+const settingsService = require("./settingsService");
+
+// How strongly each action filters a message; the strongest matching rule wins
+const ACTION_STRENGTH = { dim: 1, collapse: 2, hide: 3 };
+
+// Badge levels a "badge" rule can require, lowest first
+const BADGE_LEVELS = [
+  "everyone",
+  "subscriber",
+  "vip",
+  "moderator",
+  "broadcaster",
+];
+
+// Minimum delay between two filtered count updates sent to the renderer
+const COUNTS_UPDATE_DELAY_MS = 500;
+
+// Reference to the main window
+let mainWindow = null;
+
+// Compiled "filters.rules", rebuilt when the setting changes
+let compiledRules = null;
+
+// Number of filtered messages (hidden, dimmed or collapsed) per channel
+let filteredCounts = {};
+
+// Timer of the pending filtered count update
+let countsTimer = null;
+
+// Removes the settings subscription
+let unsubscribeSettings = null;
+
+/**
+ * Initializes the filter pipeline with the main window reference.
+ * @param {BrowserWindow} window - The main Electron BrowserWindow instance.
+ */
+function initialize(window) {
+  mainWindow = window;
+  filteredCounts = {};
+  compiledRules = null;
+  unsubscribeSettings = settingsService.subscribe((key) => {
+    if (key === "filters.rules") compiledRules = null;
+  });
+}
+
+/**
+ * Returns the badge level of a message's sender.
+ * @param {object} message - The chat message payload.
+ * @returns {number} The index of the level in BADGE_LEVELS.
+ */
+function getBadgeLevel(message) {
+  if (message.isBroadcaster) return BADGE_LEVELS.indexOf("broadcaster");
+  if (message.isMod) return BADGE_LEVELS.indexOf("moderator");
+  if (message.isVip) return BADGE_LEVELS.indexOf("vip");
+  if (message.isSub) return BADGE_LEVELS.indexOf("subscriber");
+  return BADGE_LEVELS.indexOf("everyone");
+}
+
+/**
+ * Builds the test of a rule.
+ * @param {object} rule - { type, value }
+ * @returns {function(object): boolean} Tells whether the rule matches a chat message payload.
+ */
+function compileRule(rule) {
+  switch (rule.type) {
+    case "user":
+      return (message) => message.login === rule.value;
+    case "text": {
+      const text = rule.value.toLowerCase();
+      return (message) => message.text.toLowerCase().includes(text);
+    }
+    case "regex": {
+      const regex = new RegExp(rule.value, "i");
+      return (message) => regex.test(message.text);
+    }
+    case "command":
+      return (message) => message.text.trimStart().startsWith(rule.value);
+    case "badge": {
+      const requiredLevel = BADGE_LEVELS.indexOf(rule.value);
+      return (message) => getBadgeLevel(message) < requiredLevel;
+    }
+    default:
+      return () => false;
+  }
+}
+
+/**
+ * Returns the rules, compiling them once per change of the setting.
+ * @returns {Array<object>} [{ rule, matches }]
+ */
+function getCompiledRules() {
+  if (!compiledRules) {
+    compiledRules = settingsService
+      .get("filters.rules")
+      .map((rule) => ({ rule, matches: compileRule(rule) }));
+  }
+  return compiledRules;
+}
+
+/**
+ * Describes why a rule matched, for the collapsed placeholder and tooltips.
+ * @param {object} rule - The rule.
+ * @returns {string} The reason.
+ */
+function describeRule(rule) {
+  switch (rule.type) {
+    case "user":
+      return `ignored user ${rule.value}`;
+    case "command":
+      return `command (${rule.value})`;
+    case "badge":
+      return `below ${rule.value}`;
+    default:
+      return `filter "${rule.value}"`;
+  }
+}
+
+/**
+ * Sends the filtered counts to the renderer, at most every COUNTS_UPDATE_DELAY_MS.
+ */
+function scheduleCountsUpdate() {
+  if (countsTimer) return;
+  countsTimer = setTimeout(() => {
+    countsTimer = null;
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("filter-counts", getFilteredCounts());
+    }
+  }, COUNTS_UPDATE_DELAY_MS);
+}
+
+/**
+ * Finds the strongest filter rule that matches a chat message payload.
+ * System lines and the user's own messages are never filtered.
+ * @param {object} message - The chat message payload.
+ * @returns {object|null} { action: "hide" | "dim" | "collapse", reason }, or null when
+ *   no rule matched.
+ */
+function findFilter(message) {
+  if (!settingsService.get("filters.enabled")) return null;
+  if (message.isSystem || message.isSelf || !message.login) return null;
+
+  let strongest = null;
+  getCompiledRules().forEach(({ rule, matches }) => {
+    if (
+      (!strongest ||
+        ACTION_STRENGTH[rule.action] > ACTION_STRENGTH[strongest.action]) &&
+      matches(message)
+    ) {
+      strongest = rule;
+    }
+  });
+  return strongest
+    ? { action: strongest.action, reason: describeRule(strongest) }
+    : null;
+}
+
+/**
+ * Runs the filter rules on a chat message payload and counts the matches.
+ * @param {object} message - The chat message payload.
+ * @param {object} [options]
+ * @param {boolean} [options.count=true] - Add a match to the filtered counts (off for
+ *   replayed lines sent again after a seek).
+ * @returns {object|null} null when the message should be hidden; otherwise the payload,
+ *   with { filter: { action: "dim" | "collapse", reason } } when a rule matched.
+ */
+function applyFilters(message, { count = true } = {}) {
+  const filter = findFilter(message);
+  if (!filter) return message;
+
+  if (count) {
+    const channel = message.channel || "";
+    filteredCounts[channel] = (filteredCounts[channel] || 0) + 1;
+    scheduleCountsUpdate();
+  }
+
+  if (filter.action === "hide") return null;
+  return { ...message, filter };
+}
+
+/**
+ * Returns how many messages were filtered in each channel.
+ * @returns {object} Channel -> count.
+ */
+function getFilteredCounts() {
+  return { ...filteredCounts };
+}
+
+/**
+ * Resets the filtered count of a channel (after leaving it), or of every channel.
+ * @param {string} [channel] - The channel name.
+ */
+function resetFilteredCounts(channel) {
+  if (channel) {
+    delete filteredCounts[channel];
+  } else {
+    filteredCounts = {};
+  }
+  scheduleCountsUpdate();
+}
+
+/**
+ * Stops the pending count update and the settings subscription. Called when the window closes.
+ */
+function shutdown() {
+  clearTimeout(countsTimer);
+  countsTimer = null;
+  if (unsubscribeSettings) {
+    unsubscribeSettings();
+    unsubscribeSettings = null;
+  }
+  mainWindow = null;
+}
+
+/**
+ * Sets up IPC handlers for the renderer's filtered message counter.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("get-filter-counts", () => getFilteredCounts());
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  findFilter,
+  applyFilters,
+  getFilteredCounts,
+  resetFilteredCounts,
+  shutdown,
+};
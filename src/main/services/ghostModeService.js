@@ -0,0 +1,153 @@
+const { globalShortcut, ipcMain } = require("electron");
+const settingsService = require("./settingsService");
+
+// Global hotkey that toggles ghost mode, also while another app has focus
+const GHOST_MODE_HOTKEY = "CommandOrControl+Shift+G";
+
+// Background opacity used in ghost mode until the user picks another one
+const DEFAULT_OPACITY = 0.3;
+
+// Reference to the main window
+let mainWindow = null;
+
+// Whether the window is currently transparent and click-through.
+// Always starts off, so a restart never leaves the window unclickable.
+let ghostModeEnabled = false;
+
+// Opacity (0-1) of the chat background while in ghost mode
+let backgroundOpacity = DEFAULT_OPACITY;
+
+// Whether the global hotkey could be registered (another app may own it)
+let hotkeyRegistered = false;
+
+/**
+ * Initializes ghost mode: loads the saved opacity and registers the toggle hotkey.
+ * @param {BrowserWindow} window - The main Electron BrowserWindow instance.
+ */
+function initialize(window) {
+  mainWindow = window;
+  backgroundOpacity = settingsService.get("ghostMode.opacity");
+
+  hotkeyRegistered = globalShortcut.register(GHOST_MODE_HOTKEY, () =>
+    setGhostMode(!ghostModeEnabled)
+  );
+  if (!hotkeyRegistered) {
+    console.warn(
+      `[GhostModeService] Could not register ${GHOST_MODE_HOTKEY}, it is probably used by another app.`
+    );
+  }
+}
+
+/**
+ * Limits an opacity to the 0-1 range.
+ * @param {number} opacity - The requested opacity.
+ * @returns {number} The clamped opacity.
+ */
+function clampOpacity(opacity) {
+  const value = Number(opacity);
+  if (Number.isNaN(value)) return DEFAULT_OPACITY;
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Returns the ghost mode settings for the renderer.
+ * @returns {object} { enabled, opacity, hotkey } (hotkey is null when it couldn't be registered)
+ */
+function getGhostSettings() {
+  return {
+    enabled: ghostModeEnabled,
+    opacity: backgroundOpacity,
+    hotkey: hotkeyRegistered ? GHOST_MODE_HOTKEY : null,
+  };
+}
+
+/**
+ * Sends the current ghost mode settings to the renderer.
+ */
+function notifyRenderer() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("ghost-mode-changed", getGhostSettings());
+  }
+}
+
+/**
+ * Turns ghost mode on or off.
+ * In ghost mode the window lets every click through to the app below. Mouse moves are
+ * still forwarded (Windows and macOS), so the renderer can notice the pointer on its handle.
+ * @param {boolean} enabled - Whether ghost mode should be on.
+ * @returns {object} The updated settings.
+ */
+function setGhostMode(enabled) {
+  ghostModeEnabled = !!enabled;
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    if (ghostModeEnabled) {
+      mainWindow.setIgnoreMouseEvents(true, { forward: true });
+    } else {
+      mainWindow.setIgnoreMouseEvents(false);
+    }
+  }
+  console.log(
+    `[GhostModeService] Ghost mode ${ghostModeEnabled ? "enabled" : "disabled"}.`
+  );
+  notifyRenderer();
+  return getGhostSettings();
+}
+
+/**
+ * Lets the window take clicks again while the pointer is over the ghost mode handle.
+ * Does nothing outside ghost mode.
+ * @param {boolean} capture - True while the pointer is over the handle.
+ */
+function setMouseCapture(capture) {
+  if (!ghostModeEnabled || !mainWindow || mainWindow.isDestroyed()) return;
+  if (capture) {
+    mainWindow.setIgnoreMouseEvents(false);
+  } else {
+    mainWindow.setIgnoreMouseEvents(true, { forward: true });
+  }
+}
+
+/**
+ * Sets the ghost mode background opacity and persists it.
+ * @param {number} opacity - The opacity (0-1).
+ * @returns {object} The updated settings.
+ */
+function setBackgroundOpacity(opacity) {
+  backgroundOpacity = clampOpacity(opacity);
+  settingsService.set("ghostMode.opacity", backgroundOpacity);
+  notifyRenderer();
+  return getGhostSettings();
+}
+
+/**
+ * Releases the global hotkey. Called when the window closes.
+ */
+function shutdown() {
+  if (hotkeyRegistered) {
+    globalShortcut.unregister(GHOST_MODE_HOTKEY);
+    hotkeyRegistered = false;
+  }
+}
+
+/**
+ * Sets up IPC handlers for the renderer's ghost mode toggle, opacity slider and handle.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("get-ghost-mode", () => getGhostSettings());
+
+  ipcMain.handle("set-ghost-mode", (_event, enabled) => setGhostMode(enabled));
+
+  ipcMain.handle("set-ghost-opacity", (_event, opacity) =>
+    setBackgroundOpacity(opacity)
+  );
+
+  ipcMain.on("set-ghost-mouse-capture", (_event, capture) =>
+    setMouseCapture(capture)
+  );
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  shutdown,
+};
@@ -0,0 +1,53 @@
+const config = require("../../config");
+
+// Base URL of the Twitch Helix API
+const HELIX_BASE_URL = "https://api.twitch.tv/helix";
+
+/**
+ * Calls a Helix endpoint as the logged-in user. Shared by the chat commands and the
+ * moderation menu, which pass the HTTP layer in so tests can point it at a stand-in.
+ * @param {object} transport - The HTTP layer: { fetch(url, init): Promise<Response>, helixBaseUrl }.
+ * @param {string} token - The user's access token.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The endpoint path below /helix (e.g. "/moderation/bans").
+ * @param {object} query - Query string parameters.
+ * @param {object} [body] - JSON body, if any.
+ * @returns {Promise<object|null>} The response data, or null for empty responses.
+ * @throws {Error} With the Helix error message when the request was rejected.
+ */
+async function callHelix(transport, token, method, path, query, body) {
+  if (!token) {
+    throw new Error("Not authenticated.");
+  }
+
+  const params = new URLSearchParams(query);
+  const response = await transport.fetch(
+    `${transport.helixBaseUrl}${path}?${params}`,
+    {
+      method,
+      headers: {
+        "Client-ID": config.TWITCH_CLIENT_ID,
+        Authorization: `Bearer ${token}`,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    }
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      // Sessions saved before a feature was added lack its scopes
+      throw new Error(
+        "Missing permissions. Log out and log back in to grant them."
+      );
+    }
+    throw new Error(errorData.message || `Helix error ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+module.exports = {
+  HELIX_BASE_URL,
+  callHelix,
+};
@@ -0,0 +1,244 @@
+const { ipcMain, Notification } = require("electron");
+const settingsService = require("./settingsService");
+
+// Maximum number of hits kept in the session's mentions list
+const MAX_MENTIONS = 200;
+
+// Maximum length of a notification body
+const NOTIFICATION_TEXT_LENGTH = 120;
+
+// Reference to the main window
+let mainWindow = null;
+
+// Every highlighted message of this session, oldest first
+let mentions = [];
+
+// Counter for the IDs of mentions whose message has no Twitch message ID
+let mentionCounter = 0;
+
+// Compiled "highlights.rules", rebuilt when the setting changes
+let compiledRules = null;
+
+// Removes the settings subscription
+let unsubscribeSettings = null;
+
+/**
+ * Initializes the highlight rules engine with the main window reference.
+ * @param {BrowserWindow} window - The main Electron BrowserWindow instance.
+ */
+function initialize(window) {
+  mainWindow = window;
+  mentions = [];
+  compiledRules = null;
+  unsubscribeSettings = settingsService.subscribe((key) => {
+    if (key === "highlights.rules") compiledRules = null;
+  });
+}
+
+/**
+ * Escapes the characters that have a meaning in regular expressions.
+ * @param {string} text - The literal text.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds a case-insensitive regex matching a keyword as a whole word.
+ * @param {string} keyword - The keyword.
+ * @returns {RegExp} The regex.
+ */
+function wholeWordRegExp(keyword) {
+  return new RegExp(`(^|[^\\w])${escapeRegExp(keyword)}(?!\\w)`, "i");
+}
+
+/**
+ * Returns the custom rules, compiling them once per change of the setting.
+ * Keywords match whole words, regexes match anywhere; both ignore case.
+ * @returns {Array<object>} [{ rule, regex }]
+ */
+function getCompiledRules() {
+  if (!compiledRules) {
+    compiledRules = settingsService.get("highlights.rules").map((rule) => ({
+      rule,
+      regex: rule.isRegex
+        ? new RegExp(rule.pattern, "i")
+        : wholeWordRegExp(rule.pattern),
+    }));
+  }
+  return compiledRules;
+}
+
+/**
+ * Finds the highlight of a message: a mention of the logged-in user first,
+ * then the first custom rule that matches.
+ * @param {string} text - The message text.
+ * @param {string|null} username - The logged-in user's login.
+ * @returns {object|null} { reason, color, sound }, or null when nothing matches.
+ */
+function findHighlight(text, username) {
+  if (!text) return null;
+
+  if (
+    username &&
+    settingsService.get("highlights.mentions") &&
+    wholeWordRegExp(username).test(text) // Also matches "@username"
+  ) {
+    return {
+      reason: "Mention",
+      color: settingsService.get("highlights.mentionColor"),
+      sound: settingsService.get("highlights.mentionSound"),
+    };
+  }
+
+  const match = getCompiledRules().find(({ regex }) => regex.test(text));
+  if (!match) return null;
+  return {
+    reason: match.rule.pattern,
+    color: match.rule.color,
+    sound: match.rule.sound,
+  };
+}
+
+/**
+ * Checks whether the user is looking at the window.
+ * @returns {boolean} True if the window is visible, not minimized and focused.
+ */
+function isWindowWatched() {
+  return (
+    !!mainWindow &&
+    !mainWindow.isDestroyed() &&
+    mainWindow.isVisible() &&
+    !mainWindow.isMinimized() &&
+    mainWindow.isFocused()
+  );
+}
+
+/**
+ * Shows a desktop notification for a mention, unless the user is looking at the window.
+ * Clicking it brings the window back.
+ * @param {object} mention - The mention.
+ */
+function notify(mention) {
+  if (!settingsService.get("highlights.notifications")) return;
+  if (isWindowWatched() || !Notification.isSupported()) return;
+
+  const body =
+    mention.text.length > NOTIFICATION_TEXT_LENGTH
+      ? `${mention.text.slice(0, NOTIFICATION_TEXT_LENGTH - 1)}…`
+      : mention.text;
+  const notification = new Notification({
+    title: `${mention.username} in #${mention.channel}`,
+    body,
+    silent: mention.highlight.sound, // The overlay plays its own sound
+  });
+  notification.on("click", () => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+  notification.show();
+}
+
+/**
+ * Adds a highlighted message to the mentions list and tells the renderer.
+ * @param {object} message - The highlighted chat message payload.
+ * @returns {object} The mention.
+ */
+function addMention(message) {
+  const mention = {
+    id: message.messageId || `mention-${++mentionCounter}`,
+    channel: message.channel,
+    username: message.username,
+    text: message.text,
+    color: message.color,
+    highlight: message.highlight,
+    timestamp: Date.now(),
+  };
+  mentions.push(mention);
+  if (mentions.length > MAX_MENTIONS) {
+    mentions = mentions.slice(-MAX_MENTIONS);
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("mention-added", mention);
+  }
+  return mention;
+}
+
+/**
+ * Runs the highlight rules on a chat message payload. A matching message gets a
+ * highlight field, is added to the mentions list and may fire a desktop notification.
+ * The user's own messages and messages dimmed or collapsed by a filter are never highlighted.
+ * @param {object} message - The chat message payload.
+ * @param {string|null} username - The logged-in user's login.
+ * @param {object} [options]
+ * @param {boolean} [options.silent=false] - Only mark the message: no mentions list entry,
+ *   sound or notification (used for replayed chat).
+ * @returns {object} The payload, with { highlight: { reason, color, sound } } when it matched.
+ */
+function applyHighlights(message, username, { silent = false } = {}) {
+  const login = username ? username.toLowerCase() : null;
+  if (
+    message.isSystem ||
+    message.filter ||
+    (login && message.login === login)
+  ) {
+    return message;
+  }
+
+  const highlight = findHighlight(message.text, login);
+  if (!highlight) return message;
+
+  const highlighted = { ...message, highlight };
+  if (!silent) notify(addMention(highlighted));
+  return highlighted;
+}
+
+/**
+ * Returns the mentions of this session.
+ * @returns {Array<object>} The mentions, oldest first.
+ */
+function getMentions() {
+  return mentions;
+}
+
+/**
+ * Empties the mentions list.
+ */
+function clearMentions() {
+  mentions = [];
+}
+
+/**
+ * Removes the settings subscription. Called when the window closes.
+ */
+function shutdown() {
+  if (unsubscribeSettings) {
+    unsubscribeSettings();
+    unsubscribeSettings = null;
+  }
+  mainWindow = null;
+}
+
+/**
+ * Sets up IPC handlers for the renderer's mentions list.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("get-mentions", () => getMentions());
+
+  ipcMain.handle("clear-mentions", () => {
+    clearMentions();
+    return getMentions();
+  });
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  applyHighlights,
+  getMentions,
+  clearMentions,
+  shutdown,
+};
@@ -0,0 +1,143 @@
+const { ipcMain } = require("electron");
+const twitchChatService = require("./twitchChatService");
+const helixClient = require("./helixClient");
+
+// Returns the current auth details ({ token, username, userId, ... }) or null
+let getAuthDetails = () => null;
+
+// How the moderation endpoints are reached. Tests swap it out to run against a local stand-in.
+const DEFAULT_TRANSPORT = {
+  fetch: (...args) => fetch(...args),
+  helixBaseUrl: helixClient.HELIX_BASE_URL,
+};
+let transport = DEFAULT_TRANSPORT;
+
+// Helix accepts timeouts from 1 second up to 2 weeks
+const MAX_TIMEOUT_SECONDS = 1209600;
+
+/**
+ * Initializes the moderation service.
+ * @param {BrowserWindow} _window - The main window (unused: results are posted through
+ *   twitchChatService).
+ * @param {function(): object|null} authDetailsGetter - Returns the logged-in user's auth details.
+ * @param {object} [transportOverrides] - Replaces parts of the default transport:
+ *   { fetch(url, init): Promise<Response>, helixBaseUrl }.
+ */
+function initialize(_window, authDetailsGetter, transportOverrides = {}) {
+  getAuthDetails = authDetailsGetter;
+  transport = { ...DEFAULT_TRANSPORT, ...transportOverrides };
+}
+
+/**
+ * Calls a Helix moderation endpoint as the logged-in user.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The endpoint path below /helix/moderation (e.g. "/bans").
+ * @param {object} query - Query string parameters.
+ * @param {object} [body] - JSON body, if any.
+ * @returns {Promise<void>} Resolves when Helix accepted the request.
+ * @throws {Error} With the Helix error message when the request was rejected.
+ */
+async function callHelix(method, path, query, body) {
+  const authDetails = getAuthDetails();
+  if (!authDetails || !authDetails.userId) {
+    throw new Error("Not authenticated.");
+  }
+  await helixClient.callHelix(
+    transport,
+    authDetails.token,
+    method,
+    `/moderation${path}`,
+    { ...query, moderator_id: authDetails.userId },
+    body
+  );
+}
+
+/**
+ * Runs a moderation action in a channel through the Helix moderation endpoints.
+ * @param {object} action - The action:
+ *   { type: "delete" | "timeout" | "ban" | "unban", channel, broadcasterId,
+ *     userId?, username?, messageId?, duration?, reason? }
+ * @returns {Promise<string>} A description of what was done.
+ * @throws {Error} If the action is invalid or Helix rejected it.
+ */
+async function runAction(action) {
+  const { type, broadcasterId, userId, username, messageId, reason } = action;
+  if (!broadcasterId) {
+    throw new Error("Unknown channel ID.");
+  }
+  const query = { broadcaster_id: broadcasterId };
+
+  switch (type) {
+    case "delete":
+      if (!messageId) throw new Error("Missing message ID.");
+      await callHelix("DELETE", "/chat", { ...query, message_id: messageId });
+      return `Deleted a message from ${username}.`;
+
+    case "timeout": {
+      const duration = parseInt(action.duration, 10);
+      if (!(duration >= 1 && duration <= MAX_TIMEOUT_SECONDS)) {
+        throw new Error(
+          `Timeout duration must be between 1 and ${MAX_TIMEOUT_SECONDS} seconds.`
+        );
+      }
+      if (!userId) throw new Error("Missing user ID.");
+      await callHelix("POST", "/bans", query, {
+        data: { user_id: userId, duration, reason: reason || undefined },
+      });
+      return `Timed out ${username} for ${duration} seconds.`;
+    }
+
+    case "ban":
+      if (!userId) throw new Error("Missing user ID.");
+      await callHelix("POST", "/bans", query, {
+        data: { user_id: userId, reason: reason || undefined },
+      });
+      return `Banned ${username}${reason ? ` (Reason: ${reason})` : ""}.`;
+
+    case "unban":
+      if (!userId) throw new Error("Missing user ID.");
+      await callHelix("DELETE", "/bans", { ...query, user_id: userId });
+      return `Unbanned ${username}.`;
+
+    default:
+      throw new Error(`Unknown moderation action: ${type}`);
+  }
+}
+
+/**
+ * Runs a moderation action and posts its result, or why it failed, as a system line
+ * in the channel.
+ * @param {object} action - The action (see runAction), with its channel and username.
+ * @returns {Promise<object>} { success, error? }
+ */
+async function moderate(action) {
+  console.log(
+    `[ModerationService] ${action.type} in #${action.channel} (user: ${action.username})`
+  );
+  try {
+    const result = await runAction(action);
+    twitchChatService.sendSystemMessage(action.channel, result, "#9370DB");
+    return { success: true };
+  } catch (error) {
+    console.error(`[ModerationService] ${action.type} failed:`, error.message);
+    twitchChatService.sendSystemMessage(
+      action.channel,
+      `Moderation action failed: ${error.message}`,
+      "#DC143C"
+    );
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Sets up IPC handlers for the renderer's moderation menu.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("moderate-chat", (event, action) => moderate(action));
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  moderate,
+};
@@ -1,6 +1,7 @@
 const http = require("http");
 const fetch = require("node-fetch");
 const { URLSearchParams } = require("url");
+const tokenStorage = require("./tokenStorage");
 
 let mainWindow = null;
 let twitchClientId = null;
@@ -16,7 +17,7 @@ let onOAuthFailureCallback = null;
 let server = null;
 
 // Current auth details
-let currentAuthDetails = null; // { token, username, refreshToken }
+let currentAuthDetails = null; // { token, username, userId, refreshToken }
 
 /**
  * Initializes the OAuth server with necessary configurations and callbacks.
@@ -35,6 +36,26 @@ function initializeOAuthServer(window, config, onSuccess, onFailure) {
   onOAuthFailureCallback = onFailure;
 }
 
+/**
+ * Changes the port (and redirect URI) of the local redirect server.
+ * A server that is already listening is closed; the next login starts it on the new port.
+ * @param {number} port - The new port.
+ */
+function setRedirectPort(port) {
+  oauthRedirectPort = port;
+  oauthRedirectUri = `http://localhost:${port}`;
+  stopOAuthServer();
+  console.log(`[OAuthServer] Redirect port set to ${port}`);
+}
+
+/**
+ * Returns the redirect URI that Twitch sends the authorization code to.
+ * @returns {string} The redirect URI.
+ */
+function getRedirectUri() {
+  return oauthRedirectUri;
+}
+
 /**
  * Starts the local HTTP server to listen for the OAuth redirect.
  */
@@ -140,8 +161,10 @@ function startOAuthServer() {
 
         const userData = await userResponse.json();
         let twitchAuthUsername = null;
+        let twitchAuthUserId = null;
         if (userData.data && userData.data.length > 0) {
           twitchAuthUsername = userData.data[0].login;
+          twitchAuthUserId = userData.data[0].id;
           console.log(
             `[OAuthServer] Authenticated as user: ${twitchAuthUsername}`
           );
@@ -151,12 +174,14 @@ function startOAuthServer() {
           );
         }
 
-        // Store the current auth details
+        // Store the current auth details (and persist them for the next launch)
         currentAuthDetails = {
           token: twitchOAuthToken,
           username: twitchAuthUsername,
+          userId: twitchAuthUserId, // Needed as moderator_id for Helix moderation calls
           refreshToken: twitchRefreshToken,
         };
+        tokenStorage.saveTokens(currentAuthDetails);
 
         // Notify main process of success
         if (onOAuthSuccessCallback) {
@@ -230,6 +255,7 @@ async function refreshAccessToken() {
     throw new Error("No refresh token available.");
   }
 
+  let rejected = false; // Whether Twitch refused the refresh token itself
   try {
     const params = new URLSearchParams();
     params.append("client_id", twitchClientId);
@@ -247,6 +273,10 @@ async function refreshAccessToken() {
       const errorData = await response
         .json()
         .catch(() => ({ message: "Unknown error parsing refresh response." }));
+      // 400/401 (invalid grant): the refresh token was rejected, so the stored session
+      // can't be recovered. Other errors (outages, rate limits) pass, so it is kept.
+      rejected = response.status === 400 || response.status === 401;
+      if (rejected) tokenStorage.clearTokens();
       throw new Error(
         `Twitch API Error (Refresh Token): ${response.status} - ${
           errorData.message || JSON.stringify(errorData)
@@ -258,6 +288,7 @@ async function refreshAccessToken() {
     // Update both the access token and the refresh token (Twitch can issue new refresh tokens)
     currentAuthDetails.token = tokenData.access_token;
     currentAuthDetails.refreshToken = tokenData.refresh_token; // <--- IMPORTANT: Update refresh token too
+    tokenStorage.saveTokens(currentAuthDetails);
     console.log(
       `[OAuthServer] Access token refreshed. New token: ${currentAuthDetails.token.substring(
         0,
@@ -267,6 +298,10 @@ async function refreshAccessToken() {
     return currentAuthDetails.token; // Return the new access token
   } catch (error) {
     console.error("[OAuthServer] Error refreshing access token:", error);
+    if (!rejected) {
+      // Keep the session; the next refresh (or launch) tries again
+      throw error;
+    }
     // On critical refresh failure, clear all auth details and notify renderer
     currentAuthDetails = null;
     if (onOAuthFailureCallback) {
@@ -292,7 +327,8 @@ function startTokenAutoRefresh(intervalMs = 3.5 * 60 * 60 * 1000) {
       await refreshAccessToken();
     } catch (err) {
       console.warn("[OAuthServer] Failed to auto-refresh token:", err.message);
-      stopTokenAutoRefresh();
+      // Only a rejected refresh token ends the session; other failures are retried
+      if (!currentAuthDetails) stopTokenAutoRefresh();
     }
   }, intervalMs);
 
@@ -311,6 +347,109 @@ function stopTokenAutoRefresh() {
   }
 }
 
+/**
+ * Validates an access token against the Twitch OAuth validate endpoint.
+ * @param {string} token - The access token to validate.
+ * @returns {Promise<object|null>} The validation data ({ login, user_id, scopes, expires_in }),
+ * or null if the token is invalid or expired.
+ */
+async function validateToken(token) {
+  const response = await fetch("https://id.twitch.tv/oauth2/validate", {
+    headers: { Authorization: `OAuth ${token}` },
+  });
+
+  if (response.status === 401) {
+    return null; // Token is invalid or expired
+  }
+  if (!response.ok) {
+    throw new Error(`Twitch API Error (Validate): ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Restores the login persisted by a previous launch.
+ * Validates the stored access token, refreshes it if it has expired,
+ * and runs the OAuth success callback so the app goes straight to chat.
+ * @returns {Promise<boolean>} True if a session was restored.
+ */
+async function restoreSession() {
+  const storedAuth = tokenStorage.loadTokens();
+  if (!storedAuth) {
+    console.log("[OAuthServer] No saved session to restore.");
+    return false;
+  }
+
+  currentAuthDetails = storedAuth;
+
+  try {
+    let validation = await validateToken(currentAuthDetails.token);
+    if (!validation) {
+      console.log("[OAuthServer] Saved access token expired. Refreshing...");
+      await refreshAccessToken(); // Notifies the failure callback if the token was rejected
+      validation = await validateToken(currentAuthDetails.token);
+      if (!validation) {
+        throw new Error("Refreshed access token failed validation.");
+      }
+    }
+
+    // Keep the username in sync in case the user renamed their account
+    currentAuthDetails.username = validation.login;
+    currentAuthDetails.userId = validation.user_id;
+    tokenStorage.saveTokens(currentAuthDetails);
+    console.log(
+      `[OAuthServer] Restored saved session for ${currentAuthDetails.username}.`
+    );
+
+    if (onOAuthSuccessCallback) {
+      onOAuthSuccessCallback(currentAuthDetails);
+    }
+    return true;
+  } catch (error) {
+    console.error(
+      "[OAuthServer] Could not restore saved session:",
+      error.message
+    );
+    currentAuthDetails = null;
+    return false;
+  }
+}
+
+/**
+ * Logs out: revokes the access token with Twitch, stops auto-refresh,
+ * and wipes both the in-memory and the stored auth details.
+ */
+async function logout() {
+  const token = currentAuthDetails && currentAuthDetails.token;
+
+  stopTokenAutoRefresh();
+  currentAuthDetails = null;
+  tokenStorage.clearTokens();
+
+  if (!token) return;
+
+  try {
+    const response = await fetch("https://id.twitch.tv/oauth2/revoke", {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        client_id: twitchClientId,
+        token: token,
+      }).toString(),
+    });
+    if (!response.ok) {
+      console.warn(
+        `[OAuthServer] Token revoke returned status ${response.status}.`
+      );
+    } else {
+      console.log("[OAuthServer] Access token revoked.");
+    }
+  } catch (error) {
+    // The local session is already gone, so a failed revoke is not fatal
+    console.warn("[OAuthServer] Error revoking access token:", error.message);
+  }
+}
+
 /**
  * Stops the local HTTP server.
  */
@@ -340,8 +479,12 @@ module.exports = {
   initializeOAuthServer,
   startOAuthServer,
   stopOAuthServer,
+  setRedirectPort,
+  getRedirectUri,
   getAuthDetails,
   clearAuthDetails,
   startTokenAutoRefresh,
   stopTokenAutoRefresh,
+  restoreSession,
+  logout,
 };
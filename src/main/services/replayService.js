@@ -0,0 +1,603 @@
+const fs = require("fs");
+const path = require("path");
+const { ipcMain, dialog } = require("electron");
+const tmiParser = require("tmi.js/lib/parser");
+const tmiUtils = require("tmi.js/lib/utils");
+const twitchChatService = require("./twitchChatService");
+const chatLogService = require("./chatLogService");
+const filterService = require("./filterService");
+const highlightService = require("./highlightService");
+const { createChatMessageBatcher } = require("./chatMessageBatcher");
+
+// Prefix of the channel keys of replayed events, so they get tabs of their own and never
+// mix with a live channel of the same name. ":" can never be part of a Twitch login.
+const REPLAY_CHANNEL_PREFIX = "replay:";
+
+// Playback speeds offered in the renderer
+const REPLAY_SPEEDS = [1, 2, 10];
+
+// Chat lines re-sent after a seek, so the chat isn't empty at the new position
+const SEEK_BACKLOG_EVENTS = 100;
+
+// How often the playback position is sent to the renderer while playing
+const STATUS_INTERVAL_MS = 1000;
+
+// Reference to the main window
+let mainWindow = null;
+
+// Loaded replay: events sorted by time, { time, ipcChannel, payload }
+let events = [];
+let replayChannels = []; // Channels that appear in the replay, as replay tab keys
+let fileName = null;
+let duration = 0; // Time of the last event (ms after the first)
+
+// Playback state
+let state = "stopped"; // "stopped" | "playing" | "paused" | "ended"
+let nextIndex = 0; // Index of the next event to emit
+let position = 0; // Playback position (ms) at lastTick
+let lastTick = 0; // Wall clock time (ms) when position was last updated
+let speed = 1;
+let eventTimer = null;
+let statusTimer = null;
+
+/**
+ * Initializes the replay service.
+ * @param {BrowserWindow} window - The main Electron BrowserWindow instance.
+ */
+function initialize(window) {
+  mainWindow = window;
+}
+
+// Replayed chat lines waiting to be sent as one "chat-messages" batch, like live chat
+const chatMessageBatcher = createChatMessageBatcher((messages) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("chat-messages", messages);
+  }
+});
+
+/**
+ * Sends an IPC message to the renderer process.
+ * Chat lines are batched; other events flush the pending batch first to keep their order.
+ * @param {string} channel - The IPC channel name.
+ * @param {any} data - The data to send.
+ */
+function sendToRenderer(channel, data) {
+  if (channel === "chat-message") {
+    chatMessageBatcher.push(data);
+    return;
+  }
+  chatMessageBatcher.flush();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, data);
+  }
+}
+
+/**
+ * Builds a system chat line payload, matching the ones twitchChatService sends.
+ * @param {string} channel - The channel name.
+ * @param {string} text - The message text.
+ * @param {string} color - The message color.
+ * @returns {object} The chat message payload.
+ */
+function systemMessage(channel, text, color) {
+  return { channel, username: "System", text, color, isSystem: true };
+}
+
+/**
+ * Converts one line of a recorded JSONL chat log to a replay event.
+ * The filter and highlight a message had when it was recorded are dropped, so the
+ * current rules decide them again (see emitEvent).
+ * @param {object} entry - The parsed line ({ ts, type, ...payload }).
+ * @returns {object|null} { time, ipcChannel, payload }, or null for unknown types.
+ */
+function eventFromLogEntry(entry) {
+  const { ts, type, filter, highlight, ...payload } = entry;
+  const time = Date.parse(ts);
+  if (Number.isNaN(time)) return null;
+
+  switch (type) {
+    case "chat":
+    case "system":
+      return { time, ipcChannel: "chat-message", payload };
+    case "moderation":
+      return { time, ipcChannel: "chat-moderation", payload };
+    case "connection":
+      return { time, ipcChannel: "connection-status", payload };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses the IRC tags of a transcript line the same way TMI.js does
+ * (badges, badge-info and emotes maps, "1"/"0" to booleans, unescaped strings).
+ * @param {object} rawTags - The raw tags from the TMI.js parser.
+ * @returns {object} The parsed tags.
+ */
+function parseIrcTags(rawTags) {
+  const tags = tmiParser.badges(tmiParser.badgeInfo(tmiParser.emotes(rawTags)));
+  Object.keys(tags).forEach((key) => {
+    if (key === "emote-sets" || key === "ban-duration" || key === "bits") {
+      return;
+    }
+    const value = tags[key];
+    if (typeof value === "boolean") tags[key] = null;
+    else if (value === "1") tags[key] = true;
+    else if (value === "0") tags[key] = false;
+    else if (typeof value === "string") tags[key] = tmiUtils.unescapeIRC(value);
+  });
+  return tags;
+}
+
+/**
+ * Converts one line of an exported IRC transcript to replay events.
+ * Lines are raw IRC messages, optionally prefixed with a timestamp
+ * (e.g. "[2024-05-01T20:15:03.120Z] @badge-info=...;... :user!user@user.tmi.twitch.tv PRIVMSG #channel :hi").
+ * The event time comes from the tmi-sent-ts tag, then the timestamp prefix.
+ * @param {string} line - The transcript line.
+ * @param {number} previousTime - The time of the previous event, used when the line has none.
+ * @returns {Array<object>} The events ({ time, ipcChannel, payload }) for the line.
+ */
+function eventsFromIrcLine(line, previousTime) {
+  let rawMessage = line;
+  let prefixTime = NaN;
+  if (!/^[@:]/.test(line)) {
+    // Everything before the tags ("@") or prefix (":") is the timestamp
+    const messageStart = line.search(/\s[@:]/);
+    if (messageStart === -1) return [];
+    prefixTime = Date.parse(
+      line.slice(0, messageStart).replace(/^\[|\]$/g, "")
+    );
+    rawMessage = line.slice(messageStart + 1);
+  }
+
+  const message = tmiParser.msg(rawMessage);
+  if (!message || !message.command) return [];
+
+  const tags = parseIrcTags(message.tags);
+  const sentTime = parseInt(tags["tmi-sent-ts"], 10);
+  const time = !Number.isNaN(sentTime)
+    ? sentTime
+    : !Number.isNaN(prefixTime)
+      ? prefixTime
+      : previousTime;
+  if (Number.isNaN(time)) return [];
+
+  const channel = twitchChatService.normalizeChannel(message.params[0]);
+  const text = message.params[1] || "";
+  const event = (ipcChannel, payload) => ({ time, ipcChannel, payload });
+
+  switch (message.command) {
+    case "PRIVMSG": {
+      tags.username = (message.prefix || "").split("!")[0];
+      // Strip the CTCP wrapper of /me messages
+      const actionMatch = text.match(/^\u0001ACTION ([^\u0001]+)\u0001$/);
+      const payload = twitchChatService.createChatMessagePayload(
+        message.params[0],
+        tags,
+        actionMatch ? actionMatch[1] : text
+      );
+      if (actionMatch) payload.isAction = true; // TMI.js flags these with message-type
+      if (tags.bits) {
+        payload.isCheer = true;
+        payload.bits = tags.bits;
+      }
+      return [event("chat-message", payload)];
+    }
+
+    case "CLEARCHAT": {
+      if (!text) {
+        return [
+          event("chat-moderation", { channel, type: "clear" }),
+          event(
+            "chat-message",
+            systemMessage(
+              channel,
+              "Chat was cleared by a moderator.",
+              "#FF6347"
+            )
+          ),
+        ];
+      }
+      const targetUser = text.toLowerCase();
+      const banDuration = tags["ban-duration"];
+      if (banDuration) {
+        return [
+          event("chat-moderation", {
+            channel,
+            type: "timeout",
+            targetUser,
+            duration: parseInt(banDuration, 10),
+          }),
+          event(
+            "chat-message",
+            systemMessage(
+              channel,
+              `${text} has been timed out for ${banDuration} seconds. Reason: N/A`,
+              "#FF6347"
+            )
+          ),
+        ];
+      }
+      return [
+        event("chat-moderation", { channel, type: "ban", targetUser }),
+        event(
+          "chat-message",
+          systemMessage(
+            channel,
+            `${text} has been banned. Reason: N/A`,
+            "#DC143C"
+          )
+        ),
+      ];
+    }
+
+    case "CLEARMSG":
+      return [
+        event("chat-moderation", {
+          channel,
+          type: "delete",
+          messageId: tags["target-msg-id"],
+          targetUser: (tags.login || "").toLowerCase(),
+        }),
+      ];
+
+    case "NOTICE":
+      return [event("chat-message", systemMessage(channel, text, "#FFA500"))];
+
+    case "USERNOTICE": {
+      // Subs, gifts and announcements become event cards, like live chat
+      const payload = twitchChatService.createUserNoticePayload(
+        message.params[0],
+        tags,
+        text
+      );
+      if (payload) {
+        return twitchChatService.isEventShown(payload.event)
+          ? [event("chat-message", payload)]
+          : [];
+      }
+      return tags["system-msg"]
+        ? [
+            event(
+              "chat-message",
+              systemMessage(channel, tags["system-msg"], "#9370DB")
+            ),
+          ]
+        : [];
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parses a recorded JSONL chat log or an exported IRC transcript into replay events.
+ * The format is detected per line: lines starting with "{" are JSONL log entries.
+ * @param {string} content - The file content.
+ * @returns {Array<object>} The events ({ time, ipcChannel, payload }), sorted by time.
+ */
+function parseReplayFile(content) {
+  const parsed = [];
+  let previousTime = NaN;
+
+  content.split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    try {
+      if (trimmed.startsWith("{")) {
+        const event = eventFromLogEntry(JSON.parse(trimmed));
+        if (event) parsed.push(event);
+      } else {
+        parsed.push(...eventsFromIrcLine(trimmed, previousTime));
+      }
+      if (parsed.length > 0) {
+        previousTime = parsed[parsed.length - 1].time;
+      }
+    } catch (error) {
+      console.warn(`[ReplayService] Skipping unreadable line: ${trimmed}`);
+    }
+  });
+
+  // Stable sort keeps the file order of events with the same time
+  return parsed.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Returns the current playback position, advancing it by the elapsed time while playing.
+ * @returns {number} The position in ms after the first event.
+ */
+function getPosition() {
+  if (state !== "playing") return position;
+  return Math.min(duration, position + (Date.now() - lastTick) * speed);
+}
+
+/**
+ * Stores the current position as the new reference point for timing.
+ */
+function updatePosition() {
+  position = getPosition();
+  lastTick = Date.now();
+}
+
+/**
+ * Returns the playback status for the renderer.
+ * @returns {object} { state, fileName, channels, position, duration, speed, speeds }
+ */
+function getStatus() {
+  return {
+    state,
+    fileName,
+    channels: replayChannels,
+    position: getPosition(),
+    duration,
+    speed,
+    speeds: REPLAY_SPEEDS,
+  };
+}
+
+/**
+ * Sends the playback status to the renderer.
+ * @param {object} [extra] - Extra fields (e.g. { seeked: true }).
+ */
+function sendStatus(extra = {}) {
+  sendToRenderer("replay-status", { ...getStatus(), ...extra });
+}
+
+/**
+ * Emits an event to the renderer, with the IPC event type the live chat uses.
+ * Its channel is already the replay tab's key (see loadReplay).
+ * Chat lines go through the current filter and highlight rules like live chat,
+ * but highlights stay silent: no mentions list entry, sound or notification.
+ * Event cards (subs, gifts, announcements) skip the rules, as they do live.
+ * @param {object} event - The replay event.
+ * @param {boolean} [isBacklog=false] - Whether the line is sent again after a seek,
+ *   so it is not counted as filtered twice.
+ */
+function emitEvent(event, isBacklog = false) {
+  if (event.ipcChannel !== "chat-message" || event.payload.event) {
+    sendToRenderer(event.ipcChannel, event.payload);
+    return;
+  }
+  const messageData = filterService.applyFilters(event.payload, {
+    count: !isBacklog,
+  });
+  if (!messageData) return; // Hidden by a filter rule
+  sendToRenderer(
+    "chat-message",
+    highlightService.applyHighlights(
+      messageData,
+      twitchChatService.getUsername(),
+      { silent: true }
+    )
+  );
+}
+
+/**
+ * Clears the event and status timers.
+ */
+function clearTimers() {
+  clearTimeout(eventTimer);
+  clearInterval(statusTimer);
+  eventTimer = null;
+  statusTimer = null;
+}
+
+/**
+ * Emits every event that is due and schedules the next one,
+ * keeping the original spacing between events (divided by the speed).
+ */
+function scheduleNextEvent() {
+  clearTimeout(eventTimer);
+  eventTimer = null;
+  if (state !== "playing") return;
+
+  const now = getPosition();
+  while (nextIndex < events.length && events[nextIndex].time <= now) {
+    emitEvent(events[nextIndex]);
+    nextIndex++;
+  }
+
+  if (nextIndex >= events.length) {
+    updatePosition();
+    position = duration;
+    state = "ended";
+    clearTimers();
+    sendStatus();
+    console.log("[ReplayService] Replay ended.");
+    return;
+  }
+
+  const delay = (events[nextIndex].time - now) / speed;
+  eventTimer = setTimeout(scheduleNextEvent, Math.max(0, delay));
+}
+
+/**
+ * Starts or resumes playback. An ended replay restarts from the beginning.
+ */
+function play() {
+  if (events.length === 0 || state === "playing") return;
+  if (state === "ended") {
+    seek(0);
+  }
+  lastTick = Date.now();
+  state = "playing";
+  clearInterval(statusTimer);
+  statusTimer = setInterval(() => sendStatus(), STATUS_INTERVAL_MS);
+  scheduleNextEvent();
+  sendStatus();
+}
+
+/**
+ * Pauses playback at the current position.
+ */
+function pause() {
+  if (state !== "playing") return;
+  updatePosition();
+  state = "paused";
+  clearTimers();
+  sendStatus();
+}
+
+/**
+ * Moves playback to a position. The renderer clears the replayed channels,
+ * then the chat lines just before the new position are re-sent so the chat isn't empty.
+ * @param {number} targetPosition - The position in ms after the first event.
+ */
+function seek(targetPosition) {
+  if (events.length === 0) return;
+  position = Math.max(0, Math.min(duration, Number(targetPosition) || 0));
+  lastTick = Date.now();
+  if (state === "ended") state = "paused";
+
+  const startTime = events[0].time;
+  nextIndex = events.findIndex((event) => event.time - startTime > position);
+  if (nextIndex === -1) nextIndex = events.length;
+
+  sendStatus({ seeked: true });
+  events
+    .slice(0, nextIndex)
+    .filter((event) => event.ipcChannel === "chat-message")
+    .slice(-SEEK_BACKLOG_EVENTS)
+    .forEach((event) => emitEvent(event, true));
+
+  scheduleNextEvent();
+}
+
+/**
+ * Changes the playback speed, keeping the current position.
+ * @param {number} newSpeed - One of REPLAY_SPEEDS.
+ */
+function setSpeed(newSpeed) {
+  if (!REPLAY_SPEEDS.includes(newSpeed)) return;
+  updatePosition();
+  speed = newSpeed;
+  scheduleNextEvent();
+  sendStatus();
+}
+
+/**
+ * Stops the replay and tells the renderer its channels are no longer live.
+ */
+function stop() {
+  if (state === "stopped") return;
+  clearTimers();
+  replayChannels.forEach((channel) => {
+    sendToRenderer("connection-status", {
+      status: "disconnected",
+      channel,
+      reason: "Replay stopped",
+    });
+  });
+  state = "stopped";
+  events = [];
+  replayChannels = [];
+  fileName = null;
+  duration = 0;
+  position = 0;
+  nextIndex = 0;
+  sendStatus();
+  console.log("[ReplayService] Replay stopped.");
+}
+
+/**
+ * Loads a chat log or IRC transcript and starts playing it from the beginning.
+ * Event times are shifted so the first event plays immediately.
+ * @param {string} filePath - The file to replay.
+ * @returns {object} The playback status.
+ * @throws {Error} If the file has no replayable events.
+ */
+function loadReplay(filePath) {
+  // Untagged lines (global errors) are left out: they would land in whichever tab is shown
+  const parsed = parseReplayFile(fs.readFileSync(filePath, "utf8")).filter(
+    (event) => event.payload.channel
+  );
+  if (parsed.length === 0) {
+    throw new Error("No chat events found in this file.");
+  }
+
+  stop();
+  const startTime = parsed[0].time;
+  events = parsed.map((event) => ({
+    ...event,
+    time: event.time - startTime,
+    payload: {
+      ...event.payload,
+      channel: `${REPLAY_CHANNEL_PREFIX}${event.payload.channel}`,
+    },
+  }));
+  duration = events[events.length - 1].time;
+  replayChannels = Array.from(
+    new Set(events.map((event) => event.payload.channel))
+  );
+  fileName = path.basename(filePath);
+  speed = 1;
+  position = 0;
+  nextIndex = 0;
+  state = "paused";
+
+  console.log(
+    `[ReplayService] Loaded ${events.length} events from ${fileName} (${replayChannels.join(
+      ", "
+    )}).`
+  );
+  sendStatus();
+  play();
+  return getStatus();
+}
+
+/**
+ * Sets up IPC handlers for opening a replay file and controlling playback.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("replay-open", async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: "Open chat log or IRC transcript",
+      defaultPath: chatLogService.getLogsDir(),
+      properties: ["openFile"],
+      filters: [
+        { name: "Chat logs", extensions: ["jsonl", "log", "txt"] },
+        { name: "All files", extensions: ["*"] },
+      ],
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    try {
+      return { success: true, status: loadReplay(result.filePaths[0]) };
+    } catch (error) {
+      console.error("[ReplayService] Error loading replay:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle("replay-control", (_event, action, value) => {
+    switch (action) {
+      case "play":
+        play();
+        break;
+      case "pause":
+        pause();
+        break;
+      case "seek":
+        seek(value);
+        break;
+      case "speed":
+        setSpeed(value);
+        break;
+      case "stop":
+        stop();
+        break;
+      default:
+        console.warn(`[ReplayService] Unknown replay action: ${action}`);
+    }
+    return getStatus();
+  });
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  stop,
+};
@@ -0,0 +1,680 @@
+const fs = require("fs");
+const path = require("path");
+const { app, BrowserWindow, ipcMain } = require("electron");
+const config = require("../../config");
+
+// File (under userData) that stores every setting
+const SETTINGS_FILE = "settings.json";
+
+// Version of the settings file layout, bumped whenever a migration is added
+const SETTINGS_VERSION = 1;
+
+// Limits of the "highlights.rules" and "filters.rules" settings
+const MAX_HIGHLIGHT_RULES = 50;
+const MAX_FILTER_RULES = 200;
+const MAX_RULE_PATTERN_LENGTH = 200;
+
+// Limits of the "completion.usage" setting
+const MAX_USAGE_ENTRIES = 500;
+const MAX_USAGE_NAME_LENGTH = 100;
+
+// Limits of the "emotePicker.recent" setting
+const MAX_RECENT_EMOTES = 30;
+const MAX_EMOTE_URL_LENGTH = 500;
+
+// Longer values are logged by size only, so lists like "completion.usage" don't flood the log
+const MAX_LOGGED_VALUE_LENGTH = 200;
+
+// Kinds of "filters.rules" rules, what they can do to a message and the badge levels they can require
+const FILTER_RULE_TYPES = ["user", "text", "regex", "command", "badge"];
+const FILTER_ACTIONS = ["hide", "dim", "collapse"];
+const FILTER_BADGE_LEVELS = ["subscriber", "vip", "moderator", "broadcaster"];
+
+// Every setting with its type, limits and default value.
+// section and label are used by the renderer's settings panel;
+// hidden settings are edited through their own controls instead.
+const SCHEMA = {
+  "chat.maxMessages": {
+    type: "integer",
+    default: 2000,
+    min: 50,
+    max: 20000,
+    section: "Chat",
+    label: "Messages kept per channel",
+  },
+  "chat.minLuminance": {
+    type: "integer",
+    default: 40,
+    min: 0,
+    max: 255,
+    section: "Chat",
+    label: "Minimum username color brightness (0-255)",
+  },
+  "chat.fallbackColor": {
+    type: "color",
+    default: "#AAAAAA",
+    section: "Chat",
+    label: "Color for usernames that are too dark",
+  },
+  "window.loginWidth": {
+    type: "integer",
+    default: 350,
+    min: 200,
+    max: 3840,
+    section: "Window",
+    label: "Login window width",
+  },
+  "window.loginHeight": {
+    type: "integer",
+    default: 400,
+    min: 150,
+    max: 2160,
+    section: "Window",
+    label: "Login window height",
+  },
+  "window.chatWidth": {
+    type: "integer",
+    default: 400,
+    min: 200,
+    max: 3840,
+    section: "Window",
+    label: "Chat window width",
+  },
+  "window.chatHeight": {
+    type: "integer",
+    default: 600,
+    min: 150,
+    max: 2160,
+    section: "Window",
+    label: "Chat window height",
+  },
+  "window.chatMinWidth": {
+    type: "integer",
+    default: 250,
+    min: 100,
+    max: 3840,
+    section: "Window",
+    label: "Chat window minimum width",
+  },
+  "window.chatMinHeight": {
+    type: "integer",
+    default: 150,
+    min: 100,
+    max: 2160,
+    section: "Window",
+    label: "Chat window minimum height",
+  },
+  "oauth.redirectPort": {
+    type: "integer",
+    default: config.OAUTH_REDIRECT_PORT,
+    min: 1024,
+    max: 65535,
+    section: "Login",
+    label: "OAuth redirect port (must match the Twitch app's redirect URL)",
+  },
+  "highlights.mentions": {
+    type: "boolean",
+    default: true,
+    section: "Highlights",
+    label: "Highlight messages that mention you",
+  },
+  "highlights.mentionColor": {
+    type: "color",
+    default: "#9146FF",
+    section: "Highlights",
+    label: "Mention highlight color",
+  },
+  "highlights.mentionSound": {
+    type: "boolean",
+    default: false,
+    section: "Highlights",
+    label: "Play a sound for mentions",
+  },
+  "highlights.notifications": {
+    type: "boolean",
+    default: true,
+    section: "Highlights",
+    label: "Desktop notification when the window is hidden or unfocused",
+  },
+  // Keyword and regex rules, edited in the settings panel's highlight rules list
+  "highlights.rules": { type: "highlightRules", default: [], hidden: true },
+  "filters.enabled": {
+    type: "boolean",
+    default: true,
+    section: "Filters",
+    label: "Apply the filter rules",
+  },
+  // Ignored users, text/regex/command filters and badge levels, edited in the settings panel's filter list
+  "filters.rules": { type: "filterRules", default: [], hidden: true },
+  "browserSource.enabled": {
+    type: "boolean",
+    default: false,
+    section: "Browser source",
+    label: "Serve the chat as an OBS browser source",
+  },
+  "browserSource.port": {
+    type: "integer",
+    default: 8911,
+    min: 1024,
+    max: 65535,
+    section: "Browser source",
+    label: "Browser source port (http://localhost:<port>/)",
+  },
+  "browserSource.allowLan": {
+    type: "boolean",
+    default: false,
+    section: "Browser source",
+    label: "Also accept other devices on the network (not just localhost)",
+  },
+  "events.sub": {
+    type: "boolean",
+    default: true,
+    section: "Events",
+    label: "Show new subscriptions",
+  },
+  "events.resub": {
+    type: "boolean",
+    default: true,
+    section: "Events",
+    label: "Show resubscriptions and their messages",
+  },
+  "events.prime": {
+    type: "boolean",
+    default: true,
+    section: "Events",
+    label: "Show Prime Gaming subscriptions",
+  },
+  "events.subgift": {
+    type: "boolean",
+    default: true,
+    section: "Events",
+    label: "Show gifted subscriptions",
+  },
+  "events.submysterygift": {
+    type: "boolean",
+    default: true,
+    section: "Events",
+    label: "Show community (mystery) gifts",
+  },
+  "events.announcement": {
+    type: "boolean",
+    default: true,
+    section: "Events",
+    label: "Show announcements",
+  },
+  "events.bitsbadgetier": {
+    type: "boolean",
+    default: true,
+    section: "Events",
+    label: "Show new Bits badge tiers",
+  },
+  "events.watchstreak": {
+    type: "boolean",
+    default: true,
+    section: "Events",
+    label: "Show watch streaks",
+  },
+  "emoteProviders.7tv": { type: "boolean", default: true, hidden: true },
+  "emoteProviders.bttv": { type: "boolean", default: true, hidden: true },
+  "emoteProviders.ffz": { type: "boolean", default: true, hidden: true },
+  "chatLogs.enabled": { type: "boolean", default: false, hidden: true },
+  // Last position, size and display of the window in each view, null until it has been moved or resized
+  "windowBounds.login": { type: "bounds", default: null, hidden: true },
+  "windowBounds.chat": { type: "bounds", default: null, hidden: true },
+  "ghostMode.opacity": {
+    type: "number",
+    default: 0.3,
+    min: 0,
+    max: 1,
+    hidden: true,
+  },
+  // How many sent messages used each emote or @mention, to rank tab-completion suggestions
+  "completion.usage": { type: "usageCounts", default: {}, hidden: true },
+  // Emotes last inserted from the emote picker, most recent first
+  "emotePicker.recent": { type: "recentEmotes", default: [], hidden: true },
+};
+
+// Migrations, indexed by the version they upgrade from.
+// Each one receives the stored values and returns the values for the next version.
+const MIGRATIONS = [
+  // 0 -> 1: no settings file yet, import the per-feature preference files it replaces
+  (values) => {
+    const emoteProviders = readLegacyFile("emote-providers.json");
+    Object.entries(emoteProviders).forEach(([providerId, enabled]) => {
+      values[`emoteProviders.${providerId}`] = enabled;
+    });
+    const chatLogs = readLegacyFile("chat-logs.json");
+    if ("enabled" in chatLogs) values["chatLogs.enabled"] = chatLogs.enabled;
+    const ghostMode = readLegacyFile("ghost-mode.json");
+    if ("opacity" in ghostMode) values["ghostMode.opacity"] = ghostMode.opacity;
+    return values;
+  },
+];
+
+// Current values of every setting
+let settings = getDefaults();
+
+// Functions called with (key, value) after a setting changed
+const listeners = new Set();
+
+/**
+ * Initializes the settings service: loads (and migrates) the settings file.
+ * Runs before the main window is created, since the window size comes from the settings.
+ */
+function initialize() {
+  settings = loadSettings();
+}
+
+/**
+ * Returns the default value of every setting.
+ * @returns {object} Setting key -> default value.
+ */
+function getDefaults() {
+  return Object.fromEntries(
+    Object.entries(SCHEMA).map(([key, definition]) => [key, definition.default])
+  );
+}
+
+/**
+ * Reads a preference file used before the settings store existed.
+ * @param {string} fileName - The file name under userData.
+ * @returns {object} Its contents, or an empty object if it is missing or unreadable.
+ */
+function readLegacyFile(fileName) {
+  try {
+    const filePath = path.join(app.getPath("userData"), fileName);
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+  } catch (error) {
+    console.error(`[SettingsService] Error reading ${fileName}:`, error);
+  }
+  return {};
+}
+
+/**
+ * Checks a value against the schema of a setting.
+ * @param {string} key - The setting key.
+ * @param {any} value - The value to check.
+ * @returns {any} The value, normalized (numbers parsed, colors uppercased, bounds copied).
+ * @throws {Error} If the key is unknown or the value is invalid.
+ */
+function validate(key, value) {
+  const definition = SCHEMA[key];
+  if (!definition) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  switch (definition.type) {
+    case "boolean":
+      if (typeof value !== "boolean") {
+        throw new Error(`${key} must be true or false.`);
+      }
+      return value;
+
+    case "integer":
+    case "number": {
+      const number = typeof value === "string" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        throw new Error(`${key} must be a number.`);
+      }
+      if (definition.type === "integer" && !Number.isInteger(number)) {
+        throw new Error(`${key} must be a whole number.`);
+      }
+      if (number < definition.min || number > definition.max) {
+        throw new Error(
+          `${key} must be between ${definition.min} and ${definition.max}.`
+        );
+      }
+      return number;
+    }
+
+    case "color":
+      if (typeof value !== "string" || !/^#[0-9a-f]{6}$/i.test(value)) {
+        throw new Error(`${key} must be a hex color like #AAAAAA.`);
+      }
+      return value.toUpperCase();
+
+    case "bounds": {
+      if (value === null) return null;
+      const isValid =
+        value &&
+        typeof value === "object" &&
+        ["x", "y", "width", "height"].every((field) =>
+          Number.isInteger(value[field])
+        ) &&
+        value.width > 0 &&
+        value.height > 0;
+      if (!isValid) {
+        throw new Error(`${key} must be null or { x, y, width, height }.`);
+      }
+      return {
+        x: value.x,
+        y: value.y,
+        width: value.width,
+        height: value.height,
+        displayId: Number.isFinite(value.displayId) ? value.displayId : null,
+      };
+    }
+
+    case "highlightRules":
+      if (!Array.isArray(value) || value.length > MAX_HIGHLIGHT_RULES) {
+        throw new Error(
+          `${key} must be a list of at most ${MAX_HIGHLIGHT_RULES} rules.`
+        );
+      }
+      return value.map((rule, index) => validateHighlightRule(rule, index));
+
+    case "filterRules":
+      if (!Array.isArray(value) || value.length > MAX_FILTER_RULES) {
+        throw new Error(
+          `${key} must be a list of at most ${MAX_FILTER_RULES} rules.`
+        );
+      }
+      return value.map((rule, index) => validateFilterRule(rule, index));
+
+    case "usageCounts": {
+      const entries =
+        value && typeof value === "object" && !Array.isArray(value)
+          ? Object.entries(value)
+          : null;
+      if (!entries || entries.length > MAX_USAGE_ENTRIES) {
+        throw new Error(
+          `${key} must map at most ${MAX_USAGE_ENTRIES} names to counts.`
+        );
+      }
+      entries.forEach(([name, count]) => {
+        if (!name || name.length > MAX_USAGE_NAME_LENGTH) {
+          throw new Error(
+            `${key} names must have 1 to ${MAX_USAGE_NAME_LENGTH} characters.`
+          );
+        }
+        if (!Number.isInteger(count) || count < 1) {
+          throw new Error(`${key} counts must be positive whole numbers.`);
+        }
+      });
+      return Object.fromEntries(entries);
+    }
+
+    case "recentEmotes":
+      if (!Array.isArray(value) || value.length > MAX_RECENT_EMOTES) {
+        throw new Error(
+          `${key} must be a list of at most ${MAX_RECENT_EMOTES} emotes.`
+        );
+      }
+      return value.map((emote) => {
+        const isValid =
+          emote &&
+          typeof emote.name === "string" &&
+          emote.name.length > 0 &&
+          emote.name.length <= MAX_USAGE_NAME_LENGTH &&
+          typeof emote.url === "string" &&
+          /^https:\/\//.test(emote.url) &&
+          emote.url.length <= MAX_EMOTE_URL_LENGTH;
+        if (!isValid) {
+          throw new Error(`${key} entries must be { name, url } emotes.`);
+        }
+        return { name: emote.name, url: emote.url };
+      });
+
+    default:
+      throw new Error(`Unsupported setting type: ${definition.type}`);
+  }
+}
+
+/**
+ * Checks one rule of the "highlights.rules" setting.
+ * @param {object} rule - { id, pattern, isRegex, color, sound }
+ * @param {number} index - The rule's position, used in error messages.
+ * @returns {object} The normalized rule.
+ * @throws {Error} If the rule is invalid (including a regex that doesn't compile).
+ */
+function validateHighlightRule(rule, index) {
+  const name = `Highlight rule ${index + 1}`;
+  if (!rule || typeof rule !== "object") {
+    throw new Error(`${name} must be an object.`);
+  }
+  if (typeof rule.id !== "string" || !rule.id) {
+    throw new Error(`${name} needs an id.`);
+  }
+  const pattern = typeof rule.pattern === "string" ? rule.pattern.trim() : "";
+  if (!pattern || pattern.length > MAX_RULE_PATTERN_LENGTH) {
+    throw new Error(
+      `${name} needs a keyword of 1 to ${MAX_RULE_PATTERN_LENGTH} characters.`
+    );
+  }
+  if (rule.isRegex) {
+    try {
+      new RegExp(pattern, "i");
+    } catch (error) {
+      throw new Error(`${name} is not a valid regex: ${error.message}`);
+    }
+  }
+  if (typeof rule.color !== "string" || !/^#[0-9a-f]{6}$/i.test(rule.color)) {
+    throw new Error(`${name} needs a hex color like #AAAAAA.`);
+  }
+  return {
+    id: rule.id,
+    pattern,
+    isRegex: !!rule.isRegex,
+    color: rule.color.toUpperCase(),
+    sound: !!rule.sound,
+  };
+}
+
+/**
+ * Checks one rule of the "filters.rules" setting.
+ * @param {object} rule - { id, type, value, action }
+ * @param {number} index - The rule's position, used in error messages.
+ * @returns {object} The normalized rule (user logins lowercased, without "@").
+ * @throws {Error} If the rule is invalid (including a regex that doesn't compile).
+ */
+function validateFilterRule(rule, index) {
+  const name = `Filter rule ${index + 1}`;
+  if (!rule || typeof rule !== "object") {
+    throw new Error(`${name} must be an object.`);
+  }
+  if (typeof rule.id !== "string" || !rule.id) {
+    throw new Error(`${name} needs an id.`);
+  }
+  if (!FILTER_RULE_TYPES.includes(rule.type)) {
+    throw new Error(
+      `${name} must be one of these types: ${FILTER_RULE_TYPES.join(", ")}.`
+    );
+  }
+  if (!FILTER_ACTIONS.includes(rule.action)) {
+    throw new Error(`${name} must hide, dim or collapse messages.`);
+  }
+
+  let filterValue = typeof rule.value === "string" ? rule.value.trim() : "";
+  if (rule.type === "user") {
+    filterValue = filterValue.replace(/^@/, "").toLowerCase();
+  }
+  if (!filterValue || filterValue.length > MAX_RULE_PATTERN_LENGTH) {
+    throw new Error(
+      `${name} needs a value of 1 to ${MAX_RULE_PATTERN_LENGTH} characters.`
+    );
+  }
+  if (rule.type === "regex") {
+    try {
+      new RegExp(filterValue, "i");
+    } catch (error) {
+      throw new Error(`${name} is not a valid regex: ${error.message}`);
+    }
+  }
+  if (rule.type === "badge" && !FILTER_BADGE_LEVELS.includes(filterValue)) {
+    throw new Error(
+      `${name} must require one of these badges: ${FILTER_BADGE_LEVELS.join(
+        ", "
+      )}.`
+    );
+  }
+
+  return {
+    id: rule.id,
+    type: rule.type,
+    value: filterValue,
+    action: rule.action,
+  };
+}
+
+/**
+ * Reads the settings file, runs the pending migrations and validates every value.
+ * Invalid or missing values fall back to their defaults.
+ * The file is rewritten when anything had to be migrated or fixed.
+ * @returns {object} Setting key -> value.
+ */
+function loadSettings() {
+  const filePath = path.join(app.getPath("userData"), SETTINGS_FILE);
+  let version = 0;
+  let stored = {};
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const file = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      version = Number.isInteger(file.version) ? file.version : 0;
+      stored = file.settings || {};
+    }
+  } catch (error) {
+    console.error(
+      "[SettingsService] Error reading settings, using defaults:",
+      error
+    );
+  }
+
+  let needsSave = version < SETTINGS_VERSION;
+  for (let from = version; from < SETTINGS_VERSION; from++) {
+    console.log(
+      `[SettingsService] Migrating settings from version ${from} to ${from + 1}`
+    );
+    stored = MIGRATIONS[from]({ ...stored });
+  }
+
+  const values = getDefaults();
+  Object.entries(stored).forEach(([key, value]) => {
+    try {
+      values[key] = validate(key, value);
+    } catch (error) {
+      console.warn(
+        `[SettingsService] Ignoring stored setting: ${error.message}`
+      );
+      needsSave = true;
+    }
+  });
+
+  if (needsSave) {
+    saveSettings(values);
+  }
+  return values;
+}
+
+/**
+ * Writes the settings file.
+ * @param {object} values - Setting key -> value.
+ */
+function saveSettings(values) {
+  try {
+    const filePath = path.join(app.getPath("userData"), SETTINGS_FILE);
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({ version: SETTINGS_VERSION, settings: values }, null, 2)
+    );
+  } catch (error) {
+    console.error("[SettingsService] Error saving settings:", error);
+  }
+}
+
+/**
+ * Returns the current value of a setting.
+ * Defaults are returned until the settings file has been loaded.
+ * @param {string} key - The setting key.
+ * @returns {any} The value.
+ */
+function get(key) {
+  return settings[key];
+}
+
+/**
+ * Returns every setting.
+ * @returns {object} Setting key -> value.
+ */
+function getAll() {
+  return { ...settings };
+}
+
+/**
+ * Validates, stores and persists a setting, then notifies the subscribers
+ * and every window.
+ * @param {string} key - The setting key.
+ * @param {any} value - The new value.
+ * @returns {any} The stored (normalized) value.
+ * @throws {Error} If the key is unknown or the value is invalid.
+ */
+function set(key, value) {
+  const newValue = validate(key, value);
+  if (settings[key] === newValue) return newValue;
+
+  settings = { ...settings, [key]: newValue };
+  saveSettings(settings);
+  const loggedValue = JSON.stringify(newValue);
+  console.log(
+    loggedValue.length > MAX_LOGGED_VALUE_LENGTH
+      ? `[SettingsService] ${key} set (${loggedValue.length} characters)`
+      : `[SettingsService] ${key} set to ${loggedValue}`
+  );
+
+  listeners.forEach((listener) => {
+    try {
+      listener(key, newValue);
+    } catch (error) {
+      console.error(`[SettingsService] Error in a ${key} subscriber:`, error);
+    }
+  });
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send("settings-changed", {
+      key,
+      value: newValue,
+      settings: getAll(),
+    });
+  });
+  return newValue;
+}
+
+/**
+ * Subscribes to setting changes in the main process.
+ * @param {function(string, any): void} listener - Called with the key and new value.
+ * @returns {function(): void} Unsubscribes the listener.
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Sets up IPC handlers for reading and editing the settings from the renderer.
+ */
+function setupIpcHandlers() {
+  // The schema comes along so the settings panel can render the right inputs
+  ipcMain.handle("get-settings", () => ({
+    settings: getAll(),
+    schema: SCHEMA,
+  }));
+
+  ipcMain.handle("set-setting", (_event, key, value) => {
+    try {
+      set(key, value);
+      return { success: true, settings: getAll() };
+    } catch (error) {
+      return { success: false, error: error.message, settings: getAll() };
+    }
+  });
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  get,
+  getAll,
+  set,
+  subscribe,
+};
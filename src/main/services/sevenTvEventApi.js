@@ -0,0 +1,287 @@
+const WebSocket = require("ws");
+const config = require("../../config");
+
+// 7TV EventAPI opcodes (https://github.com/SevenTV/EventAPI)
+const OPCODES = {
+  DISPATCH: 0,
+  HELLO: 1,
+  HEARTBEAT: 2,
+  RECONNECT: 4,
+  ACK: 5,
+  ERROR: 6,
+  END_OF_STREAM: 7,
+  RESUME: 34,
+  SUBSCRIBE: 35,
+  UNSUBSCRIBE: 36,
+};
+
+// Reconnect backoff bounds in milliseconds
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+// Extra time allowed past the heartbeat interval before the socket is considered dead
+const HEARTBEAT_GRACE_MS = 5000;
+
+let socket = null;
+let sessionId = null;
+let heartbeatIntervalMs = 0;
+let heartbeatTimeoutId = null;
+let reconnectTimeoutId = null;
+let reconnectAttempts = 0;
+
+// Emote set IDs we want "emote_set.update" dispatches for
+const wantedEmoteSets = new Set();
+
+// Emote set IDs subscribed on the current session. A resumed session keeps them,
+// so only the sets wanted since then need a SUBSCRIBE.
+const serverEmoteSets = new Set();
+
+// Callback invoked with (type, body) for every DISPATCH
+let onDispatchCallback = null;
+
+/**
+ * Initializes the 7TV EventAPI client.
+ * @param {function} onDispatch - Callback invoked with (type, body) for each event.
+ */
+function initialize(onDispatch) {
+  onDispatchCallback = onDispatch;
+}
+
+/**
+ * Sends a payload over the socket if it is open.
+ * @param {number} op The opcode.
+ * @param {object} d The payload data.
+ * @returns {boolean} True if the payload was sent.
+ */
+function send(op, d) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ op, d }));
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Sends a SUBSCRIBE or UNSUBSCRIBE for an emote set.
+ * @param {number} op OPCODES.SUBSCRIBE or OPCODES.UNSUBSCRIBE.
+ * @param {string} emoteSetId The 7TV emote set ID.
+ */
+function sendEmoteSetSubscription(op, emoteSetId) {
+  const sent = send(op, {
+    type: "emote_set.update",
+    condition: { object_id: emoteSetId },
+  });
+  if (!sent) return;
+  if (op === OPCODES.SUBSCRIBE) {
+    serverEmoteSets.add(emoteSetId);
+  } else {
+    serverEmoteSets.delete(emoteSetId);
+  }
+}
+
+/**
+ * Brings the session's subscriptions in line with the wanted emote sets: subscribes
+ * to the sets added and unsubscribes from the sets removed while it was not possible.
+ */
+function syncEmoteSetSubscriptions() {
+  wantedEmoteSets.forEach((emoteSetId) => {
+    if (!serverEmoteSets.has(emoteSetId)) {
+      sendEmoteSetSubscription(OPCODES.SUBSCRIBE, emoteSetId);
+    }
+  });
+  Array.from(serverEmoteSets).forEach((emoteSetId) => {
+    if (!wantedEmoteSets.has(emoteSetId)) {
+      sendEmoteSetSubscription(OPCODES.UNSUBSCRIBE, emoteSetId);
+    }
+  });
+}
+
+/**
+ * (Re)arms the heartbeat watchdog. If the server stays silent for longer than
+ * the announced heartbeat interval, the connection is dropped and resumed.
+ */
+function resetHeartbeatWatchdog() {
+  clearTimeout(heartbeatTimeoutId);
+  if (!heartbeatIntervalMs) return;
+  heartbeatTimeoutId = setTimeout(() => {
+    console.warn("[7TV EventAPI] Heartbeat missed. Reconnecting...");
+    if (socket) socket.terminate();
+  }, heartbeatIntervalMs + HEARTBEAT_GRACE_MS);
+}
+
+/**
+ * Handles a single message received from the EventAPI.
+ * @param {string} raw The raw message data.
+ */
+function handleMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    console.warn("[7TV EventAPI] Received invalid JSON:", error.message);
+    return;
+  }
+
+  resetHeartbeatWatchdog();
+
+  switch (message.op) {
+    case OPCODES.HELLO: {
+      const previousSessionId = sessionId;
+      heartbeatIntervalMs = message.d.heartbeat_interval || 0;
+      sessionId = message.d.session_id;
+      reconnectAttempts = 0;
+      resetHeartbeatWatchdog();
+
+      if (previousSessionId) {
+        // Try to resume the previous session so missed dispatches are replayed
+        console.log(`[7TV EventAPI] Resuming session ${previousSessionId}...`);
+        send(OPCODES.RESUME, { session_id: previousSessionId });
+      } else {
+        serverEmoteSets.clear();
+        syncEmoteSetSubscriptions();
+      }
+      break;
+    }
+    case OPCODES.ACK:
+      if (message.d && message.d.command === "RESUME") {
+        const resumed = message.d.data && message.d.data.success;
+        console.log(
+          `[7TV EventAPI] Resume ${resumed ? "succeeded" : "failed"}.`
+        );
+        // A failed resume loses the old subscriptions, so all of them are sent again
+        if (!resumed) serverEmoteSets.clear();
+        syncEmoteSetSubscriptions();
+      }
+      break;
+    case OPCODES.HEARTBEAT:
+      // Nothing to do besides resetting the watchdog (done above)
+      break;
+    case OPCODES.DISPATCH:
+      if (onDispatchCallback && message.d) {
+        onDispatchCallback(message.d.type, message.d.body);
+      }
+      break;
+    case OPCODES.RECONNECT:
+      console.log("[7TV EventAPI] Server requested a reconnect.");
+      if (socket) socket.close();
+      break;
+    case OPCODES.ERROR:
+      console.error("[7TV EventAPI] Server error:", message.d);
+      break;
+    case OPCODES.END_OF_STREAM:
+      console.warn("[7TV EventAPI] End of stream:", message.d);
+      // The session cannot be resumed after an end of stream
+      sessionId = null;
+      serverEmoteSets.clear();
+      break;
+    default:
+      console.log(`[7TV EventAPI] Unhandled opcode: ${message.op}`);
+      break;
+  }
+}
+
+/**
+ * Schedules a reconnect attempt with exponential backoff.
+ */
+function scheduleReconnect() {
+  clearTimeout(reconnectTimeoutId);
+  const delay = Math.min(
+    MIN_RECONNECT_DELAY * 2 ** reconnectAttempts,
+    MAX_RECONNECT_DELAY
+  );
+  reconnectAttempts++;
+  console.log(`[7TV EventAPI] Reconnecting in ${delay}ms...`);
+  reconnectTimeoutId = setTimeout(connect, delay);
+}
+
+/**
+ * Opens the EventAPI websocket if it is not already open.
+ */
+function connect() {
+  if (
+    socket &&
+    (socket.readyState === WebSocket.OPEN ||
+      socket.readyState === WebSocket.CONNECTING)
+  ) {
+    return;
+  }
+
+  console.log(`[7TV EventAPI] Connecting to ${config.SEVENTV_EVENTAPI_URL}...`);
+  const ws = new WebSocket(config.SEVENTV_EVENTAPI_URL);
+  socket = ws;
+
+  ws.on("open", () => {
+    console.log("[7TV EventAPI] Connected.");
+  });
+
+  // Events from a socket we already replaced or closed on purpose are ignored
+  ws.on("message", (data) => {
+    if (socket === ws) handleMessage(data.toString());
+  });
+
+  ws.on("error", (error) => {
+    console.error("[7TV EventAPI] Socket error:", error.message);
+  });
+
+  ws.on("close", (code) => {
+    if (socket !== ws) return;
+    clearTimeout(heartbeatTimeoutId);
+    socket = null;
+    console.warn(`[7TV EventAPI] Connection lost (code ${code}).`);
+    if (wantedEmoteSets.size > 0) {
+      scheduleReconnect();
+    }
+  });
+}
+
+/**
+ * Subscribes to live updates for a 7TV emote set, connecting if needed.
+ * @param {string} emoteSetId The 7TV emote set ID.
+ */
+function subscribeToEmoteSet(emoteSetId) {
+  if (!emoteSetId || wantedEmoteSets.has(emoteSetId)) return;
+  wantedEmoteSets.add(emoteSetId);
+  if (socket && socket.readyState === WebSocket.OPEN && sessionId) {
+    sendEmoteSetSubscription(OPCODES.SUBSCRIBE, emoteSetId);
+  } else {
+    connect(); // Subscriptions are sent once HELLO (or the RESUME ACK) arrives
+  }
+}
+
+/**
+ * Unsubscribes from live updates for a 7TV emote set.
+ * Closes the socket when no subscriptions remain.
+ * @param {string} emoteSetId The 7TV emote set ID.
+ */
+function unsubscribeFromEmoteSet(emoteSetId) {
+  if (!wantedEmoteSets.delete(emoteSetId)) return;
+  sendEmoteSetSubscription(OPCODES.UNSUBSCRIBE, emoteSetId);
+  if (wantedEmoteSets.size === 0) {
+    disconnect();
+  }
+}
+
+/**
+ * Closes the EventAPI connection and drops all subscriptions.
+ */
+function disconnect() {
+  wantedEmoteSets.clear();
+  serverEmoteSets.clear();
+  clearTimeout(reconnectTimeoutId);
+  clearTimeout(heartbeatTimeoutId);
+  sessionId = null;
+  reconnectAttempts = 0;
+  if (socket) {
+    const ws = socket;
+    socket = null; // Detach first so the close handler does not reconnect
+    ws.close();
+    console.log("[7TV EventAPI] Connection closed.");
+  }
+}
+
+module.exports = {
+  initialize,
+  subscribeToEmoteSet,
+  unsubscribeFromEmoteSet,
+  disconnect,
+};
@@ -1,26 +1,44 @@
 const fetch = require("node-fetch");
 const config = require("../../config");
-const { ipcMain } = require("electron");
+const sevenTvEventApi = require("./sevenTvEventApi");
 
 // Emote cache
 let globalSevenTvEmotes = new Map();
-let channelSevenTvEmotes = new Map();
+let channelSevenTvEmotes = new Map(); // Map<twitchUserId, Map<name, url>>
 
-// Reference to the main window
-let mainWindow = null;
+// 7TV emote set subscribed to for live updates, per channel.
+// Also used to match EventAPI updates back to their channel.
+let liveEmoteSetIds = new Map(); // Map<twitchUserId, emoteSetId>
+
+// Callback used to notify the emote provider layer that the cache changed
+let onEmotesChangedCallback = null;
+
+// Callback used to post system lines in chat (e.g. "EmoteX was added by Y")
+let onSystemMessageCallback = null;
 
 // Base URL from 7TV GraphQL API
 const SEVENTV_API_BASE_URL = "https://7tv.io/v3";
 
 /**
  * Initializes the 7TV service.
- * @param {BrowserWindow} mainWindow
+ * @param {function} onEmotesChanged - Callback invoked whenever the cached emotes change.
+ * @param {function} onSystemMessage - Callback invoked with (text, color, twitchUserId) to post a system line in chat.
  */
-function initialize(mainWindow) {
-  mainWindowRef = mainWindow;
+function initialize(onEmotesChanged, onSystemMessage) {
+  onEmotesChangedCallback = onEmotesChanged;
+  onSystemMessageCallback = onSystemMessage;
+  sevenTvEventApi.initialize(handleEventApiDispatch);
   console.log("[7TV Service] Initializing and fetching global emotes...");
   fetchGlobalEmotes();
-  setupIpcHandlers();
+}
+
+/**
+ * Notifies the provider layer that the 7TV emote cache changed.
+ */
+function notifyEmotesChanged() {
+  if (onEmotesChangedCallback) {
+    onEmotesChangedCallback();
+  }
 }
 
 /**
@@ -53,7 +71,7 @@ async function fetchGlobalEmotes() {
     console.log(
       `[7TV Service] Fetched ${globalSevenTvEmotes.size} global 7TV emotes.`
     );
-    sendEmotesToRenderer();
+    notifyEmotesChanged();
   } catch (error) {
     console.error("[7TV Service] Error fetching global 7TV emotes:", error);
   }
@@ -124,7 +142,7 @@ async function fetchChannelEmotes(twitchUserId) {
           `[7TV Service] No 7TV emotes (or user not found) for channel ID: ${twitchUserId}`
         );
         channelSevenTvEmotes.delete(twitchUserId);
-        sendEmotesToRenderer();
+        notifyEmotesChanged();
         return;
       }
       throw new Error(
@@ -152,64 +170,156 @@ async function fetchChannelEmotes(twitchUserId) {
     console.log(
       `[7TV Service] Fetched ${emotesForChannel.size} 7TV emotes for channel ID: ${twitchUserId}`
     );
-    sendEmotesToRenderer();
+    if (data.emote_set && data.emote_set.id) {
+      startLiveUpdates(twitchUserId, data.emote_set.id);
+    }
+    notifyEmotesChanged();
   } catch (error) {
     console.error(
       `[7TV Service] Error fetching 7TV channel emotes for ${twitchUserId}:`,
       error
     );
     channelSevenTvEmotes.delete(twitchUserId);
-    sendEmotesToRenderer();
+    notifyEmotesChanged();
   }
 }
 
 /**
- * Sends the current global and channel emotes to the renderer process.
- * This is crucial for the renderer to display them.
+ * Subscribes to live EventAPI updates for a channel's emote set,
+ * replacing that channel's previous subscription (if the set changed).
+ * @param {string} twitchUserId - The Twitch User ID of the channel.
+ * @param {string} emoteSetId - The 7TV emote set ID of the channel.
  */
-function sendEmotesToRenderer() {
-  if (mainWindowRef && !mainWindowRef.isDestroyed()) {
-    const currentChannelIds = Array.from(channelSevenTvEmotes.keys());
-    const lastFetchedChannelId =
-      currentChannelIds.length > 0
-        ? currentChannelIds[currentChannelIds.length - 1]
-        : null;
-
-    const currentChannelEmotesArray = lastFetchedChannelId
-      ? Array.from(
-          channelSevenTvEmotes.get(lastFetchedChannelId)?.entries() || []
-        )
-      : [];
-
-    mainWindowRef.webContents.send("7tv-emotes-update", {
-      globalEmotes: Array.from(globalSevenTvEmotes.entries()),
-      channelEmotes: currentChannelEmotesArray,
-    });
-    console.log("[7TV Service] Sent emote update to renderer.");
+function startLiveUpdates(twitchUserId, emoteSetId) {
+  const previousEmoteSetId = liveEmoteSetIds.get(twitchUserId);
+  if (previousEmoteSetId === emoteSetId) return;
+  liveEmoteSetIds.set(twitchUserId, emoteSetId);
+  // Subscribe before unsubscribing so the socket is not torn down in between
+  sevenTvEventApi.subscribeToEmoteSet(emoteSetId);
+  if (previousEmoteSetId) {
+    sevenTvEventApi.unsubscribeFromEmoteSet(previousEmoteSetId);
   }
+  console.log(
+    `[7TV Service] Listening for updates to emote set ${emoteSetId} (channel ID: ${twitchUserId}).`
+  );
 }
 
 /**
- * Sets up IPC handlers for renderer process to request emotes.
+ * Stops live EventAPI updates for one channel (e.g. when leaving it),
+ * or for every channel when no ID is given (e.g. when disconnecting from chat).
+ * @param {string} [twitchUserId] - The Twitch User ID of the channel.
  */
-function setupIpcHandlers() {
-  ipcMain.handle("get-7tv-global-emotes", () => {
-    return Array.from(globalSevenTvEmotes.entries());
+function stopLiveUpdates(twitchUserId) {
+  if (twitchUserId) {
+    const emoteSetId = liveEmoteSetIds.get(twitchUserId);
+    if (!emoteSetId) return;
+    liveEmoteSetIds.delete(twitchUserId);
+    sevenTvEventApi.unsubscribeFromEmoteSet(emoteSetId);
+    return;
+  }
+  liveEmoteSetIds.clear();
+  sevenTvEventApi.disconnect();
+}
+
+/**
+ * Builds the image URL for a 7TV emote object, if it has host data.
+ * @param {object} emote - An emote object from the 7TV API or EventAPI.
+ * @returns {string|null} The emote image URL.
+ */
+function getEmoteUrl(emote) {
+  if (emote && emote.data && emote.data.host && emote.data.host.url) {
+    return `${emote.data.host.url}/2x.webp`;
+  }
+  return null;
+}
+
+/**
+ * Handles a dispatch from the 7TV EventAPI.
+ * Applies "emote_set.update" add/remove/update diffs to the matching channel's cache,
+ * then pushes an emotes update and posts a system line for each visible change
+ * (an update that only swaps the image is applied without a line).
+ * @param {string} type - The dispatch type.
+ * @param {object} body - The dispatch body.
+ */
+function handleEventApiDispatch(type, body) {
+  if (type !== "emote_set.update" || !body) return;
+
+  const twitchUserId = Array.from(liveEmoteSetIds.entries()).find(
+    ([, emoteSetId]) => emoteSetId === body.id
+  )?.[0];
+  if (!twitchUserId) return;
+
+  const emotesForChannel = channelSevenTvEmotes.get(twitchUserId) || new Map();
+  const actor =
+    (body.actor && (body.actor.display_name || body.actor.username)) ||
+    "someone";
+  const changes = [];
+  let appliedCount = 0;
+
+  (body.pushed || []).forEach((change) => {
+    const emote = change.value;
+    const emoteUrl = getEmoteUrl(emote);
+    if (change.key !== "emotes" || !emote || !emote.name || !emoteUrl) return;
+    emotesForChannel.set(emote.name, emoteUrl);
+    appliedCount++;
+    changes.push(`${emote.name} was added by ${actor}.`);
   });
 
-  ipcMain.handle("get-7tv-channel-emotes", () => {
-    const currentChannelIds = Array.from(channelSevenTvEmotes.keys());
-    const lastFetchedChannelId =
-      currentChannelIds.length > 0
-        ? currentChannelIds[currentChannelIds.length - 1]
-        : null;
-
-    return lastFetchedChannelId
-      ? Array.from(
-          channelSevenTvEmotes.get(lastFetchedChannelId)?.entries() || []
-        )
-      : [];
+  (body.pulled || []).forEach((change) => {
+    const emote = change.old_value;
+    if (change.key !== "emotes" || !emote || !emote.name) return;
+    emotesForChannel.delete(emote.name);
+    appliedCount++;
+    changes.push(`${emote.name} was removed by ${actor}.`);
+  });
+
+  (body.updated || []).forEach((change) => {
+    const oldEmote = change.old_value;
+    const newEmote = change.value;
+    if (change.key !== "emotes" || !oldEmote || !newEmote) return;
+    const emoteUrl =
+      getEmoteUrl(newEmote) || emotesForChannel.get(oldEmote.name);
+    emotesForChannel.delete(oldEmote.name);
+    if (newEmote.name && emoteUrl) {
+      emotesForChannel.set(newEmote.name, emoteUrl);
+    }
+    appliedCount++;
+    if (oldEmote.name !== newEmote.name) {
+      changes.push(
+        `${oldEmote.name} was renamed to ${newEmote.name} by ${actor}.`
+      );
+    }
   });
+
+  if (appliedCount === 0) return;
+
+  channelSevenTvEmotes.set(twitchUserId, emotesForChannel);
+  console.log(
+    `[7TV Service] Applied ${appliedCount} live emote change(s) for channel ID: ${twitchUserId}`
+  );
+  notifyEmotesChanged();
+  if (onSystemMessageCallback) {
+    changes.forEach((text) =>
+      onSystemMessageCallback(`7TV: ${text}`, "#29B6F6", twitchUserId)
+    );
+  }
+}
+
+/**
+ * Returns the cached global 7TV emotes.
+ * @returns {Map<string, string>} Map of emote name to image URL.
+ */
+function getGlobalEmotes() {
+  return globalSevenTvEmotes;
+}
+
+/**
+ * Returns the cached 7TV emotes for a channel.
+ * @param {string} twitchUserId - The Twitch User ID of the channel.
+ * @returns {Map<string, string>} Map of emote name to image URL (empty if none cached).
+ */
+function getChannelEmotes(twitchUserId) {
+  return channelSevenTvEmotes.get(twitchUserId) || new Map();
 }
 
 module.exports = {
@@ -217,4 +327,7 @@ module.exports = {
   fetchGlobalEmotes,
   fetchChannelEmotes,
   getTwitchUserId,
+  getGlobalEmotes,
+  getChannelEmotes,
+  stopLiveUpdates,
 };
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const { app, safeStorage } = require("electron");
+
+// Encrypted auth file under userData
+const TOKEN_FILE = "auth-tokens.bin";
+
+/**
+ * Returns the full path of the encrypted token file.
+ * @returns {string} The file path.
+ */
+function getTokenFilePath() {
+  return path.join(app.getPath("userData"), TOKEN_FILE);
+}
+
+/**
+ * Encrypts and saves the auth details with Electron safeStorage.
+ * Does nothing if OS-level encryption is not available, so tokens are never written in plain text.
+ * @param {object} authDetails - { token, refreshToken, username }
+ * @returns {boolean} True if the tokens were saved.
+ */
+function saveTokens(authDetails) {
+  if (!safeStorage.isEncryptionAvailable()) {
+    console.warn(
+      "[TokenStorage] Encryption is not available. Login will not be persisted."
+    );
+    return false;
+  }
+  try {
+    const encrypted = safeStorage.encryptString(
+      JSON.stringify({
+        token: authDetails.token,
+        refreshToken: authDetails.refreshToken,
+        username: authDetails.username,
+      })
+    );
+    fs.writeFileSync(getTokenFilePath(), encrypted);
+    console.log("[TokenStorage] Saved encrypted auth tokens.");
+    return true;
+  } catch (error) {
+    console.error("[TokenStorage] Error saving auth tokens:", error);
+    return false;
+  }
+}
+
+/**
+ * Loads and decrypts the stored auth details.
+ * @returns {object|null} { token, refreshToken, username } or null if none/unreadable.
+ */
+function loadTokens() {
+  const filePath = getTokenFilePath();
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  if (!safeStorage.isEncryptionAvailable()) {
+    console.warn("[TokenStorage] Encryption is not available. Cannot load.");
+    return null;
+  }
+  try {
+    const decrypted = safeStorage.decryptString(fs.readFileSync(filePath));
+    const authDetails = JSON.parse(decrypted);
+    if (!authDetails.token || !authDetails.refreshToken) {
+      return null;
+    }
+    return authDetails;
+  } catch (error) {
+    console.error("[TokenStorage] Error loading auth tokens:", error);
+    return null;
+  }
+}
+
+/**
+ * Deletes the stored auth tokens.
+ */
+function clearTokens() {
+  try {
+    const filePath = getTokenFilePath();
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log("[TokenStorage] Deleted stored auth tokens.");
+    }
+  } catch (error) {
+    console.error("[TokenStorage] Error deleting auth tokens:", error);
+  }
+}
+
+module.exports = {
+  saveTokens,
+  loadTokens,
+  clearTokens,
+};
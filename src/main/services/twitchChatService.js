@@ -1,28 +1,102 @@
 const tmi = require("tmi.js");
 const config = require("../../config");
+const chatLogService = require("./chatLogService");
+const browserSourceServer = require("./browserSourceServer");
+const highlightService = require("./highlightService");
+const filterService = require("./filterService");
+const settingsService = require("./settingsService");
+const userEmoteService = require("./userEmoteService");
+const chatCommandService = require("./chatCommandService");
+const helixClient = require("./helixClient");
+const { createChatMessageBatcher } = require("./chatMessageBatcher");
 
-// This client will be shared across connect/disconnect calls
+// This client will be shared across connect/disconnect calls.
+// A single IRC connection joins and parts every channel.
 let twitchClient = null;
-let currentChannel = null;
+let connectPromise = null; // Pending client.connect() while the connection is being opened
+let joinedChannels = new Set(); // Normalized channel names (lowercase, no "#")
+let channelIds = new Map(); // Normalized channel name -> broadcaster ID (from ROOMSTATE)
+let clientAuth = null; // Auth details the client connected with, for the Helix calls of chat commands
 let mainWindow = null;
 
 // Twitch API credentials
 const TWITCH_CLIENT_ID = config.TWITCH_CLIENT_ID || null;
 
+// Twitch logins: 1-25 lowercase letters, digits and underscores.
+// Channel names end up in log folder names, so nothing else is accepted.
+const CHANNEL_NAME_PATTERN = /^[a-z0-9_]{1,25}$/;
+
+// Names of the subscription plans, by the msg-param-sub-plan tag of USERNOTICEs
+const SUB_PLAN_NAMES = {
+  Prime: "Prime",
+  1000: "Tier 1",
+  2000: "Tier 2",
+  3000: "Tier 3",
+};
+
+// Accent colors of announcements, by their msg-param-color tag.
+// PRIMARY is the channel's own color, which chat doesn't know; Twitch purple stands in.
+const ANNOUNCEMENT_COLORS = {
+  PRIMARY: "#9146FF",
+  BLUE: "#00D6D6",
+  GREEN: "#00DB84",
+  ORANGE: "#FFB31A",
+  PURPLE: "#9146FF",
+};
+
+// Accent colors of the other event cards
+const EVENT_COLORS = {
+  sub: "#9146FF",
+  prime: "#00A8FC",
+  gift: "#FF75E6",
+  bits: "#FFD700", // Gold, like cheers
+  watchStreak: "#00DB84",
+};
+
+// How the service reaches Twitch: the IRC client factory and the HTTP layer for Helix.
+// Tests swap these out to run against a local stand-in server.
+const DEFAULT_TRANSPORT = {
+  createClient: (options) => new tmi.Client(options),
+  fetch: (...args) => fetch(...args),
+  helixBaseUrl: helixClient.HELIX_BASE_URL,
+};
+let transport = DEFAULT_TRANSPORT;
+
 /**
  * Initialize the Twitch chat service with the main window reference.
  * @param {BrowserWindow} window - The main Electron BrowserWindow instance.
+ * @param {object} [transportOverrides] - Replaces parts of the default transport:
+ *   { createClient(options): tmi.Client, fetch(url, init): Promise<Response>, helixBaseUrl }.
  */
-function initialize(window) {
+function initialize(window, transportOverrides = {}) {
   mainWindow = window;
+  transport = { ...DEFAULT_TRANSPORT, ...transportOverrides };
 }
 
+// Chat lines waiting to be sent to the renderer as one "chat-messages" batch
+const chatMessageBatcher = createChatMessageBatcher((messages) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("chat-messages", messages);
+  }
+});
+
 /**
  * Sends an IPC message to the renderer process.
+ * Chat, moderation and connection events are also recorded by the chat log recorder
+ * and mirrored to the pages connected to the browser source server.
+ * Chat lines reach the renderer in "chat-messages" batches; other events flush the
+ * pending batch first so they never overtake the lines they refer to.
  * @param {string} channel The IPC channel name.
  * @param {any} data The data to send.
  */
 function sendToRenderer(channel, data) {
+  chatLogService.recordIpcEvent(channel, data);
+  browserSourceServer.broadcast(channel, data);
+  if (channel === "chat-message") {
+    chatMessageBatcher.push(data);
+    return;
+  }
+  chatMessageBatcher.flush();
   if (mainWindow && !mainWindow.isDestroyed()) {
     mainWindow.webContents.send(channel, data);
   }
@@ -36,23 +110,59 @@ function sendToRenderer(channel, data) {
  * @param {string} color
  * @param {boolean} isSystem - True if this is a system message (for specific styling/logic in renderer)
  * @param {boolean} isAction - True if it's an /me message
+ * @param {string|null} channel - The channel the message belongs to
  */
 function sendChatMessage(
   username,
   text,
   color,
   isSystem = false,
-  isAction = false
+  isAction = false,
+  channel = null
 ) {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send("chat-message", {
-      username,
-      text,
-      color,
-      isSystem,
-      isAction,
+  sendToRenderer("chat-message", {
+    channel,
+    username,
+    text,
+    color,
+    isSystem,
+    isAction,
+  });
+}
+
+/**
+ * Sends a chat message from Twitch through the filter and highlight rules to the renderer.
+ * Filter rules only change what the overlay and browser source show: hidden messages
+ * are still recorded in the chat log, with their filter action, for reviewing incidents.
+ * @param {object} messageData The chat message payload.
+ * @param {string|null} username The logged-in user's login, to find mentions.
+ */
+function sendFilteredChatMessage(messageData, username) {
+  const filtered = filterService.applyFilters(messageData);
+  if (!filtered) {
+    chatLogService.recordIpcEvent("chat-message", {
+      ...messageData,
+      filter: filterService.findFilter(messageData),
     });
+    return;
   }
+
+  // Mentions and keyword rules add a highlight (and may notify the user)
+  sendToRenderer(
+    "chat-message",
+    highlightService.applyHighlights(filtered, username)
+  );
+}
+
+/**
+ * Posts a system line in a channel's chat, through the same batching, logging and
+ * browser source mirror as every other chat line. Used by the other services.
+ * @param {string|null} channel The channel the line belongs to (null: the shown tab).
+ * @param {string} text The message text.
+ * @param {string} color The message color.
+ */
+function sendSystemMessage(channel, text, color) {
+  sendChatMessage("System", text, color, true, false, channel);
 }
 
 /**
@@ -72,16 +182,15 @@ function getLuminance(hex) {
 
 /**
  * Ensures a color is readable on a dark background.
- * If the color is too dark, it returns a fallback color.
+ * If the color is darker than the "chat.minLuminance" setting,
+ * it returns the "chat.fallbackColor" setting instead.
  * @param {string} originalColor The original hex color from Twitch or generated.
  * @returns {string} A readable hex color.
  */
-const MIN_LUMINANCE = 40;
-const FALLBACK_COLOR = "#AAAAAA";
-
 function ensureReadableColor(originalColor) {
+  const fallbackColor = settingsService.get("chat.fallbackColor");
   if (!originalColor) {
-    return FALLBACK_COLOR;
+    return fallbackColor;
   }
 
   // Convert potential 3-digit hex to 6-digit
@@ -93,8 +202,8 @@ function ensureReadableColor(originalColor) {
 
   const luminance = getLuminance(hex);
 
-  if (luminance < MIN_LUMINANCE) {
-    return FALLBACK_COLOR;
+  if (luminance < settingsService.get("chat.minLuminance")) {
+    return fallbackColor;
   }
   return originalColor;
 }
@@ -149,7 +258,7 @@ async function doesChannelExist(channelName, accessToken) {
     return false;
   }
 
-  const url = `https://api.twitch.tv/helix/users?login=${encodeURIComponent(
+  const url = `${transport.helixBaseUrl}/users?login=${encodeURIComponent(
     channelName
   )}`;
   console.log(
@@ -157,7 +266,7 @@ async function doesChannelExist(channelName, accessToken) {
   );
 
   try {
-    const response = await fetch(url, {
+    const response = await transport.fetch(url, {
       headers: {
         "Client-ID": TWITCH_CLIENT_ID,
         Authorization: `Bearer ${accessToken}`,
@@ -185,146 +294,340 @@ async function doesChannelExist(channelName, accessToken) {
 }
 
 /**
- * Connects to a Twitch channel.
- * @param {string} channelName The name of the Twitch channel to connect to.
+ * Normalizes a channel name to the lowercase login without the leading "#".
+ * tmi.js reports channels as "#name", while the renderer uses plain names.
+ * @param {string} channel The channel name (with or without "#").
+ * @returns {string} The normalized channel name.
  */
-async function connectToChannel(channelName, authDetails) {
-  if (!mainWindow) {
-    console.error("TwitchChatService not initialized with mainWindow.");
-    return;
-  }
+function normalizeChannel(channel) {
+  return (channel || "").replace(/^#/, "").toLowerCase();
+}
 
-  if (!authDetails || !authDetails.token || !authDetails.username) {
-    console.warn(
-      "[TwitchChatService] Connection denied: Authentication required."
-    );
-    sendToRenderer("connection-status", {
-      status: "error",
-      channel: channelName,
-      error: "Authentication required to connect to chat.",
-    });
-    sendToRenderer("chat-message", {
-      username: "System",
-      text: "Connection failed: Please authenticate with Twitch first.",
-      color: "#FF0000",
-      isSystem: true,
-    });
-    return; // Exit the function if not authenticated
-  }
+/**
+ * Checks whether the logged-in user is a moderator or the broadcaster of a joined channel,
+ * based on the USERSTATE TMI.js received when joining it.
+ * @param {tmi.Client} client The TMI client instance.
+ * @param {string} channel The channel as reported by TMI.js ("#name").
+ * @returns {boolean} True if the user can moderate the channel.
+ */
+function isModeratorIn(client, channel) {
+  const userstate = (client.userstate && client.userstate[channel]) || {};
+  return (
+    userstate.mod === true ||
+    !!(userstate.badges && userstate.badges.broadcaster)
+  );
+}
 
-  if (twitchClient && twitchClient.readyState() === "OPEN") {
-    console.warn("Already connected to a Twitch channel. Disconnecting first.");
-    await disconnectFromChannel();
+/**
+ * Sends a moderation event (deleted message, timeout, ban or chat clear) to the renderer
+ * so it can hide the affected lines.
+ * @param {string} channel The channel as reported by TMI.js ("#name").
+ * @param {Object} event The event ({ type, messageId?, targetUser?, duration? }).
+ */
+function sendModerationEvent(channel, event) {
+  const moderationEvent = { channel: normalizeChannel(channel), ...event };
+  if (moderationEvent.targetUser) {
+    moderationEvent.targetUser = moderationEvent.targetUser.toLowerCase();
   }
+  sendToRenderer("chat-moderation", moderationEvent);
+}
 
-  // Check if channel exists before attempting TMI.js connection
-  sendToRenderer("connection-status", {
-    status: "connecting",
-    channel: channelName,
-    message: "Verifying channel existence...", // Inform UI about the check
-  });
+/**
+ * Maps a chat message and its IRC tags (as parsed by TMI.js) to the payload sent to the renderer.
+ * @param {string} channel The channel as reported by TMI.js ("#name").
+ * @param {object} tags The message tags.
+ * @param {string} message The message text.
+ * @returns {object} The chat message payload.
+ */
+function createChatMessagePayload(channel, tags, message) {
+  // Determine the color, applying fallback logic,
+  const rawColor = tags["color"] || getColorFromUsername(tags.username);
+  const finalColor = ensureReadableColor(rawColor);
 
-  const channelExists = await doesChannelExist(channelName, authDetails.token);
+  // Extract relevant data from the message
+  return {
+    channel: normalizeChannel(channel),
+    username: tags["display-name"] || tags.username,
+    text: message,
+    color: finalColor,
+    badges: tags.badges, // e.g. { subscriber: "12", predictions: "blue-1" }
+    badgeInfo: tags["badge-info"], // e.g. { subscriber: "14" } (months subscribed)
+    isMod: tags.mod,
+    isSub: tags.subscriber,
+    isVip: tags.vip,
+    isBroadcaster: tags["user-id"] === tags["room-id"],
+    messageId: tags.id,
+    login: tags.username, // Lowercase login, used to match timeouts and bans
+    userId: tags["user-id"], // Needed for Helix moderation actions
+    roomId: tags["room-id"], // The channel's broadcaster ID
+    emotes: tags.emotes, // Raw emotes data
+    isAction: tags["message-type"] === "action", // Sent with /me
+    // The message this one replies to, when it is a threaded reply
+    ...(tags["reply-parent-msg-id"] && {
+      reply: {
+        parentMessageId: tags["reply-parent-msg-id"],
+        parentLogin: tags["reply-parent-user-login"],
+        parentUsername:
+          tags["reply-parent-display-name"] || tags["reply-parent-user-login"],
+        parentText: tags["reply-parent-msg-body"] || "",
+      },
+    }),
+  };
+}
 
-  if (!channelExists) {
-    console.warn(
-      `[TwitchChatService] Channel '${channelName}' does not exist on Twitch.`
-    );
-    sendToRenderer("connection-status", {
-      status: "error",
-      channel: channelName,
-      error: `Channel '${channelName}' not found. Please check the spelling.`,
-    });
-    return; // Stop the connection attempt if channel doesn't exist
+/**
+ * Describes a USERNOTICE as a typed event for the renderer's event cards.
+ * Prime subscriptions keep the sub or resub type, with isPrime set.
+ * @param {object} tags The notice tags, as parsed by TMI.js.
+ * @returns {object|null} The event ({ type, title, color, ...details }), or null for
+ *   notices that are not events (raids have their own handler; unknown types).
+ */
+function createUserNoticeEvent(tags) {
+  const msgId = tags["msg-id"] || "";
+  const username = tags["display-name"] || tags.login;
+  const plan = tags["msg-param-sub-plan"] || "";
+  const planName = SUB_PLAN_NAMES[plan] || plan;
+  const isPrime = plan === "Prime";
+  // TMI.js turns "1" and "0" into booleans, which Number() turns back
+  const count = (key) => Number(tags[key]) || 0;
+  const gifter =
+    msgId.startsWith("anon") || tags.login === "ananonymousgifter"
+      ? "An anonymous gifter"
+      : username;
+
+  switch (msgId) {
+    case "sub":
+    case "resub": {
+      const months = count("msg-param-cumulative-months") || 1;
+      // The streak is only there when the user chose to share it
+      const streakMonths = tags["msg-param-should-share-streak"]
+        ? count("msg-param-streak-months")
+        : 0;
+      const how = isPrime ? "with Prime" : `at ${planName}`;
+      return {
+        type: msgId,
+        isPrime,
+        plan,
+        months,
+        streakMonths,
+        color: isPrime ? EVENT_COLORS.prime : EVENT_COLORS.sub,
+        title:
+          msgId === "sub"
+            ? `${username} subscribed ${how}!`
+            : `${username} resubscribed ${how} for ${months} months${
+                streakMonths > 1 ? ` (${streakMonths} in a row)` : ""
+              }!`,
+      };
+    }
+    case "subgift":
+    case "anonsubgift": {
+      const recipient =
+        tags["msg-param-recipient-display-name"] ||
+        tags["msg-param-recipient-user-name"];
+      const months = count("msg-param-gift-months") || 1;
+      return {
+        type: "subgift",
+        plan,
+        recipient,
+        months,
+        senderTotal: count("msg-param-sender-count"),
+        // Set on each gift of a mystery gift, which has its own card
+        communityGiftId: tags["msg-param-community-gift-id"] || null,
+        color: EVENT_COLORS.gift,
+        title: `${gifter} gifted ${
+          months > 1 ? `${months} months of ${planName}` : `a ${planName} sub`
+        } to ${recipient}!`,
+      };
+    }
+    case "submysterygift":
+    case "anonsubmysterygift": {
+      const giftCount = count("msg-param-mass-gift-count");
+      const senderTotal = count("msg-param-sender-count");
+      return {
+        type: "submysterygift",
+        plan,
+        count: giftCount,
+        senderTotal,
+        color: EVENT_COLORS.gift,
+        title: `${gifter} is gifting ${giftCount} ${planName} sub${
+          giftCount === 1 ? "" : "s"
+        } to the community!${
+          senderTotal > giftCount
+            ? ` They've gifted ${senderTotal} in the channel.`
+            : ""
+        }`,
+      };
+    }
+    case "announcement":
+      return {
+        type: "announcement",
+        color:
+          ANNOUNCEMENT_COLORS[tags["msg-param-color"]] ||
+          ANNOUNCEMENT_COLORS.PRIMARY,
+        title: "Announcement",
+      };
+    case "bitsbadgetier": {
+      const threshold = count("msg-param-threshold");
+      return {
+        type: "bitsbadgetier",
+        threshold,
+        color: EVENT_COLORS.bits,
+        title: `${username} earned the ${threshold.toLocaleString(
+          "en-US"
+        )} Bits badge!`,
+      };
+    }
+    case "viewermilestone": {
+      if (tags["msg-param-category"] !== "watch-streak") return null;
+      const streak = count("msg-param-value");
+      return {
+        type: "watchstreak",
+        streak,
+        color: EVENT_COLORS.watchStreak,
+        title: `${username} watched ${streak} streams in a row!`,
+      };
+    }
+    default:
+      return null;
   }
+}
 
-  currentChannel = channelName.toLowerCase();
+/**
+ * Maps a USERNOTICE (sub, resub, gift, announcement, ...) to the chat message payload
+ * of an event card: the user who caused it, their optional message and the typed event.
+ * @param {string} channel The channel as reported by TMI.js ("#name").
+ * @param {object} tags The notice tags.
+ * @param {string} [message] The message the user attached (resubs, announcements).
+ * @returns {object|null} The payload, or null when the notice is not an event.
+ */
+function createUserNoticePayload(channel, tags, message) {
+  const event = createUserNoticeEvent(tags);
+  if (!event) return null;
 
-  // Create a new TMI client instance
-  twitchClient = new tmi.Client({
-    connection: {
-      reconnect: true,
-      secure: true,
-    },
-    channels: [currentChannel],
-    identity: {
-      username: authDetails.username,
-      password: "oauth:" + authDetails.token, // TMI.js requires 'oauth:' prefix for tokens
-    },
-  });
+  const rawColor = tags["color"] || getColorFromUsername(tags.login || "");
+  return {
+    channel: normalizeChannel(channel),
+    username: tags["display-name"] || tags.login,
+    text: message || "",
+    color: ensureReadableColor(rawColor),
+    badges: tags.badges,
+    badgeInfo: tags["badge-info"],
+    messageId: tags.id,
+    login: tags.login, // Lets timeouts and bans hide the attached message
+    userId: tags["user-id"],
+    roomId: tags["room-id"],
+    emotes: tags.emotes,
+    event,
+  };
+}
 
-  console.log(
-    `[TwitchChatService] Attempting to connect as ${authDetails.username} with OAuth token...`
+/**
+ * Tells whether an event card should be shown, from the "events.*" settings.
+ * The single gifts of a mystery gift never are: the mystery gift's card covers them.
+ * @param {object} event The event (see createUserNoticeEvent).
+ * @returns {boolean} True if the card should be shown.
+ */
+function isEventShown(event) {
+  if (event.communityGiftId) return false;
+  return !!settingsService.get(
+    event.isPrime ? "events.prime" : `events.${event.type}`
   );
-  // Register event handlers
+}
 
-  // -- Connect to Twitch IRC
-  twitchClient.on("connected", (address, port) => {
+/**
+ * Sends a USERNOTICE to the renderer as an event card, unless its type is turned off.
+ * @param {string} channel The channel as reported by TMI.js ("#name").
+ * @param {object} tags The notice tags.
+ * @param {string} [message] The message the user attached.
+ */
+function sendUserNotice(channel, tags, message) {
+  const payload = createUserNoticePayload(channel, tags, message);
+  if (!payload) {
     console.log(
-      `[TwitchChatService] Connected to ${address}:${port}, channel: ${currentChannel}`
+      `[TwitchChatService] Unhandled USERNOTICE msg-id: ${tags["msg-id"]}`
     );
+    return;
+  }
+  if (isEventShown(payload.event)) {
+    sendToRenderer("chat-message", payload);
+  }
+}
+
+/**
+ * Registers the chat event handlers on a TMI client.
+ * Every payload sent to the renderer is tagged with the channel it belongs to.
+ * @param {tmi.Client} client The TMI client instance.
+ */
+function registerClientEventHandlers(client) {
+  // -- Connect to Twitch IRC
+  client.on("connected", (address, port) => {
+    console.log(`[TwitchChatService] Connected to ${address}:${port}`);
+  });
+
+  // -- Handle channel joins (also fired again when TMI.js rejoins after a reconnect)
+  client.on("join", (channel, username, self) => {
+    if (!self) return;
+    const joinedChannel = normalizeChannel(channel);
+    console.log(`[TwitchChatService] Joined channel: ${joinedChannel}`);
     sendToRenderer("connection-status", {
       status: "connected",
-      channel: currentChannel,
+      channel: joinedChannel,
+      isModerator: isModeratorIn(client, channel),
     });
   });
 
-  // -- Handle disconnection
-  twitchClient.on("disconnected", (reason) => {
+  // -- Remember each channel's ID, which the Helix endpoints of chat commands need
+  client.on("roomstate", (channel, state) => {
+    if (state["room-id"]) {
+      channelIds.set(normalizeChannel(channel), state["room-id"]);
+    }
+  });
+
+  // -- Handle disconnection (the whole IRC connection, so every joined channel is affected)
+  client.on("disconnected", (reason) => {
     console.log(`[TwitchChatService] Disconnected: ${reason}`);
-    sendToRenderer("connection-status", {
-      status: "disconnected",
-      reason: reason,
+    joinedChannels.forEach((channel) => {
+      sendToRenderer("connection-status", {
+        status: "disconnected",
+        channel,
+        reason: reason || "Connection lost", // TMI.js gives no reason when the socket just drops
+      });
     });
   });
 
   // -- Handle messages
-  twitchClient.on("message", (channel, tags, message, self) => {
+  client.on("message", (channel, tags, message, self) => {
     // Ignore messages from ourselves
     if (self) return;
 
-    // Determine the color, applying fallback logic,
-    const rawColor = tags["color"] || getColorFromUsername(tags.username);
-    const finalColor = ensureReadableColor(rawColor);
-
-    // Extract relevant data from the message
-    const messageData = {
-      username: tags["display-name"] || tags.username,
-      text: message,
-      color: finalColor,
-      // Add more tags here if needed, like badges, emotes, etc.
-      isMod: tags.mod,
-      isSub: tags.subscriber,
-      isVip: tags.vip,
-      isBroadcaster: tags["user-id"] === tags["room-id"],
-      messageId: tags.id,
-      emotes: tags.emotes, // Raw emotes data
-    };
-
-    sendToRenderer("chat-message", messageData);
+    sendFilteredChatMessage(
+      createChatMessagePayload(channel, tags, message),
+      client.getUsername()
+    );
   });
 
   // -- Handle cheers
-  twitchClient.on("cheer", (channel, tags, message) => {
-    const rawColor = tags["color"] || "#FFD700";
-    const finalColor = ensureReadableColor(rawColor);
-
-    const messageData = {
-      username: tags["display-name"] || tags.username,
-      text: message,
-      color: finalColor, // Gold for cheers
-      isCheer: true,
-      bits: tags.bits,
-      messageId: tags.id,
-      emotes: tags.emotes, // Raw emotes data
-    };
-
-    sendToRenderer("chat-message", messageData);
+  client.on("cheer", (channel, tags, message) => {
+    sendFilteredChatMessage(
+      {
+        ...createChatMessagePayload(channel, tags, message),
+        color: ensureReadableColor(tags["color"] || "#FFD700"), // Gold for cheers
+        isCheer: true,
+        bits: tags.bits,
+      },
+      client.getUsername()
+    );
   });
 
   // -- Handle timeouts
-  twitchClient.on("timeout", (channel, username, reason, duration) => {
+  client.on("timeout", (channel, username, reason, duration) => {
+    sendModerationEvent(channel, {
+      type: "timeout",
+      targetUser: username,
+      duration,
+    });
     const messageData = {
+      channel: normalizeChannel(channel),
       username: "System",
       text: `${username} has been timed out for ${duration} seconds. Reason: ${
         reason || "N/A"
@@ -335,8 +638,10 @@ async function connectToChannel(channelName, authDetails) {
   });
 
   // -- Handle bans
-  twitchClient.on("ban", (channel, username, reason) => {
+  client.on("ban", (channel, username, reason) => {
+    sendModerationEvent(channel, { type: "ban", targetUser: username });
     const messageData = {
+      channel: normalizeChannel(channel),
       username: "System",
       text: `${username} has been banned. Reason: ${reason || "N/A"}`,
       color: "#DC143C",
@@ -344,9 +649,32 @@ async function connectToChannel(channelName, authDetails) {
     sendToRenderer("chat-message", messageData);
   });
 
+  // -- Handle single message deletions (CLEARMSG)
+  client.on("messagedeleted", (channel, username, deletedMessage, tags) => {
+    sendModerationEvent(channel, {
+      type: "delete",
+      messageId: tags["target-msg-id"],
+      targetUser: username,
+    });
+  });
+
+  // -- Handle full chat clears (CLEARCHAT without a target user)
+  client.on("clearchat", (channel) => {
+    sendModerationEvent(channel, { type: "clear" });
+    sendChatMessage(
+      "System",
+      "Chat was cleared by a moderator.",
+      "#FF6347",
+      true,
+      false,
+      normalizeChannel(channel)
+    );
+  });
+
   // -- Handle raids
-  twitchClient.on("raided", (channel, username, viewers) => {
+  client.on("raided", (channel, username, viewers) => {
     const messageData = {
+      channel: normalizeChannel(channel),
       username: "System",
       text: `${username} is raiding with ${viewers} viewers!`,
       color: "#9370DB",
@@ -354,8 +682,33 @@ async function connectToChannel(channelName, authDetails) {
     sendToRenderer("chat-message", messageData);
   });
 
+  // -- Handle subscriptions, gifts and the other USERNOTICE events.
+  // TMI.js splits them into events with different arguments; all of them carry the tags.
+  client.on("subscription", (channel, username, methods, message, tags) =>
+    sendUserNotice(channel, tags, message)
+  );
+  client.on("resub", (channel, username, months, message, tags) =>
+    sendUserNotice(channel, tags, message)
+  );
+  client.on("subgift", (channel, username, streak, recipient, methods, tags) =>
+    sendUserNotice(channel, tags)
+  );
+  client.on("anonsubgift", (channel, streak, recipient, methods, tags) =>
+    sendUserNotice(channel, tags)
+  );
+  client.on("submysterygift", (channel, username, count, methods, tags) =>
+    sendUserNotice(channel, tags)
+  );
+  client.on("anonsubmysterygift", (channel, count, methods, tags) =>
+    sendUserNotice(channel, tags)
+  );
+  // Announcements, bits badge tiers, watch streaks and types TMI.js doesn't know
+  client.on("usernotice", (msgid, channel, tags, message) =>
+    sendUserNotice(channel, tags, message)
+  );
+
   // -- Handle Twitch IRC notices
-  twitchClient.on("notice", (channel, msgid, message) => {
+  client.on("notice", (channel, msgid, message) => {
     let systemMessageText = message; // Default to the message provided by Twitch
     let systemMessageColor = "#FFA500";
 
@@ -363,7 +716,9 @@ async function connectToChannel(channelName, authDetails) {
     switch (msgid) {
       case "msg_banned":
       case "msg_channel_suspended":
-        systemMessageText = `You are banned from #${channel} chat.`;
+        systemMessageText = `You are banned from #${normalizeChannel(
+          channel
+        )} chat.`;
         systemMessageColor = "#DC143C";
         break;
       case "msg_duplicate":
@@ -399,88 +754,361 @@ async function connectToChannel(channelName, authDetails) {
     }
 
     // Send this system message to the renderer to be displayed in chat
-    sendChatMessage("System", systemMessageText, systemMessageColor, true);
+    sendChatMessage(
+      "System",
+      systemMessageText,
+      systemMessageColor,
+      true,
+      false,
+      normalizeChannel(channel)
+    );
+  });
+}
+
+/**
+ * Creates and connects the shared TMI client if it doesn't exist yet.
+ * Concurrent callers wait for the same pending connection.
+ * @param {object} authDetails The authenticated user's details { token, username }.
+ * @returns {Promise<tmi.Client>} The connected client.
+ */
+async function ensureClient(authDetails) {
+  if (twitchClient) {
+    if (connectPromise) await connectPromise;
+    return twitchClient;
+  }
+
+  // Create a new TMI client instance, channels are joined individually afterwards
+  const client = transport.createClient({
+    options: {
+      // TMI.js looks emote sets up on the retired Kraken API; userEmoteService uses Helix
+      skipUpdatingEmotesets: true,
+    },
+    connection: {
+      reconnect: true,
+      secure: true,
+    },
+    channels: [],
+    identity: {
+      username: authDetails.username,
+      password: "oauth:" + authDetails.token, // TMI.js requires 'oauth:' prefix for tokens
+    },
+  });
+  twitchClient = client;
+  clientAuth = authDetails;
+
+  console.log(
+    `[TwitchChatService] Attempting to connect as ${authDetails.username} with OAuth token...`
+  );
+  registerClientEventHandlers(client);
+
+  // -- The emote sets the user can use (sent with GLOBALUSERSTATE and USERSTATE)
+  client.on("emotesets", (emoteSets) =>
+    userEmoteService.updateEmoteSets(emoteSets, authDetails.token)
+  );
+
+  connectPromise = client.connect();
+  try {
+    await connectPromise;
+  } catch (error) {
+    client.removeAllListeners();
+    twitchClient = null; // Clear client on error
+    clientAuth = null;
+    throw error;
+  } finally {
+    connectPromise = null;
+  }
+  return client;
+}
+
+/**
+ * Connects to a Twitch channel.
+ * Channels share a single IRC connection, so this joins the channel on the
+ * existing connection (creating it first if needed) without leaving the others.
+ * @param {string} channelName The name of the Twitch channel to connect to.
+ */
+async function connectToChannel(channelName, authDetails) {
+  if (!mainWindow) {
+    console.error("TwitchChatService not initialized with mainWindow.");
+    return;
+  }
+
+  const channel = normalizeChannel(channelName);
+
+  if (!CHANNEL_NAME_PATTERN.test(channel)) {
+    console.warn(`[TwitchChatService] Invalid channel name: ${channelName}`);
+    sendToRenderer("connection-status", {
+      status: "error",
+      channel,
+      error: "Not a valid channel name (letters, digits and underscores only).",
+    });
+    return;
+  }
+
+  if (!authDetails || !authDetails.token || !authDetails.username) {
+    console.warn(
+      "[TwitchChatService] Connection denied: Authentication required."
+    );
+    sendToRenderer("connection-status", {
+      status: "error",
+      channel,
+      error: "Authentication required to connect to chat.",
+    });
+    sendToRenderer("chat-message", {
+      channel,
+      username: "System",
+      text: "Connection failed: Please authenticate with Twitch first.",
+      color: "#FF0000",
+      isSystem: true,
+    });
+    return; // Exit the function if not authenticated
+  }
+
+  if (joinedChannels.has(channel)) {
+    console.warn(`[TwitchChatService] Already joined #${channel}.`);
+    sendToRenderer("connection-status", { status: "connected", channel });
+    return;
+  }
+
+  // Check if channel exists before attempting TMI.js connection
+  sendToRenderer("connection-status", {
+    status: "connecting",
+    channel,
+    message: "Verifying channel existence...", // Inform UI about the check
   });
 
-  // Connect
+  const channelExists = await doesChannelExist(channel, authDetails.token);
+
+  if (!channelExists) {
+    console.warn(
+      `[TwitchChatService] Channel '${channel}' does not exist on Twitch.`
+    );
+    sendToRenderer("connection-status", {
+      status: "error",
+      channel,
+      error: `Channel '${channel}' not found. Please check the spelling.`,
+    });
+    return; // Stop the connection attempt if channel doesn't exist
+  }
+
+  // Connect (if needed) and join
   try {
-    await twitchClient.connect();
+    const client = await ensureClient(authDetails);
+    await client.join(channel);
+    joinedChannels.add(channel);
   } catch (error) {
     console.error(
-      `[TwitchChatService] Failed to connect to ${currentChannel}:`,
+      `[TwitchChatService] Failed to connect to ${channel}:`,
       error
     );
     sendToRenderer("connection-status", {
       status: "error",
-      channel: currentChannel,
-      error: error.message,
+      channel,
+      error: error.message || String(error),
     });
-    twitchClient = null; // Clear client on error
   }
 }
 
 /**
- * Disconnects from the current Twitch channel.
+ * Leaves a Twitch channel, or every channel when no name is given.
+ * The IRC connection is closed once no channels remain joined.
+ * @param {string} [channelName] The channel to leave. Omit to leave all channels.
  */
-async function disconnectFromChannel() {
-  if (twitchClient) {
-    try {
-      twitchClient.removeAllListeners(); // Clean up all listeners
-      await twitchClient.disconnect();
-      console.log(`[TwitchChatService] Disconnected from ${currentChannel}`);
+async function disconnectFromChannel(channelName) {
+  if (!twitchClient) return;
+
+  // Leave a single channel while others stay joined
+  if (channelName) {
+    const channel = normalizeChannel(channelName);
+    if (!joinedChannels.has(channel)) return;
+
+    if (joinedChannels.size > 1) {
+      joinedChannels.delete(channel);
+      channelIds.delete(channel);
+      try {
+        await twitchClient.part(channel);
+        console.log(`[TwitchChatService] Left ${channel}`);
+        sendToRenderer("connection-status", {
+          status: "disconnected",
+          channel,
+          reason: "User requested disconnect",
+        });
+      } catch (error) {
+        console.error(`[TwitchChatService] Error leaving ${channel}:`, error);
+        sendToRenderer("connection-status", {
+          status: "disconnected",
+          channel,
+          error: error.message || String(error),
+          reason: "Unexpected error while disconnecting",
+        });
+      }
+      return;
+    }
+  }
+
+  // Last (or every) channel: close the whole connection
+  const channelsToClose = Array.from(joinedChannels);
+  const client = twitchClient;
+  joinedChannels.clear();
+  channelIds.clear();
+  twitchClient = null;
+  clientAuth = null;
+
+  try {
+    client.removeAllListeners(); // Clean up all listeners
+    await client.disconnect();
+    console.log(
+      `[TwitchChatService] Disconnected from ${channelsToClose.join(", ")}`
+    );
+    channelsToClose.forEach((channel) => {
       sendToRenderer("connection-status", {
         status: "disconnected",
-        channel: currentChannel,
+        channel,
         reason: "User requested disconnect",
       });
-      currentChannel = null;
-      twitchClient = null;
-    } catch (error) {
-      console.error(`[TwitchChatService] Error during disconnect:`, error);
+    });
+  } catch (error) {
+    console.error(`[TwitchChatService] Error during disconnect:`, error);
+    channelsToClose.forEach((channel) => {
       sendToRenderer("connection-status", {
         status: "disconnected",
-        channel: currentChannel,
-        error: error.message,
+        channel,
+        error: error.message || String(error),
         reason: "Unexpected error while disconnecting",
       });
-      currentChannel = null;
-      twitchClient = null;
-    }
+    });
   }
 }
 
 /**
  * Gets the current connection status.
- * @returns {object} An object indicating the connection status.
+ * @returns {object} An object indicating the connection status and joined channels.
  */
 function getStatus() {
   if (!twitchClient) {
-    return { status: "disconnected", channel: null };
+    return { status: "disconnected", channels: [] };
   }
   return {
     status: twitchClient.readyState() === "OPEN" ? "connected" : "connecting",
-    channel: currentChannel,
+    channels: Array.from(joinedChannels),
   };
 }
 
 /**
- * Sends a chat message to the currently connected Twitch channel.
+ * Gets the login of the logged-in user the client connected as.
+ * @returns {string|null} The login, or null while disconnected.
+ */
+function getUsername() {
+  return clientAuth ? clientAuth.username : null;
+}
+
+/**
+ * Sends a message as a threaded reply, with the reply-parent-msg-id tag.
+ * TMI.js has no reply command, so the PRIVMSG line is written as is.
+ * @param {string} channel The normalized channel name.
  * @param {string} message The message to send.
+ * @param {string} replyParentMessageId The ID of the message replied to.
+ * @returns {Promise<any>} Resolves once the line was sent.
+ */
+function sendReply(channel, message, replyParentMessageId) {
+  // Both end up in a raw IRC line, so they must not be able to add tags or lines to it
+  if (!/^[\w-]+$/.test(replyParentMessageId)) {
+    return Promise.reject(new Error("Invalid reply message ID."));
+  }
+  const text = message.replace(/[\r\n]+/g, " ");
+  return twitchClient.raw(
+    `@reply-parent-msg-id=${replyParentMessageId} PRIVMSG #${channel} :${text}`
+  );
+}
+
+/**
+ * Calls a Helix endpoint as the logged-in user, for chat commands.
+ * @param {string} method The HTTP method.
+ * @param {string} path The endpoint path below /helix (e.g. "/chat/settings").
+ * @param {object} query Query string parameters.
+ * @param {object} [body] JSON body, if any.
+ * @returns {Promise<object|null>} The response data, or null for empty responses.
+ */
+function callHelix(method, path, query, body) {
+  return helixClient.callHelix(
+    transport,
+    clientAuth && clientAuth.token,
+    method,
+    path,
+    query,
+    body
+  );
+}
+
+/**
+ * Runs a slash command typed in a channel (see chatCommandService) and posts what was
+ * done, or why it failed, as a system line in the channel.
+ * @param {string} channel The normalized channel name.
+ * @param {string} message The message, starting with "/".
+ * @returns {Promise<boolean>} True if the command ran.
+ */
+async function runChatCommand(channel, message) {
+  const tmiChannel = `#${channel}`;
+  const userstate =
+    (twitchClient.userstate && twitchClient.userstate[tmiChannel]) || {};
+  const context = {
+    channel,
+    broadcasterId: channelIds.get(channel) || null,
+    userId: (clientAuth && clientAuth.userId) || null,
+    isModerator: isModeratorIn(twitchClient, tmiChannel),
+    isBroadcaster: !!(userstate.badges && userstate.badges.broadcaster),
+    sendAction: (text) => twitchClient.action(channel, text),
+    callHelix,
+  };
+
+  try {
+    const result = await chatCommandService.runCommand(message, context);
+    console.log(`[TwitchChatService] Ran command in ${channel}: ${message}`);
+    if (result) {
+      sendChatMessage("System", result, "#9370DB", true, false, channel);
+    }
+    return true;
+  } catch (error) {
+    console.warn(
+      `[TwitchChatService] Command failed in ${channel}:`,
+      error.message
+    );
+    sendChatMessage("System", error.message, "#DC143C", true, false, channel);
+    return false;
+  }
+}
+
+/**
+ * Sends a chat message to one of the joined Twitch channels.
+ * Messages starting with "/" are run as chat commands instead (IRC commands are retired).
+ * @param {string} channelName The channel to send the message to.
+ * @param {string} message The message to send.
+ * @param {string|null} [replyParentMessageId] The ID of the message to reply to, if any.
  * @returns {Promise<boolean>} True if message was sent successfully, false otherwise.
  */
-async function sendMessage(message) {
-  if (twitchClient && twitchClient.readyState() === "OPEN" && currentChannel) {
+async function sendMessage(channelName, message, replyParentMessageId = null) {
+  const channel = normalizeChannel(channelName);
+  if (
+    twitchClient &&
+    twitchClient.readyState() === "OPEN" &&
+    joinedChannels.has(channel)
+  ) {
+    if (message.trim().startsWith("/")) {
+      return runChatCommand(channel, message);
+    }
     try {
-      await twitchClient.say(currentChannel, message);
-      console.log(
-        `[TwitchChatService] Message sent to ${currentChannel}: ${message}`
-      );
+      if (replyParentMessageId) {
+        await sendReply(channel, message, replyParentMessageId);
+      } else {
+        await twitchClient.say(channel, message);
+      }
+      console.log(`[TwitchChatService] Message sent to ${channel}: ${message}`);
       return true; // Message sent successfully
     } catch (error) {
       console.error(`[TwitchChatService] Error sending message:`, error);
       sendToRenderer("chat-message", {
+        channel,
         username: "System",
-        text: `Error sending message: ${error.message}`,
+        text: `Error sending message: ${error.message || error}`,
         color: "#FF0000",
         isSystem: true,
       });
@@ -488,12 +1116,13 @@ async function sendMessage(message) {
     }
   } else {
     console.warn(
-      "[TwitchChatService] Cannot send message: Client not connected or channel not set."
+      `[TwitchChatService] Cannot send message: Not connected to #${channel}.`
     );
     // Inform the renderer that the message couldn't be sent due to connection status
     sendToRenderer("chat-message", {
+      channel,
       username: "System",
-      text: "Cannot send message: Not connected to a channel.",
+      text: `Cannot send message: Not connected to #${channel}.`,
       color: "#FF4500",
       isSystem: true,
     });
@@ -507,5 +1136,11 @@ module.exports = {
   connectToChannel,
   disconnectFromChannel,
   getStatus,
+  getUsername,
   sendMessage,
+  sendSystemMessage,
+  createChatMessagePayload,
+  createUserNoticePayload,
+  isEventShown,
+  normalizeChannel,
 };
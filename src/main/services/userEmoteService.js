@@ -0,0 +1,151 @@
+const fetch = require("node-fetch");
+const config = require("../../config");
+const { ipcMain } = require("electron");
+
+// Base URL for the Twitch Helix emote set endpoint
+const HELIX_EMOTE_SETS_URL = "https://api.twitch.tv/helix/chat/emotes/set";
+
+// Helix accepts up to 25 emote set IDs per request
+const SETS_PER_REQUEST = 25;
+
+// Base URL for Twitch's emote CDN, as used by the renderer for emotes in chat
+const TWITCH_EMOTE_CDN_URL = "https://static-cdn.jtvnw.net/emoticons/v2";
+
+// Reference to the main window
+let mainWindow = null;
+
+// Emote sets the user can use (from the emote-sets tag), as a sorted, comma-separated key
+let loadedSetsKey = "";
+
+// The user's Twitch emotes: Map<name, url>
+let userEmotes = new Map();
+
+/**
+ * Initializes the user emote service.
+ * @param {BrowserWindow} window - The main Electron BrowserWindow instance.
+ */
+function initialize(window) {
+  mainWindow = window;
+}
+
+/**
+ * Fetches the emotes of some emote sets from Helix.
+ * @param {Array<string>} setIds - At most SETS_PER_REQUEST emote set IDs.
+ * @param {string} token - An authenticated user's OAuth token.
+ * @returns {Promise<Array<object>>} The Helix emote objects ({ id, name, ... }).
+ */
+async function fetchEmoteSets(setIds, token) {
+  const params = new URLSearchParams();
+  setIds.forEach((setId) => params.append("emote_set_id", setId));
+  const response = await fetch(`${HELIX_EMOTE_SETS_URL}?${params}`, {
+    headers: {
+      "Client-ID": config.TWITCH_CLIENT_ID,
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  return data.data || [];
+}
+
+/**
+ * Loads the Twitch emotes the user can use, from the emote-sets tag of USERSTATE
+ * or GLOBALUSERSTATE, and sends them to the renderer.
+ * Does nothing when the sets did not change since the last load.
+ * @param {string} emoteSets - The emote-sets tag (comma-separated set IDs).
+ * @param {string} token - An authenticated user's OAuth token.
+ */
+async function updateEmoteSets(emoteSets, token) {
+  const setIds = [
+    ...new Set(
+      String(emoteSets || "")
+        .split(",")
+        .map((setId) => setId.trim())
+        .filter(Boolean)
+    ),
+  ].sort();
+  const setsKey = setIds.join(",");
+  if (setsKey === loadedSetsKey) return;
+  loadedSetsKey = setsKey;
+
+  if (!config.TWITCH_CLIENT_ID) {
+    console.error(
+      "[UserEmoteService] TWITCH_CLIENT_ID is not configured. Cannot fetch the user's emotes."
+    );
+    return;
+  }
+
+  try {
+    const emotes = new Map();
+    for (let i = 0; i < setIds.length; i += SETS_PER_REQUEST) {
+      const batch = await fetchEmoteSets(
+        setIds.slice(i, i + SETS_PER_REQUEST),
+        token
+      );
+      batch.forEach((emote) => {
+        emotes.set(
+          emote.name,
+          `${TWITCH_EMOTE_CDN_URL}/${emote.id}/default/dark/2.0`
+        );
+      });
+    }
+    if (setsKey !== loadedSetsKey) return; // Newer sets arrived meanwhile
+    userEmotes = emotes;
+    console.log(
+      `[UserEmoteService] Loaded ${emotes.size} emotes from ${setIds.length} emote set(s).`
+    );
+    sendUserEmotesToRenderer();
+  } catch (error) {
+    console.error(
+      "[UserEmoteService] Error fetching the user's emotes:",
+      error
+    );
+    loadedSetsKey = ""; // Try again on the next USERSTATE
+  }
+}
+
+/**
+ * Forgets the user's emotes (after logging out).
+ */
+function clear() {
+  loadedSetsKey = "";
+  userEmotes = new Map();
+  sendUserEmotesToRenderer();
+}
+
+/**
+ * Returns the user's Twitch emotes.
+ * @returns {Array<[string, string]>} Array of [name, url] entries.
+ */
+function getUserEmotes() {
+  return Array.from(userEmotes.entries());
+}
+
+/**
+ * Sends the user's Twitch emotes to the renderer process.
+ */
+function sendUserEmotesToRenderer() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("user-emotes-update", getUserEmotes());
+  }
+}
+
+/**
+ * Sets up IPC handlers for the renderer to request the user's emotes.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("get-user-emotes", () => getUserEmotes());
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  updateEmoteSets,
+  getUserEmotes,
+  clear,
+};
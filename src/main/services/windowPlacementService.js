@@ -0,0 +1,408 @@
+const { ipcMain, screen } = require("electron");
+const settingsService = require("./settingsService");
+
+// Delay before saving the bounds after the window was moved or resized
+const SAVE_DELAY_MS = 500;
+
+// Distance (px) kept from the screen edges by the default position and the corner snaps
+const EDGE_MARGIN = 20;
+
+// Corners the window can be snapped to
+const CORNERS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+
+// Reference to the main window
+let mainWindow = null;
+
+// The view shown in the window ("login" or "chat"), each one remembers its own bounds
+let mode = "login";
+
+// Timer of the pending bounds save
+let saveTimer = null;
+
+// Functions removing the screen and settings listeners
+let cleanups = [];
+
+/**
+ * Returns the setting that stores the bounds of a view.
+ * @param {string} forMode - "login" or "chat".
+ * @returns {string} The setting key.
+ */
+function boundsKey(forMode) {
+  return `windowBounds.${forMode}`;
+}
+
+/**
+ * Returns the size set for a view in the settings.
+ * @param {string} forMode - "login" or "chat".
+ * @returns {object} { width, height }
+ */
+function getConfiguredSize(forMode) {
+  if (forMode === "chat") {
+    return {
+      width: settingsService.get("window.chatWidth"),
+      height: settingsService.get("window.chatHeight"),
+    };
+  }
+  return {
+    width: settingsService.get("window.loginWidth"),
+    height: settingsService.get("window.loginHeight"),
+  };
+}
+
+/**
+ * Returns the minimum size of a view. The login page can't be made smaller than its set size.
+ * @param {string} forMode - "login" or "chat".
+ * @returns {object} { width, height }
+ */
+function getMinimumSize(forMode) {
+  if (forMode === "chat") {
+    return {
+      width: settingsService.get("window.chatMinWidth"),
+      height: settingsService.get("window.chatMinHeight"),
+    };
+  }
+  return getConfiguredSize("login");
+}
+
+/**
+ * Moves (and if needed shrinks) bounds so they fit inside a work area.
+ * @param {object} bounds - { x, y, width, height }
+ * @param {object} workArea - The display's work area.
+ * @returns {object} The fitted bounds.
+ */
+function fitIntoWorkArea(bounds, workArea) {
+  const width = Math.min(bounds.width, workArea.width);
+  const height = Math.min(bounds.height, workArea.height);
+  return {
+    x: Math.min(
+      Math.max(bounds.x, workArea.x),
+      workArea.x + workArea.width - width
+    ),
+    y: Math.min(
+      Math.max(bounds.y, workArea.y),
+      workArea.y + workArea.height - height
+    ),
+    width,
+    height,
+  };
+}
+
+/**
+ * Keeps bounds on a connected display: the display they were saved on if it is still there,
+ * otherwise the display closest to them (e.g. after the second monitor was unplugged).
+ * @param {object} bounds - { x, y, width, height }
+ * @param {number|null} [displayId] - ID of the display the bounds were saved on.
+ * @returns {object} Bounds that are fully visible.
+ */
+function clampToVisibleDisplay(bounds, displayId = null) {
+  const savedDisplay = screen
+    .getAllDisplays()
+    .find((display) => display.id === displayId);
+  const display = savedDisplay || screen.getDisplayMatching(bounds);
+  return fitIntoWorkArea(bounds, display.workArea);
+}
+
+/**
+ * Returns where a view should open: its saved bounds when it has some, otherwise
+ * the configured size (at the top right of the primary display for the login page,
+ * at the window's current position for the chat).
+ * @param {string} forMode - "login" or "chat".
+ * @returns {object} { x, y, width, height }, always on a connected display.
+ */
+function getBoundsForMode(forMode) {
+  const saved = settingsService.get(boundsKey(forMode));
+  if (saved) {
+    return clampToVisibleDisplay(saved, saved.displayId);
+  }
+
+  const size = getConfiguredSize(forMode);
+  if (forMode === "chat" && mainWindow && !mainWindow.isDestroyed()) {
+    const { x, y } = mainWindow.getBounds();
+    return clampToVisibleDisplay({ x, y, ...size });
+  }
+
+  const { workArea } = screen.getPrimaryDisplay();
+  return fitIntoWorkArea(
+    {
+      x: workArea.x + workArea.width - size.width - EDGE_MARGIN * 2,
+      y: workArea.y + EDGE_MARGIN,
+      ...size,
+    },
+    workArea
+  );
+}
+
+/**
+ * Returns the bounds and minimum size the window should be created with (login view).
+ * @returns {object} { x, y, width, height, minWidth, minHeight }
+ */
+function getInitialWindowOptions() {
+  const minimumSize = getMinimumSize("login");
+  return {
+    ...getBoundsForMode("login"),
+    minWidth: minimumSize.width,
+    minHeight: minimumSize.height,
+  };
+}
+
+/**
+ * Saves the window's bounds and display for the current view.
+ */
+function saveBounds() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  // Minimized or maximized bounds aren't worth restoring
+  if (mainWindow.isMinimized() || mainWindow.isMaximized()) return;
+
+  const bounds = mainWindow.getBounds();
+  settingsService.set(boundsKey(mode), {
+    ...bounds,
+    displayId: screen.getDisplayMatching(bounds).id,
+  });
+}
+
+/**
+ * Saves the bounds once the window has stopped moving for a moment.
+ */
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    saveBounds();
+    notifyDisplaysChanged(); // The window may have been dragged to another display
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * Applies a view's minimum size and bounds to the window.
+ * @param {string} forMode - "login" or "chat".
+ */
+function applyBounds(forMode) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  const minimumSize = getMinimumSize(forMode);
+  // Lower the minimum first, so a saved size below the previous view's minimum isn't enlarged
+  mainWindow.setMinimumSize(0, 0);
+  mainWindow.setBounds(getBoundsForMode(forMode));
+  mainWindow.setMinimumSize(minimumSize.width, minimumSize.height);
+}
+
+/**
+ * Resizes the window to the size set for the current view, keeping its position.
+ * Called when a window size setting is edited.
+ */
+function applyConfiguredSize() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  const minimumSize = getMinimumSize(mode);
+  const { x, y } = mainWindow.getBounds();
+  mainWindow.setMinimumSize(0, 0);
+  mainWindow.setBounds(
+    clampToVisibleDisplay({ x, y, ...getConfiguredSize(mode) })
+  );
+  mainWindow.setMinimumSize(minimumSize.width, minimumSize.height);
+  saveBounds();
+}
+
+/**
+ * Switches the window to another view, restoring that view's saved bounds.
+ * @param {string} newMode - "login" or "chat".
+ */
+function setMode(newMode) {
+  if (saveTimer) saveBounds(); // Keep the last move of the previous view
+  mode = newMode === "chat" ? "chat" : "login";
+  applyBounds(mode);
+}
+
+/**
+ * Describes the connected displays for the renderer.
+ * Displays are numbered from 1 in the order the OS lists them.
+ * @returns {Array<object>} [{ index, id, label, isPrimary, isCurrent }]
+ */
+function getDisplays() {
+  const primaryId = screen.getPrimaryDisplay().id;
+  const currentId =
+    mainWindow && !mainWindow.isDestroyed()
+      ? screen.getDisplayMatching(mainWindow.getBounds()).id
+      : null;
+
+  return screen.getAllDisplays().map((display, index) => ({
+    index,
+    id: display.id,
+    label: `Display ${index + 1} (${display.size.width}×${display.size.height}${
+      display.id === primaryId ? ", primary" : ""
+    })`,
+    isPrimary: display.id === primaryId,
+    isCurrent: display.id === currentId,
+  }));
+}
+
+/**
+ * Sends the connected displays to the renderer.
+ */
+function notifyDisplaysChanged() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send("displays-changed", getDisplays());
+  }
+}
+
+/**
+ * Moves the window to another display, keeping its offset from the display's top left corner.
+ * @param {number} index - Index of the display in getDisplays().
+ * @returns {Array<object>} The updated displays.
+ */
+function moveToDisplay(index) {
+  const target = screen.getAllDisplays()[index];
+  if (!target) {
+    throw new Error(`There is no display ${Number(index) + 1}.`);
+  }
+  if (!mainWindow || mainWindow.isDestroyed()) return getDisplays();
+
+  const bounds = mainWindow.getBounds();
+  const { workArea: from } = screen.getDisplayMatching(bounds);
+  mainWindow.setBounds(
+    fitIntoWorkArea(
+      {
+        ...bounds,
+        x: target.workArea.x + (bounds.x - from.x),
+        y: target.workArea.y + (bounds.y - from.y),
+      },
+      target.workArea
+    )
+  );
+  console.log(`[WindowPlacementService] Moved window to display ${index + 1}.`);
+  saveBounds();
+  notifyDisplaysChanged();
+  return getDisplays();
+}
+
+/**
+ * Snaps the window to a corner of the display it is on.
+ * @param {string} corner - "top-left", "top-right", "bottom-left" or "bottom-right".
+ */
+function snapToCorner(corner) {
+  if (!CORNERS.includes(corner)) {
+    throw new Error(`Unknown corner: ${corner}`);
+  }
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+
+  const bounds = mainWindow.getBounds();
+  const { workArea } = screen.getDisplayMatching(bounds);
+  const [vertical, horizontal] = corner.split("-");
+  mainWindow.setBounds(
+    fitIntoWorkArea(
+      {
+        ...bounds,
+        x:
+          horizontal === "left"
+            ? workArea.x + EDGE_MARGIN
+            : workArea.x + workArea.width - bounds.width - EDGE_MARGIN,
+        y:
+          vertical === "top"
+            ? workArea.y + EDGE_MARGIN
+            : workArea.y + workArea.height - bounds.height - EDGE_MARGIN,
+      },
+      workArea
+    )
+  );
+  saveBounds();
+}
+
+/**
+ * Brings the window back onto a connected display, e.g. after its display was unplugged.
+ */
+function ensureVisible() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  const bounds = mainWindow.getBounds();
+  const visibleBounds = clampToVisibleDisplay(bounds);
+  if (
+    visibleBounds.x !== bounds.x ||
+    visibleBounds.y !== bounds.y ||
+    visibleBounds.width !== bounds.width ||
+    visibleBounds.height !== bounds.height
+  ) {
+    console.log(
+      "[WindowPlacementService] Window was off screen, moving it back."
+    );
+    mainWindow.setBounds(visibleBounds);
+  }
+}
+
+/**
+ * Initializes window placement: follows moves and resizes to save the bounds of the current
+ * view, and keeps the window visible when displays are added, removed or rearranged.
+ * The window starts on the login view.
+ * @param {BrowserWindow} window - The main Electron BrowserWindow instance.
+ */
+function initialize(window) {
+  mainWindow = window;
+  mode = "login";
+
+  mainWindow.on("move", scheduleSave);
+  mainWindow.on("resize", scheduleSave);
+  mainWindow.on("close", () => {
+    if (saveTimer) saveBounds();
+  });
+
+  const handleDisplaysChanged = () => {
+    ensureVisible();
+    notifyDisplaysChanged();
+  };
+  screen.on("display-added", handleDisplaysChanged);
+  screen.on("display-removed", handleDisplaysChanged);
+  screen.on("display-metrics-changed", handleDisplaysChanged);
+
+  // An edited size setting resizes the window right away
+  const unsubscribeSettings = settingsService.subscribe((key) => {
+    if (key.startsWith("window.")) applyConfiguredSize();
+  });
+
+  cleanups = [
+    () => screen.removeListener("display-added", handleDisplaysChanged),
+    () => screen.removeListener("display-removed", handleDisplaysChanged),
+    () =>
+      screen.removeListener("display-metrics-changed", handleDisplaysChanged),
+    unsubscribeSettings,
+  ];
+}
+
+/**
+ * Removes the screen and settings listeners. Called when the window closes.
+ */
+function shutdown() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  cleanups.forEach((cleanup) => cleanup());
+  cleanups = [];
+  mainWindow = null;
+}
+
+/**
+ * Sets up IPC handlers for the renderer's display picker and corner buttons.
+ */
+function setupIpcHandlers() {
+  ipcMain.handle("get-displays", () => getDisplays());
+
+  ipcMain.handle("move-to-display", (_event, index) => {
+    try {
+      return { success: true, displays: moveToDisplay(index) };
+    } catch (error) {
+      return { success: false, error: error.message, displays: getDisplays() };
+    }
+  });
+
+  ipcMain.handle("snap-window", (_event, corner) => {
+    try {
+      snapToCorner(corner);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+module.exports = {
+  initialize,
+  setupIpcHandlers,
+  getInitialWindowOptions,
+  setMode,
+  shutdown,
+};
@@ -6,16 +6,28 @@ contextBridge.exposeInMainWorld("electronAPI", {
     console.log(`[Preload] Sending IPC: connect-to-twitch for ${channelName}`);
     ipcRenderer.send("connect-to-twitch", channelName);
   },
-  // Function to request disconnection from the main process
-  disconnectFromTwitch: () => {
-    console.log("[Preload] Sending IPC: disconnect-from-twitch");
-    ipcRenderer.send("disconnect-from-twitch");
+  // Function to request leaving a channel (or every channel when omitted) from the main process
+  disconnectFromTwitch: (channelName) => {
+    console.log(
+      `[Preload] Sending IPC: disconnect-from-twitch for ${channelName || "all"}`
+    );
+    ipcRenderer.send("disconnect-from-twitch", channelName);
   },
   // Function for the renderer to listen for incoming chat messages
   onChatMessage: (callback) => {
     ipcRenderer.on("chat-message", callback);
     return () => ipcRenderer.removeListener("chat-message", callback);
   },
+  // Function for the renderer to listen for batches of chat messages (one per frame in busy channels)
+  onChatMessages: (callback) => {
+    ipcRenderer.on("chat-messages", callback);
+    return () => ipcRenderer.removeListener("chat-messages", callback);
+  },
+  // Function for the renderer to listen for deleted messages, timeouts, bans and chat clears
+  onChatModeration: (callback) => {
+    ipcRenderer.on("chat-moderation", callback);
+    return () => ipcRenderer.removeListener("chat-moderation", callback);
+  },
   // Function for the renderer to listen for connection status updates
   onConnectionStatus: (callback) => {
     ipcRenderer.on("connection-status", callback);
@@ -26,23 +38,144 @@ contextBridge.exposeInMainWorld("electronAPI", {
     console.log("[Preload] Sending IPC: start-oauth-flow");
     ipcRenderer.send("start-oauth-flow");
   },
+  // Function to get the current auth status (e.g. a session restored on launch)
+  getAuthStatus: () => ipcRenderer.invoke("get-auth-status"),
+  // Function to log out (revokes the token and wipes the stored login)
+  logout: () => {
+    console.log("[Preload] Sending IPC: logout");
+    ipcRenderer.send("logout");
+  },
   // Function for the renderer to listen for OAuth status messages
   onOAuthStatus: (callback) => {
     ipcRenderer.on("oauth-status", callback);
     return () => ipcRenderer.removeListener("oauth-status", callback);
   },
-  // Functions to get 7TV global and channel emotes
-  get7TvGlobalEmotes: () => ipcRenderer.invoke("get-7tv-global-emotes"),
-  get7TvChannelEmotes: () => ipcRenderer.invoke("get-7tv-channel-emotes"),
-  // Function to listen for 7TV emotes updates
-  on7TvEmotesUpdate: (callback) => {
-    ipcRenderer.on("7tv-emotes-update", callback);
-    return () => ipcRenderer.removeListener("7tv-emotes-update", callback);
-  },
-  // Function to send a message to the main process
-  sendMessage: (message) => {
-    console.log(`[Preload] Sending IPC: send-message: ${message}`);
-    ipcRenderer.send("send-message", message);
+  // Function to get the merged third-party (7TV, BTTV, FFZ) emotes
+  getEmotes: () => ipcRenderer.invoke("get-emotes"),
+  // Function to listen for third-party emotes updates
+  onEmotesUpdate: (callback) => {
+    ipcRenderer.on("emotes-update", callback);
+    return () => ipcRenderer.removeListener("emotes-update", callback);
+  },
+  // Function to get each enabled provider's channel and global emotes, for the emote picker
+  getPickerEmotes: (channelName) =>
+    ipcRenderer.invoke("get-picker-emotes", channelName),
+  // Function to enable or disable a third-party emote provider
+  setEmoteProviderEnabled: (providerId, enabled) =>
+    ipcRenderer.invoke("set-emote-provider-enabled", providerId, enabled),
+  // Function to get the user's own Twitch emotes ([[name, url]])
+  getUserEmotes: () => ipcRenderer.invoke("get-user-emotes"),
+  // Function to listen for updates of the user's own Twitch emotes
+  onUserEmotesUpdate: (callback) => {
+    ipcRenderer.on("user-emotes-update", callback);
+    return () => ipcRenderer.removeListener("user-emotes-update", callback);
+  },
+  // Function to get the chat badges (global + current channel)
+  getBadges: () => ipcRenderer.invoke("get-badges"),
+  // Function to listen for chat badge updates
+  onBadgesUpdate: (callback) => {
+    ipcRenderer.on("badges-update", callback);
+    return () => ipcRenderer.removeListener("badges-update", callback);
+  },
+  // Function to send a message to a joined channel through the main process
+  // (as a threaded reply when the ID of the message replied to is given)
+  sendMessage: (channelName, message, replyParentMessageId = null) => {
+    console.log(
+      `[Preload] Sending IPC: send-message to ${channelName}: ${message}`
+    );
+    ipcRenderer.send(
+      "send-message",
+      channelName,
+      message,
+      replyParentMessageId
+    );
+  },
+  // Function to list the slash commands of the message input ([{ name, usage, description }])
+  getChatCommands: () => ipcRenderer.invoke("get-chat-commands"),
+  // Function to run a moderation action (delete, timeout, ban, unban) through Helix
+  moderateChat: (action) => {
+    console.log(`[Preload] Invoking IPC: moderate-chat (${action.type})`);
+    return ipcRenderer.invoke("moderate-chat", action);
+  },
+  // Function to get the chat log settings ({ enabled, logsDir })
+  getChatLogSettings: () => ipcRenderer.invoke("get-chat-log-settings"),
+  // Function to turn chat logging on or off
+  setChatLoggingEnabled: (enabled) => {
+    console.log(`[Preload] Invoking IPC: set-chat-logging-enabled ${enabled}`);
+    return ipcRenderer.invoke("set-chat-logging-enabled", enabled);
+  },
+  // Function to open the chat logs folder in the system file manager
+  openChatLogsFolder: () => ipcRenderer.invoke("open-chat-logs-folder"),
+  // Function to pick a chat log or IRC transcript and start replaying it
+  openReplay: () => ipcRenderer.invoke("replay-open"),
+  // Function to control the replay ("play", "pause", "seek", "speed", "stop")
+  controlReplay: (action, value) =>
+    ipcRenderer.invoke("replay-control", action, value),
+  // Function to listen for replay playback status updates
+  onReplayStatus: (callback) => {
+    ipcRenderer.on("replay-status", callback);
+    return () => ipcRenderer.removeListener("replay-status", callback);
+  },
+  // Function to get the ghost mode settings ({ enabled, opacity, hotkey })
+  getGhostMode: () => ipcRenderer.invoke("get-ghost-mode"),
+  // Function to turn ghost mode (transparent, click-through window) on or off
+  setGhostMode: (enabled) => {
+    console.log(`[Preload] Invoking IPC: set-ghost-mode ${enabled}`);
+    return ipcRenderer.invoke("set-ghost-mode", enabled);
+  },
+  // Function to set the chat background opacity used in ghost mode (0-1)
+  setGhostOpacity: (opacity) =>
+    ipcRenderer.invoke("set-ghost-opacity", opacity),
+  // Function to let the window take clicks while the pointer is over the ghost mode handle
+  setGhostMouseCapture: (capture) => {
+    ipcRenderer.send("set-ghost-mouse-capture", capture);
+  },
+  // Function to listen for ghost mode changes (e.g. from the global hotkey)
+  onGhostModeChange: (callback) => {
+    ipcRenderer.on("ghost-mode-changed", callback);
+    return () => ipcRenderer.removeListener("ghost-mode-changed", callback);
+  },
+  // Function to get every setting and the schema describing them ({ settings, schema })
+  getSettings: () => ipcRenderer.invoke("get-settings"),
+  // Function to change a setting; resolves to { success, error?, settings }
+  setSetting: (key, value) => {
+    console.log(`[Preload] Invoking IPC: set-setting ${key}`);
+    return ipcRenderer.invoke("set-setting", key, value);
+  },
+  // Function to listen for setting changes ({ key, value, settings })
+  onSettingsChange: (callback) => {
+    ipcRenderer.on("settings-changed", callback);
+    return () => ipcRenderer.removeListener("settings-changed", callback);
+  },
+  // Function to get the highlighted messages (mentions and keyword hits) of this session
+  getMentions: () => ipcRenderer.invoke("get-mentions"),
+  // Function to empty the mentions list
+  clearMentions: () => ipcRenderer.invoke("clear-mentions"),
+  // Function to listen for new highlighted messages ({ id, channel, username, text, color, highlight, timestamp })
+  onMentionAdded: (callback) => {
+    ipcRenderer.on("mention-added", callback);
+    return () => ipcRenderer.removeListener("mention-added", callback);
+  },
+  // Function to get how many messages the filter rules caught per channel ({ [channel]: count })
+  getFilterCounts: () => ipcRenderer.invoke("get-filter-counts"),
+  // Function to listen for filtered message count changes ({ [channel]: count })
+  onFilterCountsChange: (callback) => {
+    ipcRenderer.on("filter-counts", callback);
+    return () => ipcRenderer.removeListener("filter-counts", callback);
+  },
+  // Function to list the connected displays ([{ index, id, label, isPrimary, isCurrent }])
+  getDisplays: () => ipcRenderer.invoke("get-displays"),
+  // Function to move the window to a display (index from getDisplays); resolves to { success, error?, displays }
+  moveToDisplay: (index) => {
+    console.log(`[Preload] Invoking IPC: move-to-display ${index}`);
+    return ipcRenderer.invoke("move-to-display", index);
+  },
+  // Function to snap the window to a corner ("top-left", "top-right", "bottom-left" or "bottom-right")
+  snapWindow: (corner) => ipcRenderer.invoke("snap-window", corner),
+  // Function to listen for display changes (plugged, unplugged, or the window moved to another one)
+  onDisplaysChange: (callback) => {
+    ipcRenderer.on("displays-changed", callback);
+    return () => ipcRenderer.removeListener("displays-changed", callback);
   },
   // Function to close the application
   closeApp: () => {
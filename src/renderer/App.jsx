@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from "react";
 import LoginPage from "./components/LoginPage";
 import ChatPage from "./components/ChatPage";
+import GhostHandle from "./components/GhostHandle";
+import SettingsPanel from "./components/SettingsPanel";
 
 import "./styles/style.css"; // Contains resets, html/body, #root layout
 import "./styles/theme.css"; // Contains variables, general themed elements
@@ -10,7 +12,32 @@ function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [authenticatedUsername, setAuthenticatedUsername] = useState(null);
 
+  // State to store whether the settings panel is open
+  const [showSettings, setShowSettings] = useState(false);
+
+  // State to store the ghost mode settings (transparent, click-through window)
+  const [ghostMode, setGhostMode] = useState({
+    enabled: false,
+    opacity: 0.3,
+    hotkey: null,
+  });
+
   useEffect(() => {
+    // Ask for the current auth status in case a saved session was restored before we mounted
+    if (window.electronAPI && window.electronAPI.getAuthStatus) {
+      window.electronAPI
+        .getAuthStatus()
+        .then((statusData) => {
+          if (statusData.success) {
+            setIsAuthenticated(true);
+            setAuthenticatedUsername(statusData.username);
+          }
+        })
+        .catch((error) =>
+          console.error("[App.jsx] Error getting auth status:", error)
+        );
+    }
+
     // Listen for OAuth status from the main process
     if (window.electronAPI) {
       window.electronAPI.onOAuthStatus((_event, statusData) => {
@@ -26,6 +53,55 @@ function App() {
     }
   }, []); // Run once on component mount
 
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.getGhostMode) return;
+
+    window.electronAPI
+      .getGhostMode()
+      .then(setGhostMode)
+      .catch((error) =>
+        console.error("[App.jsx] Error getting ghost mode settings:", error)
+      );
+
+    // Ghost mode can also be toggled by the global hotkey
+    return window.electronAPI.onGhostModeChange((_event, settings) =>
+      setGhostMode(settings)
+    );
+  }, []);
+
+  // Apply ghost mode to the page: theme.css fades the backgrounds to the chosen opacity
+  useEffect(() => {
+    document.body.classList.toggle("ghost-mode", ghostMode.enabled);
+    document.body.style.setProperty("--ghost-opacity", ghostMode.opacity);
+  }, [ghostMode.enabled, ghostMode.opacity]);
+
+  /**
+   * Turns ghost mode on or off.
+   * @param {boolean} enabled Whether ghost mode should be on.
+   */
+  const handleSetGhostMode = (enabled) => {
+    window.electronAPI
+      .setGhostMode(enabled)
+      .then(setGhostMode)
+      .catch((error) =>
+        console.error("[App.jsx] Error toggling ghost mode:", error)
+      );
+  };
+
+  /**
+   * Changes the ghost mode background opacity.
+   * The new value is shown right away and saved by the main process.
+   * @param {number} opacity The opacity (0-1).
+   */
+  const handleGhostOpacityChange = (opacity) => {
+    setGhostMode((prev) => ({ ...prev, opacity }));
+    window.electronAPI
+      .setGhostOpacity(opacity)
+      .catch((error) =>
+        console.error("[App.jsx] Error saving ghost mode opacity:", error)
+      );
+  };
+
   /**
    * Function to handle the close button click.
    * It calls the Electron API to close the application.
@@ -38,17 +114,59 @@ function App() {
     }
   };
 
+  /**
+   * Function to handle the log out button click.
+   * The main process revokes the token, wipes the stored login
+   * and replies with an "oauth-status" failure, which routes back to the LoginPage.
+   */
+  const handleLogout = () => {
+    if (window.electronAPI && window.electronAPI.logout) {
+      window.electronAPI.logout();
+    } else {
+      console.error("electronAPI.logout is not available.");
+    }
+  };
+
   // Conditionally render LoginPage or ChatPage based on authentication status
+  // In ghost mode the header is hidden and only the handle takes clicks
   return (
     <>
-      <div className="draggable-header">
-        <button className="close-button" onClick={handleCloseApp}>
-          X
-        </button>{" "}
-      </div>
+      {ghostMode.enabled ? (
+        <GhostHandle
+          hotkey={ghostMode.hotkey}
+          onExit={() => handleSetGhostMode(false)}
+        />
+      ) : (
+        <div className="draggable-header">
+          <button
+            className="settings-button"
+            onClick={() => setShowSettings((prev) => !prev)}
+            title="Settings"
+          >
+            Settings
+          </button>
+          {isAuthenticated && (
+            <button className="logout-button" onClick={handleLogout}>
+              Log out
+            </button>
+          )}
+          <button className="close-button" onClick={handleCloseApp}>
+            X
+          </button>{" "}
+        </div>
+      )}
+
+      {showSettings && !ghostMode.enabled && (
+        <SettingsPanel onClose={() => setShowSettings(false)} />
+      )}
 
       {isAuthenticated ? (
-        <ChatPage authenticatedUsername={authenticatedUsername} />
+        <ChatPage
+          authenticatedUsername={authenticatedUsername}
+          ghostMode={ghostMode}
+          onSetGhostMode={handleSetGhostMode}
+          onGhostOpacityChange={handleGhostOpacityChange}
+        />
       ) : (
         <LoginPage />
       )}
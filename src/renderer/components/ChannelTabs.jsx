@@ -0,0 +1,104 @@
+import React from "react";
+import "./ChannelTabs.css"; // Import styles for the channel tab bar
+
+// Key of the merged view tab; "*" can never be a Twitch channel name
+export const MERGED_VIEW = "*";
+
+// Prefix of the keys of replayed channels (set by the main process), which keeps them
+// apart from a live channel of the same name
+export const REPLAY_CHANNEL_PREFIX = "replay:";
+
+/**
+ * Tab bar listing the joined channels.
+ * Each tab shows the channel's connection status, its unread message count
+ * while in the background, and a close button that leaves the channel.
+ * An "All" tab in front selects the merged view of every channel.
+ * A button at the end opens the mentions list, with the number of unseen mentions.
+ * @param {Object} props
+ * @param {Array<{channel: string, status: string, isReplay?: boolean}>} props.tabs The joined
+ *   (and replayed) channels, in tab order.
+ * @param {string} props.activeChannel The channel whose tab is selected (or MERGED_VIEW).
+ * @param {boolean} props.showMergedTab Whether to show the merged view tab.
+ * @param {Object<string, number>} props.unreadCounts Unread message counts keyed by channel.
+ * @param {function(string): void} props.onSelect Called with the channel when a tab is clicked.
+ * @param {function(string): void} props.onClose Called with the channel when a tab's close button is clicked.
+ * @param {number} props.unseenMentions Mentions that arrived since the list was last open.
+ * @param {boolean} props.showMentions Whether the mentions list is open.
+ * @param {function(): void} props.onToggleMentions Opens or closes the mentions list.
+ */
+function ChannelTabs({
+  tabs,
+  activeChannel,
+  showMergedTab,
+  unreadCounts,
+  onSelect,
+  onClose,
+  unseenMentions,
+  showMentions,
+  onToggleMentions,
+}) {
+  if (tabs.length === 0) return null;
+
+  return (
+    <div className="channel-tabs">
+      {showMergedTab && (
+        <div
+          className={`channel-tab merged ${
+            activeChannel === MERGED_VIEW ? "active" : ""
+          }`}
+          onClick={() => onSelect(MERGED_VIEW)}
+          title="All channels in one stream"
+        >
+          <span className="channel-tab-name">All</span>
+        </div>
+      )}
+      {tabs.map(({ channel, status, isReplay }) => {
+        const unread = unreadCounts[channel] || 0;
+        const name = isReplay
+          ? `▶ #${channel.slice(REPLAY_CHANNEL_PREFIX.length)}`
+          : `#${channel}`;
+        return (
+          <div
+            key={channel}
+            className={`channel-tab ${status} ${
+              channel === activeChannel ? "active" : ""
+            }`}
+            onClick={() => onSelect(channel)}
+            title={`${name} (${isReplay ? "replay" : status})`}
+          >
+            <span className="channel-tab-name">{name}</span>
+            {unread > 0 && (
+              <span className="channel-tab-unread">
+                {unread > 99 ? "99+" : unread}
+              </span>
+            )}
+            <button
+              className="channel-tab-close"
+              onClick={(e) => {
+                e.stopPropagation(); // Don't select the tab being closed
+                onClose(channel);
+              }}
+              title={`Leave ${name}`}
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+      <button
+        className={`channel-tabs-mentions ${showMentions ? "active" : ""}`}
+        onClick={onToggleMentions}
+        title="Mentions and highlighted messages"
+      >
+        @
+        {unseenMentions > 0 && (
+          <span className="channel-tab-unread">
+            {unseenMentions > 99 ? "99+" : unseenMentions}
+          </span>
+        )}
+      </button>
+    </div>
+  );
+}
+
+export default ChannelTabs;
@@ -0,0 +1,197 @@
+import React, { memo } from "react";
+import { resolveBadges } from "../utils/badgeResolver";
+import { getChannelColor } from "../utils/channelColor";
+import EventCard from "./EventCard";
+import "./ChatLine.css"; // Styles for reply context, the reply button and /me actions
+
+// Placeholder text shown instead of a removed message, by the kind of moderation event that removed it
+const DELETION_LABELS = {
+  delete: "<message deleted>",
+  timeout: "<message deleted: user timed out>",
+  ban: "<message deleted: user banned>",
+  clear: "<chat cleared>",
+};
+
+/**
+ * Renders the parts of a message text (see parseMessageParts), or the raw text
+ * for lines that were not parsed (system lines).
+ * @param {Object} msg The message.
+ * @returns {React.ReactNode} The text with its emote images.
+ */
+const renderText = (msg) => {
+  if (!msg.parts) return msg.text;
+  return msg.parts.map((part, index) =>
+    part.type === "emote" ? (
+      <img
+        key={index}
+        src={part.url}
+        alt={part.name}
+        className={`chat-emote ${
+          part.isTwitch ? "twitch-emote" : "third-party-emote"
+        }`}
+        title={part.name} // Show emote name on hover
+      />
+    ) : (
+      part.text
+    )
+  );
+};
+
+/**
+ * One line of the chat. Memoized: messages are immutable, so a line only renders
+ * again when its message is replaced (deleted, revealed, emotes re-parsed) or the
+ * badges, moderation rights or connection of its channel change.
+ * Replies show who and what they answer above the text; clicking it jumps to that message.
+ * Actions (/me) are written in italics in the user's color, without the colon.
+ * Subs, gifts and the other USERNOTICE events are shown as an EventCard instead.
+ * @param {Object} props
+ * @param {Object} props.msg The message (with its channel, seq and pre-parsed parts).
+ * @param {boolean} props.showChannelTag Whether to show the channel tag (merged view).
+ * @param {Map<string, Object>} [props.channelBadges] The badges of the message's channel.
+ * @param {Map<string, Object>} props.globalBadges The global badges.
+ * @param {boolean} props.canModerate Whether the user moderates the message's channel.
+ * @param {boolean} props.canReply Whether the message can be replied to (live channel, has an ID).
+ * @param {boolean} [props.isFlashed] Whether to flash the line (after jumping to it).
+ * @param {function(MouseEvent, Object): void} props.onContextMenu Opens the moderation menu.
+ * @param {function(string, number): void} props.onToggleRevealed Shows or hides a removed
+ *   or collapsed message, by channel and seq.
+ * @param {function(string): void} props.onChannelTagClick Called with the channel of a clicked tag.
+ * @param {function(Object): void} props.onReply Starts a reply to the message.
+ * @param {function(string, string): void} props.onJumpToMessage Shows a message, by channel and message ID.
+ */
+function ChatLine({
+  msg,
+  showChannelTag,
+  channelBadges,
+  globalBadges,
+  canModerate,
+  canReply,
+  isFlashed,
+  onContextMenu,
+  onToggleRevealed,
+  onChannelTagClick,
+  onReply,
+  onJumpToMessage,
+}) {
+  if (msg.event) {
+    return (
+      <EventCard
+        msg={msg}
+        showChannelTag={showChannelTag}
+        channelBadges={channelBadges}
+        globalBadges={globalBadges}
+        canModerate={canModerate}
+        onContextMenu={onContextMenu}
+        onChannelTagClick={onChannelTagClick}
+      >
+        {msg.deletion ? (
+          <span className="deleted-placeholder">
+            {DELETION_LABELS[msg.deletion]}
+          </span>
+        ) : msg.text ? (
+          renderText(msg)
+        ) : null}
+      </EventCard>
+    );
+  }
+
+  return (
+    <p
+      className={`chat-message ${msg.deletion ? "deleted" : ""} ${
+        msg.highlight ? "highlighted" : ""
+      } ${msg.filter ? `filtered-${msg.filter.action}` : ""} ${
+        isFlashed ? "flashed" : ""
+      }`}
+      style={
+        msg.highlight ? { "--highlight-color": msg.highlight.color } : undefined
+      }
+      title={msg.highlight ? `Highlighted: ${msg.highlight.reason}` : undefined}
+      onContextMenu={canModerate ? (e) => onContextMenu(e, msg) : undefined}
+    >
+      {msg.reply && (
+        <span
+          className="reply-context"
+          onClick={() =>
+            onJumpToMessage(msg.channel, msg.reply.parentMessageId)
+          }
+          title="Show the message this replies to"
+        >
+          ↳ Replying to @{msg.reply.parentUsername}: {msg.reply.parentText}
+        </span>
+      )}
+      {showChannelTag && msg.channel && (
+        <span
+          className="channel-tag"
+          style={{ backgroundColor: getChannelColor(msg.channel) }}
+          onClick={() => onChannelTagClick(msg.channel)}
+          title={`#${msg.channel}`}
+        >
+          {msg.channel}
+        </span>
+      )}
+      {resolveBadges(msg.badges, msg.badgeInfo, [
+        channelBadges,
+        globalBadges,
+      ]).map((badge) => (
+        <img
+          key={badge.key}
+          src={badge.url}
+          alt={badge.title}
+          title={badge.title}
+          className="chat-badge"
+        />
+      ))}
+      <span className="username" style={{ color: msg.color || "#FFFFFF" }}>
+        {msg.isAction ? msg.username : `${msg.username}:`}
+      </span>{" "}
+      {msg.deletion && !msg.revealed ? (
+        <span
+          className="deleted-placeholder"
+          onClick={
+            canModerate
+              ? () => onToggleRevealed(msg.channel, msg.seq)
+              : undefined
+          }
+          title={canModerate ? "Click to show the original message" : undefined}
+        >
+          {DELETION_LABELS[msg.deletion]}
+        </span>
+      ) : msg.filter && msg.filter.action === "collapse" && !msg.revealed ? (
+        <span
+          className="filtered-placeholder"
+          onClick={() => onToggleRevealed(msg.channel, msg.seq)}
+          title="Click to show the message"
+        >
+          {`<filtered: ${msg.filter.reason}>`}
+        </span>
+      ) : msg.isSystem ? (
+        msg.text
+      ) : (
+        <span
+          className={`${msg.deletion ? "deleted-text" : ""} ${
+            msg.isAction ? "action-text" : ""
+          }`}
+          style={msg.isAction ? { color: msg.color || "#FFFFFF" } : undefined}
+          onClick={
+            msg.deletion
+              ? () => onToggleRevealed(msg.channel, msg.seq)
+              : undefined
+          }
+        >
+          {renderText(msg)}
+        </span>
+      )}
+      {canReply && (
+        <button
+          className="reply-button"
+          onClick={() => onReply(msg)}
+          title={`Reply to ${msg.username}`}
+        >
+          ↩
+        </button>
+      )}
+    </p>
+  );
+}
+
+export default memo(ChatLine);
@@ -1,95 +1,594 @@
 import React, {
   useState,
   useEffect,
-  useLayoutEffect,
   useRef,
   useCallback,
+  useMemo,
 } from "react";
+import ChannelTabs, { MERGED_VIEW } from "./ChannelTabs";
+import ChatLine from "./ChatLine";
+import VirtualizedChatList from "./VirtualizedChatList";
+import ModerationMenu from "./ModerationMenu";
+import ReplayControls from "./ReplayControls";
+import WindowPlacementControls from "./WindowPlacementControls";
+import MentionsPanel from "./MentionsPanel";
+import MessageInput from "./MessageInput";
+import EmotePicker from "./EmotePicker";
 import "./ChatPage.css"; // Import styles for the chat page
-import "../styles/EmoteStyles.css"; // Styles for 7TV emotes
+import "../styles/EmoteStyles.css"; // Styles for Twitch and third-party emotes
+import { parseMessageParts, toAbsoluteEmoteUrl } from "../utils/emoteParser";
+import { getChannelColor } from "../utils/channelColor";
+import { playHighlightSound } from "../utils/highlightSound";
+import { rankCompletions, addUsage } from "../utils/completion";
 
-const MAX_MESSAGES = 300; // Keep only the most recent 500 messages for performance
+// Messages kept per channel until the "chat.maxMessages" setting is loaded
+const DEFAULT_MAX_MESSAGES = 2000;
+
+// Key for messages that belong to no channel (shown while no channel is joined)
+const LOBBY = "";
+
+// How long a message jumped to from a reply stays flashed (ms), matching ChatLine.css
+const FLASH_DURATION_MS = 1500;
+
+// Delay before the completion usage counts are saved (ms), so a burst of sent messages
+// is saved once
+const COMPLETION_USAGE_SAVE_DELAY_MS = 5000;
+
+// Chatters remembered per channel for @mention completion (the most recent ones are kept)
+const MAX_CHATTERS_PER_CHANNEL = 500;
+
+// Emotes kept in the emote picker's "Recently used" row (matches the "emotePicker.recent" setting)
+const MAX_RECENT_EMOTES = 30;
 
 /**
- * Helper function to add a new message to the list and enforce the MAX_MESSAGES limit
+ * Helper function to add new messages to the list and enforce the message limit
  * by slicing off older messages if the limit is exceeded.
  * @param {Array<Object>} prevMessages The current array of messages.
- * @param {Object} newMessage The new message object to add.
+ * @param {Array<Object>} newMessages The new message objects to add, oldest first.
+ * @param {number} maxMessages The maximum number of messages to keep.
  * @returns {Array<Object>} The updated and potentially sliced array of messages.
  */
-const addMessageAndSlice = (prevMessages, newMessage) => {
-  const newMessages = [...prevMessages, newMessage];
-  if (newMessages.length > MAX_MESSAGES) {
-    // Slice from the (length - MAX_MESSAGES) index to keep only the latest messages
-    return newMessages.slice(newMessages.length - MAX_MESSAGES);
+const addMessagesAndSlice = (prevMessages, newMessages, maxMessages) => {
+  // Slice from the (length - maxMessages) index to keep only the latest messages
+  const keptCount = Math.max(0, maxMessages - newMessages.length);
+  const kept =
+    prevMessages.length > keptCount
+      ? prevMessages.slice(prevMessages.length - keptCount)
+      : prevMessages;
+  const added =
+    newMessages.length > maxMessages
+      ? newMessages.slice(newMessages.length - maxMessages)
+      : newMessages;
+  return kept.concat(added);
+};
+
+/**
+ * Interleaves the message lists of several channels in the order the messages arrived.
+ * Each list is already in arrival order, so they are merged instead of sorted.
+ * @param {Array<Array<Object>>} lists The message lists.
+ * @returns {Array<Object>} The messages of every list, by seq.
+ */
+const mergeBySeq = (lists) => {
+  const merged = [];
+  const positions = lists.map(() => 0);
+  for (;;) {
+    let next = -1;
+    lists.forEach((list, i) => {
+      if (
+        positions[i] < list.length &&
+        (next === -1 ||
+          list[positions[i]].seq < lists[next][positions[next]].seq)
+      ) {
+        next = i;
+      }
+    });
+    if (next === -1) return merged;
+    merged.push(lists[next][positions[next]++]);
+  }
+};
+
+/**
+ * Parses the emotes of a message once, so rendering it doesn't have to.
+ * System lines are shown as plain text and are left as they are.
+ * @param {Object} message The message.
+ * @param {Object} emotes The third-party emotes ({ global: Map, channels: { [channel]: Map } }).
+ * @returns {Object} The message, with its text parts.
+ */
+const withParts = (message, emotes) => {
+  if (message.isSystem || !message.text) return message;
+  return {
+    ...message,
+    parts: parseMessageParts(message.text, message.emotes, [
+      emotes.channels[message.channel],
+      emotes.global,
+    ]),
+  };
+};
+
+/**
+ * Returns the key of a message in the chat list: its arrival order number.
+ * @param {Object} message The message.
+ * @returns {number} The key.
+ */
+const getMessageKey = (message) => message.seq;
+
+/**
+ * Helper function to mark the messages affected by a moderation event as deleted.
+ * Single deletions are matched by message ID, timeouts and bans by the target user's login,
+ * and a chat clear affects every chat line. System lines are never affected.
+ * @param {Array<Object>} messages The channel's current array of messages.
+ * @param {Object} event The moderation event ({ type, messageId?, targetUser? }).
+ * @returns {Array<Object>} The updated array of messages.
+ */
+const applyModerationEvent = (messages, event) => {
+  const isAffected = (msg) => {
+    if (!msg.messageId && !msg.isSelf) return false; // Not a chat line
+    if (msg.deletion) return false; // Keep the first reason the line was removed
+    switch (event.type) {
+      case "delete":
+        return msg.messageId === event.messageId;
+      case "timeout":
+      case "ban":
+        return !!msg.login && msg.login === event.targetUser;
+      case "clear":
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  if (!messages.some(isAffected)) return messages;
+  return messages.map((msg) =>
+    isAffected(msg) ? { ...msg, deletion: event.type } : msg
+  );
+};
+
+/**
+ * Helper function to convert a { [channel]: [[key, value], ...] } payload from the
+ * main process into a { [channel]: Map } object for efficient lookup.
+ * @param {Object<string, Array>} entriesByChannel The payload object.
+ * @returns {Object<string, Map>} The converted object.
+ */
+const toMapsByChannel = (entriesByChannel) =>
+  Object.fromEntries(
+    Object.entries(entriesByChannel || {}).map(([channel, entries]) => [
+      channel,
+      new Map(entries),
+    ])
+  );
+
+/**
+ * Records a chatter as the most recent one of a channel, for @mention completion.
+ * Forgets the least recent chatter once the channel has MAX_CHATTERS_PER_CHANNEL of them.
+ * @param {Map<string, Map>} chatters The chatters of each channel (mutated).
+ * @param {string} channel The channel the message was sent in.
+ * @param {Object} message The chat message ({ login, username, color }).
+ */
+const rememberChatter = (chatters, channel, message) => {
+  let channelChatters = chatters.get(channel);
+  if (!channelChatters) {
+    channelChatters = new Map();
+    chatters.set(channel, channelChatters);
+  }
+  channelChatters.delete(message.login); // Re-inserting moves it to the end
+  channelChatters.set(message.login, {
+    name: message.username || message.login,
+    color: message.color,
+  });
+  if (channelChatters.size > MAX_CHATTERS_PER_CHANNEL) {
+    channelChatters.delete(channelChatters.keys().next().value);
   }
-  return newMessages;
 };
 
 /**
  * Main application component for the Twitch Chat Overlay.
  * Manages UI state, user input for channel connection,
  * displays chat messages, and interacts with the main Electron process via IPC.
+ * Several channels can be joined at once; each one gets its own tab.
+ * In ghost mode only the chat lines are shown; the tabs and controls are hidden.
+ * @param {Object} props
+ * @param {string} props.authenticatedUsername The logged-in user's name.
+ * @param {Object} props.ghostMode The ghost mode settings ({ enabled, opacity, hotkey }).
+ * @param {function(boolean): void} props.onSetGhostMode Turns ghost mode on or off.
+ * @param {function(number): void} props.onGhostOpacityChange Sets the ghost mode background opacity (0-1).
  */
-function ChatPage({ authenticatedUsername }) {
+function ChatPage({
+  authenticatedUsername,
+  ghostMode,
+  onSetGhostMode,
+  onGhostOpacityChange,
+}) {
   // State to store the channel name entered by the user
   const [channelName, setChannelName] = useState("");
 
-  // State to store the list of chat messages to be displayed
-  // Initializes with a system message
-  const [messages, setMessages] = useState([
-    {
-      username: "System",
-      text: authenticatedUsername
-        ? `Logged in as ${authenticatedUsername}. Enter a channel name to connect!`
-        : "Enter a channel name to connect!",
-      color: "#AAAAAA", // Grey color for system messages
-    },
-  ]);
+  // State to store the joined channel tabs, in the order they were opened
+  // status: "connecting" | "connected" | "disconnected" | "error"
+  // isModerator: whether the logged-in user can moderate the channel
+  // isReplay: whether the tab shows a replayed chat log instead of a live channel
+  const [tabs, setTabs] = useState([]); // [{ channel, status, isModerator, isReplay }]
+
+  // State to store the channel whose tab is selected
+  // (LOBBY when no channel is joined, MERGED_VIEW for the interleaved view of every channel)
+  const [activeChannel, setActiveChannel] = useState(LOBBY);
+
+  // Ref mirroring activeChannel so IPC handlers registered once can read the latest value
+  const activeChannelRef = useRef(LOBBY);
+
+  // State to store the chat messages of each channel
+  // Initializes the lobby with a system message
+  const [messagesByChannel, setMessagesByChannel] = useState({
+    [LOBBY]: [
+      {
+        channel: LOBBY,
+        seq: 0,
+        username: "System",
+        text: authenticatedUsername
+          ? `Logged in as ${authenticatedUsername}. Enter a channel name to connect!`
+          : "Enter a channel name to connect!",
+        color: "#AAAAAA", // Grey color for system messages
+      },
+    ],
+  });
 
-  // State to track the actual connection status to Twitch chat
-  const [isConnected, setIsConnected] = useState(false);
+  // Counter stamped on each appended message so the merged view can interleave channels chronologically
+  const messageSeqRef = useRef(0);
 
-  // State to manage the "connecting" loading state, preventing multiple connection attempts
-  const [isConnecting, setIsConnecting] = useState(false);
+  // Ref holding the "chat.maxMessages" setting, read when appending messages
+  const maxMessagesRef = useRef(DEFAULT_MAX_MESSAGES);
 
-  // useRef hook to get a direct reference to the chat display area DOM element
-  // This is used for scrolling the chat messages
-  const chatContainerRef = useRef(null);
+  // State to store the channel picked in the merged view's send picker ("" until the user picks one)
+  const [mergedSendChannel, setMergedSendChannel] = useState("");
 
-  // Track if the user was at the bottom before new messages
-  const wasAtBottomRef = useRef(true);
+  // State to store the number of unread chat messages of each background tab
+  const [unreadCounts, setUnreadCounts] = useState({}); // { [channel]: number }
 
-  // States to store the cached 7TV emotes
-  const [global7TvEmotes, setGlobal7TvEmotes] = useState(new Map()); // Map<name, url>
-  const [channel7TvEmotes, setChannel7TvEmotes] = useState(new Map()); // Map<name, url>
+  // Ref holding the cached third-party (7TV, BTTV, FFZ) emotes, merged by provider precedence.
+  // Messages are parsed against them as they arrive, so they are not needed when rendering.
+  const emotesRef = useRef({ global: new Map(), channels: {} }); // { global: Map<name, url>, channels: { [channel]: Map<name, url> } }
+
+  // State to store the third-party emote providers and whether each one is enabled
+  const [emoteProviders, setEmoteProviders] = useState([]); // [{ id, name, enabled }]
+
+  // States to store the chat badges, keyed by "setId/versionId"
+  const [globalBadges, setGlobalBadges] = useState(new Map()); // Map<key, { url, title }>
+  const [channelBadges, setChannelBadges] = useState({}); // { [channel]: Map<key, { url, title }> }
+
+  // State to store whether chat events are recorded to the local JSONL logs
+  const [chatLoggingEnabled, setChatLoggingEnabled] = useState(false);
+
+  // State to store the chat log replay status (null when no replay is loaded)
+  const [replayStatus, setReplayStatus] = useState(null);
+
+  // State to store the open moderation context menu ({ x, y, message } or null)
+  const [moderationMenu, setModerationMenu] = useState(null);
+
+  // State to store how many messages the filter rules caught per channel
+  const [filteredCounts, setFilteredCounts] = useState({}); // { [channel]: number }
+
+  // States for the mentions list: every highlighted message of the session,
+  // how many arrived while the list was closed, and whether it is open
+  const [mentions, setMentions] = useState([]);
+  const [unseenMentions, setUnseenMentions] = useState(0);
+  const [showMentions, setShowMentions] = useState(false);
+  const showMentionsRef = useRef(false);
 
   // State to store the current message being typed by the user
   const [messageInput, setMessageInput] = useState("");
 
+  // State to store the user's own Twitch emotes (from their emote sets), for completion
+  const [userEmotes, setUserEmotes] = useState(new Map()); // Map<name, url>
+
+  // Ref holding the recent chatters of each channel, least recent first, for @mention completion
+  const chattersRef = useRef(new Map()); // Map<channel, Map<login, { name, color }>>
+
+  // Ref holding how often each emote and mention was sent (the "completion.usage" setting)
+  const completionUsageRef = useRef({}); // { [name or "@login"]: count }
+  const completionUsageSaveTimerRef = useRef(null); // Pending save of the counts
+
+  // Ref holding the slash commands the main process understands, for completion
+  const chatCommandsRef = useRef([]); // [{ name, usage, description }]
+
+  // State to store the emotes last inserted from the emote picker (the "emotePicker.recent" setting)
+  const [recentEmotes, setRecentEmotes] = useState([]); // [{ name, url }], most recent first
+
+  // State to store the message being replied to ({ channel, parentMessageId, parentLogin,
+  // parentUsername, parentText } or null), and refs to focus the input when a reply starts
+  const [replyTarget, setReplyTarget] = useState(null);
+  const messageInputRef = useRef(null);
+
+  // Ref to the chat list (to scroll to the message a reply answers), the message flashed
+  // after such a jump, and its timer
+  const chatListRef = useRef(null);
+  const [flashedSeq, setFlashedSeq] = useState(null);
+  const flashTimerRef = useRef(null);
+
+  const isMergedView = activeChannel === MERGED_VIEW;
+  const activeTab = tabs.find((tab) => tab.channel === activeChannel) || null;
+  const isConnecting = !!activeTab && activeTab.status === "connecting";
+  // Live channels we can send to (replayed channels are read-only)
+  const connectedChannels = tabs
+    .filter((tab) => tab.status === "connected" && !tab.isReplay)
+    .map((tab) => tab.channel);
+
+  // Messages go to the selected tab's channel, or to the picked channel in the merged view
+  const sendChannel = isMergedView ? mergedSendChannel : activeChannel;
+  const isConnected = connectedChannels.includes(sendChannel);
+
+  /**
+   * Checks whether the logged-in user is a moderator (or the broadcaster) of a joined channel.
+   * @param {string} channel The channel name.
+   * @returns {boolean} True if the user can moderate the channel.
+   */
+  const canModerate = (channel) =>
+    tabs.some(
+      (tab) => tab.channel === channel && tab.isModerator && !tab.isReplay
+    );
+  const showMessageInput = isMergedView
+    ? connectedChannels.length > 0
+    : isConnected;
+
+  /**
+   * Memoized list of the messages to display. In the merged view, the messages
+   * of every joined channel are interleaved in the order they arrived.
+   */
+  const messages = useMemo(() => {
+    if (!isMergedView) return messagesByChannel[activeChannel] || [];
+    return mergeBySeq(tabs.map((tab) => messagesByChannel[tab.channel] || []));
+  }, [isMergedView, activeChannel, messagesByChannel, tabs]);
+
+  // Ref mirroring the shown messages, for callbacks that must keep the same identity
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+
+  /**
+   * Selects a tab (or the lobby / merged view) and clears its unread count.
+   * The merged view shows every channel, so selecting it clears all unread counts.
+   * @param {string} channel The channel to show.
+   */
+  const selectChannel = useCallback((channel) => {
+    activeChannelRef.current = channel;
+    setActiveChannel(channel);
+    setUnreadCounts((prev) =>
+      channel === MERGED_VIEW ? {} : { ...prev, [channel]: 0 }
+    );
+    setReplyTarget(null);
+  }, []);
+
+  /**
+   * Appends messages to their channels' lists in a single state update, tagging each one
+   * with its channel and arrival order and parsing its emotes.
+   * Messages for channels without a list (e.g. a tab that was just closed) are dropped.
+   * @param {Array<{channel: string, message: Object}>} entries The messages to add, oldest first.
+   */
+  const appendMessages = useCallback((entries) => {
+    const byChannel = {};
+    entries.forEach(({ channel, message }) => {
+      const seq = ++messageSeqRef.current;
+      if (message.login && !message.isSystem) {
+        rememberChatter(chattersRef.current, channel, message);
+      }
+      (byChannel[channel] = byChannel[channel] || []).push(
+        withParts({ ...message, channel, seq }, emotesRef.current)
+      );
+    });
+    setMessagesByChannel((prev) => {
+      const next = { ...prev };
+      let changed = false;
+      Object.entries(byChannel).forEach(([channel, added]) => {
+        if (!(channel in prev)) return;
+        next[channel] = addMessagesAndSlice(
+          prev[channel],
+          added,
+          maxMessagesRef.current
+        );
+        changed = true;
+      });
+      return changed ? next : prev;
+    });
+  }, []);
+
+  /**
+   * Appends a message to a channel's list (see appendMessages).
+   * @param {string} channel The channel the message belongs to.
+   * @param {Object} message The message object to add.
+   */
+  const appendMessage = useCallback(
+    (channel, message) => appendMessages([{ channel, message }]),
+    [appendMessages]
+  );
+
+  /**
+   * Applies the "chat.maxMessages" setting, trimming channels that now hold too many messages.
+   * @param {number} maxMessages The maximum number of messages to keep per channel.
+   */
+  const applyMaxMessages = useCallback((maxMessages) => {
+    if (!maxMessages || maxMessages === maxMessagesRef.current) return;
+    maxMessagesRef.current = maxMessages;
+    setMessagesByChannel((prev) => {
+      if (!Object.values(prev).some((list) => list.length > maxMessages)) {
+        return prev;
+      }
+      return Object.fromEntries(
+        Object.entries(prev).map(([channel, list]) => [
+          channel,
+          list.length > maxMessages
+            ? list.slice(list.length - maxMessages)
+            : list,
+        ])
+      );
+    });
+  }, []);
+
+  /**
+   * Updates the connection status of a tab, if it is still open.
+   * @param {string} channel The tab's channel.
+   * @param {string} status The new status.
+   * @param {Object} [details] Other tab fields to update (e.g. { isModerator }).
+   */
+  const setTabStatus = useCallback((channel, status, details = {}) => {
+    setTabs((prevTabs) =>
+      prevTabs.map((tab) =>
+        tab.channel === channel ? { ...tab, ...details, status } : tab
+      )
+    );
+  }, []);
+
+  /**
+   * Toggles showing the original text of a deleted message (moderators only)
+   * or of a message collapsed by a filter rule.
+   * @param {string} channel The channel the message belongs to.
+   * @param {number} seq The message's arrival order number.
+   */
+  const toggleRevealedMessage = useCallback((channel, seq) => {
+    setMessagesByChannel((prev) => {
+      if (!(channel in prev)) return prev;
+      return {
+        ...prev,
+        [channel]: prev[channel].map((msg) =>
+          msg.seq === seq ? { ...msg, revealed: !msg.revealed } : msg
+        ),
+      };
+    });
+  }, []);
+
+  /**
+   * Opens a read-only tab for each channel of a replay that doesn't have one yet.
+   * @param {Array<string>} channels The channels that appear in the replay.
+   * @param {string} fileName The replayed file's name.
+   */
+  const ensureReplayTabs = useCallback((channels, fileName) => {
+    setTabs((prevTabs) => {
+      const missing = channels.filter(
+        (channel) => !prevTabs.some((tab) => tab.channel === channel)
+      );
+      if (missing.length === 0) return prevTabs;
+      return [
+        ...prevTabs,
+        ...missing.map((channel) => ({
+          channel,
+          status: "connected",
+          isReplay: true,
+        })),
+      ];
+    });
+    setMessagesByChannel((prev) => {
+      if (channels.every((channel) => channel in prev)) return prev;
+      const added = {};
+      channels.forEach((channel) => {
+        if (!(channel in prev)) {
+          added[channel] = [
+            {
+              channel,
+              username: "System",
+              text: `Replaying ${fileName}.`,
+              color: "#ADD8E6",
+              seq: ++messageSeqRef.current,
+            },
+          ];
+        }
+      });
+      return { ...prev, ...added };
+    });
+  }, []);
+
+  /**
+   * Applies a replay status from the main process. After a seek, the replayed
+   * channels are cleared, since the main process re-sends the lines before the new position.
+   * @param {Object} status The replay status ({ state, fileName, channels, position, duration, speed, speeds, seeked? }).
+   */
+  const applyReplayStatus = useCallback(
+    (status) => {
+      if (status.state === "stopped") {
+        setReplayStatus(null);
+        return;
+      }
+      setReplayStatus(status);
+      ensureReplayTabs(status.channels, status.fileName);
+
+      if (status.seeked) {
+        setMessagesByChannel((prev) => {
+          const cleared = {};
+          status.channels.forEach((channel) => {
+            if (channel in prev) cleared[channel] = [];
+          });
+          return { ...prev, ...cleared };
+        });
+      }
+    },
+    [ensureReplayTabs]
+  );
+
   /**
-   * Callback to fetch and set the initial 7TV global and channel emotes.
+   * Applies an emotes payload from the main process.
+   * Converts the arrays of [name, url] back to Maps for efficient lookup, then parses
+   * the messages already shown again so they pick up added or removed emotes.
+   * @param {Object} emotesData The payload { globalEmotes, channelEmotes, providers }.
+   */
+  const applyEmotesPayload = useCallback((emotesData) => {
+    const emotes = {
+      global: new Map(emotesData.globalEmotes),
+      channels: toMapsByChannel(emotesData.channelEmotes),
+    };
+    emotesRef.current = emotes;
+    setEmoteProviders(emotesData.providers || []);
+    setMessagesByChannel((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([channel, list]) => [
+          channel,
+          list.map((msg) => withParts(msg, emotes)),
+        ])
+      )
+    );
+  }, []);
+
+  /**
+   * Applies a badges payload from the main process to the component state.
+   * @param {Object} badgesData The payload { globalBadges, channelBadges }.
+   */
+  const applyBadgesPayload = useCallback((badgesData) => {
+    setGlobalBadges(new Map(badgesData.globalBadges));
+    setChannelBadges(toMapsByChannel(badgesData.channelBadges));
+  }, []);
+
+  /**
+   * Callback to fetch and set the initial third-party global and channel emotes.
    * This function is called once when the component mounts to ensure we have the latest emotes
    */
-  const fetchAndSetInitial7TvEmotes = useCallback(async () => {
+  const fetchAndSetInitialEmotes = useCallback(async () => {
     try {
       if (!window.electronAPI) {
-        console.error("electronAPI is not available. Cannot fetch 7TV emotes.");
+        console.error("electronAPI is not available. Cannot fetch emotes.");
         return;
       }
-      console.log("[Renderer] Attempting to fetch initial 7TV emotes...");
-      const globalEmotes = await window.electronAPI.get7TvGlobalEmotes();
-      const channelEmotes = await window.electronAPI.get7TvChannelEmotes();
+      console.log("[Renderer] Attempting to fetch initial emotes...");
+      const emotesData = await window.electronAPI.getEmotes();
 
-      setGlobal7TvEmotes(new Map(globalEmotes));
-      setChannel7TvEmotes(new Map(channelEmotes));
+      applyEmotesPayload(emotesData);
       console.log(
-        `[Renderer] Fetched ${globalEmotes.length} global and ${channelEmotes.length} channel 7TV emotes.`
+        `[Renderer] Fetched ${emotesData.globalEmotes.length} global emotes and emotes for ${
+          Object.keys(emotesData.channelEmotes).length
+        } channel(s).`
       );
     } catch (error) {
-      console.error("[Renderer] Error fetching initial 7TV emotes:", error);
+      console.error("[Renderer] Error fetching initial emotes:", error);
     }
-  }, [setGlobal7TvEmotes, setChannel7TvEmotes]);
+  }, [applyEmotesPayload]);
+
+  /**
+   * Callback to fetch and set the initial chat badges.
+   * Badges are only available once connected, so this usually returns empty lists on mount.
+   */
+  const fetchAndSetInitialBadges = useCallback(async () => {
+    try {
+      if (!window.electronAPI || !window.electronAPI.getBadges) {
+        console.error("electronAPI is not available. Cannot fetch badges.");
+        return;
+      }
+      applyBadgesPayload(await window.electronAPI.getBadges());
+    } catch (error) {
+      console.error("[Renderer] Error fetching initial badges:", error);
+    }
+  }, [applyBadgesPayload]);
 
   // ...existing code...
   /**
@@ -107,71 +606,111 @@ function ChatPage({ authenticatedUsername }) {
       return;
     }
 
+    /**
+     * Adds chat messages from the main process, counting the unread ones of background tabs.
+     * @param {Array<Object>} batch The chat message payloads, oldest first.
+     */
+    const addChatMessages = (batch) => {
+      const unread = {};
+      const entries = batch.map((message) => {
+        // Untagged messages (e.g. global errors) go to whichever tab is shown
+        const channel = message.channel || activeChannelRef.current;
+        if (
+          channel !== activeChannelRef.current &&
+          activeChannelRef.current !== MERGED_VIEW &&
+          !message.isSystem
+        ) {
+          unread[channel] = (unread[channel] || 0) + 1;
+        }
+        return { channel, message };
+      });
+      appendMessages(entries);
+
+      if (Object.keys(unread).length > 0) {
+        setUnreadCounts((prev) => {
+          const next = { ...prev };
+          Object.entries(unread).forEach(([channel, count]) => {
+            next[channel] = (next[channel] || 0) + count;
+          });
+          return next;
+        });
+      }
+    };
+
     // Named handlers so they can be removed reliably
     const chatHandler = (_event, message) => {
       console.log(`[Renderer] Received chat message:`, message);
-      setMessages((prevMessages) => addMessageAndSlice(prevMessages, message));
+      addChatMessages([message]);
     };
 
+    // Busy channels send their messages in batches, one per frame
+    const chatBatchHandler = (_event, batch) => addChatMessages(batch);
+
     const connHandler = (_event, statusData) => {
       console.log(`[Renderer] Connection status:`, statusData);
+      const { channel } = statusData;
+      if (!channel) return;
 
-      if (statusData.status === "connected") {
+      if (statusData.status === "connecting") {
+        // -- CONNECTING
+        setTabStatus(channel, "connecting");
+      } else if (statusData.status === "connected") {
         // -- CONNECTED
-        setIsConnected(true);
-        setIsConnecting(false);
-
-        setMessages((prevMessages) => {
-          const newStatusMessage = {
-            username: "System",
-            text: `Successfully connected to #${statusData.channel}!`,
-            color: "#32CD32",
-          };
-          // If only the initial "Enter channel" message is present, replace it with new status.
-          // Otherwise, just append the connection success message via helper.
-          if (
-            prevMessages.length === 1 &&
-            prevMessages[0].text === "Enter a channel name to connect!"
-          ) {
-            return [newStatusMessage]; // Replace initial message
-          }
-          return addMessageAndSlice(prevMessages, newStatusMessage);
+        setTabStatus(channel, "connected", {
+          isModerator: !!statusData.isModerator,
+        });
+        appendMessage(channel, {
+          username: "System",
+          text: `Successfully connected to #${channel}!`,
+          color: "#32CD32",
         });
       } else if (statusData.status === "disconnected") {
         // -- DISCONNECTED
-        setIsConnected(false);
-        setIsConnecting(false);
-        setMessages((prevMessages) =>
-          addMessageAndSlice(prevMessages, {
-            username: "System",
-            text: `Disconnected from #${statusData.channel}. ${
-              statusData.reason ? `(Reason: ${statusData.reason})` : ""
-            }`,
-            color: "#FF4500",
-          })
-        );
-        setChannelName("");
+        setTabStatus(channel, "disconnected");
+        appendMessage(channel, {
+          username: "System",
+          text: `Disconnected from #${channel}. ${
+            statusData.reason ? `(Reason: ${statusData.reason})` : ""
+          }`,
+          color: "#FF4500",
+        });
       } else if (statusData.status === "error") {
         // -- ERROR
-        setIsConnected(false);
-        setIsConnecting(false);
-        setMessages((prevMessages) =>
-          addMessageAndSlice(prevMessages, {
-            username: "System",
-            text: `Connection error for #${statusData.channel}: ${
-              statusData.error || "Unknown error"
-            }`,
-            color: "#DC143C",
-          })
-        );
+        setTabStatus(channel, "error");
+        appendMessage(channel, {
+          username: "System",
+          text: `Connection error for #${channel}: ${
+            statusData.error || "Unknown error"
+          }`,
+          color: "#DC143C",
+        });
       }
     };
 
     const emotesHandler = (_event, emotesData) => {
-      console.log("[Renderer] Received 7TV Emotes Update:", emotesData);
-      // Convert array of [name, url] back to Map for efficient lookup
-      setGlobal7TvEmotes(new Map(emotesData.globalEmotes));
-      setChannel7TvEmotes(new Map(emotesData.channelEmotes));
+      console.log("[Renderer] Received Emotes Update:", emotesData);
+      applyEmotesPayload(emotesData);
+    };
+
+    const moderationHandler = (_event, moderationEvent) => {
+      console.log(`[Renderer] Moderation event:`, moderationEvent);
+      const { channel } = moderationEvent;
+      setMessagesByChannel((prev) => {
+        if (!(channel in prev)) return prev;
+        const updated = applyModerationEvent(prev[channel], moderationEvent);
+        return updated === prev[channel]
+          ? prev
+          : { ...prev, [channel]: updated };
+      });
+    };
+
+    const replayHandler = (_event, status) => {
+      applyReplayStatus(status);
+    };
+
+    const badgesHandler = (_event, badgesData) => {
+      console.log("[Renderer] Received Badges Update.");
+      applyBadgesPayload(badgesData);
     };
 
     // Register handlers and capture unsubscribe functions (preload returns unsubscribers)
@@ -183,6 +722,13 @@ function ChatPage({ authenticatedUsername }) {
       console.warn("onChatMessage registration failed:", e);
     }
 
+    try {
+      const u10 = window.electronAPI.onChatMessages(chatBatchHandler);
+      if (typeof u10 === "function") unsubscribers.push(u10);
+    } catch (e) {
+      console.warn("onChatMessages registration failed:", e);
+    }
+
     try {
       const u2 = window.electronAPI.onConnectionStatus(connHandler);
       if (typeof u2 === "function") unsubscribers.push(u2);
@@ -191,14 +737,149 @@ function ChatPage({ authenticatedUsername }) {
     }
 
     try {
-      const u3 = window.electronAPI.on7TvEmotesUpdate(emotesHandler);
+      const u3 = window.electronAPI.onEmotesUpdate(emotesHandler);
       if (typeof u3 === "function") unsubscribers.push(u3);
     } catch (e) {
-      console.warn("on7TvEmotesUpdate registration failed:", e);
+      console.warn("onEmotesUpdate registration failed:", e);
     }
 
-    // Initial fetch for 7TV Emotes on component mount
-    fetchAndSetInitial7TvEmotes();
+    try {
+      const u4 = window.electronAPI.onBadgesUpdate(badgesHandler);
+      if (typeof u4 === "function") unsubscribers.push(u4);
+    } catch (e) {
+      console.warn("onBadgesUpdate registration failed:", e);
+    }
+
+    try {
+      const u5 = window.electronAPI.onChatModeration(moderationHandler);
+      if (typeof u5 === "function") unsubscribers.push(u5);
+    } catch (e) {
+      console.warn("onChatModeration registration failed:", e);
+    }
+
+    try {
+      const u6 = window.electronAPI.onReplayStatus(replayHandler);
+      if (typeof u6 === "function") unsubscribers.push(u6);
+    } catch (e) {
+      console.warn("onReplayStatus registration failed:", e);
+    }
+
+    try {
+      const u7 = window.electronAPI.onSettingsChange((_event, change) => {
+        applyMaxMessages(change.settings["chat.maxMessages"]);
+        // Counts waiting to be saved are newer than the stored ones
+        if (!completionUsageSaveTimerRef.current) {
+          completionUsageRef.current =
+            change.settings["completion.usage"] || {};
+        }
+        setRecentEmotes(change.settings["emotePicker.recent"] || []);
+      });
+      if (typeof u7 === "function") unsubscribers.push(u7);
+    } catch (e) {
+      console.warn("onSettingsChange registration failed:", e);
+    }
+
+    try {
+      const u8 = window.electronAPI.onMentionAdded((_event, mention) => {
+        setMentions((prev) => [...prev, mention]);
+        if (!showMentionsRef.current) {
+          setUnseenMentions((prev) => prev + 1);
+        }
+        if (mention.highlight.sound) {
+          playHighlightSound();
+        }
+      });
+      if (typeof u8 === "function") unsubscribers.push(u8);
+    } catch (e) {
+      console.warn("onMentionAdded registration failed:", e);
+    }
+
+    try {
+      const u9 = window.electronAPI.onFilterCountsChange((_event, counts) =>
+        setFilteredCounts(counts)
+      );
+      if (typeof u9 === "function") unsubscribers.push(u9);
+    } catch (e) {
+      console.warn("onFilterCountsChange registration failed:", e);
+    }
+
+    try {
+      const u11 = window.electronAPI.onUserEmotesUpdate((_event, emotes) =>
+        setUserEmotes(new Map(emotes))
+      );
+      if (typeof u11 === "function") unsubscribers.push(u11);
+    } catch (e) {
+      console.warn("onUserEmotesUpdate registration failed:", e);
+    }
+
+    // Initial fetch of the slash commands, for completion
+    if (window.electronAPI.getChatCommands) {
+      window.electronAPI
+        .getChatCommands()
+        .then((commands) => {
+          chatCommandsRef.current = commands;
+        })
+        .catch((error) =>
+          console.error("[Renderer] Error fetching chat commands:", error)
+        );
+    }
+
+    // Initial fetch of the user's own Twitch emotes (loaded once the chat connects)
+    if (window.electronAPI.getUserEmotes) {
+      window.electronAPI
+        .getUserEmotes()
+        .then((emotes) => setUserEmotes(new Map(emotes)))
+        .catch((error) =>
+          console.error("[Renderer] Error fetching the user's emotes:", error)
+        );
+    }
+
+    if (window.electronAPI.getFilterCounts) {
+      window.electronAPI
+        .getFilterCounts()
+        .then(setFilteredCounts)
+        .catch((error) =>
+          console.error("[Renderer] Error fetching filter counts:", error)
+        );
+    }
+
+    // Initial fetch of the mentions of this session (e.g. after the page reloaded)
+    if (window.electronAPI.getMentions) {
+      window.electronAPI
+        .getMentions()
+        .then(setMentions)
+        .catch((error) =>
+          console.error("[Renderer] Error fetching mentions:", error)
+        );
+    }
+
+    // Initial fetch for third-party emotes and badges on component mount
+    fetchAndSetInitialEmotes();
+    fetchAndSetInitialBadges();
+
+    // Initial fetch of the chat log recorder settings
+    if (window.electronAPI.getChatLogSettings) {
+      window.electronAPI
+        .getChatLogSettings()
+        .then((settings) => setChatLoggingEnabled(settings.enabled))
+        .catch((error) =>
+          console.error("[Renderer] Error fetching chat log settings:", error)
+        );
+    }
+
+    // Initial fetch of the settings (message limit, completion usage, recent emotes)
+    if (window.electronAPI.getSettings) {
+      window.electronAPI
+        .getSettings()
+        .then(({ settings }) => {
+          applyMaxMessages(settings["chat.maxMessages"]);
+          completionUsageRef.current = settings["completion.usage"] || {};
+          setRecentEmotes(settings["emotePicker.recent"] || []);
+        })
+        .catch((error) =>
+          console.error("[Renderer] Error fetching settings:", error)
+        );
+    }
 
     return () => {
       // LIFO cleanup
@@ -212,205 +893,549 @@ function ChatPage({ authenticatedUsername }) {
       }
       console.log("[Renderer] Cleaned up IPC listeners.");
     };
-  }, [fetchAndSetInitial7TvEmotes]);
+  }, [
+    fetchAndSetInitialEmotes,
+    fetchAndSetInitialBadges,
+    applyEmotesPayload,
+    applyBadgesPayload,
+    appendMessage,
+    appendMessages,
+    setTabStatus,
+    applyReplayStatus,
+    applyMaxMessages,
+  ]);
 
   /**
-   * useLayoutEffect hook for auto-scrolling the chat display area.
-   * This effect runs whenever the 'messages' state changes (i.e., a new message arrives).
+   * Toggles a third-party emote provider on or off.
+   * The main process refetches or drops that provider's emotes and pushes an emotes update.
+   * @param {string} providerId The provider ID ("7tv", "bttv" or "ffz").
+   * @param {boolean} enabled Whether the provider should be used.
    */
-  useLayoutEffect(() => {
-    if (chatContainerRef.current) {
-      const { scrollHeight } = chatContainerRef.current; // We only need scrollHeight here
+  const handleToggleEmoteProvider = async (providerId, enabled) => {
+    if (!window.electronAPI || !window.electronAPI.setEmoteProviderEnabled) {
+      console.error("electronAPI.setEmoteProviderEnabled is not available.");
+      return;
+    }
+    try {
+      const providers = await window.electronAPI.setEmoteProviderEnabled(
+        providerId,
+        enabled
+      );
+      setEmoteProviders(providers);
+    } catch (error) {
+      console.error("[Renderer] Error toggling emote provider:", error);
+    }
+  };
 
-      // Rule: If the user was at the bottom (as recorded by wasAtBottomRef),
-      // OR if it's the very first message(s) (messages.length <= 1), then auto-scroll.
-      if (wasAtBottomRef.current || messages.length <= 1) {
-        console.log("Auto-scrolling: Condition met. Scrolling to bottom.");
-        chatContainerRef.current.scrollTop = scrollHeight;
-      } else {
-        console.log(
-          "Auto-scrolling: Condition NOT met (not at bottom before update)."
-        );
+  /**
+   * Turns recording of chat events to the local JSONL logs on or off.
+   * @param {boolean} enabled Whether chat events should be recorded.
+   */
+  const handleToggleChatLogging = async (enabled) => {
+    if (!window.electronAPI || !window.electronAPI.setChatLoggingEnabled) {
+      console.error("electronAPI.setChatLoggingEnabled is not available.");
+      return;
+    }
+    try {
+      const settings = await window.electronAPI.setChatLoggingEnabled(enabled);
+      setChatLoggingEnabled(settings.enabled);
+    } catch (error) {
+      console.error("[Renderer] Error toggling chat logging:", error);
+    }
+  };
+
+  /**
+   * Opens the chat logs folder in the system file manager.
+   */
+  const handleOpenChatLogsFolder = () => {
+    if (window.electronAPI && window.electronAPI.openChatLogsFolder) {
+      window.electronAPI.openChatLogsFolder();
+    } else {
+      console.error("electronAPI.openChatLogsFolder is not available.");
+    }
+  };
+
+  /**
+   * Lets the user pick a recorded chat log or IRC transcript and starts replaying it.
+   * Each replayed channel gets a read-only tab.
+   */
+  const handleOpenReplay = async () => {
+    if (!window.electronAPI || !window.electronAPI.openReplay) {
+      console.error("electronAPI.openReplay is not available.");
+      return;
+    }
+    try {
+      const result = await window.electronAPI.openReplay();
+      if (result.success) {
+        applyReplayStatus(result.status);
+        selectChannel(result.status.channels[0] || LOBBY);
+      } else if (!result.canceled) {
+        appendMessage(activeChannelRef.current, {
+          username: "System",
+          text: `Could not open replay: ${result.error}`,
+          color: "#DC143C",
+          isSystem: true,
+        });
       }
+    } catch (error) {
+      console.error("[Renderer] Error opening replay:", error);
     }
-  }, [messages]);
+  };
 
   /**
-   * useEffect hook to handle scroll events in the chat container.
-   * This effect sets up an event listener to detect when the user scrolls the chat display area.
-   * It updates the `wasAtBottomRef` to track whether the user is currently at or near the bottom of the chat display area.
-   * This is crucial for determining whether to auto-scroll when new messages arrive.
+   * Sends a playback action (play, pause, seek, speed, stop) to the replay source.
+   * @param {string} action The action.
+   * @param {any} [value] The seek position (ms) or speed.
    */
-  useEffect(() => {
-    const chatContainer = chatContainerRef.current;
-    if (!chatContainer) return;
-
-    const handleScroll = () => {
-      const { scrollHeight, clientHeight, scrollTop } = chatContainer;
-
-      // Define a tolerance for "near the bottom" to avoid flickering
-      // This allows for a small margin of error when determining if the user is at the bottom
-      const SCROLL_TOLERANCE = 20;
-
-      // Check if the user is currently at or very near the absolute bottom
-      const isCurrentlyAtOrNearBottom =
-        scrollHeight - (scrollTop + clientHeight) < SCROLL_TOLERANCE;
-
-      // Only update the ref if its state actually changes, to avoid unnecessary re-renders/logs
-      if (wasAtBottomRef.current !== isCurrentlyAtOrNearBottom) {
-        wasAtBottomRef.current = isCurrentlyAtOrNearBottom;
-        console.log(
-          "User scroll detected! wasAtBottomRef updated to:",
-          wasAtBottomRef.current
-        );
+  const handleReplayControl = (action, value) => {
+    if (window.electronAPI && window.electronAPI.controlReplay) {
+      window.electronAPI.controlReplay(action, value);
+    } else {
+      console.error("electronAPI.controlReplay is not available.");
+    }
+  };
+
+  /**
+   * Opens the moderation menu when a chat line is right-clicked in a channel the user moderates.
+   * System lines and the user's own messages keep the default context menu.
+   * @param {MouseEvent} event The contextmenu event.
+   * @param {Object} msg The message that was right-clicked.
+   */
+  const handleMessageContextMenu = useCallback(
+    (event, msg) => {
+      if (!msg.userId || !msg.roomId || !canModerate(msg.channel)) return;
+      if (
+        authenticatedUsername &&
+        msg.login === authenticatedUsername.toLowerCase()
+      ) {
+        return;
       }
-    };
+      event.preventDefault();
+      setModerationMenu({ x: event.clientX, y: event.clientY, message: msg });
+    },
+    // canModerate only reads tabs
+    [tabs, authenticatedUsername]
+  );
 
-    // Add the scroll event listener
-    chatContainer.addEventListener("scroll", handleScroll);
+  /**
+   * Picks the channel of a clicked channel tag in the merged view as the send target,
+   * if it is a live channel we are connected to.
+   * @param {string} channel The tag's channel.
+   */
+  const handleChannelTagClick = useCallback(
+    (channel) => {
+      if (
+        tabs.some(
+          (tab) =>
+            tab.channel === channel &&
+            tab.status === "connected" &&
+            !tab.isReplay
+        )
+      ) {
+        setMergedSendChannel(channel);
+      }
+    },
+    [tabs]
+  );
 
-    // Cleanup the event listener when the component unmounts
-    return () => {
-      chatContainer.removeEventListener("scroll", handleScroll);
-    };
+  /**
+   * Starts a reply to a message: the next message sent to its channel is threaded under it.
+   * In the merged view, the message's channel becomes the send target.
+   * @param {Object} msg The message to reply to.
+   */
+  const handleReply = useCallback((msg) => {
+    setReplyTarget({
+      channel: msg.channel,
+      parentMessageId: msg.messageId,
+      parentLogin: msg.login,
+      parentUsername: msg.username,
+      parentText: msg.text,
+    });
+    if (activeChannelRef.current === MERGED_VIEW) {
+      setMergedSendChannel(msg.channel);
+    }
+    if (messageInputRef.current) messageInputRef.current.focus();
   }, []);
 
   /**
-   * Formats a message text by replacing recognized 7TV emotes with corresponding image tags.
-   * It checks both channel-specific and global 7TV emotes, prioritizing channel emotes.
-   * If a word matches an emote, it replaces it with an <img> tag with the emote's URL.
-   * If no emote matches, it returns the word as plain text.
-   * @param {string} text
-   * @returns
+   * Scrolls to a message of the shown chat and flashes it, e.g. the message a reply answers.
+   * Does nothing once the message left the buffer (or when it is in another tab).
+   * @param {string} channel The message's channel.
+   * @param {string} messageId The message's Twitch ID.
    */
-  const formatMessageWithEmotes = (text) => {
-    if (!text) return null;
+  const handleJumpToMessage = useCallback((channel, messageId) => {
+    const target = messagesRef.current.find(
+      (msg) => msg.channel === channel && msg.messageId === messageId
+    );
+    if (!target || !chatListRef.current) return;
+    chatListRef.current.scrollToKey(getMessageKey(target));
+    setFlashedSeq(target.seq);
+    clearTimeout(flashTimerRef.current);
+    flashTimerRef.current = setTimeout(
+      () => setFlashedSeq(null),
+      FLASH_DURATION_MS
+    );
+  }, []);
 
-    const words = text.split(/\s+/); // Split by whitespace to get individual words
-    const processedContent = [];
+  // Stops the flash timer when the page unmounts
+  useEffect(() => () => clearTimeout(flashTimerRef.current), []);
 
-    words.forEach((word, index) => {
-      let emoteUrl = null;
+  /**
+   * Closes the moderation menu.
+   */
+  const closeModerationMenu = useCallback(() => setModerationMenu(null), []);
 
-      // Prioritize channel emotes over global emotes
-      if (channel7TvEmotes.has(word)) {
-        emoteUrl = channel7TvEmotes.get(word);
-      } else if (global7TvEmotes.has(word)) {
-        emoteUrl = global7TvEmotes.get(word);
-      }
+  /**
+   * Runs a moderation action from the menu through the main process.
+   * The main process posts the result or error as a system line in the channel.
+   * @param {Object} msg The message the menu was opened on.
+   * @param {Object} action The chosen action ({ type, duration?, reason? }).
+   */
+  const handleModerationAction = async (msg, action) => {
+    if (!window.electronAPI || !window.electronAPI.moderateChat) {
+      console.error("electronAPI.moderateChat is not available.");
+      return;
+    }
+    try {
+      await window.electronAPI.moderateChat({
+        ...action,
+        channel: msg.channel,
+        broadcasterId: msg.roomId,
+        userId: msg.userId,
+        username: msg.username,
+        messageId: msg.messageId,
+      });
+    } catch (error) {
+      console.error("[Renderer] Error running moderation action:", error);
+    }
+  };
 
-      if (emoteUrl) {
-        // If it's an emote, add an img tag
-        // Ensure 'https:' prefix if the URL might be protocol-relative (starts with //)
-        const fullEmoteUrl = emoteUrl.startsWith("//")
-          ? `https:${emoteUrl}`
-          : emoteUrl;
-        processedContent.push(
-          <img
-            key={`${word}-${index}`}
-            src={fullEmoteUrl}
-            alt={word}
-            className="chat-emote 7tv-emote" // Add classes for styling
-            title={word} // Show emote name on hover
-          />
-        );
-      } else {
-        // If it's not an emote, add the word as text
-        processedContent.push(word);
-      }
+  /**
+   * Handles the click event for the "Join" button.
+   * Opens a tab for the channel (or selects it if already open) and asks the
+   * main process to join it on the shared connection.
+   */
+  const handleJoinChannel = () => {
+    const channel = channelName.trim().replace(/^#/, "").toLowerCase();
 
-      // Add a space after each word except the last one
-      if (index < words.length - 1) {
-        processedContent.push(" ");
-      }
-    });
+    if (!channel) {
+      // Alert if channel name is empty
+      alert("Please enter a channel name.");
+      return;
+    }
+
+    const existingTab = tabs.find((tab) => tab.channel === channel);
+    setChannelName("");
+
+    // Already joined (or joining): just switch to its tab
+    if (
+      existingTab &&
+      (existingTab.status === "connected" ||
+        existingTab.status === "connecting")
+    ) {
+      selectChannel(channel);
+      return;
+    }
+
+    const attemptMessage = {
+      username: "System",
+      text: `Attempting to connect to: #${channel}...`,
+      color: "#ADD8E6",
+    };
+
+    if (existingTab) {
+      // Retry a tab that was disconnected or failed
+      setTabStatus(channel, "connecting");
+      appendMessage(channel, attemptMessage);
+    } else {
+      setTabs((prevTabs) => [...prevTabs, { channel, status: "connecting" }]);
+      setMessagesByChannel((prev) => ({
+        ...prev,
+        [channel]: [attemptMessage],
+      }));
+    }
+    selectChannel(channel);
 
-    return <>{processedContent}</>; // Return a React Fragment
+    if (window.electronAPI && window.electronAPI.connectToTwitch) {
+      // Send an IPC message to the main process to join the channel
+      window.electronAPI.connectToTwitch(channel);
+    } else {
+      console.error(
+        "electronAPI.connectToTwitch is not available. Cannot connect to Twitch."
+      );
+      setTabStatus(channel, "error"); // Reset connecting state if API not ready
+      appendMessage(channel, {
+        username: "System",
+        text: `Connection failed: Electron API not available.`,
+        color: "#DC143C",
+      });
+    }
   };
 
   /**
-   * Handles the click event for the "Connect" / "Disconnect" button.
-   * Manages the connection/disconnection logic and UI state transitions.
+   * Closes a channel tab and asks the main process to leave the channel.
+   * The next tab (or the lobby, when none remain) is selected if the closed tab was shown.
+   * @param {string} channel The tab's channel.
    */
-  const handleConnectToggle = () => {
-    if (isConnecting) return;
+  const handleLeaveChannel = (channel) => {
+    const tabIndex = tabs.findIndex((tab) => tab.channel === channel);
+    if (tabIndex === -1) return;
 
-    const trimmedChannelName = channelName.trim();
+    console.log(`[Renderer] Leaving channel: ${channel}`);
+    const remainingTabs = tabs.filter((tab) => tab.channel !== channel);
 
-    // --- DISCONNECT LOGIC ---
-    if (isConnected) {
-      console.log(
-        `[Renderer] Disconnecting from channel: ${trimmedChannelName}`
-      );
-      if (window.electronAPI && window.electronAPI.disconnectFromTwitch) {
-        window.electronAPI.disconnectFromTwitch();
-      } else {
-        console.error("electronAPI.disconnectFromTwitch is not available.");
-        // Fallback if API not ready
-        setIsConnected(false);
-        setMessages((prevMessages) =>
-          addMessageAndSlice(prevMessages, {
-            username: "System",
-            text: `Failed to request disconnect from #${trimmedChannelName}.`,
-            color: "#FF4500",
-          })
-        );
+    setTabs(remainingTabs);
+    setMessagesByChannel((prev) => {
+      const { [channel]: _closed, ...rest } = prev;
+      return rest;
+    });
+    setUnreadCounts((prev) => {
+      const { [channel]: _closed, ...rest } = prev;
+      return rest;
+    });
+
+    if (channel === mergedSendChannel) {
+      setMergedSendChannel(""); // Never leave the picker pointing at a channel we left
+    }
+
+    if (channel === activeChannel) {
+      const nextTab =
+        remainingTabs[Math.min(tabIndex, remainingTabs.length - 1)];
+      selectChannel(nextTab ? nextTab.channel : LOBBY);
+    } else if (isMergedView && remainingTabs.length < 2) {
+      // The merged view needs at least two channels
+      selectChannel(remainingTabs.length ? remainingTabs[0].channel : LOBBY);
+    }
+    if (remainingTabs.length === 0) {
+      appendMessage(LOBBY, {
+        username: "System",
+        text: `Left #${channel}. Enter a channel name to connect!`,
+        color: "#AAAAAA",
+      });
+    }
+
+    // Replayed channels were never joined, so there is nothing to leave.
+    // Closing the last replayed channel stops the replay.
+    if (tabs[tabIndex].isReplay) {
+      if (!remainingTabs.some((tab) => tab.isReplay)) {
+        handleReplayControl("stop");
       }
-      // --- CONNECT LOGIC ---
+      return;
+    }
+
+    if (window.electronAPI && window.electronAPI.disconnectFromTwitch) {
+      window.electronAPI.disconnectFromTwitch(channel);
     } else {
-      if (trimmedChannelName) {
-        setIsConnecting(true);
-        // Clear previous messages before connecting to a new channel
-        setMessages([
-          {
-            username: "System",
-            text: `Attempting to connect to: #${trimmedChannelName}...`,
-            color: "#ADD8E6",
-          },
-        ]);
-        if (window.electronAPI && window.electronAPI.connectToTwitch) {
-          // Send an IPC message to the main process to initiate Twitch connection
-          window.electronAPI.connectToTwitch(trimmedChannelName);
-        } else {
-          console.error(
-            "electronAPI.connectToTwitch is not available. Cannot connect to Twitch."
-          );
-          setIsConnecting(false); // Reset connecting state if API not ready
-          setMessages((prevMessages) =>
-            addMessageAndSlice(prevMessages, {
-              username: "System",
-              text: `Connection failed: Electron API not available.`,
-              color: "#DC143C",
-            })
-          );
-        }
-      } else {
-        // Alert if channel name is empty
-        alert("Please enter a channel name.");
-      }
+      console.error("electronAPI.disconnectFromTwitch is not available.");
+    }
+  };
+
+  /**
+   * Opens or closes the mentions list. Opening it marks every mention as seen.
+   */
+  const toggleMentions = () => {
+    const isOpen = !showMentionsRef.current;
+    showMentionsRef.current = isOpen;
+    setShowMentions(isOpen);
+    if (isOpen) setUnseenMentions(0);
+  };
+
+  /**
+   * Shows the channel of a mention picked in the mentions list, if it is still joined.
+   * @param {string} channel The mention's channel.
+   */
+  const handleSelectMention = (channel) => {
+    if (tabs.some((tab) => tab.channel === channel)) {
+      selectChannel(channel);
+    }
+  };
+
+  /**
+   * Empties the mentions list in the main process and here.
+   */
+  const handleClearMentions = () => {
+    setMentions([]);
+    setUnseenMentions(0);
+    if (window.electronAPI && window.electronAPI.clearMentions) {
+      window.electronAPI
+        .clearMentions()
+        .catch((error) =>
+          console.error("[Renderer] Error clearing mentions:", error)
+        );
     }
   };
 
   /**
    * Handles the 'keydown' event on the channel input field.
-   * Triggers the connect/disconnect toggle when the 'Enter' key is pressed.
+   * Joins the channel when the 'Enter' key is pressed.
    * @param {KeyboardEvent} event The keyboard event object.
    */
   const handleKeyDown = (event) => {
     if (event.key === "Enter") {
-      handleConnectToggle();
+      handleJoinChannel();
+    }
+  };
+
+  /**
+   * Returns the completion suggestions for a word typed in the message input: the send
+   * channel's third-party emotes, then the global ones, then the user's own Twitch emotes,
+   * for "@" words the send channel's recent chatters (most recent first), and for a "/" word
+   * at the start of the message the slash commands.
+   * @param {string} word The typed word.
+   * @param {number} start The word's position in the message.
+   * @returns {Array<Object>} The ranked suggestions (see rankCompletions).
+   */
+  const getCompletionSuggestions = useCallback(
+    (word, start) => {
+      const candidates = [];
+      if (word.startsWith("/")) {
+        if (start !== 0) return [];
+        chatCommandsRef.current.forEach((command) =>
+          candidates.push({
+            type: "command",
+            name: `/${command.name}`,
+            key: `/${command.name}`,
+            usage: command.usage,
+            description: command.description,
+          })
+        );
+      } else if (word.startsWith("@")) {
+        const chatters = chattersRef.current.get(sendChannel);
+        if (chatters) {
+          Array.from(chatters.entries())
+            .reverse()
+            .forEach(([login, chatter]) =>
+              candidates.push({
+                type: "user",
+                name: `@${chatter.name}`,
+                key: `@${login}`,
+                color: chatter.color,
+              })
+            );
+        }
+      } else {
+        const emoteMaps = [
+          emotesRef.current.channels[sendChannel],
+          emotesRef.current.global,
+          userEmotes,
+        ];
+        emoteMaps.forEach((emotes) => {
+          if (!emotes) return;
+          emotes.forEach((url, name) =>
+            candidates.push({
+              type: "emote",
+              name,
+              key: name,
+              url: toAbsoluteEmoteUrl(url),
+            })
+          );
+        });
+      }
+      return rankCompletions(word, candidates, completionUsageRef.current);
+    },
+    [sendChannel, userEmotes]
+  );
+
+  /**
+   * Saves the completion usage counts in the "completion.usage" setting.
+   */
+  const saveCompletionUsage = () => {
+    clearTimeout(completionUsageSaveTimerRef.current);
+    completionUsageSaveTimerRef.current = null;
+    if (window.electronAPI && window.electronAPI.setSetting) {
+      window.electronAPI
+        .setSetting("completion.usage", completionUsageRef.current)
+        .catch((error) =>
+          console.error("[Renderer] Error saving completion usage:", error)
+        );
+    }
+  };
+
+  // Saves the pending completion usage counts when the page unmounts or the window closes
+  useEffect(() => {
+    const flushCompletionUsage = () => {
+      if (completionUsageSaveTimerRef.current) saveCompletionUsage();
+    };
+    window.addEventListener("beforeunload", flushCompletionUsage);
+    return () => {
+      window.removeEventListener("beforeunload", flushCompletionUsage);
+      flushCompletionUsage();
+    };
+  }, []);
+
+  /**
+   * Counts the emotes and mentions of a sent message in the "completion.usage" setting,
+   * so they rank higher in later completions. The counts are saved after a delay.
+   * @param {string} channel The channel the message was sent to.
+   * @param {string} text The sent message.
+   */
+  const recordCompletionUsage = (channel, text) => {
+    const chatters = chattersRef.current.get(channel);
+    const channelEmotes = emotesRef.current.channels[channel];
+    const usage = addUsage(completionUsageRef.current, text, (word) => {
+      if (word.startsWith("@")) {
+        const login = word.slice(1).toLowerCase();
+        return chatters && chatters.has(login) ? `@${login}` : null;
+      }
+      const isEmote =
+        (channelEmotes && channelEmotes.has(word)) ||
+        emotesRef.current.global.has(word) ||
+        userEmotes.has(word);
+      return isEmote ? word : null;
+    });
+    if (usage === completionUsageRef.current) return;
+
+    completionUsageRef.current = usage;
+    if (!completionUsageSaveTimerRef.current) {
+      completionUsageSaveTimerRef.current = setTimeout(
+        saveCompletionUsage,
+        COMPLETION_USAGE_SAVE_DELAY_MS
+      );
+    }
+  };
+
+  /**
+   * Inserts an emote picked in the emote picker at the caret and moves it to the front of
+   * the "Recently used" row.
+   * @param {{name: string, url: string}} emote The picked emote.
+   */
+  const handlePickEmote = (emote) => {
+    if (messageInputRef.current) messageInputRef.current.insertText(emote.name);
+
+    const recent = [
+      emote,
+      ...recentEmotes.filter((recentEmote) => recentEmote.name !== emote.name),
+    ].slice(0, MAX_RECENT_EMOTES);
+    setRecentEmotes(recent);
+    if (window.electronAPI && window.electronAPI.setSetting) {
+      window.electronAPI
+        .setSetting("emotePicker.recent", recent)
+        .catch((error) =>
+          console.error("[Renderer] Error saving recent emotes:", error)
+        );
     }
   };
 
   /**
-   * Handles sending a message to the currently connected Twitch channel.
+   * Handles sending a message to the channel of the selected tab
+   * (or the channel picked in the merged view).
    * This function gets the message from state, sends it via Electron API,
    * optimistically adds it to the chat display, and clears the input.
+   * Slash commands are run by the main process, which reports their results in chat;
+   * of those, only /me is added to the chat display, as an action.
    */
   const handleSendMessage = async () => {
     const trimmedMessage = messageInput.trim();
+    const targetChannel = sendChannel;
+    const command = /^\/(\S+)\s*([\s\S]*)$/.exec(trimmedMessage);
+    const actionText =
+      command && command[1].toLowerCase() === "me" ? command[2].trim() : "";
+    const reply =
+      replyTarget && replyTarget.channel === targetChannel && !command
+        ? replyTarget
+        : null;
 
-    // Check if the message is empty or if we are not connected
+    // Check if the message is empty or if we are not connected to the target channel
     if (!trimmedMessage || !isConnected) {
       console.warn("[Renderer] Cannot send empty message or not connected.");
       return;
@@ -418,114 +1443,225 @@ function ChatPage({ authenticatedUsername }) {
 
     if (window.electronAPI && window.electronAPI.sendMessage) {
       // Optimistically add the message to the chat display
-      setMessages((prevMessages) =>
-        addMessageAndSlice(prevMessages, {
+      if (!command || actionText) {
+        appendMessage(targetChannel, {
+          channel: targetChannel,
           username: authenticatedUsername, // Use the authenticated user's name
-          text: trimmedMessage,
+          login: authenticatedUsername && authenticatedUsername.toLowerCase(),
+          text: actionText || trimmedMessage,
           color: "#90EE90",
           isSelf: true, // A flag to style your own messages differently
-        })
-      );
+          isAction: !!actionText,
+          reply: reply
+            ? {
+                parentMessageId: reply.parentMessageId,
+                parentLogin: reply.parentLogin,
+                parentUsername: reply.parentUsername,
+                parentText: reply.parentText,
+              }
+            : undefined,
+        });
+      }
 
       // Send the message to the main process
       try {
-        await window.electronAPI.sendMessage(trimmedMessage);
+        await window.electronAPI.sendMessage(
+          targetChannel,
+          trimmedMessage,
+          reply ? reply.parentMessageId : null
+        );
         setMessageInput(""); // Clear the input field after sending
+        if (!command) setReplyTarget(null);
+        recordCompletionUsage(
+          targetChannel,
+          command ? actionText : trimmedMessage
+        );
       } catch (error) {
         console.error(
           "[Renderer] Error sending message via electronAPI:",
           error
         );
-        setMessages((prevMessages) =>
-          addMessageAndSlice(prevMessages, {
-            username: "System",
-            text: `Failed to send message: ${
-              error.message || "Unknown error."
-            }`,
-            color: "#DC143C",
-            isSystem: true,
-          })
-        );
-      }
-    } else {
-      console.error("electronAPI.sendMessage is not available.");
-      setMessages((prevMessages) =>
-        addMessageAndSlice(prevMessages, {
+        appendMessage(targetChannel, {
           username: "System",
-          text: "Message sending failed: Electron API not available.",
+          text: `Failed to send message: ${error.message || "Unknown error."}`,
           color: "#DC143C",
           isSystem: true,
-        })
-      );
+        });
+      }
+    } else {
+      console.error("electronAPI.sendMessage is not available.");
+      appendMessage(targetChannel, {
+        username: "System",
+        text: "Message sending failed: Electron API not available.",
+        color: "#DC143C",
+        isSystem: true,
+      });
     }
   };
 
   /**
    * Handles 'keydown' events for the message input field.
-   * Triggers message sending when the 'Enter' key is pressed.
+   * Triggers message sending when the 'Enter' key is pressed; 'Escape' cancels a reply.
    * @param {KeyboardEvent} event The keyboard event object.
    */
   const handleMessageInputKeyDown = (event) => {
     if (event.key === "Enter") {
       handleSendMessage();
+    } else if (event.key === "Escape" && replyTarget) {
+      setReplyTarget(null);
     }
   };
 
+  const isGhostMode = ghostMode.enabled;
+
+  // Messages caught by the filter rules in the shown channel (every channel in the merged view)
+  const shownFilteredCount = isMergedView
+    ? tabs.reduce((sum, tab) => sum + (filteredCounts[tab.channel] || 0), 0)
+    : filteredCounts[activeChannel] || 0;
+
   return (
     <>
-      <div className="chat-display-area" ref={chatContainerRef}>
-        {messages.map((msg, index) => (
-          <p key={index} className="chat-message">
-            <span
-              className="username"
-              style={{ color: msg.color || "#FFFFFF" }}
-            >
-              {msg.username}:
-            </span>{" "}
-            {msg.isSystem ? msg.text : formatMessageWithEmotes(msg.text)}
-          </p>
-        ))}
-      </div>
-      <div className="controls">
-        {authenticatedUsername && isConnected && (
-          <div className="authenticated-user-status">
-            Connected as:{" "}
-            <span style={{ color: "var(--twitch-purple)" }}>
-              {authenticatedUsername}
-            </span>
-          </div>
+      {!isGhostMode && (
+        <ChannelTabs
+          tabs={tabs}
+          activeChannel={activeChannel}
+          showMergedTab={tabs.length > 1}
+          unreadCounts={unreadCounts}
+          onSelect={selectChannel}
+          onClose={handleLeaveChannel}
+          unseenMentions={unseenMentions}
+          showMentions={showMentions}
+          onToggleMentions={toggleMentions}
+        />
+      )}
+      {showMentions && !isGhostMode && (
+        <MentionsPanel
+          mentions={mentions}
+          onSelect={handleSelectMention}
+          onClear={handleClearMentions}
+          onClose={toggleMentions}
+        />
+      )}
+      {replayStatus && !isGhostMode && (
+        <ReplayControls status={replayStatus} onControl={handleReplayControl} />
+      )}
+      <VirtualizedChatList
+        ref={chatListRef}
+        key={activeChannel} // Each tab starts at its latest message
+        className="chat-display-area"
+        items={messages}
+        getKey={getMessageKey}
+        renderItem={(msg) => (
+          <ChatLine
+            msg={msg}
+            showChannelTag={isMergedView}
+            channelBadges={channelBadges[msg.channel]}
+            globalBadges={globalBadges}
+            canModerate={canModerate(msg.channel)}
+            canReply={
+              !!msg.messageId && connectedChannels.includes(msg.channel)
+            }
+            isFlashed={msg.seq === flashedSeq}
+            onContextMenu={handleMessageContextMenu}
+            onToggleRevealed={toggleRevealedMessage}
+            onChannelTagClick={handleChannelTagClick}
+            onReply={handleReply}
+            onJumpToMessage={handleJumpToMessage}
+          />
         )}
-        {!isConnected ? (
-          <>
-            <input
-              type="text"
-              id="channelInput"
-              placeholder="Enter Twitch channel name"
-              value={channelName}
-              onChange={(e) => setChannelName(e.target.value)}
-              onKeyDown={handleKeyDown}
-              disabled={isConnecting}
-            />
-            <button
-              id="connectButton"
-              onClick={handleConnectToggle}
-              disabled={isConnecting}
-            >
-              {isConnecting ? "Connecting..." : "Connect to Chat"}
-            </button>
-          </>
-        ) : (
-          <>
+      />
+      {shownFilteredCount > 0 && !isGhostMode && (
+        <div
+          className="filtered-count"
+          title="Edit the filter rules under Filters in the settings"
+        >
+          {shownFilteredCount} message{shownFilteredCount === 1 ? "" : "s"}{" "}
+          filtered
+        </div>
+      )}
+      {moderationMenu && !isGhostMode && (
+        <ModerationMenu
+          x={moderationMenu.x}
+          y={moderationMenu.y}
+          message={moderationMenu.message}
+          onAction={(action) =>
+            handleModerationAction(moderationMenu.message, action)
+          }
+          onClose={closeModerationMenu}
+        />
+      )}
+      {!isGhostMode && (
+        <div className="controls">
+          {authenticatedUsername && showMessageInput && (
+            <div className="authenticated-user-status">
+              Connected as:{" "}
+              <span style={{ color: "var(--twitch-purple)" }}>
+                {authenticatedUsername}
+              </span>
+            </div>
+          )}
+          {showMessageInput &&
+            replyTarget &&
+            replyTarget.channel === sendChannel && (
+              <div className="reply-bar">
+                <span className="reply-bar-text">
+                  Replying to @{replyTarget.parentUsername}:{" "}
+                  {replyTarget.parentText}
+                </span>
+                <button
+                  className="reply-bar-cancel"
+                  onClick={() => setReplyTarget(null)}
+                  title="Cancel the reply (Esc)"
+                >
+                  ×
+                </button>
+              </div>
+            )}
+          {showMessageInput && (
             <div className="message-input-area">
-              <input
-                type="text"
+              {isMergedView && (
+                <select
+                  id="sendChannelPicker"
+                  value={mergedSendChannel}
+                  onChange={(e) => setMergedSendChannel(e.target.value)}
+                  style={
+                    mergedSendChannel
+                      ? { borderColor: getChannelColor(mergedSendChannel) }
+                      : undefined
+                  }
+                  title="Channel to send to"
+                >
+                  <option value="" disabled>
+                    Send to...
+                  </option>
+                  {connectedChannels.map((channel) => (
+                    <option key={channel} value={channel}>
+                      #{channel}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <MessageInput
+                ref={messageInputRef}
                 id="messageInput"
-                placeholder="Type your message..."
+                placeholder={
+                  sendChannel
+                    ? `Message #${sendChannel}...`
+                    : "Pick a channel to send to"
+                }
                 value={messageInput}
-                onChange={(e) => setMessageInput(e.target.value)}
+                onChange={setMessageInput}
                 onKeyDown={handleMessageInputKeyDown} // Send on Enter
+                getSuggestions={getCompletionSuggestions}
                 disabled={!isConnected} // Disable if not connected
               />
+              <EmotePicker
+                channel={sendChannel}
+                userEmotes={userEmotes}
+                recentEmotes={recentEmotes}
+                onPick={handlePickEmote}
+                disabled={!isConnected}
+              />
               <button
                 id="sendMessageButton"
                 onClick={handleSendMessage}
@@ -534,12 +1670,93 @@ function ChatPage({ authenticatedUsername }) {
                 Send
               </button>
             </div>
-            <button id="disconnectButton" onClick={handleConnectToggle}>
-              Disconnect from #{channelName.trim()}
+          )}
+          <div className="message-input-area">
+            <input
+              type="text"
+              id="channelInput"
+              placeholder={
+                tabs.length > 0
+                  ? "Join another channel"
+                  : "Enter Twitch channel name"
+              }
+              value={channelName}
+              onChange={(e) => setChannelName(e.target.value)}
+              onKeyDown={handleKeyDown}
+            />
+            <button id="connectButton" onClick={handleJoinChannel}>
+              {tabs.length > 0 ? "Join" : "Connect to Chat"}
             </button>
-          </>
-        )}
-      </div>
+          </div>
+          {activeTab && (
+            <button
+              id="disconnectButton"
+              onClick={() => handleLeaveChannel(activeChannel)}
+            >
+              {isConnecting ? "Cancel" : "Leave"} #{activeChannel}
+            </button>
+          )}
+          {emoteProviders.length > 0 && (
+            <div className="emote-provider-toggles">
+              {emoteProviders.map((provider) => (
+                <label key={provider.id} title={`${provider.name} emotes`}>
+                  <input
+                    type="checkbox"
+                    checked={provider.enabled}
+                    onChange={(e) =>
+                      handleToggleEmoteProvider(provider.id, e.target.checked)
+                    }
+                  />
+                  {provider.name}
+                </label>
+              ))}
+            </div>
+          )}
+          <div className="chat-log-controls">
+            <label title="Record chat to JSONL files, one per channel and day">
+              <input
+                type="checkbox"
+                checked={chatLoggingEnabled}
+                onChange={(e) => handleToggleChatLogging(e.target.checked)}
+              />
+              Record chat logs
+            </label>
+            <button className="link-button" onClick={handleOpenChatLogsFolder}>
+              Open logs folder
+            </button>
+            <button className="link-button" onClick={handleOpenReplay}>
+              Replay a log…
+            </button>
+          </div>
+          <div className="ghost-mode-controls">
+            <button
+              className="link-button"
+              onClick={() => onSetGhostMode(true)}
+              title={
+                ghostMode.hotkey
+                  ? `Transparent and click-through, ${ghostMode.hotkey} to toggle`
+                  : "Transparent and click-through"
+              }
+            >
+              Ghost mode
+            </button>
+            <label title="Background opacity in ghost mode">
+              Opacity
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={Math.round(ghostMode.opacity * 100)}
+                onChange={(e) =>
+                  onGhostOpacityChange(Number(e.target.value) / 100)
+                }
+              />
+              {Math.round(ghostMode.opacity * 100)}%
+            </label>
+          </div>
+          <WindowPlacementControls />
+        </div>
+      )}
     </>
   );
 }
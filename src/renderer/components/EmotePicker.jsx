@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { toAbsoluteEmoteUrl } from "../utils/emoteParser";
+import "./EmotePicker.css"; // Import styles for the emote picker
+
+/**
+ * Builds the picker's sections: recently used emotes, the user's Twitch emotes, then each
+ * provider's channel and global emotes. Empty sections are left out.
+ * @param {Array<{name: string, url: string}>} recentEmotes The recently used emotes.
+ * @param {Map<string, string>} userEmotes The user's Twitch emotes.
+ * @param {Array<Object>} providers The providers' emotes (see getPickerEmotes).
+ * @param {string} channel The channel the message goes to.
+ * @returns {Array<{id: string, title: string, emotes: Array<{name: string, url: string}>}>}
+ */
+const buildSections = (recentEmotes, userEmotes, providers, channel) => {
+  const toEmotes = (entries) =>
+    Array.from(entries, ([name, url]) => ({
+      name,
+      url: toAbsoluteEmoteUrl(url),
+    }));
+
+  const sections = [
+    { id: "recent", title: "Recently used", emotes: recentEmotes },
+    { id: "twitch", title: "Your Twitch emotes", emotes: toEmotes(userEmotes) },
+  ];
+  providers.forEach((provider) => {
+    sections.push(
+      {
+        id: `${provider.id}-channel`,
+        title: `#${channel} ${provider.name}`,
+        emotes: toEmotes(provider.channelEmotes),
+      },
+      {
+        id: `${provider.id}-global`,
+        title: `Global ${provider.name}`,
+        emotes: toEmotes(provider.globalEmotes),
+      }
+    );
+  });
+  return sections.filter((section) => section.emotes.length > 0);
+};
+
+/**
+ * Button next to the message input that opens a searchable grid of the emotes the user can
+ * send in a channel, by section. Clicking an emote picks it; the grid stays open until the
+ * button is clicked again, Escape is pressed or the user clicks elsewhere.
+ * @param {Object} props
+ * @param {string} props.channel The channel the message goes to.
+ * @param {Map<string, string>} props.userEmotes The user's Twitch emotes (name -> url).
+ * @param {Array<{name: string, url: string}>} props.recentEmotes The recently used emotes,
+ *   most recent first.
+ * @param {function({name: string, url: string}): void} props.onPick Called with the picked emote.
+ * @param {boolean} props.disabled Whether the button is disabled.
+ */
+function EmotePicker({ channel, userEmotes, recentEmotes, onPick, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [search, setSearch] = useState("");
+  const [providers, setProviders] = useState([]); // [{ id, name, channelEmotes, globalEmotes }]
+  const pickerRef = useRef(null);
+
+  // Load the channel's and global third-party emotes while open, again when they change
+  useEffect(() => {
+    if (!isOpen || !window.electronAPI || !window.electronAPI.getPickerEmotes) {
+      return undefined;
+    }
+    const load = () =>
+      window.electronAPI
+        .getPickerEmotes(channel)
+        .then(setProviders)
+        .catch((error) =>
+          console.error("[Renderer] Error fetching picker emotes:", error)
+        );
+    load();
+    const unsubscribe = window.electronAPI.onEmotesUpdate(load);
+    return () => {
+      if (typeof unsubscribe === "function") unsubscribe();
+    };
+  }, [isOpen, channel]);
+
+  // Close when clicking outside of the picker
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleMouseDown = (event) => {
+      if (pickerRef.current && !pickerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleMouseDown);
+    return () => document.removeEventListener("mousedown", handleMouseDown);
+  }, [isOpen]);
+
+  // Close when sending becomes impossible (e.g. the channel disconnected)
+  useEffect(() => {
+    if (disabled) setIsOpen(false);
+  }, [disabled]);
+
+  // Start with an empty search each time
+  useEffect(() => {
+    if (!isOpen) setSearch("");
+  }, [isOpen]);
+
+  const sections = useMemo(() => {
+    const all = buildSections(recentEmotes, userEmotes, providers, channel);
+    const query = search.trim().toLowerCase();
+    if (!query) return all;
+    return all
+      .map((section) => ({
+        ...section,
+        emotes: section.emotes.filter((emote) =>
+          emote.name.toLowerCase().includes(query)
+        ),
+      }))
+      .filter((section) => section.emotes.length > 0);
+  }, [recentEmotes, userEmotes, providers, channel, search]);
+
+  return (
+    <div className="emote-picker" ref={pickerRef}>
+      {isOpen && (
+        <div className="emote-picker-panel">
+          <input
+            type="text"
+            className="emote-picker-search"
+            placeholder="Search emotes"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Escape") setIsOpen(false);
+            }}
+            autoFocus
+          />
+          <div className="emote-picker-sections">
+            {sections.length === 0 && (
+              <p className="emote-picker-note">
+                {search ? "No emotes match." : "No emotes loaded yet."}
+              </p>
+            )}
+            {sections.map((section) => (
+              <div key={section.id} className="emote-picker-section">
+                <div className="emote-picker-section-title">
+                  {section.title}
+                </div>
+                <div className="emote-picker-grid">
+                  {section.emotes.map((emote) => (
+                    <button
+                      key={emote.name}
+                      className="emote-picker-emote"
+                      onClick={() => onPick(emote)}
+                      title={emote.name}
+                    >
+                      <img src={emote.url} alt={emote.name} loading="lazy" />
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      <button
+        className="emote-picker-toggle"
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={disabled}
+        title="Emotes"
+      >
+        ☺
+      </button>
+    </div>
+  );
+}
+
+export default EmotePicker;
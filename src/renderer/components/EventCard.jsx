@@ -0,0 +1,75 @@
+import React from "react";
+import { resolveBadges } from "../utils/badgeResolver";
+import { getChannelColor } from "../utils/channelColor";
+import "./EventCard.css"; // Import styles for the event cards
+
+/**
+ * A subscription, gift, announcement, bits badge tier or watch streak, shown as a card
+ * in the event's accent color: the event's title, then the message the user attached, if any.
+ * @param {Object} props
+ * @param {Object} props.msg The message, with its event ({ type, title, color, ... }).
+ * @param {boolean} props.showChannelTag Whether to show the channel tag (merged view).
+ * @param {Map<string, Object>} [props.channelBadges] The badges of the message's channel.
+ * @param {Map<string, Object>} props.globalBadges The global badges.
+ * @param {boolean} props.canModerate Whether the user moderates the message's channel.
+ * @param {function(MouseEvent, Object): void} props.onContextMenu Opens the moderation menu.
+ * @param {function(string): void} props.onChannelTagClick Called with the channel of a clicked tag.
+ * @param {React.ReactNode} [props.children] The attached message's text.
+ */
+function EventCard({
+  msg,
+  showChannelTag,
+  channelBadges,
+  globalBadges,
+  canModerate,
+  onContextMenu,
+  onChannelTagClick,
+  children,
+}) {
+  const { event } = msg;
+  return (
+    <div
+      className={`chat-message chat-event event-${event.type}`}
+      style={{ "--event-color": event.color }}
+      onContextMenu={
+        canModerate && msg.login ? (e) => onContextMenu(e, msg) : undefined
+      }
+    >
+      <div className="chat-event-title">
+        {showChannelTag && msg.channel && (
+          <span
+            className="channel-tag"
+            style={{ backgroundColor: getChannelColor(msg.channel) }}
+            onClick={() => onChannelTagClick(msg.channel)}
+            title={`#${msg.channel}`}
+          >
+            {msg.channel}
+          </span>
+        )}
+        {event.title}
+      </div>
+      {children && (
+        <div className="chat-event-message">
+          {resolveBadges(msg.badges, msg.badgeInfo, [
+            channelBadges,
+            globalBadges,
+          ]).map((badge) => (
+            <img
+              key={badge.key}
+              src={badge.url}
+              alt={badge.title}
+              title={badge.title}
+              className="chat-badge"
+            />
+          ))}
+          <span className="username" style={{ color: msg.color || "#FFFFFF" }}>
+            {msg.username}:
+          </span>{" "}
+          {children}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EventCard;
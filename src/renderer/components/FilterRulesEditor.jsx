@@ -0,0 +1,173 @@
+import React, { useState } from "react";
+import "./FilterRulesEditor.css"; // Import styles for the filter rules list
+
+// Kinds of rules, with the placeholder of their value field
+const RULE_TYPES = [
+  { type: "user", label: "Ignored user", placeholder: "Login, e.g. nightbot" },
+  { type: "text", label: "Text", placeholder: "Text anywhere in the message" },
+  { type: "regex", label: "Regex", placeholder: "Regex, e.g. ^(.)\\1{9,}$" },
+  { type: "command", label: "Command", placeholder: "Prefix, e.g. !" },
+  { type: "badge", label: "Below badge" },
+];
+
+// Badge levels a "badge" rule can require; messages from lower levels are filtered
+const BADGE_LEVELS = [
+  { value: "subscriber", label: "Subscriber" },
+  { value: "vip", label: "VIP" },
+  { value: "moderator", label: "Moderator" },
+  { value: "broadcaster", label: "Broadcaster" },
+];
+
+// What a rule does to the messages it matches
+const ACTIONS = [
+  { value: "hide", label: "Hide" },
+  { value: "dim", label: "Dim" },
+  { value: "collapse", label: "Collapse" },
+];
+
+/**
+ * Returns the value a rule starts with when its type is picked.
+ * @param {string} type The rule type.
+ * @returns {string} The default value.
+ */
+const getDefaultValue = (type) => {
+  if (type === "command") return "!";
+  if (type === "badge") return "subscriber";
+  return "";
+};
+
+/**
+ * Editable list of the message filter rules, shown in the settings panel.
+ * Every change is saved right away, except typed values, which are saved when their
+ * field loses focus or Enter is pressed. Rules without a value aren't saved yet.
+ * @param {Object} props
+ * @param {Array<Object>} props.rules The saved rules ([{ id, type, value, action }]).
+ * @param {function(Array<Object>): void} props.onSave Saves the rules.
+ * @param {string} [props.error] The error of the last save, if it was rejected.
+ */
+function FilterRulesEditor({ rules, onSave, error }) {
+  // Rules as edited here, including new rules that have no value yet
+  const [drafts, setDrafts] = useState(rules || []);
+
+  /**
+   * Saves the rules that have a value.
+   * @param {Array<Object>} updated The edited rules.
+   */
+  const save = (updated) => {
+    onSave(updated.filter((rule) => rule.value.trim()));
+  };
+
+  /**
+   * Changes fields of a rule, saving the rules unless only a value is being typed.
+   * @param {string} id The rule ID.
+   * @param {Object} changes The changed fields.
+   * @param {boolean} [shouldSave=true] Whether to save right away.
+   */
+  const updateRule = (id, changes, shouldSave = true) => {
+    const updated = drafts.map((rule) =>
+      rule.id === id ? { ...rule, ...changes } : rule
+    );
+    setDrafts(updated);
+    if (shouldSave) save(updated);
+  };
+
+  /**
+   * Removes a rule and saves the rest.
+   * @param {string} id The rule ID.
+   */
+  const removeRule = (id) => {
+    const updated = drafts.filter((rule) => rule.id !== id);
+    setDrafts(updated);
+    save(updated);
+  };
+
+  /**
+   * Adds an ignored user rule, saved once it gets a login.
+   */
+  const addRule = () => {
+    setDrafts((prev) => [
+      ...prev,
+      { id: `filter-${Date.now()}`, type: "user", value: "", action: "hide" },
+    ]);
+  };
+
+  return (
+    <div className="filter-rules">
+      {drafts.map((rule) => {
+        const ruleType = RULE_TYPES.find(({ type }) => type === rule.type);
+        return (
+          <div key={rule.id} className="filter-rule">
+            <select
+              value={rule.type}
+              onChange={(e) =>
+                updateRule(rule.id, {
+                  type: e.target.value,
+                  value: getDefaultValue(e.target.value),
+                })
+              }
+              title="Kind of rule"
+            >
+              {RULE_TYPES.map(({ type, label }) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {rule.type === "badge" ? (
+              <select
+                className="filter-rule-value"
+                value={rule.value}
+                onChange={(e) => updateRule(rule.id, { value: e.target.value })}
+                title="Messages from users without this badge (or a higher one) are filtered"
+              >
+                {BADGE_LEVELS.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                className="filter-rule-value"
+                placeholder={ruleType && ruleType.placeholder}
+                value={rule.value}
+                onChange={(e) =>
+                  updateRule(rule.id, { value: e.target.value }, false)
+                }
+                onBlur={() => save(drafts)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") save(drafts);
+                }}
+              />
+            )}
+            <select
+              value={rule.action}
+              onChange={(e) => updateRule(rule.id, { action: e.target.value })}
+              title="What happens to matching messages"
+            >
+              {ACTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              className="filter-rule-remove"
+              onClick={() => removeRule(rule.id)}
+              title="Remove rule"
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+      {error && <div className="settings-field-error">{error}</div>}
+      <button className="filter-rules-add" onClick={addRule}>
+        + Add filter
+      </button>
+    </div>
+  );
+}
+
+export default FilterRulesEditor;
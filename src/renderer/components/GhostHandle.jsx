@@ -0,0 +1,36 @@
+import React from "react";
+import "./GhostHandle.css"; // Import styles for the ghost mode handle
+
+/**
+ * Small handle shown in ghost mode, the only part of the window that takes clicks.
+ * While the pointer is over it the window captures the mouse again,
+ * so clicking it leaves ghost mode.
+ * @param {Object} props
+ * @param {string|null} props.hotkey The hotkey that toggles ghost mode (null if unavailable).
+ * @param {function(): void} props.onExit Called when the handle is clicked.
+ */
+function GhostHandle({ hotkey, onExit }) {
+  /**
+   * Tells the main process whether the pointer is over the handle.
+   * @param {boolean} capture True while the pointer is over the handle.
+   */
+  const setMouseCapture = (capture) => {
+    if (window.electronAPI && window.electronAPI.setGhostMouseCapture) {
+      window.electronAPI.setGhostMouseCapture(capture);
+    }
+  };
+
+  return (
+    <button
+      className="ghost-handle"
+      onMouseEnter={() => setMouseCapture(true)}
+      onMouseLeave={() => setMouseCapture(false)}
+      onClick={onExit}
+      title={`Leave ghost mode${hotkey ? ` (${hotkey})` : ""}`}
+    >
+      👻
+    </button>
+  );
+}
+
+export default GhostHandle;
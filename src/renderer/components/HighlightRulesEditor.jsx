@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import "./HighlightRulesEditor.css"; // Import styles for the highlight rules list
+
+// Color of a newly added rule
+const DEFAULT_RULE_COLOR = "#FFB74D";
+
+/**
+ * Editable list of the keyword and regex highlight rules, shown in the settings panel.
+ * Every change is saved right away, except keywords, which are saved when their field
+ * loses focus or Enter is pressed. Rules without a keyword aren't saved yet.
+ * @param {Object} props
+ * @param {Array<Object>} props.rules The saved rules ([{ id, pattern, isRegex, color, sound }]).
+ * @param {function(Array<Object>): void} props.onSave Saves the rules.
+ * @param {string} [props.error] The error of the last save, if it was rejected.
+ */
+function HighlightRulesEditor({ rules, onSave, error }) {
+  // Rules as edited here, including new rules that have no keyword yet
+  const [drafts, setDrafts] = useState(rules || []);
+
+  /**
+   * Saves the rules that have a keyword.
+   * @param {Array<Object>} updated The edited rules.
+   */
+  const save = (updated) => {
+    onSave(updated.filter((rule) => rule.pattern.trim()));
+  };
+
+  /**
+   * Changes a field of a rule, saving the rules unless only the keyword is being typed.
+   * @param {string} id The rule ID.
+   * @param {Object} changes The changed fields.
+   * @param {boolean} [shouldSave=true] Whether to save right away.
+   */
+  const updateRule = (id, changes, shouldSave = true) => {
+    const updated = drafts.map((rule) =>
+      rule.id === id ? { ...rule, ...changes } : rule
+    );
+    setDrafts(updated);
+    if (shouldSave) save(updated);
+  };
+
+  /**
+   * Removes a rule and saves the rest.
+   * @param {string} id The rule ID.
+   */
+  const removeRule = (id) => {
+    const updated = drafts.filter((rule) => rule.id !== id);
+    setDrafts(updated);
+    save(updated);
+  };
+
+  /**
+   * Adds an empty rule, saved once it gets a keyword.
+   */
+  const addRule = () => {
+    setDrafts((prev) => [
+      ...prev,
+      {
+        id: `rule-${Date.now()}`,
+        pattern: "",
+        isRegex: false,
+        color: DEFAULT_RULE_COLOR,
+        sound: false,
+      },
+    ]);
+  };
+
+  return (
+    <div className="highlight-rules">
+      <div className="highlight-rules-title">Keywords and regexes</div>
+      {drafts.map((rule) => (
+        <div key={rule.id} className="highlight-rule">
+          <input
+            type="text"
+            className="highlight-rule-pattern"
+            placeholder={rule.isRegex ? "Regex, e.g. ^!clip" : "Keyword"}
+            value={rule.pattern}
+            onChange={(e) =>
+              updateRule(rule.id, { pattern: e.target.value }, false)
+            }
+            onBlur={() => save(drafts)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") save(drafts);
+            }}
+          />
+          <label title="Treat the keyword as a regular expression">
+            <input
+              type="checkbox"
+              checked={rule.isRegex}
+              onChange={(e) =>
+                updateRule(rule.id, { isRegex: e.target.checked })
+              }
+            />
+            .*
+          </label>
+          <input
+            type="color"
+            value={rule.color}
+            onChange={(e) => updateRule(rule.id, { color: e.target.value })}
+            title="Highlight color"
+          />
+          <label title="Play a sound">
+            <input
+              type="checkbox"
+              checked={rule.sound}
+              onChange={(e) => updateRule(rule.id, { sound: e.target.checked })}
+            />
+            ♪
+          </label>
+          <button
+            className="highlight-rule-remove"
+            onClick={() => removeRule(rule.id)}
+            title="Remove rule"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      {error && <div className="settings-field-error">{error}</div>}
+      <button className="highlight-rules-add" onClick={addRule}>
+        + Add rule
+      </button>
+    </div>
+  );
+}
+
+export default HighlightRulesEditor;
@@ -0,0 +1,71 @@
+import React from "react";
+import "./MentionsPanel.css"; // Import styles for the mentions list
+
+/**
+ * Formats the time a mention arrived as HH:MM.
+ * @param {number} timestamp The time in milliseconds.
+ * @returns {string} The formatted time.
+ */
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Side list of every highlighted message (mentions and keyword hits) of the session,
+ * newest first. Clicking an entry shows its channel.
+ * @param {Object} props
+ * @param {Array<Object>} props.mentions The mentions, oldest first
+ *   ([{ id, channel, username, text, color, highlight, timestamp }]).
+ * @param {function(string): void} props.onSelect Called with the channel of the clicked mention.
+ * @param {function(): void} props.onClear Empties the list.
+ * @param {function(): void} props.onClose Closes the list.
+ */
+function MentionsPanel({ mentions, onSelect, onClear, onClose }) {
+  return (
+    <div className="mentions-panel">
+      <div className="mentions-panel-header">
+        <span>Mentions</span>
+        <span className="mentions-panel-actions">
+          {mentions.length > 0 && (
+            <button className="mentions-panel-clear" onClick={onClear}>
+              Clear
+            </button>
+          )}
+          <button className="mentions-panel-close" onClick={onClose}>
+            ×
+          </button>
+        </span>
+      </div>
+      {mentions.length === 0 ? (
+        <p className="mentions-panel-note">
+          Messages that mention you or match a highlight rule show up here.
+        </p>
+      ) : (
+        <ul className="mentions-list">
+          {[...mentions].reverse().map((mention) => (
+            <li
+              key={mention.id}
+              className="mention"
+              style={{ borderLeftColor: mention.highlight.color }}
+              onClick={() => onSelect(mention.channel)}
+              title={`Show #${mention.channel} (${mention.highlight.reason})`}
+            >
+              <div className="mention-meta">
+                <span>#{mention.channel}</span>
+                <span>{formatTime(mention.timestamp)}</span>
+              </div>
+              <span className="username" style={{ color: mention.color }}>
+                {mention.username}:
+              </span>{" "}
+              {mention.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default MentionsPanel;
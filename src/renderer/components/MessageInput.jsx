@@ -0,0 +1,271 @@
+import React, {
+  forwardRef,
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useImperativeHandle,
+  useRef,
+} from "react";
+import { findWordAtCaret, shouldSuggest } from "../utils/completion";
+import "./MessageInput.css";
+
+/**
+ * The chat message input, with emote, @mention and slash command completion.
+ * Typing a word opens a popup of matching suggestions (ArrowUp/ArrowDown to choose,
+ * Tab or a click to insert, Escape to close). Tab also completes a word without the popup,
+ * and pressing it again right after a completion cycles through the other matches
+ * (Shift+Tab backwards).
+ * Exposes focus() and insertText(text) through its ref.
+ * @param {Object} props
+ * @param {string} props.id The input's ID.
+ * @param {string} props.value The input text.
+ * @param {function(string): void} props.onChange Called with the new text.
+ * @param {function(KeyboardEvent): void} props.onKeyDown Called for the keys the completion
+ *   does not use (e.g. Enter to send).
+ * @param {function(string, number): Array<Object>} props.getSuggestions Returns the ranked
+ *   suggestions for a typed word and its position in the text
+ *   ([{ type: "emote" | "user" | "command", name, url?, color?, usage?, description? }]).
+ * @param {string} props.placeholder The placeholder text.
+ * @param {boolean} props.disabled Whether the input is disabled.
+ */
+function MessageInput(
+  { id, value, onChange, onKeyDown, getSuggestions, placeholder, disabled },
+  ref
+) {
+  const inputRef = useRef(null);
+
+  // The open popup: { start, end, suggestions, selected } (start/end: the completed word's range)
+  const [completion, setCompletion] = useState(null);
+
+  // The last Tab completion, to cycle from: { start, end, suggestions, index }
+  const cycleRef = useRef(null);
+
+  // Caret position to restore once the new text is rendered
+  const pendingCaretRef = useRef(null);
+
+  useLayoutEffect(() => {
+    if (pendingCaretRef.current !== null && inputRef.current) {
+      const caret = pendingCaretRef.current;
+      pendingCaretRef.current = null;
+      inputRef.current.setSelectionRange(caret, caret);
+    }
+  }, [value]);
+
+  // The parent clears the text after sending; drop any completion state with it
+  useEffect(() => {
+    if (!value) {
+      setCompletion(null);
+      cycleRef.current = null;
+    }
+  }, [value]);
+
+  /**
+   * Replaces a range of the text and puts the caret after the inserted text.
+   * @param {number} start The start of the range.
+   * @param {number} end The end of the range.
+   * @param {string} text The text to insert.
+   */
+  const replaceRange = (start, end, text) => {
+    pendingCaretRef.current = start + text.length;
+    onChange(value.slice(0, start) + text + value.slice(end));
+  };
+
+  /**
+   * Inserts a suggestion (followed by a space) in place of the word being completed.
+   * @param {Array<Object>} suggestions The suggestions.
+   * @param {number} index The index of the suggestion to insert.
+   * @param {number} start The start of the word.
+   * @param {number} end The end of the word.
+   */
+  const insertSuggestion = (suggestions, index, start, end) => {
+    const text = `${suggestions[index].name} `;
+    replaceRange(start, end, text);
+    cycleRef.current = {
+      start,
+      end: start + text.length,
+      suggestions,
+      index,
+    };
+    setCompletion(null);
+  };
+
+  /**
+   * Opens, updates or closes the popup for the word at the caret.
+   * @param {string} text The input text.
+   * @param {number} caret The caret position.
+   */
+  const updateSuggestions = (text, caret) => {
+    const found = findWordAtCaret(text, caret);
+    if (!found || !shouldSuggest(found.word)) {
+      setCompletion(null);
+      return;
+    }
+    const suggestions = getSuggestions(found.word, found.start);
+    setCompletion(
+      suggestions.length > 0
+        ? { start: found.start, end: found.end, suggestions, selected: 0 }
+        : null
+    );
+  };
+
+  /**
+   * Completes the word at the caret with Tab, or cycles the previous Tab completion.
+   * @param {number} step 1 for the next match, -1 for the previous one (Shift+Tab).
+   * @returns {boolean} True if something was completed.
+   */
+  const completeWithTab = (step) => {
+    const caret = inputRef.current.selectionStart;
+    const cycle = cycleRef.current;
+    if (cycle && caret === cycle.end && cycle.suggestions.length > 1) {
+      const count = cycle.suggestions.length;
+      const index = (cycle.index + step + count) % count;
+      insertSuggestion(cycle.suggestions, index, cycle.start, cycle.end);
+      return true;
+    }
+
+    if (completion) {
+      insertSuggestion(
+        completion.suggestions,
+        completion.selected,
+        completion.start,
+        completion.end
+      );
+      return true;
+    }
+
+    const found = findWordAtCaret(value, caret);
+    if (!found) return false;
+    const suggestions = getSuggestions(found.word, found.start);
+    if (suggestions.length === 0) return false;
+    insertSuggestion(
+      suggestions,
+      step > 0 ? 0 : suggestions.length - 1,
+      found.start,
+      found.end
+    );
+    return true;
+  };
+
+  useImperativeHandle(ref, () => ({
+    focus: () => inputRef.current && inputRef.current.focus(),
+    /**
+     * Inserts text at the caret (replacing the selection), separated from the
+     * surrounding words by spaces, and focuses the input.
+     * @param {string} text The text to insert.
+     */
+    insertText: (text) => {
+      const input = inputRef.current;
+      if (!input) return;
+      const start = input.selectionStart ?? value.length;
+      const end = input.selectionEnd ?? start;
+      const before = start > 0 && !/\s/.test(value[start - 1]) ? " " : "";
+      cycleRef.current = null;
+      setCompletion(null);
+      replaceRange(start, end, `${before}${text} `);
+      input.focus();
+    },
+  }));
+
+  const handleChange = (event) => {
+    cycleRef.current = null;
+    onChange(event.target.value);
+    updateSuggestions(event.target.value, event.target.selectionStart);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Tab") {
+      if (completeWithTab(event.shiftKey ? -1 : 1)) event.preventDefault();
+      return;
+    }
+
+    if (completion) {
+      const count = completion.suggestions.length;
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        setCompletion({
+          ...completion,
+          selected: (completion.selected + step + count) % count,
+        });
+        return;
+      }
+      if (event.key === "Escape") {
+        setCompletion(null); // Close the popup before anything else (e.g. cancelling a reply)
+        return;
+      }
+      if (event.key === "Enter") {
+        setCompletion(null);
+      }
+    }
+
+    onKeyDown(event);
+  };
+
+  return (
+    <div className="message-input-wrapper">
+      {completion && (
+        <ul className="completion-popup" role="listbox">
+          {completion.suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.name}
+              role="option"
+              aria-selected={index === completion.selected}
+              className={`completion-item ${
+                index === completion.selected ? "selected" : ""
+              }`}
+              // mousedown keeps the focus in the input
+              onMouseDown={(event) => {
+                event.preventDefault();
+                insertSuggestion(
+                  completion.suggestions,
+                  index,
+                  completion.start,
+                  completion.end
+                );
+              }}
+              onMouseEnter={() =>
+                setCompletion({ ...completion, selected: index })
+              }
+            >
+              {suggestion.type === "emote" ? (
+                <>
+                  <img
+                    className="completion-emote"
+                    src={suggestion.url}
+                    alt={suggestion.name}
+                  />
+                  <span>{suggestion.name}</span>
+                </>
+              ) : suggestion.type === "command" ? (
+                <>
+                  <span>{suggestion.usage}</span>
+                  <span className="completion-hint">
+                    {suggestion.description}
+                  </span>
+                </>
+              ) : (
+                <span style={{ color: suggestion.color || "#FFFFFF" }}>
+                  {suggestion.name}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <input
+        ref={inputRef}
+        type="text"
+        id={id}
+        placeholder={placeholder}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setCompletion(null)}
+        disabled={disabled}
+        autoComplete="off"
+      />
+    </div>
+  );
+}
+
+export default forwardRef(MessageInput);
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useLayoutEffect, useRef } from "react";
+import "./ModerationMenu.css"; // Import styles for the moderation context menu
+
+// Timeout presets offered in the menu
+const TIMEOUT_PRESETS = [
+  { label: "10s", seconds: 10 },
+  { label: "10m", seconds: 600 },
+  { label: "1h", seconds: 3600 },
+];
+
+/**
+ * Context menu with moderation actions for a chat message and its author.
+ * Offers delete message, timeout presets (or a custom duration), ban with a reason, and unban.
+ * Closes on Escape or a click outside the menu.
+ * @param {Object} props
+ * @param {number} props.x The horizontal position of the click that opened the menu.
+ * @param {number} props.y The vertical position of the click that opened the menu.
+ * @param {Object} props.message The chat message the menu was opened on.
+ * @param {function(Object): void} props.onAction Called with { type, duration?, reason? } for the chosen action.
+ * @param {function(): void} props.onClose Called when the menu should close.
+ */
+function ModerationMenu({ x, y, message, onAction, onClose }) {
+  // "main" lists the actions, "timeout" and "ban" ask for a duration or reason
+  const [mode, setMode] = useState("main");
+  const [customSeconds, setCustomSeconds] = useState("");
+  const [banReason, setBanReason] = useState("");
+  const [position, setPosition] = useState({ left: x, top: y });
+  const menuRef = useRef(null);
+
+  /**
+   * useLayoutEffect hook to keep the menu inside the window.
+   * Runs when the menu opens and whenever its content (and size) changes.
+   */
+  useLayoutEffect(() => {
+    if (!menuRef.current) return;
+    const { offsetWidth, offsetHeight } = menuRef.current;
+    setPosition({
+      left: Math.max(0, Math.min(x, window.innerWidth - offsetWidth)),
+      top: Math.max(0, Math.min(y, window.innerHeight - offsetHeight)),
+    });
+  }, [x, y, mode]);
+
+  /**
+   * useEffect hook to close the menu on Escape or a click outside of it.
+   */
+  useEffect(() => {
+    const handleMouseDown = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+
+    document.addEventListener("mousedown", handleMouseDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handleMouseDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [onClose]);
+
+  /**
+   * Runs an action and closes the menu.
+   * @param {Object} action The action ({ type, duration?, reason? }).
+   */
+  const runAction = (action) => {
+    onAction(action);
+    onClose();
+  };
+
+  /**
+   * Submits the custom timeout duration, if it is a positive number of seconds.
+   */
+  const submitCustomTimeout = () => {
+    const seconds = parseInt(customSeconds, 10);
+    if (seconds > 0) {
+      runAction({ type: "timeout", duration: seconds });
+    }
+  };
+
+  return (
+    <div
+      className="moderation-menu"
+      ref={menuRef}
+      style={position}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      <div className="moderation-menu-title">{message.username}</div>
+
+      {mode === "main" && (
+        <>
+          {message.messageId && !message.deletion && (
+            <button onClick={() => runAction({ type: "delete" })}>
+              Delete message
+            </button>
+          )}
+          <div className="moderation-menu-row">
+            <span>Timeout</span>
+            {TIMEOUT_PRESETS.map((preset) => (
+              <button
+                key={preset.seconds}
+                onClick={() =>
+                  runAction({ type: "timeout", duration: preset.seconds })
+                }
+              >
+                {preset.label}
+              </button>
+            ))}
+            <button onClick={() => setMode("timeout")}>…</button>
+          </div>
+          <button className="danger" onClick={() => setMode("ban")}>
+            Ban…
+          </button>
+          <button onClick={() => runAction({ type: "unban" })}>Unban</button>
+        </>
+      )}
+
+      {mode === "timeout" && (
+        <div className="moderation-menu-form">
+          <input
+            type="number"
+            min="1"
+            placeholder="Seconds"
+            value={customSeconds}
+            onChange={(e) => setCustomSeconds(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && submitCustomTimeout()}
+            autoFocus
+          />
+          <button
+            onClick={submitCustomTimeout}
+            disabled={!(parseInt(customSeconds, 10) > 0)}
+          >
+            Timeout
+          </button>
+        </div>
+      )}
+
+      {mode === "ban" && (
+        <div className="moderation-menu-form">
+          <input
+            type="text"
+            placeholder="Reason (optional)"
+            value={banReason}
+            onChange={(e) => setBanReason(e.target.value)}
+            onKeyDown={(e) =>
+              e.key === "Enter" &&
+              runAction({ type: "ban", reason: banReason.trim() })
+            }
+            autoFocus
+          />
+          <button
+            className="danger"
+            onClick={() => runAction({ type: "ban", reason: banReason.trim() })}
+          >
+            Ban
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModerationMenu;
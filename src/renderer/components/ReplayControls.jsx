@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import "./ReplayControls.css"; // Import styles for the replay controls
+
+/**
+ * Formats a playback position as m:ss (or h:mm:ss for long replays).
+ * @param {number} ms The position in milliseconds.
+ * @returns {string} The formatted time.
+ */
+const formatTime = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * Playback bar for a chat log replay: play/pause, a seek slider,
+ * speed buttons and a stop button.
+ * @param {Object} props
+ * @param {Object} props.status The replay status from the main process
+ *   ({ state, fileName, position, duration, speed, speeds }).
+ * @param {function(string, any=): void} props.onControl Called with the action
+ *   ("play", "pause", "seek", "speed" or "stop") and its value.
+ */
+function ReplayControls({ status, onControl }) {
+  // Slider value while the user is dragging it (null when not dragging)
+  const [dragPosition, setDragPosition] = useState(null);
+
+  const isPlaying = status.state === "playing";
+  const shownPosition =
+    dragPosition !== null ? dragPosition : Math.round(status.position);
+
+  /**
+   * Seeks to the dragged slider position once the user lets go of it.
+   */
+  const commitSeek = () => {
+    if (dragPosition === null) return;
+    onControl("seek", dragPosition);
+    setDragPosition(null);
+  };
+
+  return (
+    <div className="replay-controls" title={`Replaying ${status.fileName}`}>
+      <button
+        className="replay-play"
+        onClick={() => onControl(isPlaying ? "pause" : "play")}
+        title={isPlaying ? "Pause" : "Play"}
+      >
+        {isPlaying ? "❚❚" : "▶"}
+      </button>
+      <input
+        type="range"
+        min="0"
+        max={status.duration}
+        value={shownPosition}
+        onChange={(e) => setDragPosition(Number(e.target.value))}
+        onMouseUp={commitSeek}
+        onKeyUp={commitSeek}
+        onTouchEnd={commitSeek}
+      />
+      <span className="replay-time">
+        {formatTime(shownPosition)} / {formatTime(status.duration)}
+      </span>
+      {status.speeds.map((speed) => (
+        <button
+          key={speed}
+          className={`replay-speed ${status.speed === speed ? "active" : ""}`}
+          onClick={() => onControl("speed", speed)}
+        >
+          {speed}x
+        </button>
+      ))}
+      <button
+        className="replay-stop"
+        onClick={() => onControl("stop")}
+        title="Stop replay"
+      >
+        ■
+      </button>
+    </div>
+  );
+}
+
+export default ReplayControls;
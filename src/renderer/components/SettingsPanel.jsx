@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from "react";
+import HighlightRulesEditor from "./HighlightRulesEditor";
+import FilterRulesEditor from "./FilterRulesEditor";
+import "./SettingsPanel.css"; // Import styles for the settings panel
+
+/**
+ * Groups the visible settings of the schema by section, keeping the schema order.
+ * @param {Object} schema The settings schema from the main process.
+ * @returns {Array<[string, Array<[string, Object]>]>} [section, [[key, definition], ...]] pairs.
+ */
+const groupBySection = (schema) => {
+  const sections = new Map();
+  Object.entries(schema).forEach(([key, definition]) => {
+    if (definition.hidden) return;
+    if (!sections.has(definition.section)) {
+      sections.set(definition.section, []);
+    }
+    sections.get(definition.section).push([key, definition]);
+  });
+  return Array.from(sections.entries());
+};
+
+/**
+ * Panel listing the editable settings, grouped by section.
+ * Every change is validated and saved by the main process and applies right away.
+ * Number fields are saved when they lose focus or Enter is pressed.
+ * Closes on Escape.
+ * @param {Object} props
+ * @param {function(): void} props.onClose Called when the panel should close.
+ */
+function SettingsPanel({ onClose }) {
+  const [schema, setSchema] = useState(null);
+  const [settings, setSettings] = useState({});
+  const [drafts, setDrafts] = useState({}); // Text typed in number fields, by key
+  const [errors, setErrors] = useState({}); // Validation errors, by key
+
+  /**
+   * useEffect hook to load the settings and follow changes made elsewhere.
+   */
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.getSettings) return;
+
+    window.electronAPI
+      .getSettings()
+      .then((result) => {
+        setSchema(result.schema);
+        setSettings(result.settings);
+      })
+      .catch((error) =>
+        console.error("[SettingsPanel] Error fetching settings:", error)
+      );
+
+    return window.electronAPI.onSettingsChange((_event, change) =>
+      setSettings(change.settings)
+    );
+  }, []);
+
+  /**
+   * useEffect hook to close the panel on Escape.
+   */
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  /**
+   * Saves a setting, showing the main process's error if it was rejected.
+   * @param {string} key The setting key.
+   * @param {any} value The new value.
+   */
+  const saveSetting = (key, value) => {
+    window.electronAPI
+      .setSetting(key, value)
+      .then((result) => {
+        setSettings(result.settings);
+        setErrors((prev) => ({ ...prev, [key]: result.error }));
+        if (result.success) {
+          setDrafts(({ [key]: _saved, ...rest }) => rest);
+        }
+      })
+      .catch((error) =>
+        console.error(`[SettingsPanel] Error saving ${key}:`, error)
+      );
+  };
+
+  /**
+   * Saves the text typed in a number field, if it was edited.
+   * @param {string} key The setting key.
+   */
+  const saveDraft = (key) => {
+    if (key in drafts) {
+      saveSetting(key, drafts[key]);
+    }
+  };
+
+  /**
+   * Renders the input for a setting, based on its type.
+   * @param {string} key The setting key.
+   * @param {Object} definition The setting's schema entry.
+   * @returns {JSX.Element} The input.
+   */
+  const renderInput = (key, definition) => {
+    switch (definition.type) {
+      case "boolean":
+        return (
+          <input
+            type="checkbox"
+            checked={!!settings[key]}
+            onChange={(e) => saveSetting(key, e.target.checked)}
+          />
+        );
+      case "color":
+        return (
+          <input
+            type="color"
+            value={settings[key] || "#000000"}
+            onChange={(e) => saveSetting(key, e.target.value)}
+          />
+        );
+      default:
+        return (
+          <input
+            type="number"
+            min={definition.min}
+            max={definition.max}
+            step={definition.type === "integer" ? 1 : "any"}
+            value={key in drafts ? drafts[key] : (settings[key] ?? "")}
+            onChange={(e) =>
+              setDrafts((prev) => ({ ...prev, [key]: e.target.value }))
+            }
+            onBlur={() => saveDraft(key)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") saveDraft(key);
+            }}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="settings-panel-header">
+        <span>Settings</span>
+        <button className="settings-panel-close" onClick={onClose}>
+          ×
+        </button>
+      </div>
+      {!schema ? (
+        <p className="settings-panel-note">Loading…</p>
+      ) : (
+        groupBySection(schema).map(([section, entries]) => (
+          <fieldset key={section} className="settings-section">
+            <legend>{section}</legend>
+            {entries.map(([key, definition]) => (
+              <div key={key} className="settings-field">
+                <label>
+                  <span>{definition.label}</span>
+                  {renderInput(key, definition)}
+                </label>
+                {errors[key] && (
+                  <div className="settings-field-error">{errors[key]}</div>
+                )}
+              </div>
+            ))}
+            {section === "Highlights" && (
+              <HighlightRulesEditor
+                rules={settings["highlights.rules"]}
+                onSave={(rules) => saveSetting("highlights.rules", rules)}
+                error={errors["highlights.rules"]}
+              />
+            )}
+            {section === "Filters" && (
+              <FilterRulesEditor
+                rules={settings["filters.rules"]}
+                onSave={(rules) => saveSetting("filters.rules", rules)}
+                error={errors["filters.rules"]}
+              />
+            )}
+          </fieldset>
+        ))
+      )}
+      <p className="settings-panel-note">Changes apply immediately.</p>
+    </div>
+  );
+}
+
+export default SettingsPanel;
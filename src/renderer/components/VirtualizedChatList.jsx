@@ -0,0 +1,267 @@
+import React, {
+  forwardRef,
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useImperativeHandle,
+  useRef,
+  useMemo,
+  useCallback,
+} from "react";
+import "./VirtualizedChatList.css";
+
+// Height assumed for rows that were not measured yet (about one line of chat)
+const ESTIMATED_ROW_HEIGHT = 28;
+
+// Extra height rendered above and below the viewport, so fast scrolling shows no gaps
+const OVERSCAN_PX = 600;
+
+// Distance from the bottom (px) under which the list keeps following new messages
+const SCROLL_TOLERANCE = 20;
+
+/**
+ * Finds the last row that starts at or above a position.
+ * @param {Float64Array} tops The top of each row, plus the total height at the end.
+ * @param {number} rowCount The number of rows.
+ * @param {number} position The position (px from the top of the list).
+ * @returns {number} The row index (0 when the position is above the first row).
+ */
+const findRowAt = (tops, rowCount, position) => {
+  let low = 0;
+  let high = rowCount - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (tops[middle] <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return Math.max(0, low);
+};
+
+/**
+ * A row of the list, placed at its offset and measured whenever its size changes.
+ * @param {Object} props
+ * @param {string} props.rowKey The row's key, used to store its measured height.
+ * @param {number} props.top The row's offset from the top of the list (px).
+ * @param {ResizeObserver} props.observer The list's observer.
+ * @param {React.ReactNode} props.children The row's content.
+ */
+function MeasuredRow({ rowKey, top, observer, children }) {
+  const rowRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const row = rowRef.current;
+    observer.observe(row);
+    return () => observer.unobserve(row);
+  }, [observer]);
+
+  return (
+    <div
+      ref={rowRef}
+      className="virtualized-row"
+      data-row-key={rowKey}
+      style={{ transform: `translateY(${top}px)` }}
+    >
+      {children}
+    </div>
+  );
+}
+
+/**
+ * A scrolling list that only renders the rows in and around the viewport, so chat
+ * histories of thousands of lines stay smooth. Rows can have any height: each one is
+ * measured once rendered, and estimated until then.
+ * Follows new rows while scrolled to the bottom; otherwise keeps the row the user is
+ * reading in place, even when older rows are dropped above it.
+ * @param {Object} props
+ * @param {Array<any>} props.items The rows, oldest first.
+ * @param {function(any): (string|number)} props.getKey Returns a row's stable key.
+ * @param {function(any): React.ReactNode} props.renderItem Renders a row.
+ * @param {string} [props.className] Class of the scrolling element.
+ * @param {React.Ref} ref Receives { scrollToKey(key) }, which scrolls a row into view.
+ */
+const VirtualizedChatList = forwardRef(function VirtualizedChatList(
+  { items, getKey, renderItem, className },
+  ref
+) {
+  const containerRef = useRef(null);
+
+  // Measured row heights by key; kept outside of state and read through measureVersion
+  const heightsRef = useRef(new Map());
+  const [measureVersion, setMeasureVersion] = useState(0);
+
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  // Whether the list follows new rows, and the row the user is reading otherwise
+  const atBottomRef = useRef(true);
+  const anchorRef = useRef(null); // { key, offset } or null
+
+  // One observer for every row, recording heights that changed
+  const [observer] = useState(
+    () =>
+      new ResizeObserver((entries) => {
+        let changed = false;
+        entries.forEach((entry) => {
+          const key = entry.target.dataset.rowKey;
+          const height = entry.target.offsetHeight;
+          if (heightsRef.current.get(key) !== height) {
+            heightsRef.current.set(key, height);
+            changed = true;
+          }
+        });
+        if (changed) setMeasureVersion((version) => version + 1);
+      })
+  );
+  useEffect(() => () => observer.disconnect(), [observer]);
+
+  /**
+   * The top of each row and the total height, from measured or estimated heights.
+   * Heights of rows that are no longer listed are dropped.
+   */
+  const layout = useMemo(() => {
+    const tops = new Float64Array(items.length + 1);
+    const keys = new Array(items.length);
+    const heights = heightsRef.current;
+    for (let i = 0; i < items.length; i++) {
+      keys[i] = String(getKey(items[i]));
+      const height = heights.get(keys[i]);
+      tops[i + 1] =
+        tops[i] + (height === undefined ? ESTIMATED_ROW_HEIGHT : height);
+    }
+    if (heights.size > items.length * 2) {
+      const listed = new Set(keys);
+      heights.forEach((_height, key) => {
+        if (!listed.has(key)) heights.delete(key);
+      });
+    }
+    return { tops, keys, totalHeight: tops[items.length] };
+  }, [items, getKey, measureVersion]); // measureVersion changes when heightsRef does
+
+  const layoutRef = useRef(layout);
+  layoutRef.current = layout;
+
+  /**
+   * Records where the user is: at the bottom, or reading a row.
+   * @param {HTMLElement} container The scrolling element.
+   */
+  const updateScrollPosition = useCallback((container) => {
+    const { scrollHeight, clientHeight } = container;
+    const position = container.scrollTop;
+    atBottomRef.current =
+      scrollHeight - (position + clientHeight) < SCROLL_TOLERANCE;
+
+    const { tops, keys } = layoutRef.current;
+    if (keys.length === 0) {
+      anchorRef.current = null;
+      return;
+    }
+    const index = findRowAt(tops, keys.length, position);
+    anchorRef.current = { key: keys[index], offset: position - tops[index] };
+    setScrollTop(position);
+  }, []);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      /**
+       * Scrolls a row into view, a third of the way down the viewport, and stops
+       * following new rows.
+       * @param {string|number} key The row's key.
+       * @returns {boolean} False if no row has that key.
+       */
+      scrollToKey(key) {
+        const container = containerRef.current;
+        const { tops, keys } = layoutRef.current;
+        const index = keys.indexOf(String(key));
+        if (index === -1) return false;
+        atBottomRef.current = false;
+        container.scrollTop = Math.max(
+          0,
+          tops[index] - container.clientHeight / 3
+        );
+        updateScrollPosition(container);
+        return true;
+      },
+    }),
+    [updateScrollPosition]
+  );
+
+  // Tracks the viewport height (window resizes, ghost mode hiding the controls...)
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    setViewportHeight(container.clientHeight);
+    const resizeObserver = new ResizeObserver(() =>
+      setViewportHeight(container.clientHeight)
+    );
+    resizeObserver.observe(container);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  // After every layout change: stick to the bottom, or keep the anchored row in place.
+  // The rows to render are updated right away, so the new position is never painted empty.
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (atBottomRef.current) {
+      const bottom = container.scrollHeight - container.clientHeight;
+      if (container.scrollTop !== bottom) container.scrollTop = bottom;
+    } else if (anchorRef.current) {
+      const index = layout.keys.indexOf(anchorRef.current.key);
+      if (index !== -1) {
+        const wanted = layout.tops[index] + anchorRef.current.offset;
+        if (Math.abs(container.scrollTop - wanted) > 1) {
+          container.scrollTop = wanted;
+        }
+      }
+    }
+    setScrollTop(container.scrollTop);
+  }, [layout, viewportHeight]);
+
+  // Rows in the viewport, plus the overscan above and below
+  const rowCount = layout.keys.length;
+  const firstIndex =
+    rowCount === 0
+      ? 0
+      : findRowAt(layout.tops, rowCount, scrollTop - OVERSCAN_PX);
+  const lastIndex =
+    rowCount === 0
+      ? -1
+      : findRowAt(
+          layout.tops,
+          rowCount,
+          scrollTop + viewportHeight + OVERSCAN_PX
+        );
+
+  const rows = [];
+  for (let i = firstIndex; i <= lastIndex; i++) {
+    rows.push(
+      <MeasuredRow
+        key={layout.keys[i]}
+        rowKey={layout.keys[i]}
+        top={layout.tops[i]}
+        observer={observer}
+      >
+        {renderItem(items[i])}
+      </MeasuredRow>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={`virtualized-list ${className || ""}`}
+      onScroll={(e) => updateScrollPosition(e.currentTarget)}
+    >
+      <div
+        className="virtualized-list-content"
+        style={{ height: layout.totalHeight }}
+      >
+        {rows}
+      </div>
+    </div>
+  );
+});
+
+export default VirtualizedChatList;
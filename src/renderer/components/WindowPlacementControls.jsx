@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from "react";
+import "./WindowPlacementControls.css"; // Import styles for the window placement controls
+
+// Corner buttons, in the order they are shown
+const CORNERS = [
+  { corner: "top-left", symbol: "◤", title: "Snap to the top left corner" },
+  { corner: "top-right", symbol: "◥", title: "Snap to the top right corner" },
+  {
+    corner: "bottom-left",
+    symbol: "◣",
+    title: "Snap to the bottom left corner",
+  },
+  {
+    corner: "bottom-right",
+    symbol: "◢",
+    title: "Snap to the bottom right corner",
+  },
+];
+
+/**
+ * Row of window placement controls: a display picker (shown when more than one
+ * display is connected) and buttons snapping the window to a corner of its display.
+ * The main process remembers where the window was put.
+ */
+function WindowPlacementControls() {
+  const [displays, setDisplays] = useState([]);
+
+  /**
+   * useEffect hook to load the connected displays and follow changes.
+   */
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.getDisplays) return;
+
+    window.electronAPI
+      .getDisplays()
+      .then(setDisplays)
+      .catch((error) =>
+        console.error(
+          "[WindowPlacementControls] Error fetching displays:",
+          error
+        )
+      );
+
+    return window.electronAPI.onDisplaysChange((_event, updatedDisplays) =>
+      setDisplays(updatedDisplays)
+    );
+  }, []);
+
+  /**
+   * Moves the window to the picked display.
+   * @param {number} index The display index.
+   */
+  const handleMoveToDisplay = (index) => {
+    window.electronAPI
+      .moveToDisplay(index)
+      .then((result) => {
+        setDisplays(result.displays);
+        if (!result.success) {
+          console.warn("[WindowPlacementControls]", result.error);
+        }
+      })
+      .catch((error) =>
+        console.error(
+          "[WindowPlacementControls] Error moving the window:",
+          error
+        )
+      );
+  };
+
+  const currentDisplay = displays.find((display) => display.isCurrent);
+
+  return (
+    <div className="window-placement-controls">
+      {displays.length > 1 && (
+        <label title="Move the window to another display">
+          Display
+          <select
+            value={currentDisplay ? currentDisplay.index : ""}
+            onChange={(e) => handleMoveToDisplay(Number(e.target.value))}
+          >
+            {displays.map((display) => (
+              <option key={display.id} value={display.index}>
+                {display.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <span className="window-snap-buttons">
+        {CORNERS.map(({ corner, symbol, title }) => (
+          <button
+            key={corner}
+            className="window-snap-button"
+            title={title}
+            onClick={() => window.electronAPI.snapWindow(corner)}
+          >
+            {symbol}
+          </button>
+        ))}
+      </span>
+    </div>
+  );
+}
+
+export default WindowPlacementControls;
@@ -0,0 +1,50 @@
+// Badge sets whose badge-info value is a number of months
+const MONTH_BADGE_SETS = new Set(["subscriber", "founder"]);
+
+/**
+ * Builds the tooltip for a badge, appending the badge-info detail when present
+ * (e.g. "Subscriber (14 months)" or "Predicted Blue (Yes, we win)").
+ * @param {string} setId The badge set ID (e.g. "subscriber").
+ * @param {string} title The badge title from Helix.
+ * @param {string} [info] The badge-info value for this set.
+ * @returns {string} The tooltip text.
+ */
+const getBadgeTooltip = (setId, title, info) => {
+  if (!info) return title;
+  if (MONTH_BADGE_SETS.has(setId)) {
+    const months = parseInt(info, 10);
+    if (!Number.isNaN(months)) {
+      return `${title} (${months} ${months === 1 ? "month" : "months"})`;
+    }
+  }
+  return `${title} (${info})`;
+};
+
+/**
+ * Resolves the IRC badges tag of a message into renderable badge images.
+ * Versioned badges (predictions "blue-1", hype-train "2", bits "1000", ...)
+ * are looked up by their exact "setId/versionId" key. Maps are checked in
+ * order, so channel badges (custom sub and bits badges) go before global ones.
+ * @param {Object<string, string>|null} badges The badges tag (e.g. { subscriber: "12" }).
+ * @param {Object<string, string>|null} badgeInfo The badge-info tag (e.g. { subscriber: "14" }).
+ * @param {Array<Map<string, {url: string, title: string}>|undefined>} badgeMaps Lookups keyed by "setId/versionId", highest priority first.
+ * @returns {Array<{key: string, url: string, title: string}>} Badges in tag order.
+ */
+export const resolveBadges = (badges, badgeInfo, badgeMaps) => {
+  const maps = (badgeMaps || []).filter((map) => map && map.size > 0);
+  if (!badges || maps.length === 0) return [];
+
+  const resolved = [];
+  Object.entries(badges).forEach(([setId, versionId]) => {
+    const key = `${setId}/${versionId}`;
+    const map = maps.find((candidate) => candidate.has(key));
+    if (!map) return;
+    const badge = map.get(key);
+    resolved.push({
+      key,
+      url: badge.url,
+      title: getBadgeTooltip(setId, badge.title, badgeInfo && badgeInfo[setId]),
+    });
+  });
+  return resolved;
+};
@@ -0,0 +1,27 @@
+// Tag colors for channels in the merged view, chosen to stay readable on the dark chat background
+const CHANNEL_COLORS = [
+  "#E57373",
+  "#FFB74D",
+  "#FFF176",
+  "#81C784",
+  "#4DD0E1",
+  "#64B5F6",
+  "#BA68C8",
+  "#F06292",
+  "#A1887F",
+  "#90A4AE",
+];
+
+/**
+ * Picks a stable tag color for a channel by hashing its name,
+ * so the same channel keeps its color across tabs and sessions.
+ * @param {string} channel The channel name.
+ * @returns {string} A hex color string.
+ */
+export const getChannelColor = (channel) => {
+  let hash = 0;
+  for (let i = 0; i < channel.length; i++) {
+    hash = (hash * 31 + channel.charCodeAt(i)) | 0;
+  }
+  return CHANNEL_COLORS[Math.abs(hash) % CHANNEL_COLORS.length];
+};
@@ -0,0 +1,119 @@
+// Maximum number of suggestions shown at once
+export const MAX_SUGGESTIONS = 8;
+
+// Maximum number of names whose usage is remembered (matches the "completion.usage" setting)
+export const MAX_USAGE_ENTRIES = 500;
+
+// Shortest word (without "@" or "/") that opens the suggestions by itself
+const MIN_WORD_LENGTH = 2;
+
+// Kind of candidates a word matches, by its first character (other words match emotes)
+const WORD_PREFIXES = { "@": "user", "/": "command" };
+
+/**
+ * Finds the word being typed at the caret.
+ * @param {string} text The input text.
+ * @param {number} caret The caret position.
+ * @returns {{start: number, end: number, word: string}|null} The word and its range,
+ *   or null when the caret is not at the end of a word.
+ */
+export const findWordAtCaret = (text, caret) => {
+  if (caret < text.length && !/\s/.test(text[caret])) return null;
+  let start = caret;
+  while (start > 0 && !/\s/.test(text[start - 1])) start--;
+  const word = text.slice(start, caret);
+  return word ? { start, end: caret, word } : null;
+};
+
+/**
+ * Tells whether a typed word should open the suggestions.
+ * Mentions and commands open them from the "@" or "/" on, other words once they are
+ * MIN_WORD_LENGTH long.
+ * @param {string} word The typed word.
+ * @returns {boolean} True if suggestions should be shown.
+ */
+export const shouldSuggest = (word) =>
+  word[0] in WORD_PREFIXES || word.length >= MIN_WORD_LENGTH;
+
+/**
+ * Ranks the candidates matching a typed word: exact-case prefix matches first, then
+ * prefix matches ignoring case, then (for longer words) matches anywhere in the name.
+ * Within each group, names used more often come first, then the candidates' own order.
+ * A word starting with "@" matches chatters, one starting with "/" matches commands,
+ * any other word matches emotes.
+ * @param {string} word The typed word.
+ * @param {Array<Object>} candidates The candidates, in preference order
+ *   ([{ type: "emote" | "user" | "command", name, key, url?, color?, usage?, description? }];
+ *   name is the text inserted, starting with "@" or "/" for chatters and commands, and key
+ *   the name counted in the usage).
+ * @param {Object<string, number>} [usage] How many sent messages used each key.
+ * @param {number} [limit=MAX_SUGGESTIONS] Maximum number of suggestions.
+ * @returns {Array<Object>} The best candidates, best first.
+ */
+export const rankCompletions = (
+  word,
+  candidates,
+  usage = {},
+  limit = MAX_SUGGESTIONS
+) => {
+  const type = WORD_PREFIXES[word[0]] || "emote";
+  const query = type === "emote" ? word : word.slice(1);
+  const lowerQuery = query.toLowerCase();
+
+  const ranked = [];
+  const seen = new Set();
+  candidates.forEach((candidate, order) => {
+    if (candidate.type !== type) return;
+    if (seen.has(candidate.name)) return;
+
+    const text = type === "emote" ? candidate.name : candidate.name.slice(1);
+    const lowerText = text.toLowerCase();
+    let group;
+    if (text.startsWith(query)) {
+      group = 0;
+    } else if (lowerText.startsWith(lowerQuery)) {
+      group = 1;
+    } else if (
+      query.length >= MIN_WORD_LENGTH &&
+      lowerText.includes(lowerQuery)
+    ) {
+      group = 2;
+    } else {
+      return;
+    }
+    seen.add(candidate.name);
+    ranked.push({ candidate, group, uses: usage[candidate.key] || 0, order });
+  });
+
+  ranked.sort(
+    (a, b) => a.group - b.group || b.uses - a.uses || a.order - b.order
+  );
+  return ranked.slice(0, limit).map((entry) => entry.candidate);
+};
+
+/**
+ * Counts the emotes and mentions used in a sent message.
+ * @param {Object<string, number>} usage The current counts.
+ * @param {string} text The sent message.
+ * @param {function(string): (string|null)} getKey Returns the usage key of a word
+ *   (e.g. "@login" for a mention of a known chatter), or null if it is not counted.
+ * @returns {Object<string, number>} The updated counts (the same object when nothing was
+ *   used), keeping the MAX_USAGE_ENTRIES most used names.
+ */
+export const addUsage = (usage, text, getKey) => {
+  const next = { ...usage };
+  let changed = false;
+  text.split(/\s+/).forEach((word) => {
+    const key = word && getKey(word);
+    if (!key) return;
+    next[key] = (next[key] || 0) + 1;
+    changed = true;
+  });
+  if (!changed) return usage;
+
+  const entries = Object.entries(next);
+  if (entries.length <= MAX_USAGE_ENTRIES) return next;
+  return Object.fromEntries(
+    entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_USAGE_ENTRIES)
+  );
+};
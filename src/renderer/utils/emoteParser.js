@@ -0,0 +1,150 @@
+// Base URL for Twitch's emote CDN (v2 supports animated emotes via "default")
+const TWITCH_EMOTE_CDN_URL = "https://static-cdn.jtvnw.net/emoticons/v2";
+
+/**
+ * Builds the CDN image URL for a native Twitch emote.
+ * @param {string} emoteId The Twitch emote ID (from the IRC emotes tag).
+ * @param {string} [scale="2.0"] The image scale ("1.0", "2.0" or "3.0").
+ * @returns {string} The emote image URL.
+ */
+export const getTwitchEmoteUrl = (emoteId, scale = "2.0") =>
+  `${TWITCH_EMOTE_CDN_URL}/${emoteId}/default/dark/${scale}`;
+
+/**
+ * Gives a third-party emote URL a scheme: protocol-relative URLs (starting with //)
+ * need one outside of a web page.
+ * @param {string} url The emote URL.
+ * @returns {string} The URL, starting with https: when it had no scheme.
+ */
+export const toAbsoluteEmoteUrl = (url) =>
+  url.startsWith("//") ? `https:${url}` : url;
+
+/**
+ * Splits a chat message into text and Twitch emote segments using the
+ * position ranges from the IRC `emotes` tag (as parsed by tmi.js, e.g.
+ * `{ "25": ["0-4", "12-16"] }`).
+ *
+ * Twitch reports positions in Unicode code points, not UTF-16 code units,
+ * so the text is indexed through `Array.from` to keep surrogate pairs
+ * (emoji and other astral characters) from shifting the ranges.
+ *
+ * @param {string} text The raw message text.
+ * @param {Object<string, Array<string>>|null} emotes The emotes tag object.
+ * @returns {Array<Object>} Segments: `{ type: "text", text }` or
+ *   `{ type: "emote", id, name, url }`, in message order.
+ */
+export const parseTwitchEmotes = (text, emotes) => {
+  if (!text) return [];
+  if (!emotes || typeof emotes !== "object") {
+    return [{ type: "text", text }];
+  }
+
+  const codePoints = Array.from(text);
+
+  // Flatten the { id: ["start-end", ...] } map into a sorted list of ranges
+  const ranges = [];
+  Object.entries(emotes).forEach(([id, positions]) => {
+    if (!Array.isArray(positions)) return;
+    positions.forEach((position) => {
+      const [start, end] = position.split("-").map(Number);
+      if (
+        Number.isInteger(start) &&
+        Number.isInteger(end) &&
+        start >= 0 &&
+        end >= start &&
+        end < codePoints.length
+      ) {
+        ranges.push({ id, start, end });
+      }
+    });
+  });
+  ranges.sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  let cursor = 0;
+
+  ranges.forEach(({ id, start, end }) => {
+    // Skip malformed ranges that overlap an emote we already consumed
+    if (start < cursor) return;
+
+    if (start > cursor) {
+      segments.push({
+        type: "text",
+        text: codePoints.slice(cursor, start).join(""),
+      });
+    }
+    segments.push({
+      type: "emote",
+      id,
+      name: codePoints.slice(start, end + 1).join(""),
+      url: getTwitchEmoteUrl(id),
+    });
+    cursor = end + 1;
+  });
+
+  if (cursor < codePoints.length) {
+    segments.push({ type: "text", text: codePoints.slice(cursor).join("") });
+  }
+
+  return segments;
+};
+
+/**
+ * Splits a chat message into the parts it is rendered from: Twitch emotes
+ * (from the IRC `emotes` tag), then third-party emotes matched word by word,
+ * with the remaining text merged into as few text parts as possible.
+ * Runs once per message (and again when the emote lists change) rather than
+ * on every render. Runs of whitespace are collapsed to a single space.
+ *
+ * @param {string} text The raw message text.
+ * @param {Object<string, Array<string>>|null} twitchEmotes The emotes tag object.
+ * @param {Array<Map<string, string>>} [emoteMaps] Third-party emotes (name -> URL),
+ *   checked in order (e.g. channel emotes before global emotes).
+ * @returns {Array<Object>} Parts: `{ type: "text", text }` or
+ *   `{ type: "emote", name, url, isTwitch }`, in message order.
+ */
+export const parseMessageParts = (text, twitchEmotes, emoteMaps = []) => {
+  const parts = [];
+  const pushText = (value) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === "text") {
+      last.text += value;
+    } else {
+      parts.push({ type: "text", text: value });
+    }
+  };
+
+  parseTwitchEmotes(text, twitchEmotes).forEach((segment) => {
+    if (segment.type === "emote") {
+      parts.push({
+        type: "emote",
+        name: segment.name,
+        url: segment.url,
+        isTwitch: true,
+      });
+      return;
+    }
+
+    // Split by whitespace but keep the separators so spacing is preserved
+    segment.text.split(/(\s+)/).forEach((word) => {
+      if (!word) return;
+      if (/^\s+$/.test(word)) {
+        pushText(" ");
+        return;
+      }
+      const emoteMap = emoteMaps.find((map) => map && map.has(word));
+      if (!emoteMap) {
+        pushText(word);
+        return;
+      }
+      parts.push({
+        type: "emote",
+        name: word,
+        url: toAbsoluteEmoteUrl(emoteMap.get(word)),
+        isTwitch: false,
+      });
+    });
+  });
+
+  return parts;
+};
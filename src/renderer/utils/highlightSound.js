@@ -0,0 +1,39 @@
+// Notes of the highlight chime: [frequency (Hz), start offset (s)]
+const CHIME_NOTES = [
+  [880, 0],
+  [1320, 0.12],
+];
+
+// Length of each note in seconds
+const NOTE_DURATION = 0.15;
+
+// Shared audio context, created on first use (browsers limit how many can exist)
+let audioContext = null;
+
+/**
+ * Plays a short two-note chime for a highlighted message.
+ * The sound is generated, so no audio file has to be bundled.
+ */
+export const playHighlightSound = () => {
+  try {
+    if (!audioContext) {
+      audioContext = new AudioContext();
+    }
+    const now = audioContext.currentTime;
+    CHIME_NOTES.forEach(([frequency, offset]) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = "sine";
+      oscillator.frequency.value = frequency;
+      // Quick fade in and out to avoid clicks
+      gain.gain.setValueAtTime(0, now + offset);
+      gain.gain.linearRampToValueAtTime(0.2, now + offset + 0.01);
+      gain.gain.linearRampToValueAtTime(0, now + offset + NOTE_DURATION);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(now + offset);
+      oscillator.stop(now + offset + NOTE_DURATION);
+    });
+  } catch (error) {
+    console.error("[HighlightSound] Could not play the sound:", error);
+  }
+};
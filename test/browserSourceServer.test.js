@@ -0,0 +1,157 @@
+const electronStub = require("./support/electronStub");
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const settingsService = require("../src/main/services/settingsService");
+const browserSourceServer = require("../src/main/services/browserSourceServer");
+
+/**
+ * Finds a free local port.
+ * @returns {Promise<number>} The port.
+ */
+const getFreePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+/**
+ * Connects to the server's WebSocket and collects the events it receives.
+ * @param {number} port - The server port.
+ * @param {string} [origin] - The Origin header to send (none, like OBS, when not set).
+ * @returns {Promise<{socket: WebSocket, events: Array<object>, waitForEvents: function(number): Promise<void>}>}
+ */
+const connectPage = (port, origin) =>
+  new Promise((resolve, reject) => {
+    const socket = new WebSocket(
+      `ws://127.0.0.1:${port}/ws`,
+      origin ? { origin } : {}
+    );
+    const events = [];
+    socket.on("message", (data) => events.push(JSON.parse(data)));
+    socket.once("error", reject);
+    socket.once("open", () => {
+      const waitForEvents = async (count) => {
+        const deadline = Date.now() + 2000;
+        while (events.length < count && Date.now() < deadline) {
+          await new Promise((done) => setTimeout(done, 10));
+        }
+        assert.ok(events.length >= count, `expected ${count} events`);
+      };
+      resolve({ socket, events, waitForEvents });
+    });
+  });
+
+describe("browserSourceServer", () => {
+  let userDataDir;
+  let port;
+
+  before(async () => {
+    userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), "browser-source-"));
+    electronStub.app.getPath = () => userDataDir;
+    settingsService.initialize();
+    port = await getFreePort();
+
+    browserSourceServer.initialize();
+    settingsService.set("browserSource.port", port);
+    settingsService.set("browserSource.enabled", true);
+    await browserSourceServer.restart();
+  });
+
+  after(async () => {
+    await browserSourceServer.shutdown();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  });
+
+  it("listens on localhost only by default", () => {
+    assert.deepEqual(
+      {
+        address: browserSourceServer.getAddress().address,
+        port: browserSourceServer.getAddress().port,
+      },
+      { address: "127.0.0.1", port }
+    );
+  });
+
+  it("serves the chat page and its scripts", async () => {
+    const page = await fetch(`http://127.0.0.1:${port}/?theme=light&fade=10`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get("content-type"), /text\/html/);
+    assert.match(await page.text(), /chat\.js/);
+
+    const parser = await fetch(`http://127.0.0.1:${port}/emoteParser.js`);
+    assert.equal(parser.status, 200);
+    assert.match(await parser.text(), /export const parseTwitchEmotes/);
+
+    const missing = await fetch(`http://127.0.0.1:${port}/../package.json`);
+    assert.equal(missing.status, 404);
+  });
+
+  it("streams events and replays the latest emotes to new pages", async () => {
+    const emotes = {
+      globalEmotes: [["KEKW", "//cdn/kekw"]],
+      channelEmotes: {},
+    };
+    browserSourceServer.broadcast("emotes-update", emotes);
+
+    const { socket, events, waitForEvents } = await connectPage(port);
+    await waitForEvents(1);
+    assert.deepEqual(events[0], { event: "emotes-update", payload: emotes });
+
+    const message = { channel: "somechannel", username: "Viewer", text: "hi" };
+    browserSourceServer.broadcast("chat-message", message);
+    await waitForEvents(2);
+    assert.deepEqual(events[1], { event: "chat-message", payload: message });
+    socket.close();
+  });
+
+  it("does not send status lines meant for the overlay user", async () => {
+    const { socket, events, waitForEvents } = await connectPage(port);
+    await waitForEvents(1); // The latest emotes
+
+    browserSourceServer.broadcast("chat-message", {
+      channel: "somechannel",
+      username: "System",
+      text: "Connected to #somechannel",
+      isSystem: true,
+    });
+    const message = { channel: "somechannel", username: "Viewer", text: "hi" };
+    browserSourceServer.broadcast("chat-message", message);
+    await waitForEvents(2);
+    assert.deepEqual(events.slice(1), [
+      { event: "chat-message", payload: message },
+    ]);
+    socket.close();
+  });
+
+  it("accepts the page's own origin and rejects other websites", async () => {
+    const page = await connectPage(port, `http://127.0.0.1:${port}`);
+    page.socket.close();
+
+    await assert.rejects(
+      connectPage(port, "https://evil.example"),
+      /Unexpected server response: 401/
+    );
+    // A website whose domain resolves to this computer
+    await assert.rejects(
+      connectPage(port, `http://rebind.example:${port}`),
+      /Unexpected server response: 401/
+    );
+  });
+
+  it("stops when it is turned off", async () => {
+    settingsService.set("browserSource.enabled", false);
+    await browserSourceServer.restart();
+    assert.equal(browserSourceServer.getAddress(), null);
+    await assert.rejects(fetch(`http://127.0.0.1:${port}/`));
+  });
+});
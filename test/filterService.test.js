@@ -0,0 +1,183 @@
+const electronStub = require("./support/electronStub");
+
+// config.js reads the client ID when it is first loaded
+process.env.TWITCH_CLIENT_ID = "test-client-id";
+
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startFakeTwitchServer } = require("./support/fakeTwitchServer");
+const { createFakeWindow } = require("./support/fakeWindow");
+const settingsService = require("../src/main/services/settingsService");
+const filterService = require("../src/main/services/filterService");
+const twitchChatService = require("../src/main/services/twitchChatService");
+
+describe("filterService", () => {
+  let userDataDir;
+  let window;
+
+  /**
+   * Builds a chat message payload like the ones twitchChatService sends.
+   * @param {string} text - The message text.
+   * @param {object} [fields] - Other fields (login, isSub, isMod, ...).
+   * @returns {object} The payload.
+   */
+  const chatMessage = (text, fields = {}) => ({
+    channel: "somechannel",
+    username: fields.login || "viewer",
+    login: "viewer",
+    text,
+    ...fields,
+  });
+
+  /**
+   * Saves the filter rules, giving each one an ID.
+   * @param {Array<object>} rules - The rules without IDs.
+   */
+  const setRules = (rules) =>
+    settingsService.set(
+      "filters.rules",
+      rules.map((rule, index) => ({ id: `rule-${index}`, ...rule }))
+    );
+
+  before(() => {
+    userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), "filters-"));
+    electronStub.app.getPath = () => userDataDir;
+    settingsService.initialize();
+    window = createFakeWindow();
+    filterService.initialize(window);
+  });
+
+  beforeEach(() => {
+    setRules([]);
+    settingsService.set("filters.enabled", true);
+    filterService.resetFilteredCounts();
+  });
+
+  after(() => {
+    filterService.shutdown();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  });
+
+  it("hides ignored users and commands, and normalizes user rules", () => {
+    setRules([
+      { type: "user", value: "@NightBot", action: "hide" },
+      { type: "command", value: "!", action: "hide" },
+    ]);
+    assert.equal(settingsService.get("filters.rules")[0].value, "nightbot");
+
+    assert.equal(
+      filterService.applyFilters(chatMessage("Follow!", { login: "nightbot" })),
+      null
+    );
+    assert.equal(filterService.applyFilters(chatMessage("  !uptime")), null);
+    const normal = chatMessage("hello there");
+    assert.equal(filterService.applyFilters(normal), normal);
+    assert.deepEqual(filterService.getFilteredCounts(), { somechannel: 2 });
+  });
+
+  it("dims or collapses text, regex and badge matches, strongest action first", () => {
+    setRules([
+      { type: "text", value: "SPOILER", action: "dim" },
+      { type: "regex", value: "^(.)\\1{9,}$", action: "collapse" },
+      { type: "badge", value: "subscriber", action: "dim" },
+    ]);
+
+    assert.deepEqual(
+      filterService.applyFilters(
+        chatMessage("no spoilers please", { isSub: true })
+      ).filter,
+      { action: "dim", reason: 'filter "SPOILER"' }
+    );
+    assert.deepEqual(
+      filterService.applyFilters(chatMessage("aaaaaaaaaaaa")).filter,
+      { action: "collapse", reason: 'filter "^(.)\\1{9,}$"' }
+    );
+    assert.deepEqual(filterService.applyFilters(chatMessage("hi")).filter, {
+      action: "dim",
+      reason: "below subscriber",
+    });
+    assert.equal(
+      filterService.applyFilters(chatMessage("hi", { isMod: true })).filter,
+      undefined
+    );
+  });
+
+  it("leaves system lines alone and can be turned off", () => {
+    setRules([{ type: "text", value: "connected", action: "hide" }]);
+    const system = {
+      ...chatMessage("connected"),
+      login: undefined,
+      isSystem: true,
+    };
+    assert.equal(filterService.applyFilters(system), system);
+
+    settingsService.set("filters.enabled", false);
+    const message = chatMessage("connected");
+    assert.equal(filterService.applyFilters(message), message);
+  });
+
+  it("sends the filtered counts to the renderer", async () => {
+    setRules([{ type: "user", value: "streamelements", action: "hide" }]);
+    filterService.applyFilters(
+      chatMessage("!points", { login: "streamelements" })
+    );
+    filterService.applyFilters(
+      chatMessage("!points", { login: "streamelements" })
+    );
+
+    const counts = await window.waitFor(
+      "filter-counts",
+      (data) => data.somechannel === 2
+    );
+    assert.deepEqual(counts, { somechannel: 2 });
+  });
+
+  it("knows the badge level of cheerers", async () => {
+    const auth = { token: "test-token", username: "viewer", userId: "2001" };
+    const server = await startFakeTwitchServer({
+      token: auth.token,
+      channels: { streamer: { id: "1001" } },
+    });
+    try {
+      twitchChatService.initialize(window, server.createTransport());
+      await twitchChatService.connectToChannel("streamer", auth);
+      await window.waitFor(
+        "connection-status",
+        (status) => status.status === "connected"
+      );
+      setRules([{ type: "badge", value: "subscriber", action: "hide" }]);
+
+      server.sendPrivmsg("streamer", "somemod", "Cheer100 mod", {
+        bits: 100,
+        mod: 1,
+      });
+      server.sendPrivmsg("streamer", "streamer", "Cheer100 mine", {
+        bits: 100,
+        "user-id": "1001",
+      });
+      server.sendPrivmsg("streamer", "lurker", "Cheer100 hidden", {
+        bits: 100,
+      });
+      server.sendPrivmsg("streamer", "somemod", "done", { mod: 1 });
+      await window.waitFor(
+        "chat-message",
+        (message) => message.text === "done"
+      );
+
+      assert.deepEqual(
+        window.sent
+          .filter(
+            ({ channel, data }) => channel === "chat-message" && data.isCheer
+          )
+          .map(({ data }) => data.text),
+        ["Cheer100 mod", "Cheer100 mine"]
+      );
+    } finally {
+      await twitchChatService.disconnectFromChannel();
+      await server.close();
+    }
+  });
+});
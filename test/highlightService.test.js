@@ -0,0 +1,140 @@
+const electronStub = require("./support/electronStub");
+
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeWindow } = require("./support/fakeWindow");
+const settingsService = require("../src/main/services/settingsService");
+const highlightService = require("../src/main/services/highlightService");
+
+describe("highlightService", () => {
+  let userDataDir;
+  let window;
+  let focused;
+
+  /**
+   * Builds a chat message payload like the ones twitchChatService sends.
+   * @param {string} text - The message text.
+   * @param {string} [login] - The sender's login.
+   * @returns {object} The payload.
+   */
+  const chatMessage = (text, login = "viewer") => ({
+    channel: "somechannel",
+    username: login,
+    login,
+    text,
+    color: "#FF4500",
+    messageId: `msg-${text}`,
+  });
+
+  before(() => {
+    userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), "highlights-"));
+    electronStub.app.getPath = () => userDataDir;
+    settingsService.initialize();
+    window = {
+      ...createFakeWindow(),
+      isVisible: () => true,
+      isMinimized: () => false,
+      isFocused: () => focused,
+    };
+    highlightService.initialize(window);
+  });
+
+  beforeEach(() => {
+    focused = true;
+    highlightService.clearMentions();
+    electronStub.shownNotifications.length = 0;
+    settingsService.set("highlights.rules", []);
+  });
+
+  after(() => {
+    highlightService.shutdown();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  });
+
+  it("highlights mentions of the logged-in user as whole words", () => {
+    const mention = highlightService.applyHighlights(
+      chatMessage("hey @TestUser, nice play"),
+      "testuser"
+    );
+    assert.deepEqual(mention.highlight, {
+      reason: "Mention",
+      color: "#9146FF",
+      sound: false,
+    });
+
+    const partial = chatMessage("testusers are everywhere");
+    assert.equal(
+      highlightService.applyHighlights(partial, "testuser"),
+      partial
+    );
+
+    const own = chatMessage("I am testuser", "testuser");
+    assert.equal(highlightService.applyHighlights(own, "testuser"), own);
+
+    assert.deepEqual(
+      highlightService.getMentions().map((entry) => entry.text),
+      ["hey @TestUser, nice play"]
+    );
+  });
+
+  it("matches keyword and regex rules with their own color and sound", () => {
+    settingsService.set("highlights.rules", [
+      { id: "a", pattern: "giveaway", color: "#00ff00", sound: true },
+      { id: "b", pattern: "^!(clip|vod)\\b", isRegex: true, color: "#0000FF" },
+    ]);
+
+    const keyword = highlightService.applyHighlights(
+      chatMessage("is the GIVEAWAY still on?"),
+      "testuser"
+    );
+    assert.deepEqual(keyword.highlight, {
+      reason: "giveaway",
+      color: "#00FF00",
+      sound: true,
+    });
+    assert.equal(
+      highlightService.applyHighlights(chatMessage("!clip that"), "testuser")
+        .highlight.color,
+      "#0000FF"
+    );
+    assert.equal(
+      highlightService.applyHighlights(chatMessage("giveaways"), "testuser")
+        .highlight,
+      undefined
+    );
+  });
+
+  it("rejects rules with an invalid regex", () => {
+    assert.throws(
+      () =>
+        settingsService.set("highlights.rules", [
+          { id: "a", pattern: "(oops", isRegex: true, color: "#00FF00" },
+        ]),
+      /not a valid regex/
+    );
+  });
+
+  it("notifies only while the window is unfocused and announces each hit", async () => {
+    highlightService.applyHighlights(chatMessage("testuser hi"), "testuser");
+    assert.equal(electronStub.shownNotifications.length, 0);
+
+    focused = false;
+    highlightService.applyHighlights(chatMessage("testuser again"), "testuser");
+    assert.deepEqual(electronStub.shownNotifications, [
+      {
+        title: "viewer in #somechannel",
+        body: "testuser again",
+        silent: false,
+      },
+    ]);
+
+    const added = await window.waitFor(
+      "mention-added",
+      (mention) => mention.text === "testuser again"
+    );
+    assert.equal(added.highlight.reason, "Mention");
+  });
+});
@@ -0,0 +1,121 @@
+require("./support/electronStub");
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTwitchServer } = require("./support/fakeTwitchServer");
+const { createFakeWindow } = require("./support/fakeWindow");
+
+// config.js reads the client ID when it is first loaded
+process.env.TWITCH_CLIENT_ID = "test-client-id";
+const twitchChatService = require("../src/main/services/twitchChatService");
+const moderationService = require("../src/main/services/moderationService");
+
+const AUTH = { token: "test-token", username: "viewer", userId: "2001" };
+
+describe("moderationService", () => {
+  let server;
+  let win;
+
+  /**
+   * Runs an action in #modded against a chatter and returns the system line it posted.
+   * @param {object} action - The action fields (type, duration, reason, ...).
+   * @returns {Promise<object>} { result, line }
+   */
+  const moderate = async (action) => {
+    const result = await moderationService.moderate({
+      channel: "modded",
+      broadcasterId: "1002",
+      username: "Spammer",
+      userId: "3001",
+      ...action,
+    });
+    const line = await win.waitFor("chat-message");
+    return { result, line };
+  };
+
+  before(async () => {
+    server = await startFakeTwitchServer({
+      token: AUTH.token,
+      channels: { modded: { id: "1002", moderator: true } },
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    server.clearReceived();
+    win = createFakeWindow();
+    const transport = server.createTransport();
+    twitchChatService.initialize(win, transport);
+    moderationService.initialize(win, () => AUTH, transport);
+  });
+
+  it("deletes a message", async () => {
+    const { result, line } = await moderate({
+      type: "delete",
+      messageId: "msg-1",
+    });
+
+    assert.deepEqual(result, { success: true });
+    assert.deepEqual(server.helixRequests, [
+      {
+        method: "DELETE",
+        path: "/moderation/chat",
+        query: {
+          broadcaster_id: "1002",
+          message_id: "msg-1",
+          moderator_id: "2001",
+        },
+        body: null,
+      },
+    ]);
+    assert.equal(line.channel, "modded");
+    assert.equal(line.text, "Deleted a message from Spammer.");
+  });
+
+  it("times out and bans through the bans endpoint", async () => {
+    const timeout = await moderate({ type: "timeout", duration: "600" });
+    assert.equal(timeout.line.text, "Timed out Spammer for 600 seconds.");
+    win.sent.length = 0;
+    const ban = await moderate({ type: "ban", reason: "spam" });
+    assert.equal(ban.line.text, "Banned Spammer (Reason: spam).");
+
+    assert.deepEqual(
+      server.helixRequests.map(({ method, path, query, body }) => ({
+        method,
+        path,
+        query,
+        body,
+      })),
+      [
+        {
+          method: "POST",
+          path: "/moderation/bans",
+          query: { broadcaster_id: "1002", moderator_id: "2001" },
+          body: { data: { user_id: "3001", duration: 600 } },
+        },
+        {
+          method: "POST",
+          path: "/moderation/bans",
+          query: { broadcaster_id: "1002", moderator_id: "2001" },
+          body: { data: { user_id: "3001", reason: "spam" } },
+        },
+      ]
+    );
+  });
+
+  it("rejects invalid timeouts without calling Helix", async () => {
+    const { result, line } = await moderate({
+      type: "timeout",
+      duration: "0",
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(
+      line.text,
+      "Moderation action failed: Timeout duration must be between 1 and 1209600 seconds."
+    );
+    assert.equal(line.color, "#DC143C");
+    assert.equal(server.helixRequests.length, 0);
+  });
+});
@@ -0,0 +1,220 @@
+const electronStub = require("./support/electronStub");
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeWindow } = require("./support/fakeWindow");
+const settingsService = require("../src/main/services/settingsService");
+const filterService = require("../src/main/services/filterService");
+const highlightService = require("../src/main/services/highlightService");
+const replayService = require("../src/main/services/replayService");
+
+/**
+ * Builds a PRIVMSG line of an IRC transcript in #streamer.
+ * @param {string} login - The sender's login.
+ * @param {string} text - The message text.
+ * @param {number} second - Seconds after the start of the transcript.
+ * @returns {string} The raw IRC line.
+ */
+const privmsg = (login, text, second) =>
+  `@badge-info=;badges=;color=#FF4500;display-name=${login};emotes=;id=msg-${second};tmi-sent-ts=${
+    1714594500000 + second * 1000
+  };user-id=${100 + second} :${login}!${login}@${login}.tmi.twitch.tv PRIVMSG #streamer :${text}`;
+
+describe("replayService", () => {
+  let userDataDir;
+  let window;
+
+  /**
+   * Calls one of the replay IPC handlers, like the renderer does.
+   * @param {string} name - The IPC channel name.
+   * @param {...any} args - The arguments after the event.
+   * @returns {any} The handler's result.
+   */
+  const invoke = (name, ...args) =>
+    electronStub.ipcMain.handlers.get(name)(null, ...args);
+
+  before(() => {
+    userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+    electronStub.app.getPath = () => userDataDir;
+    settingsService.initialize();
+    window = createFakeWindow();
+    filterService.initialize(window);
+    highlightService.initialize(window);
+    replayService.initialize(window);
+    replayService.setupIpcHandlers();
+  });
+
+  after(() => {
+    replayService.stop();
+    highlightService.shutdown();
+    filterService.shutdown();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  });
+
+  it("runs replayed chat through the filters and silent highlights", async () => {
+    settingsService.set("filters.rules", [
+      { id: "commands", type: "command", value: "!", action: "hide" },
+      { id: "spoilers", type: "text", value: "spoiler", action: "dim" },
+    ]);
+    settingsService.set("highlights.rules", [
+      { id: "giveaway", pattern: "giveaway", color: "#00FF00", sound: true },
+    ]);
+    const transcript = path.join(userDataDir, "transcript.log");
+    fs.writeFileSync(
+      transcript,
+      [
+        privmsg("viewer", "!uptime", 0),
+        privmsg("viewer", "spoiler: he wins", 0),
+        privmsg("viewer", "any giveaway today?", 0),
+        privmsg("viewer", "hello", 0),
+      ].join("\n")
+    );
+    electronStub.dialog.showOpenDialog = async () => ({
+      canceled: false,
+      filePaths: [transcript],
+    });
+
+    const result = await invoke("replay-open");
+    assert.equal(result.success, true);
+    await window.waitFor("chat-message", (message) => message.text === "hello");
+
+    const lines = window.sent
+      .filter(({ channel }) => channel === "chat-message")
+      .map(({ data }) => data);
+    assert.deepEqual(
+      lines.map(({ channel, text, filter, highlight }) => ({
+        channel,
+        text,
+        filter,
+        highlight,
+      })),
+      [
+        {
+          channel: "replay:streamer",
+          text: "spoiler: he wins",
+          filter: { action: "dim", reason: 'filter "spoiler"' },
+          highlight: undefined,
+        },
+        {
+          channel: "replay:streamer",
+          text: "any giveaway today?",
+          filter: undefined,
+          highlight: { reason: "giveaway", color: "#00FF00", sound: true },
+        },
+        {
+          channel: "replay:streamer",
+          text: "hello",
+          filter: undefined,
+          highlight: undefined,
+        },
+      ]
+    );
+
+    // Replayed highlights are not added to the mentions, so no sound or notification
+    assert.deepEqual(highlightService.getMentions(), []);
+    assert.equal(electronStub.shownNotifications.length, 0);
+    assert.deepEqual(filterService.getFilteredCounts(), {
+      "replay:streamer": 2,
+    });
+
+    // Lines sent again after a seek are not counted twice
+    invoke("replay-control", "seek", 0);
+    assert.deepEqual(filterService.getFilteredCounts(), {
+      "replay:streamer": 2,
+    });
+    invoke("replay-control", "stop");
+  });
+
+  it("applies the current rules to recorded logs, but not to event cards", async () => {
+    settingsService.set("filters.rules", [
+      { id: "bots", type: "user", value: "nightbot", action: "hide" },
+    ]);
+    settingsService.set("highlights.rules", []);
+    const ts = "2024-05-01T20:15:03.120Z";
+    const log = path.join(userDataDir, "2024-05-01.jsonl");
+    fs.writeFileSync(
+      log,
+      [
+        // Filter and highlight recorded under the rules of that stream
+        {
+          ts,
+          type: "chat",
+          channel: "streamer",
+          username: "Viewer",
+          login: "viewer",
+          text: "giveaway spoiler",
+          filter: { action: "collapse", reason: 'filter "spoiler"' },
+          highlight: { reason: "giveaway", color: "#00FF00", sound: true },
+        },
+        {
+          ts,
+          type: "chat",
+          channel: "streamer",
+          username: "Nightbot",
+          login: "nightbot",
+          text: "Follow the stream!",
+        },
+        {
+          ts,
+          type: "chat",
+          channel: "streamer",
+          username: "Nightbot",
+          login: "nightbot",
+          text: "",
+          event: {
+            type: "sub",
+            title: "Nightbot subscribed",
+            color: "#9146FF",
+          },
+        },
+        {
+          ts,
+          type: "chat",
+          channel: "streamer",
+          username: "Viewer",
+          login: "viewer",
+          text: "hello",
+        },
+      ]
+        .map((entry) => JSON.stringify(entry))
+        .join("\n")
+    );
+    electronStub.dialog.showOpenDialog = async () => ({
+      canceled: false,
+      filePaths: [log],
+    });
+    window.sent.length = 0;
+
+    await invoke("replay-open");
+    await window.waitFor("chat-message", (message) => message.text === "hello");
+
+    assert.deepEqual(
+      window.sent
+        .filter(({ channel }) => channel === "chat-message")
+        .map(({ data }) => ({
+          text: data.text,
+          filter: data.filter,
+          highlight: data.highlight,
+          event: data.event && data.event.type,
+        })),
+      [
+        {
+          text: "giveaway spoiler",
+          filter: undefined,
+          highlight: undefined,
+          event: undefined,
+        },
+        { text: "", filter: undefined, highlight: undefined, event: "sub" },
+        {
+          text: "hello",
+          filter: undefined,
+          highlight: undefined,
+          event: undefined,
+        },
+      ]
+    );
+  });
+});
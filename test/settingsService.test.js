@@ -0,0 +1,212 @@
+const electronStub = require("./support/electronStub");
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const settingsService = require("../src/main/services/settingsService");
+
+describe("settingsService", () => {
+  let userDataDir;
+
+  /**
+   * Writes a JSON file to the test's userData folder.
+   * @param {string} fileName - The file name.
+   * @param {object} data - The file contents.
+   */
+  const writeUserDataFile = (fileName, data) =>
+    fs.writeFileSync(path.join(userDataDir, fileName), JSON.stringify(data));
+
+  /**
+   * Reads the settings file from the test's userData folder.
+   * @returns {object} The parsed file.
+   */
+  const readSettingsFile = () =>
+    JSON.parse(
+      fs.readFileSync(path.join(userDataDir, "settings.json"), "utf8")
+    );
+
+  beforeEach(() => {
+    userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), "settings-test-"));
+    electronStub.app.getPath = () => userDataDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  });
+
+  it("starts from the defaults and writes the settings file", () => {
+    settingsService.initialize();
+
+    assert.equal(settingsService.get("chat.maxMessages"), 2000);
+    assert.equal(settingsService.get("chat.fallbackColor"), "#AAAAAA");
+    assert.equal(settingsService.get("oauth.redirectPort"), 3000);
+    assert.equal(readSettingsFile().version, 1);
+  });
+
+  it("migrates the per-feature preference files", () => {
+    writeUserDataFile("emote-providers.json", {
+      "7tv": true,
+      bttv: false,
+      ffz: true,
+    });
+    writeUserDataFile("chat-logs.json", { enabled: true });
+    writeUserDataFile("ghost-mode.json", { opacity: 0.6 });
+
+    settingsService.initialize();
+
+    assert.equal(settingsService.get("emoteProviders.bttv"), false);
+    assert.equal(settingsService.get("emoteProviders.7tv"), true);
+    assert.equal(settingsService.get("chatLogs.enabled"), true);
+    assert.equal(settingsService.get("ghostMode.opacity"), 0.6);
+    assert.equal(readSettingsFile().settings["chatLogs.enabled"], true);
+  });
+
+  it("replaces invalid stored values with their defaults", () => {
+    writeUserDataFile("settings.json", {
+      version: 1,
+      settings: {
+        "chat.maxMessages": 10,
+        "chat.fallbackColor": "grey",
+        "chat.minLuminance": 60,
+        "no.such.setting": true,
+      },
+    });
+
+    settingsService.initialize();
+
+    assert.equal(settingsService.get("chat.maxMessages"), 2000);
+    assert.equal(settingsService.get("chat.fallbackColor"), "#AAAAAA");
+    assert.equal(settingsService.get("chat.minLuminance"), 60);
+    assert.equal(readSettingsFile().settings["no.such.setting"], undefined);
+  });
+
+  it("validates, persists and announces changes", () => {
+    settingsService.initialize();
+    const changes = [];
+    const unsubscribe = settingsService.subscribe((key, value) =>
+      changes.push([key, value])
+    );
+
+    assert.equal(settingsService.set("chat.maxMessages", "500"), 500);
+    assert.equal(
+      settingsService.set("chat.fallbackColor", "#abcdef"),
+      "#ABCDEF"
+    );
+    assert.throws(
+      () => settingsService.set("chat.maxMessages", 1.5),
+      /whole number/
+    );
+    assert.throws(
+      () => settingsService.set("window.chatWidth", 99999),
+      /between 200 and 3840/
+    );
+    assert.throws(() => settingsService.set("no.such.setting", 1), /Unknown/);
+    unsubscribe();
+    settingsService.set("chat.maxMessages", 600);
+
+    assert.deepEqual(changes, [
+      ["chat.maxMessages", 500],
+      ["chat.fallbackColor", "#ABCDEF"],
+    ]);
+    assert.equal(readSettingsFile().settings["chat.maxMessages"], 600);
+  });
+
+  it("stores window bounds with their display", () => {
+    settingsService.initialize();
+
+    assert.equal(settingsService.get("windowBounds.chat"), null);
+    assert.deepEqual(
+      settingsService.set("windowBounds.chat", {
+        x: -1600,
+        y: 40,
+        width: 400,
+        height: 600,
+        displayId: 2,
+        maximized: true,
+      }),
+      { x: -1600, y: 40, width: 400, height: 600, displayId: 2 }
+    );
+    assert.equal(
+      settingsService.set("windowBounds.login", {
+        x: 0,
+        y: 0,
+        width: 350,
+        height: 400,
+      }).displayId,
+      null
+    );
+    assert.throws(
+      () =>
+        settingsService.set("windowBounds.chat", {
+          x: 0,
+          y: 0,
+          width: 0,
+          height: 10,
+        }),
+      /x, y, width, height/
+    );
+    assert.equal(settingsService.set("windowBounds.chat", null), null);
+  });
+
+  it("stores completion usage counts", () => {
+    settingsService.initialize();
+
+    assert.deepEqual(settingsService.get("completion.usage"), {});
+    assert.deepEqual(
+      settingsService.set("completion.usage", { KEKW: 3, "@someone": 1 }),
+      { KEKW: 3, "@someone": 1 }
+    );
+    assert.throws(
+      () => settingsService.set("completion.usage", { KEKW: 0 }),
+      /positive whole numbers/
+    );
+    assert.throws(
+      () => settingsService.set("completion.usage", ["KEKW"]),
+      /at most 500/
+    );
+  });
+
+  it("logs long values by their size only", (t) => {
+    settingsService.initialize();
+    const log = t.mock.method(console, "log", () => {});
+
+    const usage = Object.fromEntries(
+      Array.from({ length: 100 }, (_, index) => [`emote${index}`, 1])
+    );
+    settingsService.set("completion.usage", usage);
+    settingsService.set("chat.maxMessages", 500);
+
+    assert.deepEqual(
+      log.mock.calls.map((call) => call.arguments[0]),
+      [
+        `[SettingsService] completion.usage set (${
+          JSON.stringify(usage).length
+        } characters)`,
+        "[SettingsService] chat.maxMessages set to 500",
+      ]
+    );
+  });
+
+  it("stores the recently used emotes of the emote picker", () => {
+    settingsService.initialize();
+
+    const kekw = {
+      name: "KEKW",
+      url: "https://cdn.7tv.app/emote/1/2x.webp",
+      extra: true,
+    };
+    assert.deepEqual(settingsService.get("emotePicker.recent"), []);
+    assert.deepEqual(settingsService.set("emotePicker.recent", [kekw]), [
+      { name: "KEKW", url: "https://cdn.7tv.app/emote/1/2x.webp" },
+    ]);
+    assert.throws(
+      () =>
+        settingsService.set("emotePicker.recent", [
+          { name: "KEKW", url: "javascript:alert(1)" },
+        ]),
+      /\{ name, url \} emotes/
+    );
+  });
+});
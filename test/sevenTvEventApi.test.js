@@ -0,0 +1,100 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeSevenTvEventApi } = require("./support/fakeSevenTvEventApi");
+
+// Opcodes the client sends (see sevenTvEventApi.js)
+const RESUME = 34;
+const SUBSCRIBE = 35;
+
+describe("sevenTvEventApi", () => {
+  let server;
+  let eventApi;
+  const dispatches = [];
+
+  /**
+   * Tells whether a received entry subscribes to an emote set.
+   * @param {string} emoteSetId - The emote set ID.
+   * @param {string} [session] - Only match this session.
+   * @returns {function(object): boolean} The predicate.
+   */
+  const subscribes =
+    (emoteSetId, session) =>
+    ({ op, d, session: entrySession }) =>
+      op === SUBSCRIBE &&
+      d.condition.object_id === emoteSetId &&
+      (!session || entrySession === session);
+
+  before(async () => {
+    server = await startFakeSevenTvEventApi();
+    // config.js reads the URL when it is first loaded
+    process.env.SEVENTV_EVENTAPI_URL = server.url;
+    eventApi = require("../src/main/services/sevenTvEventApi");
+    eventApi.initialize((type, body) => dispatches.push({ type, body }));
+  });
+
+  after(() => server.close());
+
+  afterEach(() => {
+    eventApi.disconnect();
+    server.clearReceived();
+    server.resumeSucceeds = true;
+    server.heartbeatInterval = 30000;
+    dispatches.length = 0;
+  });
+
+  it("subscribes once HELLO arrives and passes dispatches on", async () => {
+    eventApi.subscribeToEmoteSet("set-a");
+    const { session } = await server.waitForMessage(subscribes("set-a"));
+
+    server.send(0, { type: "emote_set.update", body: { id: "set-a" } });
+    const deadline = Date.now() + 2000;
+    while (dispatches.length === 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.deepEqual(dispatches, [
+      { type: "emote_set.update", body: { id: "set-a" } },
+    ]);
+    assert.equal(session, `session-${server.connectionCount}`);
+  });
+
+  it("resumes the session and subscribes to sets added while reconnecting", async () => {
+    eventApi.subscribeToEmoteSet("set-a");
+    const first = await server.waitForMessage(subscribes("set-a"));
+
+    server.dropConnection();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    eventApi.subscribeToEmoteSet("set-b"); // Reconnects right away
+
+    const resume = await server.waitForMessage(({ op }) => op === RESUME);
+    assert.equal(resume.d.session_id, first.session);
+    await server.waitForMessage(subscribes("set-b", resume.session));
+    // set-a is still subscribed on the resumed session
+    assert.equal(
+      server.received.filter(subscribes("set-a", resume.session)).length,
+      0
+    );
+  });
+
+  it("subscribes again to every set when the resume fails", async () => {
+    server.resumeSucceeds = false;
+    eventApi.subscribeToEmoteSet("set-a");
+    await server.waitForMessage(subscribes("set-a"));
+
+    server.dropConnection(); // Reconnects after the backoff delay
+    const resume = await server.waitForMessage(({ op }) => op === RESUME);
+    await server.waitForMessage(subscribes("set-a", resume.session));
+  });
+
+  it("reconnects when heartbeats stop", async () => {
+    server.heartbeatInterval = 100;
+    eventApi.subscribeToEmoteSet("set-a");
+    const first = await server.waitForMessage(subscribes("set-a"));
+
+    // Silent for the interval plus the grace period, then the backoff delay
+    const resume = await server.waitForMessage(
+      ({ op }) => op === RESUME,
+      10000
+    );
+    assert.equal(resume.d.session_id, first.session);
+  });
+});
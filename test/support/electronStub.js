@@ -0,0 +1,63 @@
+const Module = require("module");
+const os = require("os");
+const path = require("path");
+
+// The "electron" package only works inside Electron, so main process services
+// get this stand-in when they are loaded by the test runner.
+const electronStub = {
+  app: {
+    getPath: () => path.join(os.tmpdir(), "twitch-chat-overlay-tests"),
+  },
+  BrowserWindow: {
+    getAllWindows: () => [],
+  },
+  // Keeps the registered handlers and, like Electron, refuses a second one per channel
+  ipcMain: {
+    handlers: new Map(),
+    handle(channel, listener) {
+      if (this.handlers.has(channel)) {
+        throw new Error(
+          `Attempted to register a second handler for '${channel}'`
+        );
+      }
+      this.handlers.set(channel, listener);
+    },
+    removeHandler(channel) {
+      this.handlers.delete(channel);
+    },
+    on: () => {},
+  },
+  shell: {
+    openPath: async () => "",
+  },
+  // Records the notifications that were shown
+  Notification: class {
+    static isSupported() {
+      return true;
+    }
+
+    constructor(options) {
+      this.options = options;
+    }
+
+    on() {}
+
+    show() {
+      electronStub.shownNotifications.push(this.options);
+    }
+  },
+  shownNotifications: [],
+  dialog: {
+    showOpenDialog: async () => ({ canceled: true, filePaths: [] }),
+  },
+};
+
+const originalLoad = Module._load;
+Module._load = function load(request, ...args) {
+  if (request === "electron") {
+    return electronStub;
+  }
+  return originalLoad.call(this, request, ...args);
+};
+
+module.exports = electronStub;
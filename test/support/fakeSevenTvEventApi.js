@@ -0,0 +1,140 @@
+const { WebSocketServer } = require("ws");
+
+// 7TV EventAPI opcodes used by the stand-in (see sevenTvEventApi.js)
+const OPCODES = {
+  DISPATCH: 0,
+  HELLO: 1,
+  ACK: 5,
+  RESUME: 34,
+};
+
+/**
+ * Starts a local stand-in for the 7TV EventAPI websocket.
+ * Every connection gets a HELLO with a new session ID; RESUME requests are answered
+ * with an ACK whose success is set by `resumeSucceeds`. Whatever clients send is
+ * recorded in `received`.
+ * @returns {Promise<object>} The running server (see the returned object below).
+ */
+async function startFakeSevenTvEventApi() {
+  const wss = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+  const received = []; // { session, op, d }
+  const sockets = [];
+  const waiters = [];
+  let sessionCount = 0;
+
+  const server = {
+    // Announced in HELLO; the client drops the connection when it stays silent for longer
+    heartbeatInterval: 30000,
+    // Whether a RESUME of a previous session succeeds
+    resumeSucceeds: true,
+    received,
+
+    get url() {
+      return `ws://127.0.0.1:${wss.address().port}`;
+    },
+
+    /**
+     * Number of connections opened so far.
+     * @returns {number}
+     */
+    get connectionCount() {
+      return sessionCount;
+    },
+
+    /**
+     * Sends a payload to the newest connection.
+     * @param {number} op - The opcode.
+     * @param {object} d - The payload data.
+     */
+    send(op, d) {
+      sockets[sockets.length - 1].send(JSON.stringify({ op, d }));
+    },
+
+    /**
+     * Drops the newest connection without a close handshake, like a network failure.
+     */
+    dropConnection() {
+      sockets[sockets.length - 1].terminate();
+    },
+
+    /**
+     * Waits until a client sends a matching payload (or has already sent one).
+     * @param {function(object): boolean} predicate - Tests a { session, op, d } entry.
+     * @param {number} [timeout=3000] - Milliseconds to wait before rejecting.
+     * @returns {Promise<object>} The matching entry.
+     */
+    waitForMessage(predicate, timeout = 3000) {
+      const existing = received.find(predicate);
+      if (existing) return Promise.resolve(existing);
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiters.push(waiter);
+        setTimeout(() => {
+          const index = waiters.indexOf(waiter);
+          if (index === -1) return;
+          waiters.splice(index, 1);
+          reject(new Error("Timed out waiting for an EventAPI message"));
+        }, timeout);
+      });
+    },
+
+    /**
+     * Forgets the payloads received so far.
+     */
+    clearReceived() {
+      received.length = 0;
+    },
+
+    /**
+     * Stops the server and closes every connection.
+     * @returns {Promise<void>}
+     */
+    close() {
+      sockets.forEach((socket) => socket.terminate());
+      return new Promise((resolve) => wss.close(() => resolve()));
+    },
+  };
+
+  wss.on("connection", (socket) => {
+    sessionCount++;
+    const session = `session-${sessionCount}`;
+    sockets.push(socket);
+    socket.send(
+      JSON.stringify({
+        op: OPCODES.HELLO,
+        d: {
+          heartbeat_interval: server.heartbeatInterval,
+          session_id: session,
+        },
+      })
+    );
+
+    socket.on("message", (data) => {
+      const { op, d } = JSON.parse(data.toString());
+      const entry = { session, op, d };
+      received.push(entry);
+      for (let i = waiters.length - 1; i >= 0; i--) {
+        if (waiters[i].predicate(entry)) {
+          waiters[i].resolve(entry);
+          waiters.splice(i, 1);
+        }
+      }
+      if (op === OPCODES.RESUME) {
+        socket.send(
+          JSON.stringify({
+            op: OPCODES.ACK,
+            d: {
+              command: "RESUME",
+              data: { success: server.resumeSucceeds },
+            },
+          })
+        );
+      }
+    });
+  });
+
+  await new Promise((resolve) => wss.on("listening", resolve));
+  return server;
+}
+
+module.exports = { startFakeSevenTvEventApi };
@@ -0,0 +1,380 @@
+const http = require("http");
+const tmi = require("tmi.js");
+const { WebSocketServer } = require("ws");
+
+// Prefix of messages sent by the server itself
+const SERVER_PREFIX = "tmi.twitch.tv";
+
+// Keeps tmi.js quiet during tests
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Formats IRC tags as "@key=value;key=value " (empty when there are none).
+ * @param {object} tags - The tag values.
+ * @returns {string} The tag prefix of an IRC line.
+ */
+function formatTags(tags = {}) {
+  const entries = Object.entries(tags).map(
+    ([key, value]) =>
+      `${key}=${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\:")
+        .replace(/ /g, "\\s")}`
+  );
+  return entries.length > 0 ? `@${entries.join(";")} ` : "";
+}
+
+/**
+ * Returns the IRC prefix of a user ("login!login@login.tmi.twitch.tv").
+ * @param {string} login - The user's login.
+ * @returns {string} The prefix.
+ */
+function userPrefix(login) {
+  return `${login}!${login}@${login}.${SERVER_PREFIX}`;
+}
+
+/**
+ * Starts a local stand-in for Twitch: an IRC-over-WebSocket server that speaks enough
+ * of the Twitch dialect for tmi.js (login, JOIN/PART, PING) plus a Helix /users endpoint.
+ * Other Helix requests (the chat command endpoints) are recorded and answered with 204.
+ * Chat traffic (PRIVMSG, USERNOTICE, CLEARCHAT, CLEARMSG, NOTICE) is pushed by the test.
+ * @param {object} [options]
+ * @param {string} [options.token] - The only OAuth token accepted by IRC and Helix.
+ * @param {object} [options.channels] - Existing channels:
+ *   { [login]: { id, moderator?, suspended? } }. Other channels don't exist.
+ * @returns {Promise<object>} The running server (see the returned object below).
+ */
+async function startFakeTwitchServer(options = {}) {
+  const token = options.token || "test-token";
+  const channels = options.channels || {};
+
+  const sockets = new Set();
+  const received = []; // Every IRC line sent by clients
+  const helixRequests = []; // Every Helix request but /users: { method, path, query, body }
+  const lineWaiters = [];
+
+  // -- Helix
+  const httpServer = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const respond = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      respond(401, { status: 401, message: "Invalid OAuth token" });
+      return;
+    }
+    if (url.pathname === "/helix/users") {
+      const logins = url.searchParams.getAll("login");
+      respond(200, {
+        data: logins
+          .filter((login) => channels[login])
+          .map((login) => ({
+            id: channels[login].id,
+            login,
+            display_name: login,
+          })),
+      });
+      return;
+    }
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      helixRequests.push({
+        method: req.method,
+        path: url.pathname.replace(/^\/helix/, ""),
+        query: Object.fromEntries(url.searchParams),
+        body: body ? JSON.parse(body) : null,
+      });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+
+  // -- IRC
+  const wss = new WebSocketServer({ server: httpServer });
+
+  /**
+   * Sends raw IRC lines to every connected client.
+   * @param {...string} lines - The lines, without line endings.
+   */
+  const send = (...lines) => {
+    const data = lines.map((line) => `${line}\r\n`).join("");
+    sockets.forEach((socket) => socket.send(data));
+  };
+
+  /**
+   * Answers one IRC line sent by a client.
+   * @param {WebSocket} socket - The client's socket.
+   * @param {object} session - The client's login state ({ nick, password }).
+   * @param {string} line - The IRC line.
+   */
+  const handleLine = (socket, session, line) => {
+    received.push(line);
+    const reply = (...lines) =>
+      socket.send(lines.map((l) => `${l}\r\n`).join(""));
+    const [command, ...params] = line.split(" ");
+    const channel = (params[0] || "").replace(/^#/, "");
+
+    switch (command) {
+      case "PASS":
+        session.password = params[0];
+        break;
+      case "NICK":
+        session.nick = params[0];
+        if (session.password !== `oauth:${token}`) {
+          reply(`:${SERVER_PREFIX} NOTICE * :Login authentication failed`);
+          break;
+        }
+        reply(
+          `:${SERVER_PREFIX} 001 ${session.nick} :Welcome, GLHF!`,
+          `:${SERVER_PREFIX} 375 ${session.nick} :-`,
+          `:${SERVER_PREFIX} 372 ${session.nick} :You are in a maze of twisty passages.`,
+          `:${SERVER_PREFIX} 376 ${session.nick} :>`
+        );
+        break;
+      case "PING":
+        reply(`:${SERVER_PREFIX} PONG ${SERVER_PREFIX} :${SERVER_PREFIX}`);
+        break;
+      case "JOIN": {
+        const info = channels[channel];
+        if (!info || info.suspended) {
+          reply(
+            `@msg-id=msg_channel_suspended :${SERVER_PREFIX} NOTICE #${channel} :This channel does not exist or has been suspended.`
+          );
+          break;
+        }
+        reply(
+          `:${userPrefix(session.nick)} JOIN #${channel}`,
+          `${formatTags({
+            "badge-info": "",
+            badges: info.moderator ? "moderator/1" : "",
+            color: "",
+            "display-name": session.nick,
+            mod: info.moderator ? 1 : 0,
+            subscriber: 0,
+            "user-type": info.moderator ? "mod" : "",
+          })}:${SERVER_PREFIX} USERSTATE #${channel}`,
+          `${formatTags({
+            "emote-only": 0,
+            "followers-only": -1,
+            r9k: 0,
+            "room-id": info.id,
+            slow: 0,
+            "subs-only": 0,
+          })}:${SERVER_PREFIX} ROOMSTATE #${channel}`
+        );
+        break;
+      }
+      case "PART":
+        reply(`:${userPrefix(session.nick)} PART #${channel}`);
+        break;
+      default:
+        break;
+    }
+
+    // Resolve the waiters whose predicate matches this line
+    for (let i = lineWaiters.length - 1; i >= 0; i--) {
+      if (lineWaiters[i].predicate(line)) {
+        lineWaiters[i].resolve(line);
+        lineWaiters.splice(i, 1);
+      }
+    }
+  };
+
+  wss.on("connection", (socket) => {
+    const session = { nick: null, password: null };
+    sockets.add(socket);
+    socket.on("message", (data) => {
+      data
+        .toString()
+        .split("\r\n")
+        .filter(Boolean)
+        .forEach((line) => handleLine(socket, session, line));
+    });
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve) => httpServer.listen(0, "127.0.0.1", resolve));
+  const { port } = httpServer.address();
+
+  return {
+    port,
+    helixBaseUrl: `http://127.0.0.1:${port}/helix`,
+    received,
+    helixRequests,
+    send,
+
+    /**
+     * Returns a transport for twitchChatService.initialize() that points tmi.js
+     * and the Helix calls at this server.
+     * @returns {object} { createClient, helixBaseUrl }
+     */
+    createTransport() {
+      return {
+        createClient: (clientOptions) =>
+          new tmi.Client({
+            ...clientOptions,
+            options: { skipUpdatingEmotesets: true },
+            connection: {
+              ...clientOptions.connection,
+              server: "127.0.0.1",
+              port,
+              secure: false,
+              reconnect: false,
+            },
+            logger: silentLogger,
+          }),
+        helixBaseUrl: `http://127.0.0.1:${port}/helix`,
+      };
+    },
+
+    /**
+     * Forgets the IRC lines and Helix requests received so far.
+     */
+    clearReceived() {
+      received.length = 0;
+      helixRequests.length = 0;
+    },
+
+    /**
+     * Number of clients currently connected over IRC.
+     * @returns {number}
+     */
+    get connectionCount() {
+      return sockets.size;
+    },
+
+    /**
+     * Waits until a client sends an IRC line matching the predicate
+     * (or has already sent one).
+     * @param {function(string): boolean} predicate - Tests an IRC line.
+     * @param {number} [timeout=2000] - Milliseconds to wait before rejecting.
+     * @returns {Promise<string>} The matching line.
+     */
+    waitForLine(predicate, timeout = 2000) {
+      const existing = received.find(predicate);
+      if (existing) return Promise.resolve(existing);
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        lineWaiters.push(waiter);
+        const timer = setTimeout(() => {
+          const index = lineWaiters.indexOf(waiter);
+          if (index !== -1) {
+            lineWaiters.splice(index, 1);
+            reject(new Error("Timed out waiting for an IRC line"));
+          }
+        }, timeout);
+        timer.unref(); // Don't keep the test process alive once the wait is over
+      });
+    },
+
+    /**
+     * Sends a chat message from a user.
+     * @param {string} channel - The channel login.
+     * @param {string} login - The sender's login.
+     * @param {string} text - The message text.
+     * @param {object} [tags] - Extra or overriding IRC tags.
+     */
+    sendPrivmsg(channel, login, text, tags = {}) {
+      send(
+        `${formatTags({
+          "badge-info": "",
+          badges: "",
+          color: "",
+          "display-name": login,
+          emotes: "",
+          id: `${login}-${Date.now()}`,
+          mod: 0,
+          "room-id": (channels[channel] || {}).id || "",
+          subscriber: 0,
+          "tmi-sent-ts": Date.now(),
+          "user-id": `${login}-id`,
+          ...tags,
+        })}:${userPrefix(login)} PRIVMSG #${channel} :${text}`
+      );
+    },
+
+    /**
+     * Sends a USERNOTICE (sub, raid, ...).
+     * @param {string} channel - The channel login.
+     * @param {string} msgId - The notice type ("raid", "sub", ...).
+     * @param {object} [tags] - Extra IRC tags (e.g. the msg-param-* values).
+     * @param {string} [text] - The optional user message.
+     */
+    sendUsernotice(channel, msgId, tags = {}, text) {
+      send(
+        `${formatTags({
+          "msg-id": msgId,
+          "room-id": (channels[channel] || {}).id || "",
+          ...tags,
+        })}:${SERVER_PREFIX} USERNOTICE #${channel}${text ? ` :${text}` : ""}`
+      );
+    },
+
+    /**
+     * Sends a CLEARCHAT: a timeout or ban of a user, or a full chat clear without one.
+     * @param {string} channel - The channel login.
+     * @param {string} [login] - The user that was timed out or banned.
+     * @param {number} [duration] - The timeout in seconds (omit for a ban).
+     */
+    sendClearchat(channel, login, duration) {
+      const tags = formatTags(duration ? { "ban-duration": duration } : {});
+      send(
+        `${tags}:${SERVER_PREFIX} CLEARCHAT #${channel}${
+          login ? ` :${login}` : ""
+        }`
+      );
+    },
+
+    /**
+     * Sends a CLEARMSG (a single deleted message).
+     * @param {string} channel - The channel login.
+     * @param {string} login - The author of the deleted message.
+     * @param {string} targetMsgId - The ID of the deleted message.
+     * @param {string} text - The deleted message text.
+     */
+    sendClearmsg(channel, login, targetMsgId, text) {
+      send(
+        `${formatTags({
+          login,
+          "target-msg-id": targetMsgId,
+        })}:${SERVER_PREFIX} CLEARMSG #${channel} :${text}`
+      );
+    },
+
+    /**
+     * Sends a NOTICE with a msg-id.
+     * @param {string} channel - The channel login.
+     * @param {string} msgId - The notice msg-id (e.g. "msg_duplicate").
+     * @param {string} text - The notice text.
+     */
+    sendNotice(channel, msgId, text) {
+      send(`@msg-id=${msgId} :${SERVER_PREFIX} NOTICE #${channel} :${text}`);
+    },
+
+    /**
+     * Drops every client connection, as if the server went away.
+     */
+    dropConnections() {
+      sockets.forEach((socket) => socket.terminate());
+    },
+
+    /**
+     * Stops the server.
+     * @returns {Promise<void>}
+     */
+    close() {
+      sockets.forEach((socket) => socket.terminate());
+      wss.close();
+      return new Promise((resolve) => httpServer.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = {
+  startFakeTwitchServer,
+};
@@ -0,0 +1,65 @@
+/**
+ * Creates a stand-in for the main BrowserWindow that records everything
+ * the services send to the renderer.
+ * Each line of a "chat-messages" batch is also recorded as a "chat-message",
+ * so tests can wait for single chat lines whichever way they were sent.
+ * @returns {object} The window, with `sent` ([{ channel, data }]) and `waitFor`.
+ */
+function createFakeWindow() {
+  const sent = [];
+  const waiters = [];
+
+  const record = (channel, data) => {
+    sent.push({ channel, data });
+    for (let i = waiters.length - 1; i >= 0; i--) {
+      if (waiters[i].matches(channel, data)) {
+        waiters[i].resolve(data);
+        waiters.splice(i, 1);
+      }
+    }
+  };
+
+  return {
+    sent,
+    isDestroyed: () => false,
+    webContents: {
+      send(channel, data) {
+        record(channel, data);
+        if (channel === "chat-messages") {
+          data.forEach((message) => record("chat-message", message));
+        }
+      },
+    },
+
+    /**
+     * Waits until a matching IPC message is sent (or has already been sent).
+     * @param {string} channel - The IPC channel name.
+     * @param {function(any): boolean} [predicate] - Tests the payload.
+     * @param {number} [timeout=2000] - Milliseconds to wait before rejecting.
+     * @returns {Promise<any>} The matching payload.
+     */
+    waitFor(channel, predicate = () => true, timeout = 2000) {
+      const matches = (sentChannel, data) =>
+        sentChannel === channel && predicate(data);
+      const existing = sent.find((entry) => matches(entry.channel, entry.data));
+      if (existing) return Promise.resolve(existing.data);
+
+      return new Promise((resolve, reject) => {
+        const waiter = { matches, resolve };
+        waiters.push(waiter);
+        const timer = setTimeout(() => {
+          const index = waiters.indexOf(waiter);
+          if (index !== -1) {
+            waiters.splice(index, 1);
+            reject(new Error(`Timed out waiting for "${channel}"`));
+          }
+        }, timeout);
+        timer.unref(); // Don't keep the test process alive once the wait is over
+      });
+    },
+  };
+}
+
+module.exports = {
+  createFakeWindow,
+};
@@ -0,0 +1,821 @@
+const electronStub = require("./support/electronStub");
+
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startFakeTwitchServer } = require("./support/fakeTwitchServer");
+const { createFakeWindow } = require("./support/fakeWindow");
+
+// config.js reads the client ID when it is first loaded
+process.env.TWITCH_CLIENT_ID = "test-client-id";
+const twitchChatService = require("../src/main/services/twitchChatService");
+const settingsService = require("../src/main/services/settingsService");
+const filterService = require("../src/main/services/filterService");
+const chatLogService = require("../src/main/services/chatLogService");
+
+const AUTH = { token: "test-token", username: "viewer", userId: "2001" };
+
+/**
+ * Waits until a condition holds, checking every few milliseconds.
+ * @param {function(): boolean} condition - The condition.
+ * @param {number} [timeout=2000] - Milliseconds to wait before failing.
+ */
+async function waitUntil(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe("twitchChatService", () => {
+  let server;
+  let win;
+  let userDataDir;
+
+  /**
+   * Joins a channel and waits until the renderer was told it is connected.
+   * @param {string} channel - The channel login.
+   * @returns {Promise<object>} The "connected" status payload.
+   */
+  const join = async (channel) => {
+    await twitchChatService.connectToChannel(channel, AUTH);
+    return win.waitFor(
+      "connection-status",
+      (s) => s.channel === channel && s.status === "connected"
+    );
+  };
+
+  /**
+   * Returns the chat lines sent to the renderer for a channel.
+   * @param {string} channel - The channel login.
+   * @returns {object[]} The chat message payloads.
+   */
+  const chatLines = (channel) =>
+    win.sent
+      .filter((e) => e.channel === "chat-message" && e.data.channel === channel)
+      .map((e) => e.data);
+
+  before(async () => {
+    // Event settings are toggled by some tests
+    userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-"));
+    electronStub.app.getPath = () => userDataDir;
+    settingsService.initialize();
+
+    server = await startFakeTwitchServer({
+      token: AUTH.token,
+      channels: {
+        streamer: { id: "1001" },
+        modded: { id: "1002", moderator: true },
+        other: { id: "1003" },
+        gone: { id: "1004", suspended: true },
+      },
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    server.clearReceived();
+    win = createFakeWindow();
+    twitchChatService.initialize(win, server.createTransport());
+  });
+
+  afterEach(async () => {
+    await twitchChatService.disconnectFromChannel();
+    await waitUntil(() => server.connectionCount === 0);
+  });
+
+  describe("connecting", () => {
+    it("joins a channel after checking it exists", async () => {
+      const status = await join("streamer");
+
+      assert.deepEqual(status, {
+        status: "connected",
+        channel: "streamer",
+        isModerator: false,
+      });
+      assert.ok(server.received.includes("JOIN #streamer"));
+      assert.ok(server.received.includes(`PASS oauth:${AUTH.token}`));
+      assert.deepEqual(twitchChatService.getStatus(), {
+        status: "connected",
+        channels: ["streamer"],
+      });
+    });
+
+    it("normalizes channel names", async () => {
+      await twitchChatService.connectToChannel("#Streamer", AUTH);
+      await win.waitFor(
+        "connection-status",
+        (s) => s.channel === "streamer" && s.status === "connected"
+      );
+    });
+
+    it("reports moderator status from USERSTATE", async () => {
+      const status = await join("modded");
+      assert.equal(status.isModerator, true);
+    });
+
+    it("joins several channels over a single connection", async () => {
+      await join("streamer");
+      await join("other");
+
+      assert.equal(server.connectionCount, 1);
+      assert.deepEqual(twitchChatService.getStatus().channels, [
+        "streamer",
+        "other",
+      ]);
+    });
+
+    it("requires authentication", async () => {
+      await twitchChatService.connectToChannel("streamer", null);
+
+      const status = await win.waitFor("connection-status");
+      assert.equal(status.status, "error");
+      assert.equal(status.error, "Authentication required to connect to chat.");
+      assert.equal(server.connectionCount, 0);
+    });
+
+    it("rejects names that are not Twitch logins", async () => {
+      await twitchChatService.connectToChannel("../../x", AUTH);
+
+      const status = await win.waitFor("connection-status");
+      assert.equal(status.status, "error");
+      assert.equal(
+        status.error,
+        "Not a valid channel name (letters, digits and underscores only)."
+      );
+      assert.equal(server.connectionCount, 0);
+    });
+
+    it("reports channels that Helix doesn't know", async () => {
+      await twitchChatService.connectToChannel("nobody", AUTH);
+
+      const status = await win.waitFor(
+        "connection-status",
+        (s) => s.status === "error"
+      );
+      assert.equal(
+        status.error,
+        "Channel 'nobody' not found. Please check the spelling."
+      );
+      assert.equal(server.connectionCount, 0);
+    });
+
+    it("reports a rejected IRC login", async () => {
+      // Let the Helix check pass so the bad token reaches IRC
+      twitchChatService.initialize(win, {
+        ...server.createTransport(),
+        fetch: async () => ({
+          ok: true,
+          json: async () => ({ data: [{ id: "1001" }] }),
+        }),
+      });
+
+      await twitchChatService.connectToChannel("streamer", {
+        token: "wrong-token",
+        username: "viewer",
+      });
+
+      const status = await win.waitFor(
+        "connection-status",
+        (s) => s.status === "error"
+      );
+      assert.equal(status.error, "Login authentication failed");
+      assert.equal(twitchChatService.getStatus().status, "disconnected");
+    });
+
+    it("reports channels the server refuses to join", async () => {
+      await twitchChatService.connectToChannel("gone", AUTH);
+
+      const status = await win.waitFor(
+        "connection-status",
+        (s) => s.status === "error"
+      );
+      assert.equal(status.channel, "gone");
+      const notice = await win.waitFor(
+        "chat-message",
+        (m) => m.channel === "gone"
+      );
+      assert.equal(notice.text, "You are banned from #gone chat.");
+    });
+  });
+
+  describe("message mapping", () => {
+    beforeEach(() => join("streamer"));
+
+    it("maps PRIVMSG tags to the renderer payload", async () => {
+      server.sendPrivmsg("streamer", "someone", "Hello Kappa", {
+        "badge-info": "subscriber/14",
+        badges: "subscriber/12,premium/1",
+        color: "#1E90FF",
+        "display-name": "SomeOne",
+        emotes: "25:6-10",
+        id: "msg-1",
+        subscriber: 1,
+        "user-id": "2001",
+      });
+
+      const message = await win.waitFor("chat-message");
+      assert.deepEqual(message, {
+        channel: "streamer",
+        username: "SomeOne",
+        text: "Hello Kappa",
+        color: "#1E90FF",
+        badges: { subscriber: "12", premium: "1" },
+        badgeInfo: { subscriber: "14" },
+        isMod: false,
+        isSub: true,
+        isVip: undefined,
+        isBroadcaster: false,
+        messageId: "msg-1",
+        login: "someone",
+        userId: "2001",
+        roomId: "1001",
+        emotes: { 25: ["6-10"] },
+        isAction: false,
+      });
+    });
+
+    it("flags /me messages as actions", async () => {
+      server.sendPrivmsg("streamer", "someone", "\u0001ACTION waves\u0001");
+
+      const message = await win.waitFor("chat-message");
+      assert.equal(message.text, "waves");
+      assert.equal(message.isAction, true);
+    });
+
+    it("maps the parent of threaded replies", async () => {
+      server.sendPrivmsg("streamer", "someone", "@Parent agreed", {
+        "reply-parent-msg-id": "parent-1",
+        "reply-parent-user-login": "parent",
+        "reply-parent-display-name": "Parent",
+        "reply-parent-msg-body": "first message; with spaces",
+      });
+
+      const message = await win.waitFor("chat-message");
+      assert.deepEqual(message.reply, {
+        parentMessageId: "parent-1",
+        parentLogin: "parent",
+        parentUsername: "Parent",
+        parentText: "first message; with spaces",
+      });
+    });
+
+    it("flags the broadcaster's own messages", async () => {
+      server.sendPrivmsg("streamer", "streamer", "hi chat", {
+        "user-id": "1001",
+      });
+
+      const message = await win.waitFor("chat-message");
+      assert.equal(message.isBroadcaster, true);
+    });
+
+    it("replaces colors that are unreadable on a dark background", async () => {
+      server.sendPrivmsg("streamer", "darkuser", "hi", { color: "#000010" });
+
+      const message = await win.waitFor("chat-message");
+      assert.equal(message.color, "#AAAAAA");
+    });
+
+    it("picks a color from the username when none is set", async () => {
+      server.sendPrivmsg("streamer", "nocolor", "hi");
+      server.sendPrivmsg("streamer", "nocolor", "again");
+
+      await waitUntil(() => chatLines("streamer").length === 2);
+      const [first, second] = chatLines("streamer");
+      assert.match(first.color, /^#[0-9A-F]{6}$/);
+      assert.notEqual(first.color, "#AAAAAA");
+      assert.equal(first.color, second.color);
+    });
+
+    it("maps cheers", async () => {
+      server.sendPrivmsg("streamer", "cheerer", "Cheer100 nice", {
+        bits: 100,
+        id: "msg-2",
+      });
+
+      const message = await win.waitFor("chat-message");
+      assert.equal(message.isCheer, true);
+      assert.equal(message.bits, "100");
+      assert.equal(message.messageId, "msg-2");
+      assert.equal(message.text, "Cheer100 nice");
+    });
+
+    it("logs messages hidden by a filter rule", async () => {
+      filterService.initialize(win);
+      settingsService.set("filters.rules", [
+        { id: "bots", type: "user", value: "nightbot", action: "hide" },
+      ]);
+      settingsService.set("chatLogs.enabled", true);
+      chatLogService.initialize();
+      try {
+        server.sendPrivmsg("streamer", "nightbot", "Follow the stream!");
+        server.sendPrivmsg("streamer", "someone", "hi");
+        await win.waitFor("chat-message", (message) => message.text === "hi");
+        assert.deepEqual(
+          chatLines("streamer").map((message) => message.text),
+          ["hi"]
+        );
+
+        // The log is written asynchronously
+        const logDir = path.join(userDataDir, "chat-logs", "streamer");
+        let entries = [];
+        await waitUntil(() => {
+          entries = fs
+            .readdirSync(logDir)
+            .flatMap((file) =>
+              fs.readFileSync(path.join(logDir, file), "utf8").split("\n")
+            )
+            .filter(Boolean)
+            .map((line) => JSON.parse(line));
+          return entries.some((entry) => entry.text === "hi");
+        });
+        const hidden = entries.find((entry) => entry.login === "nightbot");
+        assert.equal(hidden.text, "Follow the stream!");
+        assert.deepEqual(hidden.filter, {
+          action: "hide",
+          reason: "ignored user nightbot",
+        });
+      } finally {
+        settingsService.set("chatLogs.enabled", false);
+        chatLogService.initialize();
+        chatLogService.shutdown();
+        settingsService.set("filters.rules", []);
+        filterService.shutdown();
+      }
+    });
+
+    it("announces raids from USERNOTICE", async () => {
+      server.sendUsernotice("streamer", "raid", {
+        login: "raider",
+        "display-name": "Raider",
+        "msg-param-displayName": "Raider",
+        "msg-param-login": "raider",
+        "msg-param-viewerCount": 42,
+      });
+
+      const message = await win.waitFor("chat-message");
+      assert.equal(message.username, "System");
+      assert.equal(message.text, "Raider is raiding with 42 viewers!");
+    });
+
+    it("maps resubs and Prime subs to event cards", async () => {
+      server.sendUsernotice(
+        "streamer",
+        "resub",
+        {
+          login: "fan",
+          "display-name": "Fan",
+          "msg-param-sub-plan": "2000",
+          "msg-param-cumulative-months": "14",
+          "msg-param-should-share-streak": "1",
+          "msg-param-streak-months": "5",
+        },
+        "still here"
+      );
+      server.sendUsernotice("streamer", "sub", {
+        login: "newbie",
+        "display-name": "Newbie",
+        "msg-param-sub-plan": "Prime",
+        "msg-param-cumulative-months": "1",
+      });
+
+      await waitUntil(() => chatLines("streamer").length === 2);
+      const [resub, primeSub] = chatLines("streamer");
+      assert.equal(resub.text, "still here");
+      assert.equal(resub.login, "fan");
+      assert.deepEqual(resub.event, {
+        type: "resub",
+        isPrime: false,
+        plan: "2000",
+        months: 14,
+        streakMonths: 5,
+        color: "#9146FF",
+        title: "Fan resubscribed at Tier 2 for 14 months (5 in a row)!",
+      });
+      assert.equal(primeSub.event.type, "sub");
+      assert.equal(primeSub.event.isPrime, true);
+      assert.equal(primeSub.event.months, 1);
+      assert.equal(primeSub.event.title, "Newbie subscribed with Prime!");
+    });
+
+    it("folds the gifts of a mystery gift into its card", async () => {
+      server.sendUsernotice("streamer", "submysterygift", {
+        login: "generous",
+        "display-name": "Generous",
+        "msg-param-sub-plan": "1000",
+        "msg-param-mass-gift-count": "2",
+        "msg-param-sender-count": "20",
+      });
+      ["lucky1", "lucky2"].forEach((recipient) =>
+        server.sendUsernotice("streamer", "subgift", {
+          login: "generous",
+          "display-name": "Generous",
+          "msg-param-sub-plan": "1000",
+          "msg-param-recipient-display-name": recipient,
+          "msg-param-community-gift-id": "gift-1",
+        })
+      );
+      server.sendUsernotice("streamer", "subgift", {
+        login: "ananonymousgifter",
+        "msg-param-sub-plan": "3000",
+        "msg-param-recipient-display-name": "Lucky3",
+        "msg-param-gift-months": "3",
+      });
+
+      await waitUntil(() => chatLines("streamer").length === 2);
+      const [mysteryGift, gift] = chatLines("streamer");
+      assert.equal(
+        mysteryGift.event.title,
+        "Generous is gifting 2 Tier 1 subs to the community! They've gifted 20 in the channel."
+      );
+      assert.equal(
+        gift.event.title,
+        "An anonymous gifter gifted 3 months of Tier 3 to Lucky3!"
+      );
+    });
+
+    it("shows announcements in their color and hides turned off events", async () => {
+      settingsService.set("events.watchstreak", false);
+      try {
+        server.sendUsernotice("streamer", "viewermilestone", {
+          login: "regular",
+          "msg-param-category": "watch-streak",
+          "msg-param-value": "7",
+        });
+        server.sendUsernotice(
+          "streamer",
+          "announcement",
+          { login: "modded", "msg-param-color": "GREEN" },
+          "Giveaway at 8pm"
+        );
+
+        const message = await win.waitFor("chat-message");
+        assert.equal(message.text, "Giveaway at 8pm");
+        assert.equal(message.event.type, "announcement");
+        assert.equal(message.event.color, "#00DB84");
+        assert.equal(chatLines("streamer").length, 1);
+      } finally {
+        settingsService.set("events.watchstreak", true);
+      }
+    });
+
+    it("keeps the messages of each channel apart", async () => {
+      await join("other");
+      server.sendPrivmsg("other", "someone", "in other");
+      server.sendPrivmsg("streamer", "someone", "in streamer");
+
+      await waitUntil(() => chatLines("streamer").length === 1);
+      await waitUntil(() => chatLines("other").length === 1);
+      assert.equal(chatLines("other")[0].text, "in other");
+      assert.equal(chatLines("streamer")[0].text, "in streamer");
+    });
+  });
+
+  describe("batching", () => {
+    beforeEach(() => join("streamer"));
+
+    it("sends the chat lines of a frame as one batch", async () => {
+      server.sendPrivmsg("streamer", "someone", "one");
+      server.sendPrivmsg("streamer", "someone", "two");
+      server.sendPrivmsg("streamer", "someone", "three");
+
+      const batch = await win.waitFor(
+        "chat-messages",
+        (messages) => messages.length === 3
+      );
+      assert.deepEqual(
+        batch.map((m) => m.text),
+        ["one", "two", "three"]
+      );
+    });
+
+    it("sends pending chat lines before a moderation event", async () => {
+      server.sendPrivmsg("streamer", "someone", "bad words", { id: "msg-1" });
+      server.sendClearmsg("streamer", "someone", "msg-1", "bad words");
+
+      await win.waitFor("chat-moderation");
+      const channels = win.sent.map((e) => e.channel);
+      assert.ok(
+        channels.indexOf("chat-messages") < channels.indexOf("chat-moderation")
+      );
+      assert.notEqual(channels.indexOf("chat-messages"), -1);
+    });
+  });
+
+  describe("moderation events", () => {
+    beforeEach(() => join("streamer"));
+
+    it("reports deleted messages", async () => {
+      server.sendClearmsg("streamer", "SomeOne", "msg-1", "bad words");
+
+      const event = await win.waitFor("chat-moderation");
+      assert.deepEqual(event, {
+        channel: "streamer",
+        type: "delete",
+        messageId: "msg-1",
+        targetUser: "someone",
+      });
+    });
+
+    it("reports timeouts", async () => {
+      server.sendClearchat("streamer", "someone", 600);
+
+      const event = await win.waitFor("chat-moderation");
+      assert.deepEqual(event, {
+        channel: "streamer",
+        type: "timeout",
+        targetUser: "someone",
+        duration: 600,
+      });
+      const line = await win.waitFor("chat-message");
+      assert.match(line.text, /^someone has been timed out for 600 seconds/);
+    });
+
+    it("reports bans", async () => {
+      server.sendClearchat("streamer", "someone");
+
+      const event = await win.waitFor("chat-moderation");
+      assert.deepEqual(event, {
+        channel: "streamer",
+        type: "ban",
+        targetUser: "someone",
+      });
+      const line = await win.waitFor("chat-message");
+      assert.match(line.text, /^someone has been banned/);
+    });
+
+    it("reports full chat clears", async () => {
+      server.sendClearchat("streamer");
+
+      const event = await win.waitFor("chat-moderation");
+      assert.deepEqual(event, { channel: "streamer", type: "clear" });
+      const line = await win.waitFor("chat-message");
+      assert.equal(line.text, "Chat was cleared by a moderator.");
+      assert.equal(line.isSystem, true);
+    });
+  });
+
+  describe("notices", () => {
+    beforeEach(() => join("streamer"));
+
+    const cases = [
+      [
+        "msg_duplicate",
+        "Your message was not sent: Duplicate message (try adding a space or changing slightly).",
+        "#FFA500",
+      ],
+      [
+        "msg_followed",
+        "This channel is in followers-only mode. You must be following for longer to chat.",
+        "#FFA500",
+      ],
+      [
+        "msg_slowmode",
+        "This channel is in slow mode. Please wait a moment before sending another message.",
+        "#FFA500",
+      ],
+      ["msg_subsonly", "This channel is in subscribers-only mode.", "#8A2BE2"],
+      [
+        "msg_ratelimit",
+        "You are sending messages too fast (rate limit exceeded).",
+        "#FFA500",
+      ],
+      ["msg_emoteonly", "This channel is in emote-only mode.", "#FFA500"],
+      [
+        "msg_r9k",
+        "This channel is in R9K (9K-message) mode. Your message was too similar to recent messages.",
+        "#FFA500",
+      ],
+      [
+        "msg_bad_words",
+        "Your message was not sent: Blocked by AutoMod.",
+        "#DC143C",
+      ],
+      ["msg_banned", "You are banned from #streamer chat.", "#DC143C"],
+      ["some_new_msgid", "Text straight from Twitch.", "#FFA500"],
+    ];
+
+    for (const [msgId, expectedText, expectedColor] of cases) {
+      it(`translates ${msgId}`, async () => {
+        server.sendNotice("streamer", msgId, "Text straight from Twitch.");
+
+        const line = await win.waitFor("chat-message");
+        assert.equal(line.channel, "streamer");
+        assert.equal(line.username, "System");
+        assert.equal(line.text, expectedText);
+        assert.equal(line.color, expectedColor);
+        assert.equal(line.isSystem, true);
+      });
+    }
+  });
+
+  describe("sending messages", () => {
+    it("sends PRIVMSG to a joined channel", async () => {
+      await join("streamer");
+
+      const sent = await twitchChatService.sendMessage("streamer", "hello");
+
+      assert.equal(sent, true);
+      await server.waitForLine((line) => line === "PRIVMSG #streamer :hello");
+    });
+
+    it("sends replies with the reply-parent-msg-id tag", async () => {
+      await join("streamer");
+
+      const sent = await twitchChatService.sendMessage(
+        "streamer",
+        "agreed",
+        "parent-1"
+      );
+
+      assert.equal(sent, true);
+      await server.waitForLine(
+        (line) =>
+          line === "@reply-parent-msg-id=parent-1 PRIVMSG #streamer :agreed"
+      );
+    });
+
+    it("refuses reply IDs that would change the IRC line", async () => {
+      await join("streamer");
+
+      const sent = await twitchChatService.sendMessage(
+        "streamer",
+        "agreed",
+        "x PRIVMSG #other :spam"
+      );
+
+      assert.equal(sent, false);
+      assert.ok(!server.received.some((l) => l.includes("PRIVMSG")));
+    });
+
+    it("refuses channels that aren't joined", async () => {
+      await join("streamer");
+
+      const sent = await twitchChatService.sendMessage("other", "hello");
+
+      assert.equal(sent, false);
+      const line = await win.waitFor("chat-message");
+      assert.equal(line.text, "Cannot send message: Not connected to #other.");
+      assert.ok(!server.received.some((l) => l.startsWith("PRIVMSG")));
+    });
+  });
+
+  describe("slash commands", () => {
+    /**
+     * Sends a command and waits for the system line it results in.
+     * @param {string} channel - The channel login.
+     * @param {string} text - The command.
+     * @returns {Promise<string>} The text of the system line.
+     */
+    const runCommand = async (channel, text) => {
+      const systemLines = () => chatLines(channel).filter((m) => m.isSystem);
+      const before = systemLines().length;
+      await twitchChatService.sendMessage(channel, text);
+      await waitUntil(() => systemLines().length > before);
+      return systemLines().pop().text;
+    };
+
+    it("sends /me as an ACTION", async () => {
+      await join("streamer");
+
+      await twitchChatService.sendMessage("streamer", "/me waves");
+
+      await server.waitForLine(
+        (l) => l === "PRIVMSG #streamer :\u0001ACTION waves\u0001"
+      );
+    });
+
+    it("runs moderator commands through Helix", async () => {
+      await join("modded");
+
+      const result = await runCommand("modded", "/timeout @Other 10m spam");
+
+      assert.deepEqual(server.helixRequests, [
+        {
+          method: "POST",
+          path: "/moderation/bans",
+          query: { broadcaster_id: "1002", moderator_id: "2001" },
+          body: { data: { user_id: "1003", duration: 600, reason: "spam" } },
+        },
+      ]);
+      assert.equal(result, "Timed out other for 600 seconds.");
+    });
+
+    it("checks permissions, arguments and command names", async () => {
+      await join("streamer");
+      await join("modded");
+
+      assert.equal(
+        await runCommand("streamer", "/slow 30"),
+        "You must be a moderator of #streamer to use /slow."
+      );
+      assert.equal(
+        await runCommand("modded", "/ban"),
+        "Usage: /ban <user> [reason]"
+      );
+      assert.match(
+        await runCommand("streamer", "/dance"),
+        /^Unknown command \/dance\. Commands: \/me, \/timeout,/
+      );
+      assert.deepEqual(server.helixRequests, []);
+      assert.ok(!server.received.some((l) => l.startsWith("PRIVMSG")));
+    });
+  });
+
+  describe("disconnecting", () => {
+    it("parts a single channel and keeps the others", async () => {
+      await join("streamer");
+      await join("other");
+
+      await twitchChatService.disconnectFromChannel("streamer");
+
+      assert.ok(server.received.includes("PART #streamer"));
+      const status = await win.waitFor(
+        "connection-status",
+        (s) => s.status === "disconnected"
+      );
+      assert.equal(status.channel, "streamer");
+      assert.equal(status.reason, "User requested disconnect");
+      assert.equal(server.connectionCount, 1);
+      assert.deepEqual(twitchChatService.getStatus().channels, ["other"]);
+    });
+
+    it("closes the connection when the last channel is left", async () => {
+      await join("streamer");
+
+      await twitchChatService.disconnectFromChannel("streamer");
+
+      const status = await win.waitFor(
+        "connection-status",
+        (s) => s.status === "disconnected"
+      );
+      assert.equal(status.channel, "streamer");
+      await waitUntil(() => server.connectionCount === 0);
+      assert.deepEqual(twitchChatService.getStatus(), {
+        status: "disconnected",
+        channels: [],
+      });
+    });
+
+    it("leaves every channel when no channel is given", async () => {
+      await join("streamer");
+      await join("other");
+
+      await twitchChatService.disconnectFromChannel();
+
+      const disconnected = win.sent
+        .filter(
+          (e) =>
+            e.channel === "connection-status" &&
+            e.data.status === "disconnected"
+        )
+        .map((e) => e.data.channel);
+      assert.deepEqual(disconnected.sort(), ["other", "streamer"]);
+      await waitUntil(() => server.connectionCount === 0);
+    });
+
+    it("ignores channels that aren't joined", async () => {
+      await join("streamer");
+
+      await twitchChatService.disconnectFromChannel("other");
+
+      assert.ok(!server.received.some((l) => l.startsWith("PART")));
+      assert.deepEqual(twitchChatService.getStatus().channels, ["streamer"]);
+    });
+
+    it("reports every channel as disconnected when the server drops", async () => {
+      await join("streamer");
+      await join("other");
+
+      server.dropConnections();
+
+      await waitUntil(
+        () =>
+          win.sent.filter(
+            (e) =>
+              e.channel === "connection-status" &&
+              e.data.status === "disconnected"
+          ).length === 2
+      );
+      const statuses = win.sent
+        .filter((e) => e.data.status === "disconnected")
+        .map((e) => e.data);
+      assert.deepEqual(statuses.map((s) => s.channel).sort(), [
+        "other",
+        "streamer",
+      ]);
+      assert.ok(statuses.every((s) => s.reason));
+    });
+  });
+});